@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/**
+ * Guard for admin endpoints
+ * Requests must send the ADMIN_API_KEY value in the X-Admin-Key header; admin endpoints
+ * are disabled while ADMIN_API_KEY is not set.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin endpoints are disabled',
+      code: 'ADMIN_DISABLED',
+      details: { message: 'Set ADMIN_API_KEY on the server to enable admin endpoints' }
+    });
+  }
+
+  const providedKey = Buffer.from(req.headers['x-admin-key'] || '');
+  const expectedKey = Buffer.from(adminKey);
+  const matches = providedKey.length === expectedKey.length && crypto.timingSafeEqual(providedKey, expectedKey);
+
+  if (!matches) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing admin key',
+      code: 'ADMIN_UNAUTHORIZED',
+      details: { message: 'Send the admin key in the X-Admin-Key header' }
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
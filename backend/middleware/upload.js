@@ -40,20 +40,28 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter for Excel files only
+// Accepted spreadsheet and document extensions and the MIME types browsers send for them
+// (Windows reports CSV as application/vnd.ms-excel; browsers that do not know a type send octet-stream)
+const allowedTypes = {
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  '.xls': ['application/vnd.ms-excel'],
+  '.ods': ['application/vnd.oasis.opendocument.spreadsheet', 'application/octet-stream'],
+  '.csv': ['text/csv', 'application/csv', 'text/x-csv', 'application/vnd.ms-excel', 'text/plain', 'application/octet-stream'],
+  '.tsv': ['text/tab-separated-values', 'text/tsv', 'text/plain', 'application/octet-stream'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/octet-stream'],
+  '.pdf': ['application/pdf', 'application/x-pdf', 'application/octet-stream']
+};
+
+const allowedExtensions = Object.keys(allowedTypes);
+
+// File filter for spreadsheets and form documents only
 const fileFilter = (req, file, cb) => {
-  const allowedMimes = [
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-    'application/vnd.ms-excel' // .xls
-  ];
-  
-  const allowedExtensions = ['.xlsx', '.xls'];
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
-  if (allowedMimes.includes(file.mimetype) && allowedExtensions.includes(fileExtension)) {
+  if (allowedExtensions.includes(fileExtension) && allowedTypes[fileExtension].includes(file.mimetype)) {
     cb(null, true);
   } else {
-    const error = new Error('Invalid file type. Only Excel files (.xlsx, .xls) are allowed.');
+    const error = new Error(`Invalid file type. Only spreadsheet and document files (${allowedExtensions.join(', ')}) are allowed.`);
     error.code = 'INVALID_FILE_TYPE';
     cb(error, false);
   }
@@ -101,4 +109,5 @@ setInterval(cleanupTempFiles, 60 * 60 * 1000);
 cleanupTempFiles();
 
 // Export the multer instance directly
+upload.allowedExtensions = allowedExtensions;
 module.exports = upload;
\ No newline at end of file
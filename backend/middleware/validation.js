@@ -1,4 +1,51 @@
-const Joi = require('joi');
+const BaseJoi = require('joi');
+const dependencyValidator = require('../services/dependencyValidator');
+const { SUBMIT_MODES } = require('../services/checklistDiff');
+
+// Multipart forms send objects as JSON strings
+const Joi = BaseJoi.extend({
+  type: 'object',
+  base: BaseJoi.object(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      try {
+        return { value: JSON.parse(value) };
+      } catch (error) {
+        return { value };
+      }
+    }
+  }
+});
+
+// Job IDs are generated by the server or the client (see utils/helper generateJobId)
+const jobIdSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{8,64}$/).messages({
+  'string.pattern.base': 'Job ID must be 8-64 characters of letters, numbers, "_" or "-"'
+});
+
+// Sheet header cell holding a template field; empty or null leaves the field unmapped
+const mappedColumnSchema = Joi.string().trim().max(255).allow('', null).optional();
+
+// Template field to sheet header cell, as confirmed in the column-mapping step
+const columnMappingSchema = Joi.object({
+  question: Joi.string().trim().min(1).max(255).required().messages({
+    'string.empty': 'The question column must be mapped',
+    'any.required': 'The question column must be mapped'
+  }),
+  type: mappedColumnSchema,
+  options: mappedColumnSchema,
+  required: mappedColumnSchema,
+  isDependent: mappedColumnSchema,
+  dependentOn: mappedColumnSchema,
+  dependentOptions: mappedColumnSchema,
+  conditions: mappedColumnSchema
+}).custom((mapping, helpers) => {
+  const columns = Object.values(mapping).filter(Boolean).map(column => column.toLowerCase());
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+  return duplicate ? helpers.error('mapping.duplicate', { column: duplicate }) : mapping;
+}).messages({
+  'mapping.duplicate': 'Column "{#column}" is mapped to more than one field'
+});
 
 // Validation schemas
 const extractRequestSchema = Joi.object({
@@ -17,7 +64,24 @@ const extractRequestSchema = Joi.object({
   region: Joi.string().required().min(1).max(50).messages({
     'string.empty': 'Region is required',
     'any.required': 'Region is required'
-  })
+  }),
+  jobId: jobIdSchema.optional(),
+  // Skip cached extraction results for this upload (multipart sends "true"/"false")
+  bypassCache: Joi.boolean().optional().default(false),
+  // Workbook sheet to extract; the first sheet when omitted
+  sheetName: Joi.string().trim().min(1).max(31).optional().messages({
+    'string.max': 'Sheet name cannot exceed 31 characters'
+  }),
+  // Keep hidden, filtered and struck-out rows, which are skipped by default
+  includeHiddenRows: Joi.boolean().optional().default(false),
+  // Confirmed column mapping for a sheet whose header does not follow the template
+  columnMapping: columnMappingSchema.optional()
+});
+
+// One rule of a compound condition: the parent question (or item ID) and the answers that satisfy it
+const conditionRuleSchema = Joi.object({
+  dependentOn: Joi.string().required().min(1).max(500),
+  dependentOptions: Joi.string().allow('').default('')
 });
 
 const checklistItemSchema = Joi.object({
@@ -33,12 +97,18 @@ const checklistItemSchema = Joi.object({
     'any.only': 'Invalid question type. Must be one of: textArea, textField, date, time, dateTime, dropdown, checkbox, radio, multiImage, signature,header'
   }),
   options: Joi.string().allow('').default(''),
+  description: Joi.string().allow('').max(2000).optional().default(''),
   required: Joi.boolean().required(),
   
   // ADD THESE DEPENDENCY FIELDS:
   isDependent: Joi.boolean().optional().default(false),
   dependentOn: Joi.string().optional().allow('').default(''),
-  dependentOptions: Joi.string().optional().allow('').default('')
+  dependentOptions: Joi.string().optional().allow('').default(''),
+  // Compound conditions of a dependent item: shown when every rule of any one group holds (OR of ANDs).
+  // When present they replace dependentOn and dependentOptions.
+  conditions: Joi.array().items(
+    Joi.array().items(conditionRuleSchema).min(1).max(10)
+  ).max(10).optional().default([])
 });
 
 const submitRequestSchema = Joi.object({
@@ -49,11 +119,87 @@ const submitRequestSchema = Joi.object({
     categoryUid: Joi.string().required().min(1).max(255),
     statusUid: Joi.string().required().min(1).max(255),
     apiKey: Joi.string().required().min(1),
-    region: Joi.string().required().min(1).max(50)
+    region: Joi.string().required().min(1).max(50),
+    // How the checklist is combined with the one the status already has in Zuper
+    mode: Joi.string().valid(...SUBMIT_MODES).default('replace').messages({
+      'any.only': `Submit mode must be one of: ${SUBMIT_MODES.join(', ')}`
+    })
   }).required()
 });
 
+// Failed chunks to re-run; omitted means every failed chunk of the job
+const retryFailedRequestSchema = Joi.object({
+  chunkIndexes: Joi.array().items(Joi.number().integer().positive()).min(1).unique().optional().messages({
+    'array.min': 'chunkIndexes must list at least one chunk',
+    'array.unique': 'chunkIndexes must not contain duplicates'
+  })
+});
+
+// Status to copy a checklist from, or to write it to; targets default to the source's API key and region
+const migrationSourceSchema = Joi.object({
+  categoryUid: Joi.string().required().min(1).max(255),
+  statusUid: Joi.string().required().min(1).max(255),
+  apiKey: Joi.string().required().min(1),
+  region: Joi.string().required().min(1).max(50)
+});
+
+const migrationTargetSchema = Joi.object({
+  categoryUid: Joi.string().required().min(1).max(255),
+  statusUid: Joi.string().required().min(1).max(255),
+  apiKey: Joi.string().min(1).optional(),
+  region: Joi.string().min(1).max(50).optional(),
+  // Overrides the migration's mode for this target
+  mode: Joi.string().valid(...SUBMIT_MODES).optional().messages({
+    'any.only': `Submit mode must be one of: ${SUBMIT_MODES.join(', ')}`
+  })
+});
+
+const migrationRequestSchema = Joi.object({
+  source: migrationSourceSchema.required(),
+  targets: Joi.array().items(migrationTargetSchema).min(1).max(parseInt(process.env.MAX_MIGRATION_TARGETS) || 20).required().messages({
+    'array.min': 'At least one target status is required',
+    'array.max': 'A migration can write to at most {#limit} target statuses'
+  }),
+  mode: Joi.string().valid(...SUBMIT_MODES).default('replace').messages({
+    'any.only': `Submit mode must be one of: ${SUBMIT_MODES.join(', ')}`
+  })
+});
+
+// Failed targets to write again (1-based); omitted means every failed target of the migration
+const migrationRetrySchema = Joi.object({
+  targetIndexes: Joi.array().items(Joi.number().integer().positive()).min(1).unique().optional().messages({
+    'array.min': 'targetIndexes must list at least one target',
+    'array.unique': 'targetIndexes must not contain duplicates'
+  })
+});
+
+// Usage report filters; dates are UTC days and both ends are inclusive
+const usageDaySchema = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => (Number.isNaN(Date.parse(value)) ? helpers.error('string.pattern.base') : value))
+  .messages({
+    'string.pattern.base': '{#label} must be a date in YYYY-MM-DD format'
+  });
+
+const usageQuerySchema = Joi.object({
+  from: usageDaySchema.optional(),
+  to: usageDaySchema.optional(),
+  model: Joi.string().max(100).optional()
+});
+
+// Saved column mapping, reused for sheets with the same layout
+const mappingProfileSchema = Joi.object({
+  name: Joi.string().trim().required().min(1).max(100).messages({
+    'string.empty': 'Profile name is required',
+    'any.required': 'Profile name is required'
+  }),
+  mapping: columnMappingSchema.required().messages({
+    'any.required': 'Column mapping is required'
+  })
+});
+
 // Validation middleware functions
+
 const validateExtractRequest = (req, res, next) => {
   try {
     const { error, value } = extractRequestSchema.validate(req.body, {
@@ -126,6 +272,218 @@ const validateSubmitRequest = (req, res, next) => {
       });
     }
 
+    // Conditional logic must form a valid question graph before it reaches Zuper
+    const dependencyCheck = dependencyValidator.validateDependencies(value.checklist);
+    if (!dependencyCheck.isValid) {
+      const errorCount = dependencyCheck.issues.filter(issue => issue.severity === 'error').length;
+
+      return res.status(400).json({
+        success: false,
+        error: `${errorCount} dependency problem${errorCount === 1 ? '' : 's'} found in the checklist`,
+        code: 'INVALID_DEPENDENCIES',
+        details: {
+          type: 'DEPENDENCY_ERROR',
+          message: 'Fix the "Dependent On" and trigger options of these items, or mark them as not dependent',
+          items: dependencyCheck.issues
+        }
+      });
+    }
+
+    req.body = value;
+    req.dependencyCheck = dependencyCheck;
+    next();
+  } catch (error) {
+    console.error('❌ Validation error:', error);
+    next(error);
+  }
+};
+
+const validateRetryFailedRequest = (req, res, next) => {
+  try {
+    const { error, value } = retryFailedRequestSchema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const validationErrors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: {
+          message: 'Please check the chunks selected for retry',
+          errors: validationErrors
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  } catch (error) {
+    console.error('❌ Validation error:', error);
+    next(error);
+  }
+};
+
+const validateMigrationRequest = (req, res, next) => {
+  try {
+    const { error, value } = migrationRequestSchema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const validationErrors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.path.includes('apiKey') ? undefined : detail.context.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: {
+          message: 'Please check the source and target statuses',
+          errors: validationErrors
+        }
+      });
+    }
+
+    // A status is identified by its region, category and status UID
+    const statusKey = (status) => [status.region || value.source.region, status.categoryUid, status.statusUid].join('/');
+    const sourceKey = statusKey(value.source);
+    const targetKeys = value.targets.map(statusKey);
+    const sourceTargets = [];
+    const duplicateTargets = [];
+
+    targetKeys.forEach((key, index) => {
+      if (key === sourceKey) sourceTargets.push(index + 1);
+      else if (targetKeys.indexOf(key) !== index) duplicateTargets.push(index + 1);
+    });
+
+    if (sourceTargets.length > 0 || duplicateTargets.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: sourceTargets.length > 0
+          ? 'A target cannot be the source status'
+          : 'The same target status is listed more than once',
+        code: 'INVALID_TARGETS',
+        details: {
+          message: 'Each target must be a different status from the source and from the other targets',
+          sourceTargets,
+          duplicateTargets
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  } catch (error) {
+    console.error('❌ Validation error:', error);
+    next(error);
+  }
+};
+
+const validateMigrationRetry = (req, res, next) => {
+  try {
+    const { error, value } = migrationRetrySchema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const validationErrors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: {
+          message: 'Please check the targets selected for retry',
+          errors: validationErrors
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  } catch (error) {
+    console.error('❌ Validation error:', error);
+    next(error);
+  }
+};
+
+const validateUsageQuery = (req, res, next) => {
+  try {
+    const { error, value } = usageQuerySchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error || (value.from && value.to && value.from > value.to)) {
+      const validationErrors = error
+        ? error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message,
+          value: detail.context.value
+        }))
+        : [{ field: 'from', message: '"from" must not be after "to"', value: value.from }];
+
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: {
+          message: 'Please check the usage report filters',
+          errors: validationErrors
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  } catch (error) {
+    console.error('❌ Validation error:', error);
+    next(error);
+  }
+};
+
+const validateMappingProfile = (req, res, next) => {
+  try {
+    const { error, value } = mappingProfileSchema.validate(req.body || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const validationErrors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: {
+          message: 'Please check the mapping profile',
+          errors: validationErrors
+        }
+      });
+    }
+
     req.body = value;
     next();
   } catch (error) {
@@ -141,6 +499,11 @@ const findDuplicateIds = (checklist) => {
   return [...new Set(duplicates)];
 };
 
+// Check a job ID taken from a query string or URL parameter
+const isValidJobId = (jobId) => {
+  return !jobIdSchema.validate(jobId).error;
+};
+
 // Validation helper for individual fields
 const validateField = (value, schema, fieldName) => {
   const { error } = schema.validate(value);
@@ -154,12 +517,25 @@ const validateField = (value, schema, fieldName) => {
 const schemas = {
   extractRequest: extractRequestSchema,
   submitRequest: submitRequestSchema,
-  checklistItem: checklistItemSchema
+  retryFailedRequest: retryFailedRequestSchema,
+  migrationRequest: migrationRequestSchema,
+  migrationRetry: migrationRetrySchema,
+  usageQuery: usageQuerySchema,
+  columnMapping: columnMappingSchema,
+  mappingProfile: mappingProfileSchema,
+  checklistItem: checklistItemSchema,
+  jobId: jobIdSchema
 };
 
 module.exports = {
   validateExtractRequest,
   validateSubmitRequest,
+  validateRetryFailedRequest,
+  validateMigrationRequest,
+  validateMigrationRetry,
+  validateUsageQuery,
+  validateMappingProfile,
   validateField,
+  isValidJobId,
   schemas
 };
\ No newline at end of file
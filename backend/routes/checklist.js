@@ -2,13 +2,22 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 
-const progressStreams = new Map();
-
 const upload = require('../middleware/upload');
 const validation = require('../middleware/validation');
+const { requireAdmin } = require('../middleware/adminAuth');
 const excelParser = require('../services/excelParser');
+const documentParser = require('../services/documentParser');
 const aiService = require('../services/aiService');
+const progressService = require('../services/progressService');
+const jobService = require('../services/jobService');
+const extractionService = require('../services/extractionService');
+const cacheService = require('../services/cacheService');
+const usageService = require('../services/usageService');
+const mappingProfileService = require('../services/mappingProfileService');
+const { generateJobId } = require('../utils/helper');
 const zuperService = require('../services/zuperService');
+const checklistDiff = require('../services/checklistDiff');
+const migrationService = require('../services/migrationService');
 
 // Multer error handler middleware
 const handleUploadErrors = (error, req, res, next) => {
@@ -48,7 +57,7 @@ const handleUploadErrors = (error, req, res, next) => {
       error: error.message,
       code: error.code,
       details: { 
-        allowedTypes: ['.xlsx', '.xls'],
+        allowedTypes: upload.allowedExtensions,
         receivedType: req.file ? require('path').extname(req.file.originalname) : 'unknown'
       }
     });
@@ -80,9 +89,26 @@ router.get('/ai-status', (req, res) => {
   }
 });
 
-// Progress streaming endpoint
+/**
+ * GET /api/progress-stream?jobId=...
+ * Stream progress events for a single extraction job (Server-Sent Events)
+ * Buffered events are replayed for late clients and on reconnect (Last-Event-ID)
+ */
 router.get('/progress-stream', (req, res) => {
-  console.log('📡 New progress stream client connecting...');
+  const jobId = req.query.jobId;
+
+  if (!jobId || !validation.isValidJobId(jobId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'A valid jobId query parameter is required',
+      code: 'INVALID_JOB_ID'
+    });
+  }
+
+  // EventSource sends Last-Event-ID on reconnect; a query param allows manual resume
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+
+  console.log(`📡 New progress stream client connecting for job ${jobId}...`);
   
   // Set up Server-Sent Events headers
   res.writeHead(200, {
@@ -90,82 +116,95 @@ router.get('/progress-stream', (req, res) => {
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
   });
 
   // Generate unique client ID
   const clientId = `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  
-  console.log(`📡 Progress stream client connected: ${clientId}`);
-
-  // Store client connection
-  progressStreams.set(clientId, res);
 
-  // Send initial connection confirmation
+  // Send initial connection confirmation (not buffered, so it carries no event ID)
   res.write(`data: ${JSON.stringify({
     type: 'connected',
     clientId: clientId,
+    jobId: jobId,
     timestamp: new Date().toISOString()
   })}\n\n`);
 
+  // Replay missed events and start receiving new ones
+  progressService.subscribe(jobId, clientId, res, lastEventId);
+
   // Handle client disconnect
   req.on('close', () => {
     console.log(`📡 Progress stream client disconnected: ${clientId}`);
-    progressStreams.delete(clientId);
+    progressService.unsubscribe(jobId, clientId);
   });
 
   req.on('aborted', () => {
     console.log(`📡 Progress stream client aborted: ${clientId}`);
-    progressStreams.delete(clientId);
+    progressService.unsubscribe(jobId, clientId);
   });
 });
 
-// Helper function: Broadcast progress to all connected clients
-function broadcastProgress(progressData) {
-  if (progressStreams.size === 0) {
-    console.log('📊 No clients connected for progress updates');
-    return;
+/**
+ * POST /api/workbook-sheets
+ * List the sheets of an uploaded workbook so the user can pick which ones to extract
+ * The upload is removed afterwards; each chosen sheet is extracted by its own extract-checklist job.
+ */
+router.post('/workbook-sheets', (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return handleUploadErrors(error, req, res, next);
+    }
+    next();
+  });
+}, async (req, res) => {
+  const file = req.file;
+
+  if (!file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded',
+      code: 'NO_FILE',
+      details: { message: 'Please upload a spreadsheet file (.xlsx, .xls, .ods, .csv or .tsv)' }
+    });
   }
 
-  const message = `data: ${JSON.stringify({
-    ...progressData,
-    timestamp: new Date().toISOString()
-  })}\n\n`;
+  try {
+    console.log(`📑 Listing sheets of: ${file.originalname}`);
 
-  console.log(`📊 Broadcasting progress to ${progressStreams.size} clients:`, progressData);
+    // Word documents and PDFs have no sheets; they are extracted as a whole
+    const sheets = documentParser.isDocumentFile(file.path) ? [] : await excelParser.listSheets(file.path);
+    const firstWithData = sheets.find(sheet => sheet.hasData);
 
-  // Send to all connected clients
-  for (const [clientId, res] of progressStreams) {
-    try {
-      res.write(message);
-    } catch (error) {
-      console.error(`❌ Failed to send progress to client ${clientId}:`, error.message);
-      progressStreams.delete(clientId);
-    }
-  }
-}
+    res.status(200).json({
+      success: true,
+      message: documentParser.isDocumentFile(file.path)
+        ? 'Documents are extracted as a single checklist'
+        : `Workbook has ${sheets.length} sheet${sheets.length === 1 ? '' : 's'}`,
+      fileName: file.originalname,
+      sheets,
+      defaultSheet: firstWithData ? firstWithData.name : (sheets[0] ? sheets[0].name : null)
+    });
 
-// Helper function: Create progress callback for AI service
-function createProgressCallback() {
-  return (progressData) => {
-    // Log to console (existing behavior)
-    console.log(`📊 Progress: Chunk ${progressData.chunkIndex + 1}/${progressData.totalChunks} - ${progressData.status}`);
-    
-    // Broadcast to connected clients
-    broadcastProgress({
-      currentChunk: progressData.chunkIndex + 1,
-      totalChunks: progressData.totalChunks,
-      currentAttempt: progressData.attempt,
-      maxAttempts: progressData.maxAttempts,
-      status: progressData.status,
-      percentage: Math.round(((progressData.chunkIndex + 1) / progressData.totalChunks) * 100)
-    });
-  };
-}
+  } catch (error) {
+    console.error('❌ Error in workbook-sheets:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to read workbook sheets',
+      code: error.code || 'EXCEL_PARSE_ERROR',
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    await excelParser.cleanupFile(file.path);
+  }
+});
 
 /**
  * POST /api/extract-checklist
- * Extract checklist from uploaded Excel file using AI with real-time progress
+ * Queue extraction of a checklist from one sheet of an uploaded Excel file (sheetName, default the first),
+ * or from a Word document or text PDF
+ * Responds 202 with a job ID; progress is streamed on /api/progress-stream and
+ * the result is fetched from /api/jobs/:id/result
  */
 router.post('/extract-checklist', (req, res, next) => {
   upload.single('file')(req, res, (error) => {
@@ -176,9 +215,8 @@ router.post('/extract-checklist', (req, res, next) => {
   });
 }, validation.validateExtractRequest, async (req, res, next) => {
   try {
-    console.log('📄 Processing checklist extraction request with real-time progress');
+    console.log('📄 Queuing checklist extraction job');
     
-    const { categoryUid, statusUid, apiKey, region } = req.body;
     const file = req.file;
 
     if (!file) {
@@ -186,260 +224,195 @@ router.post('/extract-checklist', (req, res, next) => {
         success: false,
         error: 'No file uploaded',
         code: 'NO_FILE',
-        details: { message: 'Please upload an Excel file (.xlsx or .xls)' }
+        details: { message: 'Please upload a spreadsheet (.xlsx, .xls, .ods, .csv or .tsv) or a form document (.docx or .pdf)' }
       });
     }
 
-    console.log(`📊 Processing file: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
+    // Clients may pick the job ID up front so they can subscribe before the upload finishes
+    const jobId = req.body.jobId || generateJobId();
 
-    // CREATE PROGRESS CALLBACK
-    const progressCallback = createProgressCallback();
+    const job = extractionService.startExtractionJob(jobId, file, {
+      bypassCache: req.body.bypassCache,
+      sheetName: req.body.sheetName,
+      includeHiddenRows: req.body.includeHiddenRows,
+      columnMapping: req.body.columnMapping
+    });
 
-    // SEND INITIAL PROGRESS UPDATE
-    broadcastProgress({
-      currentChunk: 0,
-      totalChunks: 0,
-      currentAttempt: 1,
-      maxAttempts: 1,
-      status: 'Analyzing Excel file...',
-      percentage: 0
+    res.status(202).json({
+      success: true,
+      message: 'Extraction job queued',
+      jobId: job.id,
+      status: job.status,
+      links: {
+        status: `/api/jobs/${job.id}`,
+        result: `/api/jobs/${job.id}/result`,
+        progress: `/api/progress-stream?jobId=${job.id}`
+      }
     });
 
-    // Step 1: Analyze Excel file for optimal processing strategy
-    console.log('🔍 Analyzing Excel file...');
-    const fileAnalysis = await excelParser.analyzeExcelForChunking(file.path);
-    
-    if (fileAnalysis.error) {
-      console.warn('⚠️ File analysis failed, proceeding with basic parsing');
-    } else {
-      console.log(`📊 File analysis: ${fileAnalysis.fileStats.totalRows} rows, chunking needed: ${fileAnalysis.chunkingRecommendation.needsChunking}`);
+  } catch (error) {
+    console.error('❌ Error in extract-checklist:', error);
+
+    // The job never started, so the upload is still ours to remove
+    if (req.file) {
+      await excelParser.cleanupFile(req.file.path);
     }
 
-    // Update progress
-    broadcastProgress({
-      currentChunk: 0,
-      totalChunks: 0,
-      currentAttempt: 1,
-      maxAttempts: 1,
-      status: 'Extracting Excel content...',
-      percentage: 10
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to queue extraction job',
+      code: error.code || 'EXTRACTION_ERROR',
+      timestamp: new Date().toISOString()
     });
+  }
+});
 
-    // Step 2: Extract Excel text for AI processing
-    console.log('📝 Extracting Excel content...');
-    const excelText = await excelParser.extractExcelText(file.path);
-    
-    if (!excelText || excelText.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Excel file appears to be empty or unreadable',
-        code: 'EMPTY_FILE',
-        details: { message: 'Please ensure the Excel file contains data in the correct format' }
-      });
-    }
-
-    console.log(`📝 Extracted text (${excelText.length} characters)`);
+// Helper function: Look up a job from the :id route parameter, responding 404 if unknown
+function findJobOr404(req, res) {
+  const job = validation.isValidJobId(req.params.id) ? jobService.getJob(req.params.id) : null;
 
-    // Update progress
-    broadcastProgress({
-      currentChunk: 0,
-      totalChunks: 0,
-      currentAttempt: 1,
-      maxAttempts: 1,
-      status: 'Preparing AI processing...',
-      percentage: 20
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      code: 'JOB_NOT_FOUND',
+      details: { jobId: req.params.id }
     });
+  }
 
-    // Step 3: Enhanced extraction with chunking and progress tracking
-    console.log('🤖 Processing with AI (chunking enabled)...');
-    
-    let processingMetadata = {
-      originalFileSize: file.size,
-      extractedTextLength: excelText.length,
-      analysisResult: fileAnalysis.error ? null : fileAnalysis,
-      aiProvider: aiService.getStatus().provider,
-      chunkingUsed: false,
-      processingStats: null
-    };
-
-    // Progress tracking for chunked processing
-    const progressData = {
-      totalChunks: 0,
-      processedChunks: 0,
-      failedChunks: 0,
-      startTime: Date.now(),
-      chunkResults: []
-    };
+  return job;
+}
 
-    // Extract checklist with chunking support and real-time progress
-    const extractedChecklist = await aiService.extractChecklist(excelText, progressCallback);
-
-    // Update processing stats
-    const endTime = Date.now();
-    processingMetadata.processingStats = {
-      totalChunks: progressData.totalChunks,
-      processedChunks: progressData.processedChunks,
-      failedChunks: progressData.failedChunks,
-      processingTimeMs: endTime - progressData.startTime,
-      processingTimeSeconds: Math.round((endTime - progressData.startTime) / 1000),
-      averageTimePerChunk: progressData.totalChunks > 0 ? Math.round((endTime - progressData.startTime) / progressData.totalChunks) : 0
-    };
+/**
+ * GET /api/jobs/:id
+ * Get extraction job status, latest progress and partial results
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = findJobOr404(req, res);
+  if (!job) return;
+
+  res.status(200).json({
+    success: true,
+    message: 'Job status retrieved',
+    job: jobService.toStatus(job)
+  });
+});
 
-    console.log(`⏱️ Processing completed in ${processingMetadata.processingStats.processingTimeSeconds}s`);
+/**
+ * GET /api/jobs/:id/result
+ * Get the final checklist of a completed extraction job
+ */
+router.get('/jobs/:id/result', (req, res) => {
+  const job = findJobOr404(req, res);
+  if (!job) return;
 
-    // SEND COMPLETION UPDATE
-    broadcastProgress({
-      currentChunk: 1,
-      totalChunks: 1,
-      currentAttempt: 1,
-      maxAttempts: 1,
-      status: 'Processing complete!',
-      percentage: 100
-    });
+  const { JOB_STATUS } = jobService;
 
-    // Step 4: Validate extracted checklist
-    const validation = aiService.validateChecklist(extractedChecklist);
-    
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Extracted checklist contains errors',
-        code: 'VALIDATION_FAILED',
-        details: { 
-          errors: validation.errors,
-          warnings: validation.warnings,
-          processingMetadata
-        }
-      });
-    }
+  if (job.status === JOB_STATUS.COMPLETED) {
+    return res.status(200).json(job.result);
+  }
 
-    if (extractedChecklist.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No valid checklist items could be extracted from the file',
-        code: 'NO_ITEMS_EXTRACTED',
-        details: { 
-          message: 'Please check that your Excel file follows the correct format: question|type|option|required|isDependent|dependentOn|dependentOptions',
-          excelPreview: excelText.substring(0, 200) + '...',
-          warnings: validation.warnings,
-          processingMetadata
-        }
-      });
-    }
+  if (job.status === JOB_STATUS.FAILED) {
+    return res.status(job.error.statusCode || 500).json(extractionService.buildErrorResponse(job.error, job.id));
+  }
 
-    console.log(`✅ Successfully extracted ${extractedChecklist.length} checklist items using ${processingMetadata.chunkingUsed ? 'chunked' : 'single'} processing`);
+  if (job.status === JOB_STATUS.CANCELLED) {
+    return res.status(410).json({
+      success: false,
+      jobId: job.id,
+      error: 'Extraction job was cancelled',
+      code: 'JOB_CANCELLED'
+    });
+  }
 
-    // Cleanup uploaded file
-    await excelParser.cleanupFile(file.path);
+  res.status(409).json({
+    success: false,
+    jobId: job.id,
+    error: 'Extraction job has not finished yet',
+    code: 'JOB_NOT_COMPLETE',
+    details: { status: job.status, progress: job.progress }
+  });
+});
 
-    // Prepare response with enhanced metadata
-    const response = {
-      success: true,
-      message: `Successfully extracted ${extractedChecklist.length} checklist items`,
-      checklist: extractedChecklist,
-      validation: {
-        warnings: validation.warnings,
-        itemCount: extractedChecklist.length,
-        isValid: validation.isValid
-      },
-      metadata: {
-        fileName: file.originalname,
-        fileSize: file.size,
-        itemCount: extractedChecklist.length,
-        processedAt: new Date().toISOString(),
-        ...processingMetadata
-      }
-    };
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running extraction job and remove its upload
+ */
+router.delete('/jobs/:id', async (req, res) => {
+  const job = findJobOr404(req, res);
+  if (!job) return;
 
-    // Add performance insights for large files
-    if (processingMetadata.chunkingUsed) {
-      response.performance = {
-        chunkingEnabled: true,
-        totalChunks: processingMetadata.processingStats.totalChunks,
-        processingTime: `${processingMetadata.processingStats.processingTimeSeconds}s`,
-        averageChunkTime: `${Math.round(processingMetadata.processingStats.averageTimePerChunk / 1000)}s`,
-        recommendation: processingMetadata.processingStats.totalChunks > 5 
-          ? 'Consider breaking very large files into smaller ones for faster processing'
-          : 'File processed efficiently with chunking'
-      };
-    }
+  if (jobService.isFinished(job)) {
+    return res.status(409).json({
+      success: false,
+      jobId: job.id,
+      error: `Job already ${job.status}`,
+      code: 'JOB_ALREADY_FINISHED'
+    });
+  }
 
-    res.status(200).json(response);
+  await jobService.cancel(job.id);
 
-  } catch (error) {
-    console.error('❌ Error in extract-checklist:', error);
-    
-    // SEND ERROR UPDATE
-    broadcastProgress({
-      currentChunk: 0,
-      totalChunks: 0,
-      currentAttempt: 1,
-      maxAttempts: 1,
-      status: `Error: ${error.message}`,
-      percentage: 0,
-      error: true
-    });
-
-    // Enhanced error reporting with context
-    const errorResponse = {
-      success: false,
-      error: error.message || 'Failed to extract checklist',
-      code: error.code || 'EXTRACTION_ERROR',
-      timestamp: new Date().toISOString()
-    };
+  res.status(200).json({
+    success: true,
+    message: 'Job cancellation requested',
+    job: jobService.toStatus(job, false)
+  });
+});
 
-    // Add specific error context based on error type
-    if (error.message.includes('chunk')) {
-      errorResponse.details = {
-        type: 'CHUNKING_ERROR',
-        message: 'Error occurred during chunked processing',
-        suggestion: 'Try with a smaller file or contact support if the issue persists'
-      };
-    } else if (error.message.includes('AI') || error.message.includes('Claude') || error.message.includes('OpenAI')) {
-      errorResponse.details = {
-        type: 'AI_PROCESSING_ERROR',
-        message: 'AI service encountered an error',
-        suggestion: 'Please try again. If the issue persists, the AI service may be temporarily unavailable'
-      };
-    } else if (error.message.includes('Excel') || error.message.includes('parse')) {
-      errorResponse.details = {
-        type: 'FILE_PARSING_ERROR',
-        message: 'Unable to parse the Excel file',
-        suggestion: 'Please ensure the file is a valid Excel file and follows the expected format'
-      };
-    }
+/**
+ * POST /api/jobs/:id/retry-failed
+ * Re-run only the failed chunks of a completed extraction and splice the recovered items back in place
+ */
+router.post('/jobs/:id/retry-failed', validation.validateRetryFailedRequest, async (req, res) => {
+  const job = findJobOr404(req, res);
+  if (!job) return;
 
-    // Cleanup file on error
-    if (req.file) {
-      try {
-        await excelParser.cleanupFile(req.file.path);
-      } catch (cleanupError) {
-        console.error('Failed to cleanup file:', cleanupError);
-      }
-    }
+  if (job.status !== jobService.JOB_STATUS.COMPLETED) {
+    return res.status(409).json({
+      success: false,
+      jobId: job.id,
+      error: 'Only completed extraction jobs can be retried',
+      code: 'JOB_NOT_COMPLETE',
+      details: { status: job.status }
+    });
+  }
 
-    res.status(500).json(errorResponse);
+  try {
+    const result = await extractionService.retryFailedChunks(job, req.body.chunkIndexes || null);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Error retrying failed chunks:', error);
+    res.status(error.statusCode || 500).json(extractionService.buildErrorResponse(error, job.id));
   }
 });
 
 /**
  * POST /api/submit-checklist
- * Submit checklist to Zuper FSM API
+ * Submit checklist to Zuper FSM API; checklists with invalid dependencies are rejected by validateSubmitRequest
+ * config.mode replaces the status's checklist (default), appends to it or merges into it by label
  */
 router.post('/submit-checklist', validation.validateSubmitRequest, async (req, res, next) => {
   try {
     console.log('🚀 Processing checklist submission to Zuper');
     
     const { checklist, config } = req.body;
-    const { categoryUid, statusUid, apiKey, region } = config;
+    const { categoryUid, statusUid, apiKey, region, mode } = config;
 
-    console.log(`📋 Submitting ${checklist.length} items to region: ${region}`);
+    console.log(`📋 Submitting ${checklist.length} items to region: ${region} (${mode})`);
 
-    // Step 1: Generate Zuper payload
-    const zuperPayload = zuperService.generateZuperPayload(checklist, config);
+    // Step 1: Generate Zuper payload with the dependencies validateSubmitRequest already resolved
+    const zuperPayload = zuperService.generateZuperPayload(checklist, config, req.dependencyCheck.dependencies);
     
     console.log('📦 Generated Zuper payload');
 
+    // Appending and merging start from the checklist the status already has
+    if (mode !== 'replace') {
+      const existing = await zuperService.getZuperChecklist(apiKey, region, categoryUid, statusUid);
+      zuperPayload.checklist = checklistDiff.mergeChecklists(existing, zuperPayload.checklist, mode);
+      console.log(`🔀 ${mode === 'append' ? 'Appended to' : 'Merged into'} ${existing.length} existing fields`);
+    }
+
     // Step 2: Submit to Zuper API
     const result = await zuperService.submitToZuper(zuperPayload, apiKey, region);
 
@@ -449,8 +422,11 @@ router.post('/submit-checklist', validation.validateSubmitRequest, async (req, r
       success: true,
       message: 'Checklist submitted successfully to Zuper',
       result: result,
+      warnings: req.dependencyCheck.issues,
       metadata: {
         itemCount: checklist.length,
+        mode: mode,
+        fieldCount: zuperPayload.checklist.length,
         region: region,
         submittedAt: new Date().toISOString(),
         payloadSize: JSON.stringify(zuperPayload).length
@@ -478,6 +454,8 @@ router.post('/submit-checklist', validation.validateSubmitRequest, async (req, r
             ? 'Please verify your category UID and status UID'
             : 'Please try again later'
       };
+    } else if (error.details) {
+      errorResponse.details = error.details;
     }
 
     const statusCode = error.statusCode || 500;
@@ -485,9 +463,47 @@ router.post('/submit-checklist', validation.validateSubmitRequest, async (req, r
   }
 });
 
+/**
+ * POST /api/compare-checklist
+ * Diff the reviewed checklist against the checklist its job status already has in Zuper,
+ * with the field count each submit mode would leave
+ */
+router.post('/compare-checklist', validation.validateSubmitRequest, async (req, res) => {
+  try {
+    const { checklist, config } = req.body;
+    const { categoryUid, statusUid, apiKey, region } = config;
+
+    const existing = await zuperService.getZuperChecklist(apiKey, region, categoryUid, statusUid);
+    const zuperPayload = zuperService.generateZuperPayload(checklist, config, req.dependencyCheck.dependencies);
+    const diff = checklistDiff.diffChecklists(existing, zuperPayload.checklist);
+
+    console.log(`🔍 Compared with Zuper: ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed`);
+
+    res.status(200).json({
+      success: true,
+      message: existing.length > 0
+        ? `The status already has ${existing.length} checklist fields`
+        : 'The status has no checklist yet',
+      existing: {
+        fieldCount: existing.length,
+        checklist: existing
+      },
+      diff
+    });
+  } catch (error) {
+    console.error('❌ Error in compare-checklist:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to compare with the checklist in Zuper',
+      code: error.code || 'COMPARE_ERROR',
+      details: error.details
+    });
+  }
+});
+
 /**
  * POST /api/preview-payload
- * Generate Zuper payload preview without submitting
+ * Generate Zuper payload preview without submitting, with resolved dependencies and dependency warnings
  */
 router.post('/preview-payload', validation.validateSubmitRequest, async (req, res, next) => {
   try {
@@ -495,13 +511,18 @@ router.post('/preview-payload', validation.validateSubmitRequest, async (req, re
     
     const { checklist, config } = req.body;
 
-    // Generate Zuper payload
-    const zuperPayload = zuperService.generateZuperPayload(checklist, config);
+    // Generate Zuper payload; invalid dependencies were already rejected by validateSubmitRequest
+    const { dependencies, issues } = req.dependencyCheck;
+    const zuperPayload = zuperService.generateZuperPayload(checklist, config, dependencies);
     
     res.status(200).json({
       success: true,
       message: 'Payload generated successfully',
       payload: zuperPayload,
+      dependencies: {
+        resolved: dependencies.resolved,
+        warnings: issues
+      },
       metadata: {
         itemCount: checklist.length,
         payloadSize: JSON.stringify(zuperPayload).length,
@@ -521,8 +542,9 @@ router.post('/preview-payload', validation.validateSubmitRequest, async (req, re
 });
 
 /**
- * GET /api/file-analysis
- * Analyze uploaded file before processing (optional pre-flight check)
+ * POST /api/file-analysis
+ * Analyze uploaded file before processing (optional pre-flight check); Word and PDF forms are analyzed as
+ * their numbered lines, as extraction reads them
  */
 router.post('/file-analysis', (req, res, next) => {
   upload.single('file')(req, res, (error) => {
@@ -545,9 +567,21 @@ router.post('/file-analysis', (req, res, next) => {
 
     console.log(`🔍 Analyzing file: ${file.originalname}`);
 
-    // Analyze file for chunking optimization
-    const analysis = await excelParser.analyzeExcelForChunking(file.path);
-    const metadata = await excelParser.getExcelMetadata(file.path);
+    let analysis;
+    let metadata;
+
+    if (documentParser.isDocumentFile(file.path)) {
+      const document = await documentParser.extractDocumentContent(file.path);
+      analysis = excelParser.analyzeStructuredData(documentParser.toStructuredData(document));
+      metadata = {
+        file: { name: file.originalname, size: file.size, sizeMB: (file.size / 1024 / 1024).toFixed(2) },
+        document: document.metadata
+      };
+    } else {
+      // Analyze file for chunking optimization
+      analysis = await excelParser.analyzeExcelForChunking(file.path);
+      metadata = await excelParser.getExcelMetadata(file.path);
+    }
 
     // Cleanup file after analysis
     await excelParser.cleanupFile(file.path);
@@ -576,10 +610,10 @@ router.post('/file-analysis', (req, res, next) => {
       }
     }
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Failed to analyze file',
-      code: 'ANALYSIS_ERROR'
+      code: error.statusCode ? error.code : 'ANALYSIS_ERROR'
     });
   }
 });
@@ -598,10 +632,10 @@ router.get('/chunking-status', (req, res) => {
       status: {
         chunkingEnabled: true,
         aiService: aiStatus,
-        supportedFileTypes: ['.xlsx', '.xls'],
+        supportedFileTypes: upload.allowedExtensions,
         maxFileSize: '20MB',
         processingCapabilities: {
-          singleFile: 'Up to 3000 characters per chunk',
+          singleFile: `Up to ${aiStatus.chunking.budget.targetInputTokens} input tokens per chunk (${aiStatus.chunking.budget.model})`,
           chunkedProcessing: 'Unlimited file size with automatic chunking',
           progressTracking: true,
           retryLogic: true,
@@ -619,6 +653,143 @@ router.get('/chunking-status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/cache
+ * Extraction cache size and hit statistics
+ */
+router.get('/admin/cache', requireAdmin, (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Cache status retrieved',
+    cache: cacheService.getStatus()
+  });
+});
+
+/**
+ * DELETE /api/admin/cache?scope=file|chunk
+ * Purge cached extraction results (all of them when no scope is given)
+ */
+router.delete('/admin/cache', requireAdmin, (req, res) => {
+  const scope = req.query.scope || null;
+
+  if (scope && !cacheService.CACHE_SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid cache scope "${scope}"`,
+      code: 'INVALID_CACHE_SCOPE',
+      details: { allowedScopes: cacheService.CACHE_SCOPES }
+    });
+  }
+
+  const removed = cacheService.purge(scope);
+
+  res.status(200).json({
+    success: true,
+    message: `Purged ${removed} cached entries`,
+    removed,
+    cache: cacheService.getStatus()
+  });
+});
+
+/**
+ * GET /api/admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&model=
+ * AI token usage and estimated cost, by day and model
+ */
+router.get('/admin/usage', requireAdmin, validation.validateUsageQuery, (req, res) => {
+  const usage = usageService.aggregate(req.query);
+
+  res.status(200).json({
+    success: true,
+    message: `Usage of ${usage.jobs} jobs retrieved`,
+    usage
+  });
+});
+
+// Helper function: Read the Zuper account a mapping profile request is for, responding 400 if missing
+function readCustomerOr400(req, res) {
+  const apiKey = req.headers['x-api-key'];
+  const region = req.headers['x-region'];
+
+  if (!apiKey || !region) {
+    res.status(400).json({
+      success: false,
+      error: 'Missing x-api-key or x-region in headers',
+      code: 'MISSING_CUSTOMER',
+      details: { message: 'Mapping profiles are kept per Zuper account' }
+    });
+    return null;
+  }
+
+  return { apiKey, region };
+}
+
+/**
+ * GET /api/mapping-profiles
+ * List the saved column mapping profiles of the Zuper account in the x-api-key and x-region headers
+ */
+router.get('/mapping-profiles', (req, res) => {
+  const customer = readCustomerOr400(req, res);
+  if (!customer) return;
+
+  const profiles = mappingProfileService.list(customer.apiKey, customer.region);
+
+  res.status(200).json({
+    success: true,
+    message: `${profiles.length} mapping profile${profiles.length === 1 ? '' : 's'} found`,
+    profiles
+  });
+});
+
+/**
+ * POST /api/mapping-profiles
+ * Save a named column mapping for the Zuper account; a profile with the same name is replaced
+ */
+router.post('/mapping-profiles', validation.validateMappingProfile, (req, res) => {
+  const customer = readCustomerOr400(req, res);
+  if (!customer) return;
+
+  try {
+    const { profile, created } = mappingProfileService.save(customer.apiKey, customer.region, req.body);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Mapping profile saved' : 'Mapping profile updated',
+      profile
+    });
+  } catch (error) {
+    console.error('❌ Error saving mapping profile:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to save mapping profile',
+      code: error.code || 'PROFILE_SAVE_ERROR',
+      details: error.details
+    });
+  }
+});
+
+/**
+ * DELETE /api/mapping-profiles/:id
+ * Delete one of the Zuper account's mapping profiles
+ */
+router.delete('/mapping-profiles/:id', (req, res) => {
+  const customer = readCustomerOr400(req, res);
+  if (!customer) return;
+
+  if (!mappingProfileService.remove(customer.apiKey, customer.region, req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Mapping profile not found',
+      code: 'PROFILE_NOT_FOUND',
+      details: { id: req.params.id }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Mapping profile deleted'
+  });
+});
+
 /**
  * GET /api/checklist/zuper/categories
  * Fetch job categories from Zuper
@@ -687,4 +858,128 @@ router.get('/checklist/zuper/statuses', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/checklist/zuper/checklist
+ * Fetch the checklist a job status currently has in Zuper
+ */
+router.get('/checklist/zuper/checklist', async (req, res) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    const region = req.headers['x-region'];
+    const categoryUid = req.query.category_uid;
+    const statusUid = req.query.status_uid;
+
+    if (!apiKey || !region || !categoryUid || !statusUid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing x-api-key, x-region, category_uid or status_uid'
+      });
+    }
+
+    const checklist = await zuperService.getZuperChecklist(apiKey, region, categoryUid, statusUid);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist fetched successfully',
+      checklist
+    });
+  } catch (error) {
+    console.error('❌ Error fetching checklist:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to fetch checklist',
+      code: error.code,
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Respond with a migration report; 207 when some targets failed and can be retried
+ */
+function sendMigrationReport(res, migration, message) {
+  const report = migrationService.toReport(migration);
+  const failed = report.summary.failed > 0;
+
+  res.status(failed ? 207 : 200).json({
+    success: !failed,
+    message: failed
+      ? `${report.summary.failed} of ${report.summary.total} targets failed; retry them with POST /api/migrations/${report.id}/retry-failed`
+      : message,
+    migration: report
+  });
+}
+
+function findMigrationOr404(req, res) {
+  const migration = migrationService.getMigration(req.params.id);
+
+  if (!migration) {
+    res.status(404).json({
+      success: false,
+      error: 'Migration not found',
+      code: 'MIGRATION_NOT_FOUND',
+      details: { migrationId: req.params.id }
+    });
+  }
+
+  return migration;
+}
+
+/**
+ * POST /api/migrations
+ * Copy the checklist of a source status to one or more target statuses, categories or regions
+ */
+router.post('/migrations', validation.validateMigrationRequest, async (req, res) => {
+  try {
+    const migration = await migrationService.start(req.body);
+    sendMigrationReport(res, migration, `Checklist copied to ${migration.targets.length} target${migration.targets.length === 1 ? '' : 's'}`);
+  } catch (error) {
+    console.error('❌ Error starting migration:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to read the source checklist',
+      code: error.code || 'MIGRATION_ERROR',
+      details: error.details
+    });
+  }
+});
+
+/**
+ * GET /api/migrations/:id
+ * Get the per-target report of a migration
+ */
+router.get('/migrations/:id', (req, res) => {
+  const migration = findMigrationOr404(req, res);
+  if (!migration) return;
+
+  res.status(200).json({
+    success: true,
+    message: 'Migration report retrieved',
+    migration: migrationService.toReport(migration)
+  });
+});
+
+/**
+ * POST /api/migrations/:id/retry-failed
+ * Write the checklist again to the failed targets of a migration, leaving the others untouched
+ */
+router.post('/migrations/:id/retry-failed', validation.validateMigrationRetry, async (req, res) => {
+  const migration = findMigrationOr404(req, res);
+  if (!migration) return;
+
+  try {
+    await migrationService.retryFailed(migration, req.body.targetIndexes || null);
+    sendMigrationReport(res, migration, 'All targets written');
+  } catch (error) {
+    console.error('❌ Error retrying migration:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      migrationId: migration.id,
+      error: error.message || 'Failed to retry the migration',
+      code: error.code || 'MIGRATION_ERROR',
+      details: error.details
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,7 @@ const path = require('path');
 require('dotenv').config();
 
 const checklistRoutes = require('./routes/checklist');
+const aiService = require('./services/aiService');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -31,7 +32,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization',  'X-API-Key','category_uid',
-    'X-Region']
+    'X-Region', 'X-Admin-Key']
 }));
 
 // Request logging
@@ -66,12 +67,28 @@ app.use('*', (req, res) => {
       availableEndpoints: [
         'GET /health',
         'GET /api/ai-status',
-        'GET /api/progress-stream',
+        'GET /api/progress-stream?jobId=:jobId',
+        'POST /api/workbook-sheets',
         'POST /api/extract-checklist',
+        'GET /api/jobs/:id',
+        'GET /api/jobs/:id/result',
+        'DELETE /api/jobs/:id',
+        'POST /api/jobs/:id/retry-failed',
+        'GET /api/admin/cache',
+        'DELETE /api/admin/cache',
+        'GET /api/admin/usage',
+        'GET /api/mapping-profiles',
+        'POST /api/mapping-profiles',
+        'DELETE /api/mapping-profiles/:id',
         'POST /api/submit-checklist',
         'POST /api/preview-payload',
+        'POST /api/compare-checklist',
         'GET /api/checklist/zuper/categories',
-        'GET /api/checklist/zuper/statuses'
+        'GET /api/checklist/zuper/statuses',
+        'GET /api/checklist/zuper/checklist',
+        'POST /api/migrations',
+        'GET /api/migrations/:id',
+        'POST /api/migrations/:id/retry-failed'
       ]
     }
   });
@@ -98,36 +115,32 @@ app.listen(PORT, () => {
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
   
   // Validate required environment variables based on AI provider
-  const aiProvider = process.env.AI_PROVIDER || 'claude';
-  const requiredEnvVars = [];
+  const aiStatus = aiService.getStatus();
+  const missingVars = aiStatus.providers.flatMap(provider => provider.missingEnvVars);
   
-  if (['claude', 'both'].includes(aiProvider.toLowerCase())) {
-    requiredEnvVars.push('ANTHROPIC_API_KEY');
-  }
-  
-  if (['openai', 'both'].includes(aiProvider.toLowerCase())) {
-    requiredEnvVars.push('OPENAI_API_KEY');
-  }
-  
-  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-  
-  if (missingVars.length > 0) {
-    console.error(`❌ Missing required environment variables for AI provider "${aiProvider}":`, missingVars.join(', '));
+  if (aiStatus.providers.length === 0) {
+    console.error(`❌ AI_PROVIDER "${aiStatus.provider}" does not name a known provider (${aiStatus.registeredProviders.join(', ')})`);
+  } else if (missingVars.length > 0) {
+    console.error(`❌ Missing required environment variables for AI provider "${aiStatus.provider}":`, missingVars.join(', '));
     console.error('Please check your .env file');
   } else {
-    console.log(`✅ All required environment variables are set for AI provider: ${aiProvider}`);
+    console.log(`✅ All required environment variables are set for AI provider: ${aiStatus.provider}`);
   }
   
   // Display AI service configuration
   console.log('🤖 AI Service Configuration:');
-  console.log(`   Provider: ${aiProvider}`);
-  if (['claude', 'both'].includes(aiProvider.toLowerCase())) {
-    // FIXED: Default to Sonnet instead of Haiku
-    console.log(`   Claude Model: ${process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229'}`);
-  }
-  if (['openai', 'both'].includes(aiProvider.toLowerCase())) {
-    console.log(`   OpenAI Model: ${process.env.OPENAI_MODEL || 'gpt-3.5-turbo'}`);
-  }
+  console.log(`   Provider: ${aiStatus.provider}`);
+  console.log(`   Model registry: ${aiStatus.modelRegistry.source} (${aiStatus.modelRegistry.modelCount} models)`);
+  aiStatus.providers.forEach(provider => {
+    const info = provider.modelInfo;
+    console.log(`   ${provider.name} model: ${provider.model || '(not set)'} (${provider.extractionMode} output, ${info.contextWindow} context / ${info.maxOutputTokens} output tokens)${provider.available ? '' : ' (unavailable)'}`);
+
+    if (provider.model && !info.known) {
+      console.warn(`⚠️ ${provider.name} model ${provider.model} is not in the model registry${info.pricing ? '' : ' (no cost estimates)'}`);
+    } else if (info.deprecated) {
+      console.warn(`⚠️ ${provider.name} model ${provider.model} is deprecated${info.replacedBy ? `, consider ${info.replacedBy}` : ''}`);
+    }
+  });
 });
 
 module.exports = app;
@@ -1,101 +1,69 @@
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
+const crypto = require('crypto');
 const { tokenCounter } = require('./tokenCounter');
+const { runWithConcurrency } = require('../utils/helper');
+const providerRegistry = require('./providers');
+const { summarizeRepairs } = require('./responseRepair');
+const { CHECKLIST_TOOL_NAME, getChecklistTool } = require('./structuredOutput');
+const cacheService = require('./cacheService');
+const modelRegistry = require('./modelRegistry');
 
 /**
- * Unified AI Service supporting both OpenAI and Claude with intelligent chunking
- * Admin controls which provider to use via environment variables
+ * Unified AI Service with intelligent chunking over pluggable providers
+ * Admin controls which providers to use, and in which fallback order, via AI_PROVIDER
  */
 class AIService {
   constructor() {
     this.provider = process.env.AI_PROVIDER || 'claude';
-    this.initializeClients();
+    this.providers = this.initializeProviders();
     
-    // Chunking configuration
+    // Chunking configuration (all sizes in tokens); model limits come from the model registry
     this.chunkingConfig = {
-      // Conservative character limits per model (accounting for system prompt + response)
-      maxCharsPerChunk: {
-        'claude-3-haiku-20240307': 3000,     // ~750 tokens for input
-        'claude-3-sonnet-20240229': 6000,    // ~1500 tokens for input  
-        'claude-3-opus-20240229': 12000,     // ~3000 tokens for input
-        'gpt-3.5-turbo': 3000,               // ~750 tokens for input
-        'gpt-4': 6000,                       // ~1500 tokens for input
-        'gpt-4-turbo': 12000                 // ~3000 tokens for input
-      },
+      outputTokensPerItem: 60,                // JSON overhead of one extracted item, on top of its row text
+      outputSafetyMargin: 0.8,                // Share of the output limit a chunk may plan to use
       minRowsPerChunk: 5,                     // Minimum rows to make chunking worthwhile
-      maxRetries: 2                           // Max retries per failed chunk
+      maxRetries: 2,                          // Max retries per failed chunk
+      maxConcurrentChunks: parseInt(process.env.AI_CHUNK_CONCURRENCY) || 3  // Chunks in flight at once (keep under provider rate limits)
     };
   }
 
   /**
-   * Initialize AI clients based on configuration
+   * Create the providers named in AI_PROVIDER, in fallback order
    */
-  initializeClients() {
-    // Initialize OpenAI client if needed
-    if (this.shouldUseOpenAI()) {
-      if (!process.env.OPENAI_API_KEY) {
-        console.error('❌ OPENAI_API_KEY is required when using OpenAI provider');
-      } else {
-        this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
-        });
-        console.log('✅ OpenAI client initialized');
-      }
-    }
+  initializeProviders() {
+    const providers = [];
 
-    // Initialize Claude client if needed
-    if (this.shouldUseClaude()) {
-      if (!process.env.ANTHROPIC_API_KEY) {
-        console.error('❌ ANTHROPIC_API_KEY is required when using Claude provider');
-      } else {
-        this.anthropic = new Anthropic({
-          apiKey: process.env.ANTHROPIC_API_KEY,
-        });
-        console.log('✅ Claude client initialized');
+    for (const name of providerRegistry.resolveProviderChain(this.provider)) {
+      try {
+        providers.push(providerRegistry.createProvider(name));
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
       }
     }
-  }
 
-  /**
-   * Check if OpenAI should be used
-   */
-  shouldUseOpenAI() {
-    return ['openai', 'both'].includes(this.provider.toLowerCase());
+    return providers;
   }
 
   /**
-   * Check if Claude should be used
+   * Providers that are configured and ready, in fallback order
    */
-  shouldUseClaude() {
-    return ['claude', 'both'].includes(this.provider.toLowerCase());
+  getActiveProviders() {
+    return this.providers.filter(provider => provider.isAvailable());
   }
 
   /**
    * Get the system prompt for checklist extraction
+   * @param {string} mode - Provider extraction mode: "structured" (items come back through the checklist tool)
+   *   or "json" (items come back as the response text)
+   * @param {string} sourceType - "sheet" (pipe delimited spreadsheet rows) or "document" (numbered lines of a
+   *   Word or PDF form)
    */
-  getSystemPrompt() {
-    return `You are an expert at parsing Excel data and converting it into structured checklist items.
-
-TASK: Convert Excel text data into a JSON array of checklist items.
-
-INPUT FORMAT: The Excel data follows this pattern:
-- Header row: question|type|option|required|isDependent|dependentOn|dependentOptions
-- Each subsequent row represents one checklist item
-
-SUPPORTED TYPES:
-- textField: Single line text input
-- textArea: Multi-line text input  
-- date: Date picker
-- time: Time picker
-- dateTime: Date and time picker
-- dropdown: Single selection dropdown
-- radio: Single selection radio buttons
-- checkbox: Multiple selection checkboxes
-- multiImage: Image upload field
-- signature: Signature capture field
-- header: Section header 
+  getSystemPrompt(mode = 'json', sourceType = 'sheet') {
+    const structured = mode === 'structured';
 
-OUTPUT FORMAT: Return a valid JSON array with this exact structure:
+    const outputFormat = structured
+      ? `OUTPUT FORMAT: Call the ${CHECKLIST_TOOL_NAME} tool exactly once with every item in its "checklist" array, in sheet order.
+The tool schema defines the fields and the allowed types.`
+      : `OUTPUT FORMAT: Return a valid JSON array with this exact structure:
 [
   {
     "id": 1,
@@ -105,31 +73,97 @@ OUTPUT FORMAT: Return a valid JSON array with this exact structure:
     "required": true,
     "isDependent": false,
     "dependentOn": "",
-    "dependentOptions": ""
+    "dependentOptions": "",
+    "conditions": [],
+    "sourceRow": 2
   },
   {
     "id": 2,
     "question": "Select your state",
-    "type": "dropdown", 
+    "type": "dropdown",
     "options": "Tamil Nadu,Kerala,Karnataka",
     "required": true,
     "isDependent": false,
     "dependentOn": "",
-    "dependentOptions": ""
+    "dependentOptions": "",
+    "conditions": [],
+    "sourceRow": 3
   }
-]
+]`;
+
+    const supportedTypes = `SUPPORTED TYPES:
+- textField: Single line text input
+- textArea: Multi-line text input  
+- date: Date picker
+- time: Time picker
+- dateTime: Date and time picker
+- dropdown: Single selection dropdown
+- radio: Single selection radio buttons
+- checkbox: Multiple selection checkboxes
+- multiImage: Image upload field
+- signature: Signature capture field
+- header: Section header`;
+
+    if (sourceType === 'document') {
+      return `You are an expert at reading inspection forms and converting them into structured checklist items.
+
+TASK: Convert the text of a Word or PDF form into a JSON array of checklist items.
+
+INPUT FORMAT: The form text is given one line per row:
+- Header row: Row|Content
+- The Row column holds the line number in the document; it is not part of the question
+- Lines starting with "# " are headings; "1.", "a)" or "- " start numbered or bulleted list items
+- "[ ]" is an empty checkbox and "[x]" a ticked one
+- Table rows have their cells separated by "|"; the first row of a table usually holds the column headings
+
+${supportedTypes}
+
+${outputFormat}
+
+RULES:
+1. Every question, inspection point or fill-in field becomes one item; strip list numbers and bullets from the question text
+2. Section titles and headings become "header" items
+3. Checkbox groups such as "[ ] Pass [ ] Fail" become radio items (one answer) or checkbox items (several answers) with the box labels as options
+4. In tables, each row naming an item becomes one item; answer columns such as "Yes | No | N/A" or "Pass | Fail" become its options (radio)
+5. Blank fields ("Name: ____") become textField, dates date, times time, "Comments"/"Notes"/"Remarks" textArea, "Signature" signature, "Photo"/"Picture" multiImage
+6. Skip instructions, page headers and footers, form numbers and other text that does not ask for an answer
+7. Set "required" to true only when the form marks the field as required (an asterisk, "required", "mandatory")
+8. Mark an item dependent only when the form says so ("If No, explain why"): set isDependent, dependentOn to the parent question and dependentOptions to the triggering answer. When it depends on several answers ("If the roof is metal and damaged"), set isDependent and put them in "conditions" instead: one group per alternative (OR), each a list of { dependentOn, dependentOptions } rules that must all hold (AND)
+9. DO NOT assign IDs - they will be handled externally
+10. ${structured ? `Return items only through the ${CHECKLIST_TOOL_NAME} tool - no explanations` : 'Return ONLY valid JSON array - no explanations or markdown'}
+11. If no valid data found, ${structured ? 'call the tool with an empty checklist array' : 'return empty array: []'}
+12. Set "sourceRow" to the Row value of the line each item was extracted from (its first line when it spans several)
+
+Be precise and ensure the ${structured ? 'tool input matches the schema' : 'JSON is valid and parseable'}.`;
+    }
+
+    return `You are an expert at parsing Excel data and converting it into structured checklist items.
+
+TASK: Convert Excel text data into a JSON array of checklist items.
+
+INPUT FORMAT: The Excel data follows this pattern:
+- Header row: question|type|option|required|isDependent|dependentOn|dependentOptions, sometimes with a conditions column
+- Each subsequent row represents one checklist item
+- The first column, Row, holds the spreadsheet row number; it is not part of the question
+- Rows whose first cell starts with "# " are formatted as section titles (bold, filled or merged); unless they have a type, make them "header" items without the "# "
+
+${supportedTypes}
+
+${outputFormat}
 
 RULES:
 1. Extract ONLY the question text (remove any prefixes like "Question:")
 2. Map input types to supported types (if unsure, use "textField")
-3. For dropdown/radio/checkbox: combine options with commas
+3. For dropdown/radio/checkbox: combine options with commas. Options in an option/Options column come from the sheet's in-cell dropdown lists; a row with options and no type is a dropdown
 4. Convert "Yes"/"No"/"True"/"False" to boolean for required field
 5. DO NOT assign IDs - they will be handled externally
-6. Return ONLY valid JSON array - no explanations or markdown
-7. If no valid data found, return empty array: []
+6. ${structured ? `Return items only through the ${CHECKLIST_TOOL_NAME} tool - no explanations` : 'Return ONLY valid JSON array - no explanations or markdown'}
+7. If no valid data found, ${structured ? 'call the tool with an empty checklist array' : 'return empty array: []'}
 8. Ensure all required fields are present with proper defaults
+9. Set "sourceRow" to the Row value of the row each item was extracted from
+10. A conditions value such as "Roof type = Metal AND Damage = Yes OR Leak = Yes" makes the item dependent on several answers. AND binds before OR: set isDependent to true and "conditions" to one group per OR part, each a list of { dependentOn, dependentOptions } rules, one per AND part. A question in double quotes is one parent, even when it contains AND or OR. Leave "conditions" empty for items with a single condition
 
-Be precise and ensure the JSON is valid and parseable.`;
+Be precise and ensure the ${structured ? 'tool input matches the schema' : 'JSON is valid and parseable'}.`;
   }
 
   /**
@@ -156,98 +190,290 @@ Be precise and ensure the JSON is valid and parseable.`;
   }
 
   /**
-   * Estimate character count for a chunk
+   * Build the user message sent with a chunk of sheet text (or numbered document lines)
+   */
+  buildUserMessage(excelText, sourceType = 'sheet') {
+    return sourceType === 'document'
+      ? `Extract checklist items from this form:\n\n${excelText}`
+      : `Extract checklist items from this Excel data:\n\n${excelText}`;
+  }
+
+  /**
+   * Get the model chunks are sized for (the configured model of the first active provider)
+   */
+  getCurrentModel() {
+    const [provider] = this.getActiveProviders();
+    return provider ? provider.getDefaultModel() : modelRegistry.getDefaultModel('claude');
+  }
+
+  /**
+   * Get context window and output limit for a model
+   * The model registry comes first, then providers that know their own models (self-hosted servers)
+   */
+  getModelLimits(model) {
+    const providerLimits = this.providers
+      .map(provider => provider.getModelLimits(model))
+      .find(Boolean);
+
+    return modelRegistry.getModelLimits(model) || providerLimits || modelRegistry.getDefaultLimits();
+  }
+
+  /**
+   * Registry details of a model for status reporting
+   * @returns {object} - { known, contextWindow, maxOutputTokens, optimalChunkTokens, pricing, capabilities,
+   *   deprecated, replacedBy } known is false for models the registry does not list
+   */
+  describeModel(model) {
+    const entry = modelRegistry.getModel(model);
+
+    return {
+      known: Boolean(entry),
+      ...this.getModelLimits(model),
+      optimalChunkTokens: modelRegistry.getOptimalChunkTokens(model),
+      pricing: this.getModelPricing(model),
+      capabilities: entry ? entry.capabilities : {},
+      deprecated: entry ? entry.deprecated : false,
+      replacedBy: entry && entry.replacedBy ? entry.replacedBy : null
+    };
+  }
+
+  /**
+   * Get the price of a model, or null when it is not known
+   * @returns {object|null} - { inputPerMillion, outputPerMillion } in USD
+   */
+  getModelPricing(model) {
+    const pricing = modelRegistry.getModelPricing(model);
+
+    if (pricing) {
+      return pricing;
+    }
+
+    return this.providers
+      .map(provider => provider.getModelPricing(model))
+      .find(Boolean) || null;
+  }
+
+  /**
+   * Estimate the cost of a request in USD
+   * @returns {number|null} - null when the model has no known price
+   */
+  estimateCost(model, inputTokens, outputTokens) {
+    const pricing = this.getModelPricing(model);
+
+    if (!pricing) {
+      return null;
+    }
+
+    const cost = (inputTokens * pricing.inputPerMillion + outputTokens * pricing.outputPerMillion) / 1000000;
+    return Number(cost.toFixed(6));
+  }
+
+  /**
+   * Build the usage entry of one AI request
+   * @param {object} usage - { inputTokens, outputTokens } reported by the provider, null if the request got no response
+   * @returns {object} - { provider, model, inputTokens, outputTokens, latencyMs, estimatedCost, success, cached }
+   */
+  buildUsageEntry(provider, model, usage, latencyMs, success) {
+    const inputTokens = (usage && usage.inputTokens) || 0;
+    const outputTokens = (usage && usage.outputTokens) || 0;
+
+    return {
+      provider: provider.name,
+      model,
+      inputTokens,
+      outputTokens,
+      latencyMs,
+      estimatedCost: this.estimateCost(model, inputTokens, outputTokens),
+      success,
+      cached: false
+    };
+  }
+
+  /**
+   * Tokens sent with every request besides the sheet rows (system prompt, message wrapper and,
+   * in structured mode, the tool schema) for the first active provider
+   */
+  getPromptTokens(model, sourceType = 'sheet') {
+    const [provider] = this.getActiveProviders();
+    const mode = provider ? provider.getExtractionMode(model) : 'json';
+    const toolText = mode === 'structured' ? JSON.stringify(getChecklistTool()) : '';
+
+    return tokenCounter.countTokens(this.getSystemPrompt(mode, sourceType) + this.buildUserMessage('', sourceType) + toolText, model);
+  }
+
+  /**
+   * Short hash of everything sent besides the sheet rows, so cached results are not reused
+   * after the prompt or the checklist schema changes
+   * @param {string} mode - Extraction mode
+   * @param {string} sourceType - "sheet" or "document"
+   * @returns {string}
    */
-  estimateChunkSize(header, rows) {
-    const headerSize = header.length;
-    const rowsSize = rows.reduce((total, row) => total + row.length + 1, 0); // +1 for newline
-    return headerSize + rowsSize + 100; // +100 for formatting overhead
+  getPromptVersion(mode = 'json', sourceType = 'sheet') {
+    const toolText = mode === 'structured' ? JSON.stringify(getChecklistTool()) : '';
+
+    return crypto.createHash('sha256')
+      .update(this.getSystemPrompt(mode, sourceType) + this.buildUserMessage('', sourceType) + toolText)
+      .digest('hex')
+      .substring(0, 12);
   }
 
   /**
-   * Create chunks from parsed Excel data
+   * Everything besides the sheet text that changes an extraction result, for cache keys
+   * @param {object} provider - Provider instance (defaults to the first active provider)
+   * @param {string} model - Model name (defaults to the current model)
+   * @param {string} sourceType - "sheet" or "document"; each has its own prompt
+   * @returns {object} - { provider, model, mode, promptVersion }
    */
-  createChunks(parsedData, maxCharsPerChunk) {
+  getCacheContext(provider = this.getActiveProviders()[0], model = this.getCurrentModel(), sourceType = 'sheet') {
+    const mode = provider ? provider.getExtractionMode(model) : 'json';
+
+    return {
+      provider: provider ? provider.name : this.provider,
+      model,
+      mode,
+      promptVersion: this.getPromptVersion(mode, sourceType)
+    };
+  }
+
+  /**
+   * Cache key signature of the comments on the rows of a row-numbered text
+   * @param {string} text - Row-numbered sheet text (each data line starts with its sheet row number)
+   * @param {object} rowComments - { [rowNumber]: comment } from excelParser.getRowComments
+   * @returns {string|null} - Null when none of the rows has a comment
+   */
+  getRowSignature(text, rowComments) {
+    if (!rowComments) return null;
+
+    const commented = text.split('\n').slice(1)
+      .map(line => line.split(' | ')[0].trim())
+      .filter(rowNumber => rowComments[rowNumber])
+      .map(rowNumber => [rowNumber, rowComments[rowNumber]]);
+
+    return commented.length > 0 ? JSON.stringify(commented) : null;
+  }
+
+  /**
+   * Token budget for one chunk
+   * Input is kept near the model's optimal chunk size and always inside the context window
+   * once the prompt and the reserved output are counted; the estimated output of a chunk
+   * must fit the response limit so dense rows do not produce truncated JSON.
+   */
+  getChunkTokenBudget(model = this.getCurrentModel(), sourceType = 'sheet') {
+    const limits = this.getModelLimits(model);
+    const promptTokens = this.getPromptTokens(model, sourceType);
+
+    return {
+      model,
+      promptTokens,
+      targetInputTokens: tokenCounter.getOptimalChunkSize(model, 'excel'),
+      maxInputTokens: limits.contextWindow - limits.maxOutputTokens - promptTokens,
+      maxOutputTokens: Math.floor(limits.maxOutputTokens * this.chunkingConfig.outputSafetyMargin)
+    };
+  }
+
+  /**
+   * Estimate response tokens for a row: one JSON item that repeats most of the row's text
+   */
+  estimateOutputTokens(rowTokens) {
+    return this.chunkingConfig.outputTokensPerItem + rowTokens;
+  }
+
+  /**
+   * Measure a chunk's input and estimated output tokens
+   */
+  measureChunk(header, rows, model) {
+    const rowTokens = rows.map(row => tokenCounter.countTokens(row + '\n', model));
+
+    return {
+      inputTokens: tokenCounter.countTokens(header + '\n', model) + rowTokens.reduce((total, tokens) => total + tokens, 0),
+      estimatedOutputTokens: rowTokens.reduce((total, tokens) => total + this.estimateOutputTokens(tokens), 0)
+    };
+  }
+
+  /**
+   * Create chunks from parsed Excel data using token counts
+   */
+  createChunks(parsedData, budget) {
     const { header, dataRows } = parsedData;
     const chunks = [];
+    const headerTokens = tokenCounter.countTokens(header + '\n', budget.model);
     let currentChunk = [];
-    let currentChunkSize = header.length + 100; // Start with header size
+    let inputTokens = headerTokens;
+    let outputTokens = 0;
+
+    const pushChunk = (endIndex) => {
+      chunks.push({
+        header,
+        rows: currentChunk,
+        startIndex: endIndex - currentChunk.length + 1,
+        endIndex,
+        inputTokens,
+        estimatedOutputTokens: outputTokens
+      });
+    };
 
     for (let i = 0; i < dataRows.length; i++) {
       const row = dataRows[i];
-      const rowSize = row.length + 1; // +1 for newline
-
-      // Check if adding this row would exceed the limit
-      if (currentChunkSize + rowSize > maxCharsPerChunk && currentChunk.length >= this.chunkingConfig.minRowsPerChunk) {
-        // Save current chunk and start new one
-        chunks.push({
-          header,
-          rows: [...currentChunk],
-          startIndex: chunks.length === 0 ? 0 : chunks[chunks.length - 1].endIndex,
-          endIndex: chunks.length === 0 ? currentChunk.length - 1 : chunks[chunks.length - 1].endIndex + currentChunk.length,
-          estimatedSize: currentChunkSize
-        });
-
-        currentChunk = [row];
-        currentChunkSize = header.length + rowSize + 100;
-      } else {
-        currentChunk.push(row);
-        currentChunkSize += rowSize;
+      const rowTokens = tokenCounter.countTokens(row + '\n', budget.model);
+      const rowOutputTokens = this.estimateOutputTokens(rowTokens);
+
+      // Hard limits always split; the optimal size only splits once the chunk is worth sending
+      const exceedsLimits = inputTokens + rowTokens > budget.maxInputTokens ||
+        outputTokens + rowOutputTokens > budget.maxOutputTokens;
+      const exceedsTarget = inputTokens + rowTokens > budget.targetInputTokens &&
+        currentChunk.length >= this.chunkingConfig.minRowsPerChunk;
+
+      if (currentChunk.length > 0 && (exceedsLimits || exceedsTarget)) {
+        pushChunk(i - 1);
+        currentChunk = [];
+        inputTokens = headerTokens;
+        outputTokens = 0;
       }
+
+      currentChunk.push(row);
+      inputTokens += rowTokens;
+      outputTokens += rowOutputTokens;
     }
 
     // Add the last chunk if it has data
     if (currentChunk.length > 0) {
-      chunks.push({
-        header,
-        rows: currentChunk,
-        startIndex: chunks.length === 0 ? 0 : chunks[chunks.length - 1].endIndex + 1,
-        endIndex: chunks.length === 0 ? currentChunk.length - 1 : chunks[chunks.length - 1].endIndex + currentChunk.length,
-        estimatedSize: currentChunkSize
-      });
+      pushChunk(dataRows.length - 1);
     }
 
     console.log(`📦 Created ${chunks.length} chunks:`);
     chunks.forEach((chunk, index) => {
-      console.log(`   Chunk ${index + 1}: ${chunk.rows.length} rows, ~${chunk.estimatedSize} chars`);
+      console.log(`   Chunk ${index + 1}: ${chunk.rows.length} rows, ${chunk.inputTokens} input tokens, ~${chunk.estimatedOutputTokens} output tokens`);
     });
 
     return chunks;
   }
 
   /**
-   * Convert chunk to text format for AI processing
+   * Per-chunk token usage for extraction metadata
    */
-  chunkToText(chunk) {
-    return [chunk.header, ...chunk.rows].join('\n');
+  getChunkTokenUsage(chunks, budget) {
+    const usage = tokenCounter.getUsageStats(chunks.map(chunk => this.chunkToText(chunk)), budget.model);
+
+    return {
+      ...usage,
+      model: budget.model,
+      promptTokensPerRequest: budget.promptTokens,
+      maxInputTokensPerChunk: budget.maxInputTokens,
+      maxOutputTokensPerChunk: budget.maxOutputTokens,
+      chunkDetails: usage.chunkDetails.map((detail, index) => ({
+        ...detail,
+        affectedRows: `${chunks[index].startIndex + 1}-${chunks[index].endIndex + 1}`,
+        rowCount: chunks[index].rows.length,
+        estimatedOutputTokens: chunks[index].estimatedOutputTokens
+      }))
+    };
   }
 
   /**
-   * Select optimal model based on chunk size and provider
+   * Convert chunk to text format for AI processing
    */
-  selectModelForChunk(chunkSize, provider) {
-    const models = {
-      claude: {
-        small: 'claude-3-haiku-20240307',
-        medium: 'claude-3-sonnet-20240229', 
-        large: 'claude-3-opus-20240229'
-      },
-      openai: {
-        small: 'gpt-3.5-turbo',
-        medium: 'gpt-4',
-        large: 'gpt-4-turbo'
-      }
-    };
-
-    const providerModels = models[provider] || models.claude;
-    
-    if (chunkSize <= 3000) {
-      return providerModels.small;
-    } else if (chunkSize <= 6000) {
-      return providerModels.medium;
-    } else {
-      return providerModels.large;
-    }
+  chunkToText(chunk) {
+    return [chunk.header, ...chunk.rows].join('\n');
   }
 
   /**
@@ -310,11 +536,13 @@ Be precise and ensure the JSON is valid and parseable.`;
 
     // MODIFY YOUR AI SERVICE - Update the processChunkWithRetry method
 
-async processChunkWithRetry(chunk, chunkIndex, totalChunks, progressCallback) {
+async processChunkWithRetry(chunk, chunkIndex, totalChunks, progressCallback, signal = null, options = {}) {
   const maxRetries = this.chunkingConfig.maxRetries;
   let lastError = null;
 
   for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    this.throwIfCancelled(signal);
+
     try {
       // CALL PROGRESS CALLBACK - MODIFY THIS BLOCK
       if (progressCallback) {
@@ -323,16 +551,19 @@ async processChunkWithRetry(chunk, chunkIndex, totalChunks, progressCallback) {
           totalChunks,
           attempt,
           maxAttempts: maxRetries + 1,
-          status: `Processing chunk ${chunkIndex + 1}/${totalChunks} with Claude Sonnet (attempt ${attempt})`
+          status: `Processing chunk ${chunkIndex + 1}/${totalChunks} with ${this.getCurrentModel()} (attempt ${attempt})`
         });
       }
 
       console.log(`🔄 Processing chunk ${chunkIndex + 1}/${totalChunks} (attempt ${attempt})`);
       
       const chunkText = this.chunkToText(chunk);
-      const result = await this.processSingleChunk(chunkText, chunk.estimatedSize);
+      const onUsage = options.onUsage
+        ? (entry) => options.onUsage({ chunkIndex: chunkIndex + 1, attempt, ...entry })
+        : null;
+      const result = await this.processSingleChunk(chunkText, chunk.inputTokens, { ...options, onUsage });
       
-      console.log(`✅ Chunk ${chunkIndex + 1} processed successfully: ${result.length} items`);
+      console.log(`✅ Chunk ${chunkIndex + 1} processed successfully: ${result.items.length} items${result.cached ? ' (cached)' : ''}`);
       
       // SEND SUCCESS UPDATE - ADD THIS
       if (progressCallback) {
@@ -341,15 +572,17 @@ async processChunkWithRetry(chunk, chunkIndex, totalChunks, progressCallback) {
           totalChunks,
           attempt,
           maxAttempts: maxRetries + 1,
-          status: `Chunk ${chunkIndex + 1}/${totalChunks} completed successfully`
+          status: `Chunk ${chunkIndex + 1}/${totalChunks} ${result.cached ? 'loaded from cache' : 'completed successfully'}`
         });
       }
       
       return {
         success: true,
-        data: result,
+        data: result.items,
+        repair: result.repair,
+        cached: result.cached,
         chunkIndex,
-        itemCount: result.length,
+        itemCount: result.items.length,
         startIndex: chunk.startIndex,
         endIndex: chunk.endIndex
       };
@@ -401,221 +634,94 @@ async processChunkWithRetry(chunk, chunkIndex, totalChunks, progressCallback) {
   };
 }
 
-// ALSO UPDATE THE extractChecklist METHOD TO SEND INITIAL PROGRESS
-async extractChecklist(excelText, progressCallback = null) {
-  if (!excelText || excelText.trim().length === 0) {
-    throw new Error('Excel text is empty or invalid');
-  }
-
-  console.log(`🎯 Using AI provider: ${this.provider}`);
-  console.log(`📊 Processing ${excelText.length} characters of Excel data`);
-
-  try {
-    // SEND INITIAL STATUS - ADD THIS
-    if (progressCallback) {
-      progressCallback({
-        chunkIndex: 0,
-        totalChunks: 1,
-        attempt: 1,
-        maxAttempts: 1,
-        status: 'Analyzing file structure...'
-      });
-    }
-
-    // Parse Excel text into structured data
-    const parsedData = this.parseExcelToRows(excelText);
-    
-    // Determine if chunking is needed
-    const estimatedSize = this.estimateChunkSize(parsedData.header, parsedData.dataRows);
-    const maxCharsForProvider = this.getMaxCharsForCurrentProvider();
-
-    console.log(`📏 Estimated size: ${estimatedSize} chars, Max allowed: ${maxCharsForProvider} chars`);
-
-    // If data is small enough, process without chunking
-    if (estimatedSize <= maxCharsForProvider && parsedData.totalRows <= 20) {
-      console.log('📄 Processing without chunking (small dataset)');
-      
-      if (progressCallback) {
-        progressCallback({
-          chunkIndex: 0,
-          totalChunks: 1,
-          attempt: 1,
-          maxAttempts: 1,
-          status: 'Processing with Claude Sonnet...'
-        });
-      }
-
-      const result = await this.processSingleChunk(excelText, estimatedSize);
-      
-      // Assign sequential IDs
-      const resultWithIds = result.map((item, index) => ({
-        ...item,
-        id: index + 1
-      }));
+  /**
+   * Process a single chunk of data, falling back through the configured providers
+   * A response that yields no usable items after repair counts as a failure, so it is retried.
+   * Results are cached per provider, model and prompt version; bypassCache skips the lookup but
+   * still stores the fresh result. The comments on the chunk's rows are part of the key.
+   * Every request, failed or cached ones included, is reported to onUsage for cost accounting.
+   * @param {object} options - { bypassCache, onUsage, sourceType, rowComments } sourceType picks the sheet or
+   *   document prompt; rowComments are the sheet's cell comments by row number
+   * @returns {Promise<object>} - { items, repair, cached }
+   */
+  async processSingleChunk(chunkText, inputTokens, options = {}) {
+    const providers = this.getActiveProviders();
+    const sourceType = options.sourceType || 'sheet';
 
-      return resultWithIds;
+    if (providers.length === 0) {
+      throw new Error('No AI provider available for chunk processing');
     }
 
-    // Large dataset - use chunking
-    console.log('📦 Large dataset detected, using chunking approach');
-    
-    const chunks = this.createChunks(parsedData, maxCharsForProvider);
-    
-    // SEND CHUNKING INFO - ADD THIS
-    if (progressCallback) {
-      progressCallback({
-        chunkIndex: 0,
-        totalChunks: chunks.length,
-        attempt: 1,
-        maxAttempts: 1,
-        status: `File split into ${chunks.length} chunks for processing...`
+    for (let i = 0; i < providers.length; i++) {
+      const provider = providers[i];
+      const model = provider.selectModel(inputTokens);
+      const mode = provider.getExtractionMode(model);
+      const cacheKey = cacheService.buildKey('chunk', chunkText, {
+        ...this.getCacheContext(provider, model, sourceType),
+        rowSignature: this.getRowSignature(chunkText, options.rowComments)
       });
-    }
-    
-    const chunkResults = [];
-
-    // Process chunks sequentially
-    for (let i = 0; i < chunks.length; i++) {
-      const result = await this.processChunkWithRetry(chunks[i], i, chunks.length, progressCallback);
-      chunkResults.push(result);
-    }
 
-    // Rest of your existing merge logic...
-    const mergeResult = this.mergeChunkResults(chunkResults);
-    
-    console.log('📊 Final processing statistics:');
-    console.log(`   Total items extracted: ${mergeResult.stats.totalItems}`);
-    console.log(`   Successful chunks: ${mergeResult.stats.successfulChunks}/${mergeResult.stats.totalChunks}`);
-    console.log(`   Failed chunks: ${mergeResult.stats.failedChunks}`);
+      if (!options.bypassCache) {
+        const hit = cacheService.get(cacheKey);
+        if (hit) {
+          console.log(`💾 Chunk cache hit (${provider.name}, ${model})`);
+          this.reportUsage(options, { ...this.buildUsageEntry(provider, model, null, 0, true), estimatedCost: 0, cached: true });
+          return { ...hit.value, cached: true };
+        }
+      }
 
-    if (mergeResult.failed.length > 0) {
-      console.warn('⚠️ Some chunks failed:', mergeResult.failed);
-    }
+      const startedAt = Date.now();
 
-    return mergeResult.merged;
+      try {
+        const result = await provider.extract({
+          systemPrompt: this.getSystemPrompt(mode, sourceType),
+          userMessage: this.buildUserMessage(chunkText, sourceType),
+          sheetText: chunkText,
+          model,
+          maxOutputTokens: this.getModelLimits(model).maxOutputTokens,
+          tool: mode === 'structured' ? getChecklistTool() : null
+        });
 
-  } catch (error) {
-    console.error('❌ Error in extractChecklist:', error);
-    throw error;
-  }
-}
+        if (result.items.length === 0 && (result.repair.truncated || result.repair.dropped.length > 0)) {
+          const error = new Error(`${provider.name} response had no usable items (${result.repair.dropped.length} dropped${result.repair.truncated ? ', output truncated' : ''})`);
+          error.usage = result.usage;
+          throw error;
+        }
 
+        this.reportUsage(options, this.buildUsageEntry(provider, model, result.usage, Date.now() - startedAt, true));
 
-  /**
-   * Process a single chunk of data
-   */
-  async processSingleChunk(chunkText, estimatedSize) {
-    // Try Claude first if configured
-    if (this.shouldUseClaude() && this.anthropic) {
-      try {
-        const model = this.selectModelForChunk(estimatedSize, 'claude');
-        return await this.extractWithClaude(chunkText, model);
+        const { items, repair } = result;
+        cacheService.set(cacheKey, { items, repair });
+        return { items, repair, cached: false };
       } catch (error) {
-        if (this.provider !== 'both') {
+        this.reportUsage(options, this.buildUsageEntry(provider, model, error.usage, Date.now() - startedAt, false));
+
+        if (i === providers.length - 1) {
           throw error;
         }
-        console.error('⚠️ Claude failed for chunk, trying OpenAI...');
+        console.error(`⚠️ ${provider.name} failed for chunk, trying ${providers[i + 1].name}...`);
       }
     }
-
-    // Try OpenAI as fallback or primary
-    if (this.shouldUseOpenAI() && this.openai) {
-      const model = this.selectModelForChunk(estimatedSize, 'openai');
-      return await this.extractWithOpenAI(chunkText, model);
-    }
-
-    throw new Error('No AI provider available for chunk processing');
   }
 
   /**
-   * Extract checklist using Claude
+   * Pass a usage entry to the caller's onUsage callback, if any
    */
-  async extractWithClaude(excelText, model = null) {
-    try {
-      const modelToUse = model || process.env.CLAUDE_MODEL || 'claude-3-haiku-20240307';
-      console.log(`🤖 Processing with Claude (${modelToUse})...`);
-      
-      const response = await this.anthropic.messages.create({
-        model: modelToUse,
-        max_tokens: 4000,
-        temperature: 0.1,
-        system: this.getSystemPrompt(),
-        messages: [
-          {
-            role: 'user',
-            content: `Extract checklist items from this Excel data:\n\n${excelText}`
-          }
-        ]
-      });
-
-      const content = response.content[0].text;
-      console.log(`📝 Claude response: ${content.substring(0, 200)}...`);
-
-      // Parse JSON response
-      const parsed = JSON.parse(content);
-      
-      if (!Array.isArray(parsed)) {
-        throw new Error('Claude response is not an array');
-      }
-
-      return parsed;
-
-    } catch (error) {
-      console.error('❌ Claude extraction failed:', error);
-      throw new Error(`Claude processing failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Extract checklist using OpenAI
-   */
-  async extractWithOpenAI(excelText, model = null) {
-    try {
-      const modelToUse = model || process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
-      console.log(`🤖 Processing with OpenAI (${modelToUse})...`);
-      
-      const response = await this.openai.chat.completions.create({
-        model: modelToUse,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: `Extract checklist items from this Excel data:\n\n${excelText}`
-          }
-        ],
-        temperature: 0.1,
-        max_tokens: 8000,
-        response_format: { type: "json_object" }
-      });
-
-      const content = response.choices[0].message.content;
-      console.log(`📝 OpenAI response: ${content.substring(0, 200)}...`);
-
-      // Parse JSON response - OpenAI returns wrapped in object
-      const parsed = JSON.parse(content);
-      const checklist = parsed.checklist || parsed.items || parsed;
-      
-      if (!Array.isArray(checklist)) {
-        throw new Error('OpenAI response does not contain valid checklist array');
-      }
-
-      return checklist;
-
-    } catch (error) {
-      console.error('❌ OpenAI extraction failed:', error);
-      throw new Error(`OpenAI processing failed: ${error.message}`);
+  reportUsage(options, entry) {
+    if (options && options.onUsage) {
+      options.onUsage(entry);
     }
   }
 
   /**
    * Merge results from multiple chunks with sequential ID assignment
+   * Failed chunks record their data row range and the ID of the item they should follow,
+   * so recovered items can be spliced back in place later.
    */
   mergeChunkResults(chunkResults) {
     const merged = [];
     const failed = [];
+    const repairs = [];
     let currentId = 1;
 
     // Sort chunk results by chunk index to maintain order
@@ -630,13 +736,17 @@ async extractChecklist(excelText, progressCallback = null) {
         }));
         
         merged.push(...itemsWithIds);
+        repairs.push({ chunkIndex: result.chunkIndex + 1, report: result.repair });
         console.log(`✅ Merged chunk ${result.chunkIndex + 1}: ${itemsWithIds.length} items (IDs ${currentId - itemsWithIds.length}-${currentId - 1})`);
       } else {
         failed.push({
           chunkIndex: result.chunkIndex + 1,
           error: result.error,
           affectedRows: `${result.startIndex + 1}-${result.endIndex + 1}`,
-          rowCount: result.rowCount
+          startRow: result.startIndex + 1,
+          endRow: result.endIndex + 1,
+          rowCount: result.rowCount,
+          insertAfterId: currentId - 1
         });
         console.error(`❌ Failed chunk ${result.chunkIndex + 1}: ${result.error}`);
       }
@@ -645,19 +755,92 @@ async extractChecklist(excelText, progressCallback = null) {
     return {
       merged,
       failed,
+      responseRepair: summarizeRepairs(repairs),
       stats: {
         totalItems: merged.length,
         successfulChunks: sortedResults.filter(r => r.success).length,
+        cachedChunks: sortedResults.filter(r => r.cached).length,
         failedChunks: failed.length,
         totalChunks: sortedResults.length
       }
     };
   }
 
+  /**
+   * Throw if an extraction has been cancelled by its job
+   * @param {AbortSignal} signal - Abort signal from the job, if any
+   */
+  throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Extraction job was cancelled');
+      error.code = 'JOB_CANCELLED';
+      throw error;
+    }
+  }
+
+  /**
+   * Process chunks through a bounded worker pool
+   * @param {Array} chunks - Chunks from createChunks
+   * @param {Function} progressCallback - Receives per-chunk progress events
+   * @param {object} options - { signal, onChunkComplete, totalChunks, chunkIndexes, bypassCache, onUsage, sourceType, rowComments }
+   *   chunkIndexes keeps original chunk numbering when re-running a subset of chunks; onUsage receives every AI request;
+   *   rowComments (cell comments by row number) are part of the chunk cache keys
+   * @returns {Promise<Array>} - Chunk results in input order
+   */
+  async processChunks(chunks, progressCallback = null, options = {}) {
+    const { signal = null, onChunkComplete = null, bypassCache = false, onUsage = null, sourceType = 'sheet', rowComments = null } = options;
+    const totalChunks = options.totalChunks || chunks.length;
+    const chunkIndexes = options.chunkIndexes || chunks.map((chunk, i) => i);
+    const concurrency = this.chunkingConfig.maxConcurrentChunks;
+    let completedChunks = 0;
+
+    // Progress events carry the number of finished chunks, since chunks complete out of order; chunk numbers and
+    // the total stay those of the original extraction when only some of its chunks are re-run
+    const trackedProgress = progressCallback
+      ? (progressData) => progressCallback({ ...progressData, totalChunks, completedChunks })
+      : null;
+
+    console.log(`⚡ Processing ${chunks.length} chunks with concurrency ${concurrency}`);
+
+    // Bounded worker pool; no new chunk is started once the job is cancelled
+    const chunkResults = await runWithConcurrency(chunks, concurrency, async (chunk, i) => {
+      const result = await this.processChunkWithRetry(chunk, chunkIndexes[i], totalChunks, trackedProgress, signal, { bypassCache, onUsage, sourceType, rowComments });
+      completedChunks++;
+
+      if (trackedProgress) {
+        trackedProgress({
+          chunkIndex: chunkIndexes[i],
+          attempt: 1,
+          maxAttempts: 1,
+          status: `${completedChunks}/${chunks.length} chunks finished`
+        });
+      }
+
+      if (onChunkComplete) {
+        onChunkComplete(result);
+      }
+
+      return result;
+    }, { shouldStop: () => Boolean(signal && signal.aborted) });
+
+    this.throwIfCancelled(signal);
+    return chunkResults;
+  }
+
   /**
    * Main extraction method with intelligent chunking
+   * @param {string} excelText - Pipe delimited sheet text
+   * @param {Function} progressCallback - Receives per-chunk progress events
+   * @param {object} options - { signal, onChunkComplete, bypassCache, onUsage, sourceType, rowComments } signal stops
+   *   scheduling further chunks once aborted; bypassCache ignores cached chunk results; onUsage receives the usage entry of
+   *   every AI request; sourceType "document" reads the text as numbered lines of a Word or PDF form; rowComments (cell
+   *   comments by row number) are part of the chunk cache keys
+   * @returns {Promise<object>} - { checklist, failedChunks, stats, tokenUsage, responseRepair } failedChunks lists row
+   *   ranges that produced no items; tokenUsage has per-chunk token counts; responseRepair summarizes repaired responses
    */
-  async extractChecklist(excelText, progressCallback = null) {
+  async extractChecklist(excelText, progressCallback = null, options = {}) {
+    const { signal = null, onChunkComplete = null, bypassCache = false, onUsage = null, sourceType = 'sheet', rowComments = null } = options;
+
     if (!excelText || excelText.trim().length === 0) {
       throw new Error('Excel text is empty or invalid');
     }
@@ -669,49 +852,36 @@ async extractChecklist(excelText, progressCallback = null) {
       // Parse Excel text into structured data
       const parsedData = this.parseExcelToRows(excelText);
       
-      // Determine if chunking is needed
-      const estimatedSize = this.estimateChunkSize(parsedData.header, parsedData.dataRows);
-      const maxCharsForProvider = this.getMaxCharsForCurrentProvider();
+      // Determine if chunking is needed: split by token budget, one chunk means no chunking
+      const budget = this.getChunkTokenBudget(this.getCurrentModel(), sourceType);
+      const chunks = this.createChunks(parsedData, budget);
+      const tokenUsage = this.getChunkTokenUsage(chunks, budget);
 
-      console.log(`📏 Estimated size: ${estimatedSize} chars, Max allowed: ${maxCharsForProvider} chars`);
+      console.log(`📏 ${tokenUsage.totalTokens} input tokens (+${budget.promptTokens} prompt) for ${budget.model}, budget per chunk: ${budget.targetInputTokens} input / ${budget.maxOutputTokens} output`);
 
-      // If data is small enough, process without chunking
-      if (estimatedSize <= maxCharsForProvider && parsedData.totalRows <= 50) {
+      // A single chunk goes through the same retries and failure records as a split file, so a failed
+      // small sheet stays retryable with /jobs/:id/retry-failed
+      if (chunks.length === 1) {
         console.log('📄 Processing without chunking (small dataset)');
-        
-        if (progressCallback) {
-          progressCallback({
-            chunkIndex: 0,
-            totalChunks: 1,
-            attempt: 1,
-            maxAttempts: 1,
-            status: 'Processing single dataset'
-          });
-        }
-
-        const result = await this.processSingleChunk(excelText, estimatedSize);
-        
-        // Assign sequential IDs
-        const resultWithIds = result.map((item, index) => ({
-          ...item,
-          id: index + 1
-        }));
-
-        return resultWithIds;
+      } else {
+        console.log('📦 Large dataset detected, using chunking approach');
       }
 
-      // Large dataset - use chunking
-      console.log('📦 Large dataset detected, using chunking approach');
-      
-      const chunks = this.createChunks(parsedData, maxCharsForProvider);
-      const chunkResults = [];
-
-      // Process chunks sequentially
-      for (let i = 0; i < chunks.length; i++) {
-        const result = await this.processChunkWithRetry(chunks[i], i, chunks.length, progressCallback);
-        chunkResults.push(result);
+      if (progressCallback) {
+        progressCallback({
+          chunkIndex: 0,
+          totalChunks: chunks.length,
+          completedChunks: 0,
+          attempt: 1,
+          maxAttempts: 1,
+          status: chunks.length === 1
+            ? 'Processing single dataset'
+            : `File split into ${chunks.length} chunks for processing (${Math.min(this.chunkingConfig.maxConcurrentChunks, chunks.length)} at a time)...`
+        });
       }
 
+      const chunkResults = await this.processChunks(chunks, progressCallback, { signal, onChunkComplete, bypassCache, onUsage, sourceType, rowComments });
+
       // Merge all results
       const mergeResult = this.mergeChunkResults(chunkResults);
       
@@ -725,7 +895,13 @@ async extractChecklist(excelText, progressCallback = null) {
         console.warn('⚠️ Some chunks failed:', mergeResult.failed);
       }
 
-      return mergeResult.merged;
+      return {
+        checklist: mergeResult.merged,
+        failedChunks: mergeResult.failed,
+        responseRepair: mergeResult.responseRepair,
+        stats: mergeResult.stats,
+        tokenUsage
+      };
 
     } catch (error) {
       console.error('❌ Error in extractChecklist:', error);
@@ -734,20 +910,54 @@ async extractChecklist(excelText, progressCallback = null) {
   }
 
   /**
-   * Get maximum characters allowed for current provider
+   * Re-run failed chunks from an earlier extraction of the same sheet text
+   * @param {string} excelText - Sheet text the original extraction used
+   * @param {Array} failedChunks - Failed chunk entries from mergeChunkResults
+   * @param {number} totalChunks - Chunk count of the original extraction (for logging)
+   * @param {object} options - { onUsage, sourceType, rowComments } onUsage receives the usage entry of every AI request;
+   *   sourceType and rowComments must match the original extraction
+   * @returns {Promise<object>} - { recovered: [failed entry + items + repair], failed: [still failing entries] }
    */
-  getMaxCharsForCurrentProvider() {
-    if (this.shouldUseClaude() && this.anthropic) {
-      const model = process.env.CLAUDE_MODEL || 'claude-3-haiku-20240307';
-      return this.chunkingConfig.maxCharsPerChunk[model] || 3000;
-    }
-    
-    if (this.shouldUseOpenAI() && this.openai) {
-      const model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
-      return this.chunkingConfig.maxCharsPerChunk[model] || 3000;
-    }
+  async retryFailedChunks(excelText, failedChunks, totalChunks, options = {}) {
+    const parsedData = this.parseExcelToRows(excelText);
+    const model = this.getCurrentModel();
+
+    const chunks = failedChunks.map(entry => {
+      const rows = parsedData.dataRows.slice(entry.startRow - 1, entry.endRow);
+      return {
+        header: parsedData.header,
+        rows,
+        startIndex: entry.startRow - 1,
+        endIndex: entry.endRow - 1,
+        ...this.measureChunk(parsedData.header, rows, model)
+      };
+    });
 
-    return 3000; // Conservative default
+    console.log(`🔁 Retrying ${chunks.length} failed chunks`);
+
+    const chunkResults = await this.processChunks(chunks, null, {
+      totalChunks,
+      chunkIndexes: failedChunks.map(entry => entry.chunkIndex - 1),
+      onUsage: options.onUsage || null,
+      sourceType: options.sourceType || 'sheet',
+      rowComments: options.rowComments || null
+    });
+
+    const recovered = [];
+    const failed = [];
+
+    chunkResults.forEach((result, i) => {
+      if (result.success && result.data) {
+        const { error, ...entry } = failedChunks[i];
+        recovered.push({ ...entry, items: result.data, repair: result.repair });
+      } else {
+        failed.push({ ...failedChunks[i], error: result.error });
+      }
+    });
+
+    console.log(`🔁 Retry finished: ${recovered.length} recovered, ${failed.length} still failing`);
+
+    return { recovered, failed };
   }
 
   /**
@@ -808,6 +1018,14 @@ async extractChecklist(excelText, progressCallback = null) {
         item.dependentOptions = ''; // Auto-fix
       }
 
+      if (!Array.isArray(item.conditions)) {
+        item.conditions = []; // Auto-fix
+      }
+
+      if (item.conditions.length > 0 && !item.isDependent) {
+        item.isDependent = true; // Auto-fix
+      }
+
       // Validate options for choice types
       if (['dropdown', 'radio', 'checkbox'].includes(item.type)) {
         if (!item.options || item.options.trim() === '') {
@@ -816,7 +1034,7 @@ async extractChecklist(excelText, progressCallback = null) {
       }
 
       // Validate dependent fields
-      if (item.isDependent) {
+      if (item.isDependent && item.conditions.length === 0) {
         if (!item.dependentOn || typeof item.dependentOn !== 'string' || item.dependentOn.trim() === '') {
           validation.warnings.push(`Item ${itemNumber}: Missing parent dependent question`);
         }
@@ -843,18 +1061,20 @@ async extractChecklist(excelText, progressCallback = null) {
       provider: this.provider,
       chunking: {
         enabled: true,
-        maxCharsPerChunk: this.getMaxCharsForCurrentProvider(),
+        strategy: 'tokens',
+        budget: this.getChunkTokenBudget(),
         minRowsPerChunk: this.chunkingConfig.minRowsPerChunk,
-        maxRetries: this.chunkingConfig.maxRetries
+        maxRetries: this.chunkingConfig.maxRetries,
+        maxConcurrentChunks: this.chunkingConfig.maxConcurrentChunks
       },
-      models: {
-        claude: process.env.CLAUDE_MODEL || 'claude-3-haiku-20240307',
-        openai: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
-      },
-      available: {
-        claude: !!(this.anthropic && process.env.ANTHROPIC_API_KEY),
-        openai: !!(this.openai && process.env.OPENAI_API_KEY)
-      }
+      providers: this.providers.map(provider => ({
+        ...provider.getStatus(),
+        modelInfo: this.describeModel(provider.getDefaultModel())
+      })),
+      registeredProviders: providerRegistry.getProviderNames(),
+      modelRegistry: modelRegistry.getStatus(),
+      models: Object.fromEntries(this.providers.map(provider => [provider.name, provider.getDefaultModel()])),
+      available: Object.fromEntries(this.providers.map(provider => [provider.name, provider.isAvailable()]))
     };
   }
 }
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+/**
+ * In-process cache for extraction results
+ * Entries are keyed by a hash of the normalized sheet text plus everything that changes the AI
+ * output or the result built from it (provider, model, extraction mode, prompt version, cell comments
+ * on the rows), so a re-upload of the same workbook is served without paying for the AI calls again.
+ */
+
+const CACHE_SCOPES = ['file', 'chunk'];
+
+class CacheService {
+  constructor() {
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+
+    this.config = {
+      enabled: process.env.EXTRACTION_CACHE_ENABLED !== 'false',
+      ttlMs: (parseInt(process.env.EXTRACTION_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000,
+      maxEntries: parseInt(process.env.EXTRACTION_CACHE_MAX_ENTRIES) || 500
+    };
+
+    // Periodically drop expired entries
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredEntries(), 10 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Normalize sheet text so formatting noise does not change the key
+   * (line endings, trailing spaces, blank lines)
+   * @param {string} text - Sheet text
+   * @returns {string}
+   */
+  normalizeText(text) {
+    return (text || '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Build a cache key
+   * @param {string} scope - "file" or "chunk"
+   * @param {string} text - Sheet text the result was extracted from
+   * @param {object} context - { provider, model, mode, promptVersion, rowSignature } anything that changes the
+   *   output; rowSignature covers row data kept outside the text, such as cell comments
+   * @returns {string} - Key of the form scope:hash
+   */
+  buildKey(scope, text, context = {}) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([context.provider, context.model, context.mode, context.promptVersion, context.rowSignature || null]))
+      .update('\n')
+      .update(this.normalizeText(text))
+      .digest('hex');
+
+    return `${scope}:${hash}`;
+  }
+
+  /**
+   * Look up an entry
+   * @param {string} key - Key from buildKey
+   * @returns {object|null} - { value, cachedAt } or null on a miss
+   */
+  get(key) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+
+    if (!entry || Date.now() - entry.storedAt > this.config.ttlMs) {
+      if (entry) {
+        this.entries.delete(key);
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert so the Map order tracks recent use for eviction
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+
+    return { value: structuredClone(entry.value), cachedAt: new Date(entry.storedAt).toISOString() };
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones past maxEntries
+   * @param {string} key - Key from buildKey
+   * @param {*} value - JSON-like value; stored as a copy
+   */
+  set(key, value) {
+    if (!this.config.enabled) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { value: structuredClone(value), storedAt: Date.now() });
+    this.stats.writes++;
+
+    while (this.entries.size > this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove cached entries
+   * @param {string} scope - Optional "file" or "chunk"; all entries when omitted
+   * @returns {number} - Number of entries removed
+   */
+  purge(scope = null) {
+    let removed = 0;
+
+    for (const key of [...this.entries.keys()]) {
+      if (!scope || key.startsWith(`${scope}:`)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    console.log(`🧹 Purged ${removed} cached extraction ${scope ? `${scope} ` : ''}entries`);
+    return removed;
+  }
+
+  /**
+   * Drop entries past the TTL
+   */
+  cleanupExpiredEntries() {
+    const now = Date.now();
+
+    for (const [key, entry] of this.entries) {
+      if (now - entry.storedAt > this.config.ttlMs) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Cache summary for status endpoints
+   * @returns {object}
+   */
+  getStatus() {
+    const byScope = Object.fromEntries(CACHE_SCOPES.map(scope => [
+      scope,
+      [...this.entries.keys()].filter(key => key.startsWith(`${scope}:`)).length
+    ]));
+
+    return {
+      enabled: this.config.enabled,
+      entries: this.entries.size,
+      byScope,
+      maxEntries: this.config.maxEntries,
+      ttlMinutes: this.config.ttlMs / 60000,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+const cacheService = new CacheService();
+cacheService.CACHE_SCOPES = CACHE_SCOPES;
+module.exports = cacheService;
@@ -0,0 +1,235 @@
+const { normalizeLabel } = require('./dependencyResolver');
+
+/**
+ * Compares a reviewed checklist with the checklist a job status already has in Zuper, and combines
+ * the two for the submit modes. Both are lists of Zuper payload fields. Fields are matched by label,
+ * ignoring case and punctuation; repeated labels pair up in order.
+ */
+
+// replace: the reviewed checklist replaces the status's checklist
+// append: reviewed fields are added after the existing ones
+// merge: existing fields with a reviewed label are updated in place with the properties the review sets
+// (see mergeField); their label and every other property are kept, and the other reviewed fields are added
+const SUBMIT_MODES = ['replace', 'append', 'merge'];
+
+// Field properties the diff compares
+const COMPARED_PROPERTIES = ['component', 'options', 'required', 'description', 'dependency'];
+
+/**
+ * Whether a reviewed value is set; empty text and empty lists leave the existing value in place on merge
+ * @param {*} value - Property value
+ * @returns {boolean}
+ */
+const isSet = (value) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Update an existing field with the properties a reviewed field sets
+ * The label and the properties the tool does not manage stay as they are in Zuper. meta_options follows the
+ * component, and the dependency is taken only when the reviewed field has one.
+ * @param {object} existingField - Field in Zuper
+ * @param {object} proposedField - Reviewed field
+ * @returns {object}
+ */
+const mergeField = (existingField, proposedField) => {
+  const field = { ...existingField, required: Boolean(proposedField.required) };
+
+  if (isSet(proposedField.component)) {
+    field.component = proposedField.component;
+    if (proposedField.meta_options !== undefined) field.meta_options = proposedField.meta_options;
+  }
+  if (isSet(proposedField.options)) field.options = proposedField.options;
+  if (isSet(proposedField.description)) field.description = proposedField.description;
+  if (proposedField.is_dependent) {
+    field.is_dependent = true;
+    field.dependent_on = proposedField.dependent_on;
+    field.dependent_options = proposedField.dependent_options || [];
+  }
+
+  return field;
+};
+
+/**
+ * Text of an option, which Zuper may return as an object
+ * @param {string|object} option - Option
+ * @returns {string}
+ */
+const optionText = (option) => {
+  return option !== null && typeof option === 'object' ? String(option.label ?? option.value ?? '') : String(option);
+};
+
+/**
+ * Match the fields of two checklists by label
+ * @param {Array<object>} existing - Fields in Zuper
+ * @param {Array<object>} proposed - Reviewed fields
+ * @returns {Map<number, number>} - Reviewed field index to existing field index
+ */
+const matchByLabel = (existing, proposed) => {
+  const byLabel = new Map();
+  existing.forEach((field, index) => {
+    const label = normalizeLabel(field.label);
+    byLabel.set(label, [...(byLabel.get(label) || []), index]);
+  });
+
+  const matches = new Map();
+  proposed.forEach((field, index) => {
+    const candidates = byLabel.get(normalizeLabel(field.label));
+    if (candidates && candidates.length > 0) {
+      matches.set(index, candidates.shift());
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Comparable properties of a field; the parent is named by its label since field IDs differ between checklists
+ * @param {object} field - Payload field
+ * @param {Array<object>} checklist - Fields of the same checklist
+ * @returns {object}
+ */
+const describeField = (field, checklist) => {
+  const parent = field.is_dependent
+    ? checklist.find(candidate => String(candidate.id) === String(field.dependent_on))
+    : null;
+
+  return {
+    component: field.component || '',
+    options: (field.options || []).map(optionText),
+    required: Boolean(field.required),
+    description: field.description || '',
+    dependency: parent ? `${parent.label} = ${(field.dependent_options || []).map(optionText).join(', ')}` : ''
+  };
+};
+
+/**
+ * Diff the checklist in Zuper against the reviewed one
+ * @param {Array<object>} existing - Fields in Zuper (zuperService.getZuperChecklist)
+ * @param {Array<object>} proposed - Reviewed fields (generateZuperPayload().checklist)
+ * @returns {object} - { added, removed, changed, unchanged, summary, modes } changed entries list
+ *   { property, from, to, merged } changes, merged telling whether merge mode applies the change (it keeps
+ *   the value in Zuper when the reviewed one is empty); modes gives the field count each submit mode would leave
+ */
+const diffChecklists = (existing, proposed) => {
+  const matches = matchByLabel(existing, proposed);
+  const matchedExisting = new Set(matches.values());
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  proposed.forEach((field, index) => {
+    if (!matches.has(index)) {
+      added.push({ id: field.id, label: field.label, component: field.component });
+      return;
+    }
+
+    const current = existing[matches.get(index)];
+    const before = describeField(current, existing);
+    const after = describeField(field, proposed);
+    const changes = COMPARED_PROPERTIES
+      .filter(property => JSON.stringify(before[property]) !== JSON.stringify(after[property]))
+      .map(property => ({ property, from: before[property], to: after[property], merged: isSet(after[property]) }));
+
+    if (changes.length > 0) {
+      changed.push({ id: field.id, existingId: current.id, label: field.label, changes });
+    } else {
+      unchanged.push({ id: field.id, existingId: current.id, label: field.label });
+    }
+  });
+
+  const removed = existing
+    .filter((field, index) => !matchedExisting.has(index))
+    .map(field => ({ existingId: field.id, label: field.label, component: field.component }));
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged,
+    summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged: unchanged.length },
+    modes: {
+      replace: { fieldCount: proposed.length, removed: removed.length },
+      append: { fieldCount: existing.length + proposed.length, duplicated: matches.size },
+      merge: {
+        fieldCount: existing.length + added.length,
+        updated: changed.filter(field => field.changes.some(change => change.merged)).length
+      }
+    }
+  };
+};
+
+/**
+ * Combine the checklist in Zuper with the reviewed one for a submit mode
+ * Fields are renumbered in their new order, dependent_on is moved to the parent's new ID and dependents
+ * are rebuilt. An existing field whose parent cannot be found among the existing fields keeps its link.
+ * @param {Array<object>} existing - Fields in Zuper
+ * @param {Array<object>} proposed - Reviewed fields
+ * @param {string} mode - One of SUBMIT_MODES
+ * @returns {Array<object>} - Fields to submit
+ */
+const mergeChecklists = (existing, proposed, mode) => {
+  if (mode === 'replace') {
+    return proposed;
+  }
+
+  let entries;
+
+  if (mode === 'append') {
+    entries = [
+      ...existing.map(field => ({ field, source: 'existing' })),
+      ...proposed.map(field => ({ field, source: 'proposed' }))
+    ];
+  } else {
+    const replacements = new Map([...matchByLabel(existing, proposed)].map(([proposedIndex, existingIndex]) => [existingIndex, proposedIndex]));
+    const merged = new Set(replacements.values());
+
+    entries = [
+      ...existing.map((field, index) => (replacements.has(index)
+        ? {
+          field: mergeField(field, proposed[replacements.get(index)]),
+          source: 'existing',
+          // The merged field answers to both IDs; its dependency comes from the reviewed field when it has one
+          proposedId: proposed[replacements.get(index)].id,
+          dependencySource: proposed[replacements.get(index)].is_dependent ? 'proposed' : 'existing'
+        }
+        : { field, source: 'existing' })),
+      ...proposed.filter((field, index) => !merged.has(index)).map(field => ({ field, source: 'proposed' }))
+    ];
+  }
+
+  // Old field ID to new field ID, for each side
+  const newIds = { existing: new Map(), proposed: new Map() };
+  entries.forEach((entry, index) => {
+    newIds[entry.source].set(String(entry.field.id), index + 1);
+    if (entry.proposedId !== undefined) {
+      newIds.proposed.set(String(entry.proposedId), index + 1);
+    }
+  });
+
+  const fields = entries.map((entry, index) => {
+    const { field } = entry;
+    const source = entry.dependencySource || entry.source;
+    const parentId = field.is_dependent ? newIds[source].get(String(field.dependent_on)) : undefined;
+    const keepLink = source === 'existing' && field.is_dependent && parentId === undefined;
+
+    return {
+      ...field,
+      id: index + 1,
+      index,
+      is_dependent: parentId !== undefined || keepLink,
+      dependent_on: parentId !== undefined ? parentId : keepLink ? field.dependent_on : '',
+      dependent_options: parentId !== undefined || keepLink ? field.dependent_options || [] : []
+    };
+  });
+
+  fields.forEach(field => {
+    field.dependents = fields.filter(child => child.is_dependent && child.dependent_on === field.id).map(child => child.id);
+  });
+
+  return fields;
+};
+
+module.exports = {
+  SUBMIT_MODES,
+  diffChecklists,
+  mergeChecklists
+};
@@ -0,0 +1,212 @@
+const XLSX = require('xlsx');
+const { decodeXml, readSheetXml } = require('./workbookPackage');
+
+/**
+ * Reader for the choice lists customers define outside the option column: Excel data validation
+ * (in-cell dropdowns) and named ranges. SheetJS does not parse data validation, so the rules are
+ * read from the worksheet XML of .xlsx workbooks; named ranges come from any format SheetJS reads.
+ */
+
+// Longest list taken from a range, so a whole-column reference cannot flood a prompt
+const MAX_LIST_OPTIONS = 200;
+
+// Nested named ranges are followed at most this deep
+const MAX_NAME_DEPTH = 5;
+
+// Sheet bounds, used for whole-column (E:E) and whole-row (2:2) references
+const MAX_ROW = 1048575;
+const MAX_COLUMN = 16383;
+
+// Optional sheet prefix ('My Sheet'! or Sheet1!) followed by a cell, cell range or column range
+const RANGE_PATTERN = /^(?:(?:'((?:[^']|'')+)'|([^'!:\s]+))!)?(\$?[A-Z]{1,3}\$?\d*(?::\$?[A-Z]{1,3}\$?\d*)?)$/i;
+
+/**
+ * Decode an A1-style range, opening whole-column and whole-row references to the sheet bounds
+ * @param {string} ref - Range such as C2:C10, E:E or 2:2
+ * @returns {object} - SheetJS range { s: { r, c }, e: { r, c } }
+ */
+const decodeRange = (ref) => {
+  const range = XLSX.utils.decode_range(ref.replace(/\$/g, ''));
+
+  if (range.s.r < 0) {
+    range.s.r = 0;
+    range.e.r = MAX_ROW;
+  }
+
+  if (range.s.c < 0) {
+    range.s.c = 0;
+    range.e.c = MAX_COLUMN;
+  }
+
+  return range;
+};
+
+/**
+ * Read the list-type data validation rules of a sheet
+ * Both the classic <dataValidation> element and the x14 extension Excel writes for lists on other
+ * sheets are read.
+ * @param {object} workbook - Workbook read with bookFiles
+ * @param {string} sheetName - Sheet name
+ * @returns {Array<object>} - [{ ranges, source }] ranges are decoded SheetJS ranges; source is the formula
+ */
+const readListValidations = (workbook, sheetName) => {
+  const xml = readSheetXml(workbook, sheetName);
+
+  if (!xml) {
+    return [];
+  }
+
+  const rules = [];
+  const addRule = (attributes, sqref, formula) => {
+    if (!/\btype="list"/.test(attributes) || !sqref || !formula) {
+      return;
+    }
+
+    rules.push({
+      ranges: sqref.trim().split(/\s+/).map(decodeRange),
+      source: decodeXml(formula).trim()
+    });
+  };
+
+  for (const match of xml.matchAll(/<dataValidation\b([^>]*)>([\s\S]*?)<\/dataValidation>/g)) {
+    const sqref = (match[1].match(/\bsqref="([^"]*)"/) || [])[1];
+    const formula = (match[2].match(/<formula1>([\s\S]*?)<\/formula1>/) || [])[1];
+    addRule(match[1], sqref, formula);
+  }
+
+  for (const match of xml.matchAll(/<x14:dataValidation\b([^>]*)>([\s\S]*?)<\/x14:dataValidation>/g)) {
+    const sqref = (match[2].match(/<xm:sqref>([\s\S]*?)<\/xm:sqref>/) || [])[1];
+    const formula = (match[2].match(/<x14:formula1>\s*<xm:f>([\s\S]*?)<\/xm:f>/) || [])[1];
+    addRule(match[1], sqref, formula);
+  }
+
+  return rules;
+};
+
+/**
+ * Find a workbook-level or sheet-scoped defined name
+ * @param {object} workbook - Workbook
+ * @param {string} name - Name to look up (case-insensitive, as in Excel)
+ * @param {string} sheetName - Sheet the reference is made from
+ * @returns {object|null} - SheetJS defined name { Name, Ref, Sheet }
+ */
+const findDefinedName = (workbook, name, sheetName) => {
+  const names = ((workbook.Workbook && workbook.Workbook.Names) || [])
+    .filter(entry => entry.Name && !entry.Name.startsWith('_xlnm') && entry.Name.toLowerCase() === name.toLowerCase());
+  const sheetIndex = workbook.SheetNames.indexOf(sheetName);
+
+  return names.find(entry => entry.Sheet === sheetIndex) || names.find(entry => entry.Sheet === undefined) || null;
+};
+
+/**
+ * Read the non-empty values of a range, row by row
+ * @param {object} workbook - Workbook
+ * @param {string} sheetName - Sheet holding the range
+ * @param {string} ref - A1-style range
+ * @returns {Array<string>|null} - Distinct values, or null when the sheet does not exist
+ */
+const readRangeValues = (workbook, sheetName, ref) => {
+  const worksheet = workbook.Sheets[sheetName];
+
+  if (!worksheet || !worksheet['!ref']) {
+    return worksheet ? [] : null;
+  }
+
+  // Whole-column references (A:A) are limited to the used part of the sheet
+  const used = XLSX.utils.decode_range(worksheet['!ref']);
+  const range = decodeRange(ref);
+  const values = [];
+
+  for (let row = range.s.r; row <= Math.min(range.e.r, used.e.r) && values.length < MAX_LIST_OPTIONS; row++) {
+    for (let column = range.s.c; column <= Math.min(range.e.c, used.e.c) && values.length < MAX_LIST_OPTIONS; column++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: column })];
+      const value = cell ? (cell.w !== undefined ? cell.w : String(cell.v)).trim() : '';
+
+      if (value !== '' && !values.includes(value)) {
+        values.push(value);
+      }
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Check whether an option cell names a range or a defined name rather than listing options
+ * @param {object} workbook - Workbook
+ * @param {string} text - Option cell text
+ * @param {string} sheetName - Sheet the cell is on
+ * @returns {boolean}
+ */
+const isListReference = (workbook, text, sheetName) => {
+  const reference = (text || '').trim().replace(/^=/, '');
+
+  if (reference === '' || reference.includes(',')) {
+    return false;
+  }
+
+  // A bare cell such as "A1" is more likely an option than a reference
+  const range = reference.match(RANGE_PATTERN);
+  if (range && (text.trim().startsWith('=') || reference.includes(':') || reference.includes('!'))) {
+    return true;
+  }
+
+  return Boolean(findDefinedName(workbook, reference, sheetName));
+};
+
+/**
+ * Resolve a list source to its options
+ * Sources are a quoted literal list ("Yes,No"), a range (Lists!$A$1:$A$5) or a defined name.
+ * @param {object} workbook - Workbook
+ * @param {string} source - Validation formula or option cell reference
+ * @param {string} sheetName - Sheet the source is used on (unqualified ranges refer to it)
+ * @param {number} depth - Named range nesting depth
+ * @returns {Array<string>|null} - Options, or null when the source cannot be resolved (INDIRECT, external links)
+ */
+const resolveListSource = (workbook, source, sheetName, depth = 0) => {
+  const reference = (source || '').trim().replace(/^=/, '');
+
+  if (reference.startsWith('"') && reference.endsWith('"') && reference.length >= 2) {
+    return reference.slice(1, -1).split(',').map(option => option.trim()).filter(Boolean);
+  }
+
+  const range = reference.match(RANGE_PATTERN);
+  if (range) {
+    const targetSheet = range[1] ? range[1].replace(/''/g, "'") : (range[2] || sheetName);
+    const values = readRangeValues(workbook, targetSheet, range[3]);
+
+    if (values) {
+      return values;
+    }
+  }
+
+  const definedName = depth < MAX_NAME_DEPTH ? findDefinedName(workbook, reference, sheetName) : null;
+  if (definedName && definedName.Ref) {
+    const scopeSheet = definedName.Sheet !== undefined ? workbook.SheetNames[definedName.Sheet] : sheetName;
+    return resolveListSource(workbook, definedName.Ref, scopeSheet, depth + 1);
+  }
+
+  return null;
+};
+
+/**
+ * Find the list validation covering a cell
+ * @param {Array<object>} rules - Rules from readListValidations
+ * @param {number} row - 0-based sheet row
+ * @param {number} column - 0-based sheet column
+ * @returns {object|null} - Matching rule
+ */
+const findCellValidation = (rules, row, column) => {
+  return rules.find(rule => rule.ranges.some(range =>
+    row >= range.s.r && row <= range.e.r && column >= range.s.c && column <= range.e.c
+  )) || null;
+};
+
+module.exports = {
+  MAX_LIST_OPTIONS,
+  readListValidations,
+  resolveListSource,
+  isListReference,
+  findCellValidation,
+  findDefinedName
+};
@@ -0,0 +1,181 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Reader for CSV and TSV exports (Google Sheets, LibreOffice, Excel "Save as CSV").
+ * Detects the text encoding and the delimiter, then splits the text into rows of
+ * string cells so values such as "1/2" or "007" are kept exactly as written.
+ */
+
+// Delimiters tried for .csv files, in order of preference on ties
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Lines sampled when detecting the delimiter
+const DELIMITER_SAMPLE_LINES = 20;
+
+const DELIMITED_EXTENSIONS = ['.csv', '.tsv'];
+
+/**
+ * Decode a file buffer, honouring byte order marks
+ * Text without a BOM is read as UTF-8 when it is valid UTF-8, otherwise as Windows-1252
+ * (the encoding Excel uses for CSV exports on Western Windows installs).
+ * @param {Buffer} buffer - File contents
+ * @returns {object} - { text, encoding }
+ */
+const decodeText = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+
+  if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+  }
+};
+
+/**
+ * Count a delimiter in one line, ignoring quoted sections
+ * @param {string} line - Line of text
+ * @param {string} delimiter - Delimiter character
+ * @returns {number}
+ */
+const countDelimiter = (line, delimiter) => {
+  let count = 0;
+  let inQuotes = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === delimiter && !inQuotes) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Pick the delimiter that splits the sampled lines most consistently
+ * @param {string} text - Decoded file text
+ * @param {string} fallback - Delimiter used when no candidate appears
+ * @returns {string}
+ */
+const detectDelimiter = (text, fallback = ',') => {
+  const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim() !== '').slice(0, DELIMITER_SAMPLE_LINES);
+
+  if (lines.length === 0) {
+    return fallback;
+  }
+
+  let best = { delimiter: fallback, consistency: 0, columns: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countDelimiter(line, delimiter));
+    const columns = counts[0];
+
+    if (columns === 0) {
+      return;
+    }
+
+    // Share of lines splitting into the same number of cells as the header
+    const consistency = counts.filter(count => count === columns).length / counts.length;
+
+    if (consistency > best.consistency || (consistency === best.consistency && columns > best.columns)) {
+      best = { delimiter, consistency, columns };
+    }
+  });
+
+  return best.delimiter;
+};
+
+/**
+ * Split delimited text into rows of cells (RFC 4180 quoting, any line ending)
+ * @param {string} text - Decoded file text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>}
+ */
+const parseDelimitedText = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Check whether a file is read as delimited text
+ * @param {string} filePath - Path or file name
+ * @returns {boolean}
+ */
+const isDelimitedFile = (filePath) => DELIMITED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+/**
+ * Read a CSV or TSV file into rows
+ * .tsv files are always tab separated; .csv files get their delimiter detected.
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<object>} - { rows, encoding, delimiter }
+ */
+const readDelimitedFile = async (filePath) => {
+  const { text, encoding } = decodeText(await fs.readFile(filePath));
+  const delimiter = path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : detectDelimiter(text);
+
+  return {
+    rows: parseDelimitedText(text, delimiter),
+    encoding,
+    delimiter
+  };
+};
+
+module.exports = {
+  DELIMITED_EXTENSIONS,
+  decodeText,
+  detectDelimiter,
+  parseDelimitedText,
+  isDelimitedFile,
+  readDelimitedFile
+};
@@ -0,0 +1,319 @@
+/**
+ * Links dependent checklist items to their parent items.
+ * dependentOn holds the parent as typed in the sheet or returned by the AI: usually its question text,
+ * sometimes its item ID. Text is matched against the other items' questions exactly, then ignoring case
+ * and punctuation, then by similarity, so a typo or a reworded question still finds its parent.
+ *
+ * An item with compound conditions lists condition groups in `conditions`: it is shown when every rule
+ * of any one group holds (OR of ANDs). Zuper links a field to a single parent, so each item is also given
+ * the single parent and trigger options that come closest, never hiding it when it should be shown.
+ */
+
+// Lowest similarity (0-1) at which a reworded question is taken for the parent
+const FUZZY_MATCH_THRESHOLD = 0.75;
+
+/**
+ * Normalize a question for comparison
+ * @param {string} text - Question text
+ * @returns {string} - Lowercase words separated by single spaces, punctuation removed
+ */
+const normalizeLabel = (text) => {
+  return (text || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+};
+
+/**
+ * Similarity of two normalized questions (Dice coefficient of their character pairs)
+ * @param {string} a - Normalized question
+ * @param {string} b - Normalized question
+ * @returns {number} - 1 for identical text, 0 for nothing in common
+ */
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairs = (text) => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const pair = text.substring(i, i + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const pairsA = pairs(a);
+  const pairsB = pairs(b);
+  let shared = 0;
+
+  pairsA.forEach((count, pair) => {
+    shared += Math.min(count, pairsB.get(pair) || 0);
+  });
+
+  return (2 * shared) / (a.length + b.length - 2);
+};
+
+/**
+ * Split a comma separated option list
+ * @param {string} value - Options or trigger options
+ * @returns {Array<string>}
+ */
+const splitOptions = (value) => (value || '').toString().split(',').map(option => option.trim()).filter(Boolean);
+
+/**
+ * Spell trigger options as the parent's options they match (ignoring case), without duplicates
+ * @param {Array<string>} triggers - Trigger options
+ * @param {string} parentOptions - Comma separated options of the parent item
+ * @returns {Array<string>}
+ */
+const toParentOptions = (triggers, parentOptions) => {
+  const options = splitOptions(parentOptions);
+  const spelled = triggers.map(trigger => options.find(option => option.toLowerCase() === trigger.toLowerCase()) || trigger);
+  return [...new Set(spelled)];
+};
+
+/**
+ * Condition groups of an item; the item is shown when every rule of any one group holds
+ * Items without compound conditions have the single rule given by dependentOn and dependentOptions.
+ * @param {object} item - Checklist item
+ * @returns {Array<Array<object>>} - [[{ dependentOn, dependentOptions }]], empty for independent items
+ */
+const getConditionGroups = (item) => {
+  if (!item.isDependent) {
+    return [];
+  }
+
+  const groups = Array.isArray(item.conditions)
+    ? item.conditions.filter(group => Array.isArray(group) && group.length > 0)
+    : [];
+
+  return groups.length > 0
+    ? groups
+    : [[{ dependentOn: item.dependentOn || '', dependentOptions: item.dependentOptions || '' }]];
+};
+
+/**
+ * Pick the candidate nearest above the child (or nearest below when none is above)
+ * Duplicate questions are common in long forms, and a condition usually follows its parent.
+ * @param {Array<number>} indexes - Candidate item indexes
+ * @param {number} childIndex - Index of the dependent item
+ * @returns {number}
+ */
+const nearestCandidate = (indexes, childIndex) => {
+  const above = indexes.filter(index => index < childIndex);
+  return above.length > 0 ? above[above.length - 1] : indexes[0];
+};
+
+/**
+ * Find the parent question a dependent item refers to
+ * @param {Array<object>} checklist - Checklist items
+ * @param {number} childIndex - Index of the dependent item
+ * @param {string} dependentOn - Parent reference of one of its conditions
+ * @returns {object} - { parentIndex, match, score } or { reason, suggestion } when no parent is found
+ */
+const findParent = (checklist, childIndex, dependentOn) => {
+  const reference = (dependentOn || '').toString().trim();
+  const candidates = checklist.map((item, index) => index).filter(index => index !== childIndex);
+
+  if (reference === '') {
+    return { reason: 'missing' };
+  }
+
+  // An item ID, as the upload help text allows
+  if (/^\d+$/.test(reference)) {
+    const byId = candidates.find(index => String(checklist[index].id) === reference);
+    if (byId !== undefined) {
+      return { parentIndex: byId, match: 'id', score: 1 };
+    }
+  }
+
+  const exact = candidates.filter(index => (checklist[index].question || '').trim() === reference);
+  if (exact.length > 0) {
+    return { parentIndex: nearestCandidate(exact, childIndex), match: 'exact', score: 1 };
+  }
+
+  const normalizedReference = normalizeLabel(reference);
+  const caseInsensitive = candidates.filter(index => normalizeLabel(checklist[index].question) === normalizedReference);
+  if (caseInsensitive.length > 0) {
+    return { parentIndex: nearestCandidate(caseInsensitive, childIndex), match: 'case-insensitive', score: 1 };
+  }
+
+  if (normalizeLabel(checklist[childIndex].question) === normalizedReference) {
+    return { reason: 'self' };
+  }
+
+  const scored = candidates
+    .map(index => ({ index, score: similarity(normalizeLabel(checklist[index].question), normalizedReference) }))
+    .sort((a, b) => b.score - a.score);
+  const best = scored[0];
+
+  if (best && best.score >= FUZZY_MATCH_THRESHOLD) {
+    const tied = scored.filter(entry => entry.score === best.score).map(entry => entry.index).sort((a, b) => a - b);
+    return { parentIndex: nearestCandidate(tied, childIndex), match: 'fuzzy', score: Math.round(best.score * 100) / 100 };
+  }
+
+  return {
+    reason: 'not_found',
+    suggestion: best && best.score >= FUZZY_MATCH_THRESHOLD / 2 ? checklist[best.index].question : null
+  };
+};
+
+/**
+ * Choose the single Zuper parent of every item from its resolved conditions
+ * A group of several rules is exact when one rule's parent is itself only shown once the other rules hold
+ * (a chain of exact links); groups OR together exactly when they all test the same parent. Otherwise the
+ * item is linked to a parent every group tests, shown for the answers of any group, or left independent,
+ * so Zuper shows it at least whenever its conditions hold.
+ * @param {Array<object>} checklist - Checklist items
+ * @param {Array<Array<Array<object>>>} conditions - Resolved condition groups of each item
+ * @returns {Array<object>} - [{ parentIndex, options, exact }] parentIndex is null for items Zuper shows always
+ */
+const planZuperConditions = (checklist, conditions) => {
+  const plans = checklist.map(() => null);
+  const visiting = new Set();
+
+  const plan = (index) => {
+    if (plans[index]) return plans[index];
+    // Part of a cycle; the validator rejects the checklist
+    if (visiting.has(index)) return { parentIndex: null, options: [], exact: false };
+
+    visiting.add(index);
+    plans[index] = planItem(index);
+    visiting.delete(index);
+    return plans[index];
+  };
+
+  // Whether an answer to item `index` can only be given when `rule` holds
+  const implies = (index, rule) => {
+    const seen = new Set();
+    let current = plan(index);
+
+    while (current.parentIndex !== null && current.exact && !seen.has(current.parentIndex)) {
+      if (current.parentIndex === rule.parentIndex) {
+        const allowed = splitOptions(rule.dependentOptions).map(option => option.toLowerCase());
+        return current.options.every(option => allowed.includes(option.toLowerCase()));
+      }
+      seen.add(current.parentIndex);
+      current = plan(current.parentIndex);
+    }
+
+    return false;
+  };
+
+  const reduceGroup = (group) => {
+    const rules = group.filter(rule => rule.parentIndex !== null);
+    const covering = rules.find(rule => rules.every(other => other === rule || implies(rule.parentIndex, other)));
+
+    return covering ? { rules: [covering], exact: true } : { rules, exact: rules.length <= 1 };
+  };
+
+  const planItem = (index) => {
+    if (conditions[index].length === 0) {
+      return { parentIndex: null, options: [], exact: true };
+    }
+
+    const groups = conditions[index].map(reduceGroup);
+    const shared = groups[0].rules
+      .map(rule => rule.parentIndex)
+      .find(parentIndex => groups.every(group => group.rules.some(rule => rule.parentIndex === parentIndex)));
+
+    if (shared === undefined) {
+      return { parentIndex: null, options: [], exact: false };
+    }
+
+    const triggers = groups.flatMap(group => group.rules
+      .filter(rule => rule.parentIndex === shared)
+      .flatMap(rule => splitOptions(rule.dependentOptions)));
+
+    return {
+      parentIndex: shared,
+      options: toParentOptions(triggers, checklist[shared].options),
+      exact: groups.every(group => group.exact && group.rules.length === 1)
+    };
+  };
+
+  return checklist.map((item, index) => plan(index));
+};
+
+/**
+ * Resolve the parents of every dependent item
+ * @param {Array<object>} checklist - Checklist items (id, question, options, isDependent, dependentOn,
+ *   dependentOptions, conditions)
+ * @returns {object} - { conditions, zuper, resolved, unresolved } conditions holds each item's condition
+ *   groups with every rule's parentIndex (null when unresolved); zuper holds each item's Zuper link from
+ *   planZuperConditions; resolved lists [{ id, question, dependentOn, parentId, parentQuestion, match,
+ *   score }]; unresolved lists [{ id, question, dependentOn, reason, suggestion }] with reason missing,
+ *   self or not_found. Entries of compound conditions also carry their 1-based group and rule.
+ */
+const resolveDependencies = (checklist) => {
+  const resolved = [];
+  const unresolved = [];
+
+  const conditions = checklist.map((item, index) => {
+    const groups = getConditionGroups(item);
+    const compound = groups.length > 1 || (groups.length === 1 && groups[0].length > 1);
+
+    return groups.map((group, groupIndex) => group.map((rule, ruleIndex) => {
+      const result = findParent(checklist, index, rule.dependentOn);
+      const position = compound ? { group: groupIndex + 1, rule: ruleIndex + 1 } : {};
+
+      if (result.parentIndex === undefined) {
+        unresolved.push({
+          id: item.id,
+          question: item.question,
+          dependentOn: rule.dependentOn || '',
+          reason: result.reason,
+          suggestion: result.suggestion || null,
+          ...position
+        });
+        return { dependentOn: rule.dependentOn || '', dependentOptions: rule.dependentOptions || '', parentIndex: null };
+      }
+
+      const parent = checklist[result.parentIndex];
+      resolved.push({
+        id: item.id,
+        question: item.question,
+        dependentOn: rule.dependentOn,
+        parentId: parent.id,
+        parentQuestion: parent.question,
+        match: result.match,
+        score: result.score,
+        ...position
+      });
+      return { dependentOn: rule.dependentOn, dependentOptions: rule.dependentOptions || '', parentIndex: result.parentIndex };
+    }));
+  });
+
+  if (resolved.length + unresolved.length > 0) {
+    const fuzzy = resolved.filter(entry => entry.match === 'fuzzy').length;
+    console.log(`🔗 Dependencies: ${resolved.length} resolved (${fuzzy} fuzzy), ${unresolved.length} unresolved`);
+  }
+
+  return { conditions, zuper: planZuperConditions(checklist, conditions), resolved, unresolved };
+};
+
+/**
+ * Describe an unresolved reference for error messages
+ * @param {object} entry - Entry of resolveDependencies().unresolved
+ * @returns {string}
+ */
+const describeUnresolved = (entry) => {
+  if (entry.reason === 'missing') {
+    return `Item ${entry.id} ("${entry.question}") is marked dependent but names no parent question`;
+  }
+
+  if (entry.reason === 'self') {
+    return `Item ${entry.id} ("${entry.question}") depends on itself`;
+  }
+
+  return `Item ${entry.id} ("${entry.question}") depends on "${entry.dependentOn}", which matches no question` +
+    (entry.suggestion ? `; did you mean "${entry.suggestion}"?` : '');
+};
+
+module.exports = {
+  FUZZY_MATCH_THRESHOLD,
+  resolveDependencies,
+  getConditionGroups,
+  splitOptions,
+  describeUnresolved,
+  normalizeLabel,
+  similarity
+};
@@ -0,0 +1,186 @@
+const dependencyResolver = require('./dependencyResolver');
+
+/**
+ * Checks the conditional logic of a checklist as a graph of questions: each condition of a dependent
+ * item is an edge to the parent dependencyResolver links it to. Cycles, references that match no question,
+ * parents that are not choice fields and trigger options the parent does not offer are errors; a child
+ * placed before its parent is a warning, since Zuper shows it before the answer it depends on, and so are
+ * a compound condition Zuper can only approximate and a parent found only by a similar question.
+ */
+
+const CHOICE_TYPES = ['dropdown', 'radio', 'checkbox'];
+
+const { splitOptions } = dependencyResolver;
+
+/**
+ * Find the items that take part in a dependency cycle
+ * @param {Array<Array<number>>} edges - Parent indexes of each item's conditions
+ * @returns {Map<number, Array<number>>} - Item index to the indexes of its cycle, in dependency order
+ */
+const findCycles = (edges) => {
+  const cycles = new Map();
+  // 0 not visited, 1 on the current path, 2 done
+  const state = edges.map(() => 0);
+  const path = [];
+
+  const visit = (index) => {
+    state[index] = 1;
+    path.push(index);
+
+    edges[index].forEach(parent => {
+      if (state[parent] === 1) {
+        const cycle = path.slice(path.indexOf(parent));
+        cycle.forEach(member => {
+          if (!cycles.has(member)) cycles.set(member, cycle);
+        });
+      } else if (state[parent] === 0) {
+        visit(parent);
+      }
+    });
+
+    path.pop();
+    state[index] = 2;
+  };
+
+  edges.forEach((parents, index) => {
+    if (state[index] === 0) visit(index);
+  });
+
+  return cycles;
+};
+
+/**
+ * Describe resolved condition groups as "Question" is A or B AND ... OR ...
+ * @param {Array<object>} checklist - Checklist items
+ * @param {Array<Array<object>>} groups - Resolved condition groups of one item
+ * @returns {string}
+ */
+const describeConditions = (checklist, groups) => {
+  return groups
+    .map(group => group
+      .map(rule => `"${rule.parentIndex !== null ? checklist[rule.parentIndex].question : rule.dependentOn}" is ${splitOptions(rule.dependentOptions).join(' or ')}`)
+      .join(' AND '))
+    .join(' OR ');
+};
+
+/**
+ * Validate the dependencies of a checklist
+ * @param {Array<object>} checklist - Checklist items (id, question, type, options, isDependent, dependentOn,
+ *   dependentOptions, conditions)
+ * @returns {object} - { isValid, issues, dependencies } issues lists one entry per problem:
+ *   { id, question, field, code, severity, message, ...context }; dependencies is the resolver result
+ */
+const validateDependencies = (checklist) => {
+  const dependencies = dependencyResolver.resolveDependencies(checklist);
+  const edges = dependencies.conditions.map(groups =>
+    [...new Set(groups.flat().map(rule => rule.parentIndex).filter(parentIndex => parentIndex !== null))]);
+  const cycles = findCycles(edges);
+  const issues = [];
+
+  const addIssue = (item, field, code, severity, message, context = {}) => {
+    issues.push({ id: item.id, question: item.question, field, code, severity, message, ...context });
+  };
+
+  dependencies.unresolved.forEach(entry => {
+    const item = checklist.find(candidate => candidate.id === entry.id);
+    addIssue(item, 'dependentOn', 'UNRESOLVED_PARENT', 'error', dependencyResolver.describeUnresolved(entry), {
+      dependentOn: entry.dependentOn,
+      suggestion: entry.suggestion
+    });
+  });
+
+  // A reworded or mistyped reference was linked to the most similar question; the reviewer confirms it
+  dependencies.resolved.filter(entry => entry.match === 'fuzzy').forEach(entry => {
+    const item = checklist.find(candidate => candidate.id === entry.id);
+    addIssue(item, 'dependentOn', 'FUZZY_PARENT_MATCH', 'warning',
+      `Item ${entry.id} ("${entry.question}") depends on "${entry.dependentOn}", which matches no question exactly; it was linked to item ${entry.parentId} ("${entry.parentQuestion}")`,
+      { dependentOn: entry.dependentOn, parentId: entry.parentId, parentQuestion: entry.parentQuestion, score: entry.score });
+  });
+
+  dependencies.conditions.forEach((groups, index) => {
+    if (edges[index].length === 0) {
+      return;
+    }
+
+    const item = checklist[index];
+    const label = `Item ${item.id} ("${item.question}")`;
+
+    if (cycles.has(index)) {
+      const cycle = cycles.get(index).map(member => checklist[member].id);
+      addIssue(item, 'dependentOn', 'DEPENDENCY_CYCLE', 'error',
+        `${label} is part of a dependency cycle: ${[...cycle, cycle[0]].join(' → ')}`, { cycle });
+      return;
+    }
+
+    edges[index].forEach(parentIndex => {
+      const parent = checklist[parentIndex];
+
+      if (parentIndex > index) {
+        addIssue(item, 'dependentOn', 'PARENT_AFTER_CHILD', 'warning',
+          `${label} comes before its parent, item ${parent.id} ("${parent.question}")`, { parentId: parent.id });
+      }
+
+      if (!CHOICE_TYPES.includes(parent.type)) {
+        addIssue(item, 'dependentOn', 'PARENT_NOT_CHOICE', 'error',
+          `${label} depends on item ${parent.id} ("${parent.question}"), a ${parent.type} field; only dropdown, radio and checkbox fields can trigger other items`,
+          { parentId: parent.id, parentType: parent.type });
+      }
+    });
+
+    groups.flat().forEach(rule => {
+      const parent = rule.parentIndex !== null ? checklist[rule.parentIndex] : null;
+      if (!parent || !CHOICE_TYPES.includes(parent.type)) {
+        return;
+      }
+
+      const parentOptions = splitOptions(parent.options);
+      const triggers = splitOptions(rule.dependentOptions);
+
+      if (triggers.length === 0) {
+        addIssue(item, 'dependentOptions', 'MISSING_TRIGGER_OPTIONS', 'error',
+          `${label} does not say which answers of "${parent.question}" show it`, { parentId: parent.id, parentOptions });
+        return;
+      }
+
+      const known = new Set(parentOptions.map(option => option.toLowerCase()));
+      const invalidOptions = triggers.filter(option => !known.has(option.toLowerCase()));
+
+      if (invalidOptions.length > 0) {
+        addIssue(item, 'dependentOptions', 'INVALID_TRIGGER_OPTION', 'error',
+          `${label} is triggered by ${invalidOptions.map(option => `"${option}"`).join(', ')}, not ${invalidOptions.length === 1 ? 'an option' : 'options'} of "${parent.question}" (${parentOptions.join(', ') || 'no options'})`,
+          { parentId: parent.id, invalidOptions, parentOptions });
+      }
+    });
+
+    const link = dependencies.zuper[index];
+    const hasErrors = issues.some(issue => issue.id === item.id && issue.severity === 'error');
+
+    if (!link.exact && !hasErrors) {
+      const zuperParent = link.parentIndex !== null ? checklist[link.parentIndex] : null;
+      addIssue(item, 'conditions', 'CONDITION_APPROXIMATED', 'warning',
+        `${label} has conditions Zuper cannot express: ${describeConditions(checklist, groups)}. ` +
+        (zuperParent
+          ? `It will be shown whenever "${zuperParent.question}" is ${link.options.join(' or ')}`
+          : 'It will always be shown'),
+        { zuperParentId: zuperParent ? zuperParent.id : null, zuperOptions: link.options });
+    }
+  });
+
+  // Report in checklist order
+  const positions = new Map(checklist.map((item, index) => [item.id, index]));
+  issues.sort((a, b) => positions.get(a.id) - positions.get(b.id));
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+  if (issues.length > 0) {
+    console.log(`🕸️ Dependency check: ${errorCount} errors, ${issues.length - errorCount} warnings`);
+  }
+
+  return { isValid: errorCount === 0, issues, dependencies };
+};
+
+module.exports = {
+  validateDependencies,
+  describeConditions,
+  findCycles
+};
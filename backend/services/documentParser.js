@@ -0,0 +1,339 @@
+const fs = require('fs-extra');
+const path = require('path');
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when required directly, so load the library file
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+/**
+ * Reader for inspection forms that arrive as Word documents or text-based PDFs.
+ * Paragraphs, headings, numbered and bulleted lists, table rows and checkbox glyphs are turned
+ * into numbered lines, which aiService reads with a prompt for free-form forms.
+ */
+
+const DOCUMENT_EXTENSIONS = ['.docx', '.pdf'];
+
+// Every document is extracted as a single checklist
+const DOCUMENT_SHEET_NAME = 'Document';
+
+// Horizontal gap (PDF units) between two pieces of text on one line that marks a new table cell
+const PDF_CELL_GAP = 15;
+
+// Empty and ticked checkbox glyphs, including the Wingdings private-use code points Word exports
+const UNCHECKED_GLYPHS = /[☐□▢❏❐❑❒\uF06F\uF071\uF0A8]/g;
+const CHECKED_GLYPHS = /[☑☒✓✔▣\uF078\uF0FE]/g;
+
+// Bullet glyphs at the start of a line, including the Symbol font bullet
+const BULLET_PATTERN = /^[•●▪◦‣∙·\uF0B7]\s*/;
+const NUMBERED_PATTERN = /^(\d+(\.\d+)*[.)]|[a-z][.)]|[ivx]+[.)]|\(\w{1,3}\))\s+/i;
+
+/**
+ * Check whether a file is read as a document rather than a spreadsheet
+ * @param {string} filePath - Path or file name
+ * @returns {boolean}
+ */
+const isDocumentFile = (filePath) => DOCUMENT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+/**
+ * Collapse whitespace and write checkbox glyphs as [ ] and [x]
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const normalizeLineText = (text) => {
+  return text
+    .replace(UNCHECKED_GLYPHS, '[ ]')
+    .replace(CHECKED_GLYPHS, '[x]')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Classify a line and give bullets a uniform marker
+ * @param {string} text - Normalized line text
+ * @param {string} kind - Kind already known from the document structure, if any
+ * @returns {object} - { kind, text } kind is heading, list, table, checkbox or text
+ */
+const classifyLine = (text, kind = null) => {
+  const bulleted = text.replace(BULLET_PATTERN, '- ');
+
+  if (kind) {
+    return { kind, text: bulleted };
+  }
+
+  if (/\[( |x)\]/.test(bulleted)) {
+    return { kind: 'checkbox', text: bulleted };
+  }
+
+  return { kind: bulleted !== text || NUMBERED_PATTERN.test(text) ? 'list' : 'text', text: bulleted };
+};
+
+/**
+ * Decode the entities mammoth writes into its HTML
+ * @param {string} text - HTML text
+ * @returns {string}
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (match, entity) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    if (named[entity.toLowerCase()]) return named[entity.toLowerCase()];
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+    return String.fromCodePoint(code);
+  });
+};
+
+/**
+ * Turn the HTML mammoth produces for a .docx into document lines
+ * @param {string} html - HTML from mammoth.convertToHtml
+ * @returns {Array<object>} - [{ kind, text }]
+ */
+const htmlToLines = (html) => {
+  const lines = [];
+  const lists = [];
+  let block = null;
+  let row = null;
+  let cell = null;
+
+  const flushBlock = () => {
+    if (block) {
+      const text = normalizeLineText(block.text);
+      if (text) {
+        const line = classifyLine(text, block.kind === 'text' ? null : block.kind);
+        lines.push({ kind: line.kind, text: `${block.prefix}${line.text}` });
+      }
+    }
+    block = null;
+  };
+
+  const tokens = html.match(/<[^>]+>|[^<]+/g) || [];
+
+  tokens.forEach(token => {
+    const tag = token.match(/^<(\/?)([a-z0-9]+)/i);
+
+    if (!tag) {
+      const text = decodeEntities(token);
+      if (cell !== null) {
+        cell += text;
+      } else {
+        if (!block) block = { kind: 'text', prefix: '', text: '' };
+        block.text += text;
+      }
+      return;
+    }
+
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase();
+
+    if (name === 'br') {
+      if (cell !== null) cell += ' ';
+      else if (block) block.text += ' ';
+      return;
+    }
+
+    // Table cells collect everything inside them, paragraphs and lists included
+    if (cell !== null && !['td', 'th', 'tr', 'table'].includes(name)) {
+      if (['p', 'li'].includes(name) && closing) cell += ' ';
+      return;
+    }
+
+    if (/^h[1-6]$/.test(name) || name === 'p') {
+      flushBlock();
+      if (!closing) {
+        block = { kind: name === 'p' ? 'text' : 'heading', prefix: name === 'p' ? '' : '# ', text: '' };
+      }
+    } else if (name === 'ol' || name === 'ul') {
+      flushBlock();
+      if (closing) lists.pop();
+      else lists.push({ ordered: name === 'ol', count: 0 });
+    } else if (name === 'li') {
+      flushBlock();
+      if (!closing && lists.length > 0) {
+        const list = lists[lists.length - 1];
+        list.count++;
+        block = {
+          kind: 'list',
+          prefix: `${'  '.repeat(lists.length - 1)}${list.ordered ? `${list.count}.` : '-'} `,
+          text: ''
+        };
+      }
+    } else if (name === 'tr') {
+      flushBlock();
+      if (closing && row) {
+        const cells = row.map(normalizeLineText);
+        if (cells.some(text => text !== '')) {
+          lines.push({ kind: 'table', text: cells.join(' | ') });
+        }
+        row = null;
+      } else if (!closing) {
+        row = [];
+      }
+    } else if (name === 'td' || name === 'th') {
+      if (closing && row) {
+        row.push(cell || '');
+        cell = null;
+      } else if (!closing) {
+        cell = '';
+      }
+    } else if (name === 'table') {
+      flushBlock();
+    }
+  });
+
+  flushBlock();
+  return lines;
+};
+
+/**
+ * Render one PDF page as text, marking wide gaps between pieces of a line as table cell breaks
+ * @param {object} pageData - pdf.js page passed by pdf-parse
+ * @returns {Promise<string>}
+ */
+const renderPdfPage = async (pageData) => {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+  const lines = [];
+  let line = null;
+
+  textContent.items.forEach(item => {
+    const x = item.transform[4];
+    const y = item.transform[5];
+
+    if (!line || Math.abs(line.y - y) > 2) {
+      line = { y, text: '', end: null };
+      lines.push(line);
+    }
+
+    if (line.end !== null) {
+      const gap = x - line.end;
+      line.text += gap > PDF_CELL_GAP ? ' | ' : gap > 1 && !line.text.endsWith(' ') && !item.str.startsWith(' ') ? ' ' : '';
+    }
+
+    line.text += item.str;
+    line.end = x + item.width;
+  });
+
+  return lines.map(entry => entry.text).join('\n');
+};
+
+/**
+ * Read the lines of a .docx file
+ * @param {string} filePath - Path to the document
+ * @returns {Promise<object>} - { lines, pageCount, warnings }
+ */
+const readDocx = async (filePath) => {
+  const result = await mammoth.convertToHtml({ path: filePath });
+
+  return {
+    lines: htmlToLines(result.value),
+    pageCount: null,
+    warnings: result.messages.filter(message => message.type === 'error').map(message => message.message)
+  };
+};
+
+/**
+ * Read the lines of a text-based PDF
+ * @param {string} filePath - Path to the document
+ * @returns {Promise<object>} - { lines, pageCount, warnings }
+ */
+const readPdf = async (filePath) => {
+  const result = await pdfParse(await fs.readFile(filePath), { pagerender: renderPdfPage });
+
+  const lines = result.text
+    .split('\n')
+    .map(normalizeLineText)
+    // Bare page numbers carry nothing a checklist needs
+    .filter(text => text !== '' && !/^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i.test(text))
+    .map(text => (text.includes(' | ') ? { kind: 'table', text } : classifyLine(text)));
+
+  return { lines, pageCount: result.numpages, warnings: [] };
+};
+
+/**
+ * Extract the content of a Word document or text-based PDF as numbered lines
+ * @param {string} filePath - Path to the uploaded document
+ * @returns {Promise<object>} - { lines: [{ lineNumber, kind, text }], metadata: { fileName, format, pageCount, lineCount,
+ *   headingCount, listItemCount, tableRowCount, checkboxCount, warnings } }
+ */
+const extractDocumentContent = async (filePath) => {
+  console.log(`📄 Parsing document: ${filePath}`);
+
+  if (!await fs.pathExists(filePath)) {
+    const error = new Error('Document file not found');
+    error.code = 'FILE_NOT_FOUND';
+    throw error;
+  }
+
+  const format = path.extname(filePath).toLowerCase().replace('.', '');
+  let content;
+
+  try {
+    content = format === 'pdf' ? await readPdf(filePath) : await readDocx(filePath);
+  } catch (readError) {
+    console.error('❌ Failed to read document:', readError);
+    const error = new Error(`Invalid or corrupted ${format === 'pdf' ? 'PDF' : 'Word'} document`);
+    error.code = 'DOCUMENT_PARSE_ERROR';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (content.lines.length === 0) {
+    const error = new Error(format === 'pdf'
+      ? 'PDF contains no readable text. Scanned PDFs are not supported; export the form as a text PDF or Word document'
+      : 'Word document contains no text');
+    error.code = 'DOCUMENT_NO_TEXT';
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const lines = content.lines.map((line, index) => ({ lineNumber: index + 1, ...line }));
+  const countKind = (kind) => lines.filter(line => line.kind === kind).length;
+
+  const metadata = {
+    fileName: path.basename(filePath),
+    format,
+    pageCount: content.pageCount,
+    lineCount: lines.length,
+    headingCount: countKind('heading'),
+    listItemCount: countKind('list'),
+    tableRowCount: countKind('table'),
+    checkboxCount: lines.reduce((total, line) => total + (line.text.match(/\[( |x)\]/g) || []).length, 0),
+    warnings: content.warnings
+  };
+
+  console.log(`✅ Document: ${metadata.lineCount} lines, ${metadata.listItemCount} list items, ${metadata.tableRowCount} table rows, ${metadata.checkboxCount} checkboxes`);
+
+  return { lines, metadata };
+};
+
+/**
+ * Present document lines in the shape of excelParser.extractStructuredData
+ * Each line is a one-cell row numbered by its line, so chunking, retries and provenance work unchanged.
+ * @param {object} content - Result of extractDocumentContent
+ * @returns {object} - Structured data with a single Content column
+ */
+const toStructuredData = (content) => {
+  return {
+    header: ['Content'],
+    dataRows: content.lines.map(line => [line.text]),
+    rowNumbers: content.lines.map(line => line.lineNumber),
+    // Headings already carry their "# " marker in the line text
+    rowComments: content.lines.map(() => ''),
+    sectionRowIndexes: [],
+    totalRows: content.lines.length,
+    totalColumns: 1,
+    metadata: {
+      fileName: content.metadata.fileName,
+      sheetName: DOCUMENT_SHEET_NAME,
+      format: { type: content.metadata.format },
+      headerRowNumber: null,
+      hasHeader: false,
+      estimatedSize: content.lines.reduce((total, line) => total + line.text.length, 0)
+    }
+  };
+};
+
+module.exports = {
+  DOCUMENT_EXTENSIONS,
+  isDocumentFile,
+  extractDocumentContent,
+  toStructuredData,
+  htmlToLines,
+  normalizeLineText
+};
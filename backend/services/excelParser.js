@@ -1,13 +1,323 @@
 const XLSX = require('xlsx');
 const fs = require('fs-extra');
 const path = require('path');
+const delimitedTextParser = require('./delimitedTextParser');
+const dataValidationParser = require('./dataValidationParser');
+const sheetLayoutParser = require('./sheetLayoutParser');
+const templateParser = require('./templateParser');
+
+// CSV and TSV files hold a single sheet
+const DELIMITED_SHEET_NAME = 'Sheet1';
+
+// Data rows returned with each sheet for the column-mapping step
+const MAPPING_SAMPLE_ROWS = 5;
+
+/**
+ * Read a workbook from any supported spreadsheet format
+ * .xlsx, .xls and .ods are read by SheetJS; CSV and TSV become a one-sheet workbook of text cells,
+ * so the rest of the pipeline sees the same rows whatever the format.
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<object>} - { workbook, format } format is { type } plus encoding and delimiter for CSV/TSV
+ */
+const readWorkbook = async (filePath) => {
+  const type = path.extname(filePath).toLowerCase().replace('.', '') || 'xlsx';
+
+  try {
+    if (delimitedTextParser.isDelimitedFile(filePath)) {
+      const { rows, encoding, delimiter } = await delimitedTextParser.readDelimitedFile(filePath);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), DELIMITED_SHEET_NAME);
+
+      console.log(`📄 Read ${type.toUpperCase()} file: ${rows.length} lines, ${encoding}, delimiter ${JSON.stringify(delimiter)}`);
+      return { workbook, format: { type, encoding, delimiter } };
+    }
+
+    // The package files are kept so data validation rules and fonts can be read from the worksheet XML;
+    // cellStyles adds hidden rows and cell fills
+    return { workbook: XLSX.readFile(filePath, { bookFiles: true, cellStyles: true }), format: { type } };
+  } catch (readError) {
+    console.error('❌ Failed to read spreadsheet file:', readError);
+    const error = new Error('Invalid or corrupted spreadsheet file');
+    error.code = 'EXCEL_PARSE_ERROR';
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Pick the worksheet to read from a workbook
+ * @param {object} workbook - Workbook returned by readWorkbook
+ * @param {string|null} sheetName - Sheet to read; the first sheet when omitted
+ * @returns {object} - { sheetName, worksheet }
+ */
+const selectSheet = (workbook, sheetName = null) => {
+  if (workbook.SheetNames.length === 0) {
+    const error = new Error('Excel file contains no sheets');
+    error.code = 'EXCEL_PARSE_ERROR';
+    throw error;
+  }
+
+  const selectedName = sheetName || workbook.SheetNames[0];
+
+  if (!workbook.SheetNames.includes(selectedName)) {
+    const error = new Error(`Sheet "${selectedName}" not found in workbook`);
+    error.code = 'SHEET_NOT_FOUND';
+    error.statusCode = 400;
+    error.details = { sheetName: selectedName, availableSheets: workbook.SheetNames };
+    throw error;
+  }
+
+  return { sheetName: selectedName, worksheet: workbook.Sheets[selectedName] };
+};
+
+/**
+ * Fill options from data validation lists and named ranges
+ * A row gets the list of the first dropdown cell outside the question, type, required and dependency
+ * columns when its option cell is empty; an option cell naming a range or defined name is replaced by
+ * the list it refers to. Sheets without an option column get an Options column when any row has a list.
+ * @param {object} workbook - Workbook returned by readWorkbook
+ * @param {string} sheetName - Sheet the entries come from
+ * @param {Array<object>} entries - Non-empty rows [{ rowNumber, cells }], header first; updated in place
+ * @param {number} firstColumn - 0-based sheet column of the first cell
+ * @returns {object} - { validationRules, filledRows, resolvedReferences, addedColumn, unresolved: [{ row, source }] }
+ */
+const applyListOptions = (workbook, sheetName, entries, firstColumn) => {
+  const rules = dataValidationParser.readListValidations(workbook, sheetName);
+  const summary = { validationRules: rules.length, filledRows: 0, resolvedReferences: 0, addedColumn: false, unresolved: [] };
+
+  if (entries.length < 2) {
+    return summary;
+  }
+
+  const fields = entries[0].cells.map(cell => templateParser.resolveColumnField(cell));
+  const optionColumn = fields.indexOf('options');
+  const isOptionSource = (index) => !fields[index] || fields[index] === 'options';
+  const listsByEntry = new Map();
+
+  // First cell of a rule's range on this row that may hold the options, as an index into the row
+  const firstOptionCell = (rule, row) => {
+    const ranges = rule.ranges.filter(range => row >= range.s.r && row <= range.e.r);
+
+    for (const range of ranges) {
+      for (let column = Math.max(range.s.c, firstColumn); column <= range.e.c; column++) {
+        if (isOptionSource(column - firstColumn)) return column - firstColumn;
+      }
+    }
+
+    return -1;
+  };
+
+  entries.slice(1).forEach(entry => {
+    const optionCell = optionColumn === -1 ? '' : entry.cells[optionColumn] || '';
+
+    if (optionCell && dataValidationParser.isListReference(workbook, optionCell, sheetName)) {
+      const options = dataValidationParser.resolveListSource(workbook, optionCell, sheetName);
+
+      if (options && options.length > 0) {
+        listsByEntry.set(entry, options);
+        summary.resolvedReferences++;
+      } else {
+        summary.unresolved.push({ row: entry.rowNumber, source: optionCell });
+      }
+      return;
+    }
+
+    if (optionCell || rules.length === 0) {
+      return;
+    }
+
+    const candidates = rules
+      .map(rule => ({ rule, index: firstOptionCell(rule, entry.rowNumber - 1) }))
+      .filter(candidate => candidate.index !== -1)
+      .sort((a, b) => a.index - b.index);
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    const options = dataValidationParser.resolveListSource(workbook, candidates[0].rule.source, sheetName);
+
+    if (options && options.length > 0) {
+      listsByEntry.set(entry, options);
+      summary.filledRows++;
+    } else {
+      summary.unresolved.push({ row: entry.rowNumber, source: candidates[0].rule.source });
+    }
+  });
+
+  if (listsByEntry.size === 0) {
+    return summary;
+  }
+
+  if (optionColumn === -1) {
+    const width = Math.max(...entries.map(entry => entry.cells.length));
+    entries.forEach((entry, index) => {
+      while (entry.cells.length < width) entry.cells.push('');
+      entry.cells.push(index === 0 ? 'Options' : (listsByEntry.get(entry) || []).join(','));
+    });
+    summary.addedColumn = true;
+  } else {
+    listsByEntry.forEach((options, entry) => {
+      entry.cells[optionColumn] = options.join(',');
+    });
+  }
+
+  console.log(`📋 Options from lists: ${summary.filledRows} rows from data validation, ${summary.resolvedReferences} range references resolved`);
+
+  return summary;
+};
+
+/**
+ * Rename header cells to the template columns a confirmed column mapping assigns them
+ * Header cells are matched by name, ignoring case and surrounding spaces. Unmapped columns whose header
+ * is a template alias are renamed "<header> (not mapped)" so the template parser does not read them.
+ * @param {Array<string>} header - Header row cells, updated in place
+ * @param {object} columnMapping - Template field (question, type, options, ...) to header cell; empty
+ *   values leave the field unmapped
+ * @returns {object} - Field to { column, index } for the mapped fields
+ */
+const applyColumnMapping = (header, columnMapping) => {
+  const findColumn = (name) => header.findIndex(cell => cell.toLowerCase() === name.trim().toLowerCase());
+  const mapped = {};
+  const missingColumns = [];
+
+  Object.entries(columnMapping).forEach(([field, column]) => {
+    if (!column || !templateParser.TEMPLATE_HEADERS[field]) return;
+
+    const index = findColumn(column);
+    if (index === -1) {
+      missingColumns.push({ field, column });
+    } else {
+      mapped[field] = { column: header[index], index };
+    }
+  });
+
+  if (missingColumns.length > 0) {
+    const error = new Error(`Mapped column${missingColumns.length === 1 ? '' : 's'} not found in the sheet header: ${missingColumns.map(entry => entry.column).join(', ')}`);
+    error.code = 'MAPPED_COLUMN_NOT_FOUND';
+    error.statusCode = 400;
+    error.details = { missingColumns, availableColumns: header.filter(cell => cell !== '') };
+    throw error;
+  }
+
+  const mappedIndexes = new Set(Object.values(mapped).map(entry => entry.index));
+
+  header.forEach((cell, index) => {
+    if (!mappedIndexes.has(index) && templateParser.resolveColumnField(cell)) {
+      header[index] = `${cell} (not mapped)`;
+    }
+  });
+
+  Object.entries(mapped).forEach(([field, entry]) => {
+    header[entry.index] = templateParser.TEMPLATE_HEADERS[field];
+  });
+
+  console.log(`🧭 Column mapping: ${Object.entries(mapped).map(([field, entry]) => `${entry.column} → ${field}`).join(', ')}`);
+
+  return mapped;
+};
+
+/**
+ * Prefix the value of a section title row with "# "
+ * @param {Array<string>} cells - Row cells; a section title row has a single filled cell
+ * @returns {Array<string>}
+ */
+const markSectionTitle = (cells) => cells.map(cell => (cell !== '' ? `# ${cell}` : cell));
+
+/**
+ * Read the non-empty rows of a sheet with their sheet row numbers
+ * Cells are trimmed strings. Merged cells are expanded, hidden (filtered) and struck-out data rows are
+ * skipped unless includeHiddenRows is set, and options held in data validation lists and named ranges
+ * are filled in. A columnMapping renames the header first (see applyColumnMapping). A row whose single
+ * value is bold, filled or merged across columns is flagged as a section title, with the value moved to
+ * the question column (the first column when there is none).
+ * @param {object} workbook - Workbook returned by readWorkbook
+ * @param {string} sheetName - Sheet name
+ * @param {object} worksheet - SheetJS worksheet
+ * @param {object} options - { includeHiddenRows, columnMapping }
+ * @returns {object} - { entries: [{ rowNumber, cells, comment, section }], listOptions, layout, columnMapping }
+ *   listOptions summarizes applyListOptions; layout counts merged ranges, skipped rows, comments and section
+ *   titles; columnMapping is the result of applyColumnMapping (null without a mapping)
+ */
+const readSheetEntries = (workbook, sheetName, worksheet, options = {}) => {
+  // Blank rows are kept here so sheet row numbers can be recovered
+  const jsonData = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    raw: false,
+    blankrows: true
+  });
+
+  const range = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : { s: { r: 0, c: 0 }, e: { r: 0, c: 0 } };
+  const sheetLayout = sheetLayoutParser.readSheetLayout(workbook, sheetName, worksheet);
+  const mergedAcross = sheetLayoutParser.expandMergedCells(jsonData, sheetLayout.merges, range.s);
+
+  const rows = jsonData
+    .map((row, index) => {
+      if (!Array.isArray(row)) return null;
+
+      const cleanedRow = row.map(cell => {
+        if (cell === null || cell === undefined) return '';
+        return cell.toString().trim();
+      });
+
+      const hasContent = cleanedRow.some(cell => cell !== '');
+      if (!hasContent) return null;
+
+      const sheetRow = range.s.r + index;
+      return { rowNumber: sheetRow + 1, cells: cleanedRow, ...sheetLayoutParser.describeRow(worksheet, sheetLayout, sheetRow, range) };
+    })
+    .filter(entry => entry !== null);
+
+  // The header row is always kept
+  const isSkipped = (entry, index) => index > 0 && !options.includeHiddenRows && (entry.hidden || entry.struck);
+  const entries = rows.filter((entry, index) => !isSkipped(entry, index));
+
+  const columnMapping = options.columnMapping && entries.length > 0
+    ? applyColumnMapping(entries[0].cells, options.columnMapping)
+    : null;
+
+  const listOptions = applyListOptions(workbook, sheetName, entries, range.s.c);
+
+  const questionColumn = entries.length > 0
+    ? Math.max(0, entries[0].cells.findIndex(cell => templateParser.resolveColumnField(cell) === 'question'))
+    : 0;
+
+  entries.forEach((entry, index) => {
+    const filledCells = entry.cells.filter(cell => cell !== '');
+    entry.section = index > 0 && filledCells.length === 1 && (entry.styled || mergedAcross.has(entry.rowNumber - 1));
+
+    if (entry.section) {
+      const width = Math.max(entry.cells.length, questionColumn + 1);
+      entry.cells = Array.from({ length: width }, (cell, cellIndex) => (cellIndex === questionColumn ? filledCells[0] : ''));
+    }
+  });
+
+  const layout = {
+    mergedRanges: sheetLayout.merges.length,
+    includeHiddenRows: Boolean(options.includeHiddenRows),
+    hiddenRowsSkipped: rows.filter((entry, index) => isSkipped(entry, index) && entry.hidden).length,
+    struckRowsSkipped: rows.filter((entry, index) => isSkipped(entry, index) && !entry.hidden).length,
+    commentedRows: entries.slice(1).filter(entry => entry.comment).length,
+    sectionRows: entries.filter(entry => entry.section).map(entry => entry.rowNumber)
+  };
+
+  if (layout.hiddenRowsSkipped + layout.struckRowsSkipped > 0) {
+    console.log(`🙈 Skipped ${layout.hiddenRowsSkipped} hidden and ${layout.struckRowsSkipped} struck-out rows`);
+  }
+
+  return { entries, listOptions, layout, columnMapping };
+};
 
 /**
  * Extract text content from Excel file optimized for chunking
  * @param {string} filePath - Path to the uploaded Excel file
+ * @param {object} options - { sheetName, includeHiddenRows, columnMapping } sheet to read, defaults to the first
+ *   sheet; includeHiddenRows keeps hidden, filtered and struck-out rows; columnMapping names the columns
+ *   holding the template fields
  * @returns {Promise<string>} - Plain text representation of Excel data
  */
-const extractExcelText = async (filePath) => {
+const extractExcelText = async (filePath, options = {}) => {
   try {
     console.log(`📊 Parsing Excel file: ${filePath}`);
     
@@ -18,60 +328,16 @@ const extractExcelText = async (filePath) => {
       throw error;
     }
 
-    // Read the Excel file
-    let workbook;
-    try {
-      workbook = XLSX.readFile(filePath);
-    } catch (readError) {
-      console.error('❌ Failed to read Excel file:', readError);
-      const error = new Error('Invalid or corrupted Excel file');
-      error.code = 'EXCEL_PARSE_ERROR';
-      throw error;
-    }
+    // Read the spreadsheet file
+    const { workbook } = await readWorkbook(filePath);
 
-    // Get the first sheet (as per requirements)
-    const sheetNames = workbook.SheetNames;
-    if (sheetNames.length === 0) {
-      const error = new Error('Excel file contains no sheets');
-      error.code = 'EXCEL_PARSE_ERROR';
-      throw error;
-    }
-
-    const firstSheetName = sheetNames[0];
-    const worksheet = workbook.Sheets[firstSheetName];
+    const { sheetName, worksheet } = selectSheet(workbook, options.sheetName);
     
-    console.log(`📋 Processing sheet: ${firstSheetName}`);
-
-    // Convert sheet to JSON format for easier processing
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-      header: 1, // Use first row as header
-      defval: '', // Default value for empty cells
-      raw: false, // Get formatted strings
-      blankrows: false // Skip completely blank rows
-    });
-
-    if (jsonData.length === 0) {
-      const error = new Error('Excel sheet is empty');
-      error.code = 'EXCEL_PARSE_ERROR';
-      throw error;
-    }
+    console.log(`📋 Processing sheet: ${sheetName}`);
 
-    // Filter out completely empty rows and clean data
-    const filteredData = jsonData
-      .map(row => {
-        // Clean each cell in the row
-        if (!Array.isArray(row)) return null;
-        
-        const cleanedRow = row.map(cell => {
-          if (cell === null || cell === undefined) return '';
-          return cell.toString().trim();
-        });
-        
-        // Check if row has any meaningful content
-        const hasContent = cleanedRow.some(cell => cell !== '');
-        return hasContent ? cleanedRow : null;
-      })
-      .filter(row => row !== null);
+    // Non-empty rows as trimmed strings, with dropdown lists filled in as options and section titles marked
+    const filteredData = readSheetEntries(workbook, sheetName, worksheet, options).entries
+      .map(entry => (entry.section ? markSectionTitle(entry.cells) : entry.cells));
 
     if (filteredData.length === 0) {
       const error = new Error('Excel sheet contains no data');
@@ -132,9 +398,12 @@ const extractExcelText = async (filePath) => {
 /**
  * Extract structured data from Excel file (for advanced processing)
  * @param {string} filePath - Path to the uploaded Excel file
+ * @param {object} options - { sheetName, includeHiddenRows, columnMapping } sheet to read, defaults to the first
+ *   sheet; includeHiddenRows keeps hidden, filtered and struck-out rows; columnMapping names the columns
+ *   holding the template fields
  * @returns {Promise<object>} - Structured Excel data
  */
-const extractStructuredData = async (filePath) => {
+const extractStructuredData = async (filePath, options = {}) => {
   try {
     console.log(`📊 Extracting structured data from: ${filePath}`);
     
@@ -144,44 +413,26 @@ const extractStructuredData = async (filePath) => {
       throw error;
     }
 
-    const workbook = XLSX.readFile(filePath);
-    const firstSheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[firstSheetName];
+    const { workbook, format } = await readWorkbook(filePath);
+    const { sheetName, worksheet } = selectSheet(workbook, options.sheetName);
     
-    // Get raw data
-    const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-      header: 1,
-      defval: '',
-      raw: false,
-      blankrows: false
-    });
-
-    if (jsonData.length === 0) {
-      throw new Error('Excel sheet is empty');
-    }
+    // Clean and structure the data, remembering each row's 1-based sheet row number
+    const { entries: cleanedEntries, listOptions, layout, columnMapping } = readSheetEntries(workbook, sheetName, worksheet, options);
 
-    // Clean and structure the data
-    const cleanedData = jsonData
-      .map(row => {
-        if (!Array.isArray(row)) return null;
-        
-        const cleanedRow = row.map(cell => {
-          if (cell === null || cell === undefined) return '';
-          return cell.toString().trim();
-        });
-        
-        const hasContent = cleanedRow.some(cell => cell !== '');
-        return hasContent ? cleanedRow : null;
-      })
-      .filter(row => row !== null);
-
-    if (cleanedData.length < 1) {
+    if (cleanedEntries.length < 1) {
       throw new Error('No valid data rows found');
     }
 
+    const cleanedData = cleanedEntries.map(entry => entry.cells);
+
     // Separate header and data rows
     const header = cleanedData[0];
     const dataRows = cleanedData.slice(1);
+    const rowNumbers = cleanedEntries.slice(1).map(entry => entry.rowNumber);
+    const rowComments = cleanedEntries.slice(1).map(entry => entry.comment);
+    const sectionRowIndexes = cleanedEntries.slice(1)
+      .map((entry, index) => (entry.section ? index : -1))
+      .filter(index => index !== -1);
 
     // Normalize column count
     const maxColumns = Math.max(header.length, ...dataRows.map(row => row.length));
@@ -204,12 +455,20 @@ const extractStructuredData = async (filePath) => {
     return {
       header: normalizedHeader,
       dataRows: normalizedDataRows,
+      rowNumbers,
+      rowComments,
+      sectionRowIndexes,
       totalRows: normalizedDataRows.length,
       totalColumns: maxColumns,
       metadata: {
         fileName: path.basename(filePath),
-        sheetName: firstSheetName,
+        sheetName,
+        format,
+        headerRowNumber: cleanedEntries[0].rowNumber,
         hasHeader: true,
+        listOptions,
+        layout,
+        columnMapping,
         estimatedSize: JSON.stringify(cleanedData).length
       }
     };
@@ -227,14 +486,80 @@ const extractStructuredData = async (filePath) => {
   }
 };
 
+/**
+ * Build pipe delimited text with a leading Row column holding each row's sheet row number
+ * The AI echoes the number back as sourceRow so items can be traced to their rows.
+ * The titles of rows flagged as section titles start with "# ", as in extractExcelText.
+ * @param {object} structuredData - Result of extractStructuredData
+ * @param {Array<number>} dataIndexes - Data rows to include (defaults to all)
+ * @returns {string} - Header plus numbered rows in extractExcelText format
+ */
+const buildRowNumberedText = (structuredData, dataIndexes = null) => {
+  const indexes = dataIndexes || structuredData.dataRows.map((row, index) => index);
+  const sectionRowIndexes = new Set(structuredData.sectionRowIndexes || []);
+  const rowCells = (index) => {
+    const row = structuredData.dataRows[index];
+    return sectionRowIndexes.has(index) ? markSectionTitle(row) : row;
+  };
+  const lines = [
+    ['Row', ...structuredData.header],
+    ...indexes.map(index => [structuredData.rowNumbers[index], ...rowCells(index)])
+  ];
+
+  return lines.map(cells => cells.join(' | ')).join('\n') + '\n';
+};
+
+/**
+ * Cell comments of the data rows, keyed by sheet row number
+ * Comments become item descriptions after extraction but are not part of the row text, so cache keys
+ * need them separately.
+ * @param {object} structuredData - Structured data from extractStructuredData
+ * @returns {object} - { [rowNumber]: comment } for commented rows only
+ */
+const getRowComments = (structuredData) => Object.fromEntries((structuredData.rowComments || [])
+  .map((comment, index) => [structuredData.rowNumbers[index], comment])
+  .filter(([, comment]) => comment));
+
 /**
  * Analyze Excel file for chunking optimization
  * @param {string} filePath - Path to the Excel file
+ * @param {object} options - { sheetName, includeHiddenRows, columnMapping } sheet to analyze, defaults to the first sheet
  * @returns {Promise<object>} - Analysis results
  */
-const analyzeExcelForChunking = async (filePath) => {
+const analyzeExcelForChunking = async (filePath, options = {}) => {
+  try {
+    return analyzeStructuredData(await extractStructuredData(filePath, options));
+  } catch (error) {
+    return analysisError(error);
+  }
+};
+
+/**
+ * Fallback analysis when a sheet cannot be analyzed
+ * @param {Error} error - Analysis error
+ * @returns {object}
+ */
+const analysisError = (error) => {
+  console.error('❌ Error analyzing Excel file:', error);
+  return {
+    error: error.message,
+    fileStats: null,
+    chunkingRecommendation: {
+      needsChunking: true, // Default to safe chunking
+      estimatedChunks: 1,
+      optimalRowsPerChunk: 20,
+      riskFactors: ['Analysis failed - using conservative chunking']
+    }
+  };
+};
+
+/**
+ * Analyze already extracted sheet data for chunking optimization
+ * @param {object} structuredData - Result of extractStructuredData
+ * @returns {object} - Analysis results
+ */
+const analyzeStructuredData = (structuredData) => {
   try {
-    const structuredData = await extractStructuredData(filePath);
     
     // Calculate row size statistics
     const rowSizes = structuredData.dataRows.map(row => {
@@ -296,17 +621,7 @@ const analyzeExcelForChunking = async (filePath) => {
     return analysis;
 
   } catch (error) {
-    console.error('❌ Error analyzing Excel file:', error);
-    return {
-      error: error.message,
-      fileStats: null,
-      chunkingRecommendation: {
-        needsChunking: true, // Default to safe chunking
-        estimatedChunks: 1,
-        optimalRowsPerChunk: 20,
-        riskFactors: ['Analysis failed - using conservative chunking']
-      }
-    };
+    return analysisError(error);
   }
 };
 
@@ -330,11 +645,38 @@ const cleanupFile = async (filePath) => {
 /**
  * Validate Excel file format and structure for checklist processing
  * @param {string} filePath - Path to the Excel file
+ * @param {object} options - { sheetName, includeHiddenRows, columnMapping } sheet to validate, defaults to the first sheet
  * @returns {Promise<object>} - Validation result with details
  */
-const validateExcelFormat = async (filePath) => {
+const validateExcelFormat = async (filePath, options = {}) => {
+  try {
+    return validateStructuredData(await extractStructuredData(filePath, options));
+  } catch (error) {
+    return formatValidationError(error);
+  }
+};
+
+/**
+ * Failed format validation
+ * @param {Error} error - Validation error
+ * @returns {object}
+ */
+const formatValidationError = (error) => ({
+  isValid: false,
+  errors: [`Failed to validate Excel format: ${error.message}`],
+  warnings: [],
+  metadata: {
+    error: error.message
+  }
+});
+
+/**
+ * Validate the format of already extracted sheet data
+ * @param {object} structuredData - Result of extractStructuredData
+ * @returns {object} - { isValid, errors, warnings, metadata }
+ */
+const validateStructuredData = (structuredData) => {
   try {
-    const structuredData = await extractStructuredData(filePath);
     
     const validation = {
       isValid: true,
@@ -389,9 +731,10 @@ const validateExcelFormat = async (filePath) => {
       validation.warnings.push(`Found ${emptyRowCount} empty rows that will be skipped`);
     }
 
-    // Check for minimum viable data
+    // Check for minimum viable data, in the question column or the first column when none is named
+    const questionColumn = Math.max(0, structuredData.header.findIndex(cell => templateParser.resolveColumnField(cell) === 'question'));
     const viableRows = structuredData.dataRows.filter(row => 
-      row[0] && row[0].trim() !== '' // At least question column has content
+      row[questionColumn] && row[questionColumn].trim() !== '' // At least question column has content
     );
 
     if (viableRows.length === 0) {
@@ -411,15 +754,59 @@ const validateExcelFormat = async (filePath) => {
     return validation;
 
   } catch (error) {
+    return formatValidationError(error);
+  }
+};
+
+/**
+ * List the sheets of a workbook so the user can choose which ones to extract
+ * Each sheet is extracted as its own checklist. Rows are read as an extraction reads them (readSheetEntries),
+ * so rowCount counts the rows extracted including the header, and hidden, filtered and struck-out rows are
+ * left out. mapping feeds the column-mapping step: the header cells in place, the first data rows (merged
+ * cells expanded, dropdown options filled in, section titles left out), whether the header already matches
+ * the template and the suggested column for each template field.
+ * @param {string} filePath - Path to the Excel file
+ * @returns {Promise<Array>} - [{ name, index, rowCount, columnCount, hasData, range, header,
+ *   mapping: { columns, sampleRows, matchesTemplate, suggested, basis } }]
+ */
+const listSheets = async (filePath) => {
+  if (!await fs.pathExists(filePath)) {
+    const error = new Error('Excel file not found');
+    error.code = 'FILE_NOT_FOUND';
+    throw error;
+  }
+
+  const { workbook } = await readWorkbook(filePath);
+
+  return workbook.SheetNames.map((name, index) => {
+    const sheet = workbook.Sheets[name];
+    const { entries } = readSheetEntries(workbook, name, sheet);
+    const rows = entries.map(entry => entry.cells);
+
+    const columns = rows.length > 0 ? rows[0] : [];
+    const sampleRows = entries.slice(1)
+      .filter(entry => !entry.section)
+      .slice(0, MAPPING_SAMPLE_ROWS)
+      .map(entry => entry.cells);
+    const suggestion = templateParser.suggestColumnMapping(columns, sampleRows);
+
     return {
-      isValid: false,
-      errors: [`Failed to validate Excel format: ${error.message}`],
-      warnings: [],
-      metadata: {
-        error: error.message
+      name,
+      index,
+      rowCount: rows.length,
+      columnCount: Math.max(0, ...rows.map(row => row.length)),
+      hasData: rows.length > 1,
+      range: sheet['!ref'] || 'A1:A1',
+      header: columns.filter(cell => cell !== ''),
+      mapping: {
+        columns,
+        sampleRows,
+        matchesTemplate: templateParser.resolveColumns(columns) !== null,
+        suggested: suggestion.mapping,
+        basis: suggestion.basis
       }
     };
-  }
+  });
 };
 
 /**
@@ -430,7 +817,7 @@ const validateExcelFormat = async (filePath) => {
 const getExcelMetadata = async (filePath) => {
   try {
     const stats = await fs.stat(filePath);
-    const workbook = XLSX.readFile(filePath);
+    const { workbook, format } = await readWorkbook(filePath);
     const analysis = await analyzeExcelForChunking(filePath);
     
     const metadata = {
@@ -440,7 +827,8 @@ const getExcelMetadata = async (filePath) => {
         sizeMB: (stats.size / 1024 / 1024).toFixed(2),
         createdAt: stats.birthtime,
         modifiedAt: stats.mtime,
-        extension: path.extname(filePath)
+        extension: path.extname(filePath),
+        format
       },
       workbook: {
         sheetNames: workbook.SheetNames,
@@ -460,7 +848,7 @@ const getExcelMetadata = async (filePath) => {
       processing: {
         supportsChunking: true,
         recommendedChunking: analysis.chunkingRecommendation?.needsChunking || false,
-        estimatedProcessingTime: this.estimateProcessingTime(analysis)
+        estimatedProcessingTime: estimateProcessingTime(analysis)
       }
     };
 
@@ -549,11 +937,17 @@ const preprocessExcelForAI = async (filePath) => {
 };
 
 module.exports = {
+  readWorkbook,
   extractExcelText,
   extractStructuredData,
+  buildRowNumberedText,
+  getRowComments,
   analyzeExcelForChunking,
+  analyzeStructuredData,
   cleanupFile,
   validateExcelFormat,
+  validateStructuredData,
+  listSheets,
   getExcelMetadata,
   preprocessExcelForAI,
   estimateProcessingTime
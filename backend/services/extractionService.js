@@ -0,0 +1,748 @@
+const excelParser = require('./excelParser');
+const documentParser = require('./documentParser');
+const aiService = require('./aiService');
+const templateParser = require('./templateParser');
+const provenanceService = require('./provenanceService');
+const dependencyValidator = require('./dependencyValidator');
+const progressService = require('./progressService');
+const jobService = require('./jobService');
+const cacheService = require('./cacheService');
+const usageService = require('./usageService');
+
+/**
+ * Create an error carrying an HTTP status and response details
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {number} statusCode - HTTP status for the result endpoint
+ * @param {object} details - Extra details for the client
+ * @returns {Error}
+ */
+const createExtractionError = (message, code, statusCode, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Throw if the job has been cancelled
+ * @param {AbortSignal} signal - Job abort signal
+ */
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) {
+    const error = new Error('Extraction job was cancelled');
+    error.code = 'JOB_CANCELLED';
+    throw error;
+  }
+};
+
+/**
+ * Publish a progress event for a job and remember it as the job's latest progress
+ * @param {string} jobId - Job identifier
+ * @param {object} progressData - Progress payload
+ */
+const publishProgress = (jobId, progressData) => {
+  progressService.publish(jobId, progressData);
+  jobService.updateProgress(jobId, progressData);
+};
+
+/**
+ * Create progress callback for AI service, scoped to one job
+ * @param {string} jobId - Job identifier
+ * @returns {Function} - Progress callback
+ */
+const createProgressCallback = (jobId) => {
+  return (progressData) => {
+    console.log(`📊 [${jobId}] Progress: Chunk ${progressData.chunkIndex + 1}/${progressData.totalChunks} - ${progressData.status}`);
+
+    // Concurrent chunks finish out of order, so prefer the finished-chunk count when it is reported
+    const chunksDone = progressData.completedChunks !== undefined
+      ? progressData.completedChunks
+      : progressData.chunkIndex + 1;
+
+    publishProgress(jobId, {
+      currentChunk: chunksDone,
+      totalChunks: progressData.totalChunks,
+      currentAttempt: progressData.attempt,
+      maxAttempts: progressData.maxAttempts,
+      status: progressData.status,
+      percentage: Math.round((chunksDone / progressData.totalChunks) * 100)
+    });
+  };
+};
+
+/**
+ * Describe failed chunks as validation warnings
+ * @param {Array} failedChunks - Failed chunk entries from aiService
+ * @returns {Array<string>} - One warning per failed chunk
+ */
+const describeFailedChunks = (failedChunks) => {
+  return failedChunks.map(chunk =>
+    `Sheet rows ${chunk.sheetRows} (chunk ${chunk.chunkIndex}) could not be extracted: ${chunk.error}`
+  );
+};
+
+/**
+ * Describe dropped items and truncated output from repaired AI responses as validation warnings
+ * @param {object} responseRepair - Summary from responseRepair.summarizeRepairs
+ * @returns {Array<string>} - One warning per dropped item or truncated response
+ */
+const describeResponseRepairs = (responseRepair) => {
+  if (!responseRepair) {
+    return [];
+  }
+
+  return responseRepair.chunks.flatMap(chunk => [
+    ...(chunk.truncated ? [`AI response for chunk ${chunk.chunkIndex} was truncated; rows after its last complete item may be missing`] : []),
+    ...chunk.dropped.map(item => `AI response for chunk ${chunk.chunkIndex}: dropped item ${item.index + 1} (${item.reason}): ${item.excerpt}`)
+  ]);
+};
+
+/**
+ * Add the sheet row range to failed chunks, whose own ranges count data rows only
+ * @param {Array} failedChunks - Failed chunk entries from aiService
+ * @param {Array<number>} rowNumbers - Sheet row numbers of the data rows
+ * @returns {Array} - Failed chunks with sheetRows
+ */
+const withSheetRows = (failedChunks, rowNumbers) => {
+  return failedChunks.map(chunk => ({
+    ...chunk,
+    sheetRows: `${rowNumbers[chunk.startRow - 1]}-${rowNumbers[chunk.endRow - 1]}`
+  }));
+};
+
+/**
+ * Insert items after the item with the given ID, giving them fresh IDs
+ * @param {Array} checklist - Current checklist
+ * @param {number} insertAfterId - ID of the preceding item (0 inserts at the start)
+ * @param {Array} items - Items to insert
+ * @returns {object} - { checklist, inserted }
+ */
+const spliceChecklistItems = (checklist, insertAfterId, items) => {
+  let nextId = Math.max(0, ...checklist.map(item => item.id)) + 1;
+  const inserted = items.map(item => ({ ...item, id: nextId++ }));
+  const position = insertAfterId > 0 ? checklist.findIndex(item => item.id === insertAfterId) + 1 : 0;
+
+  return {
+    checklist: [...checklist.slice(0, position), ...inserted, ...checklist.slice(position)],
+    inserted
+  };
+};
+
+/**
+ * Use the cell comments of each item's source row as its description
+ * Items that already have a description keep it.
+ * @param {Array} checklist - Items with provenance attached
+ * @param {object} structuredData - Structured data the items were linked to
+ * @returns {Array} - Checklist with descriptions
+ */
+const applyRowComments = (checklist, structuredData) => {
+  const commentByRow = excelParser.getRowComments(structuredData);
+
+  return checklist.map(item => {
+    const comment = item.source ? commentByRow[item.source.row] : null;
+    return comment && !item.description ? { ...item, description: comment } : item;
+  });
+};
+
+/**
+ * Serve a cached extraction of the same sheet text as this job's result
+ * @param {object} cached - { value, cachedAt } from cacheService
+ * @param {string} jobId - Current job ID
+ * @param {object} file - Multer file object
+ * @param {string|null} sheetName - Sheet this job extracted
+ * @returns {object} - Extraction response body
+ */
+const buildCachedResponse = (cached, jobId, file, sheetName) => {
+  const response = cached.value;
+
+  response.jobId = jobId;
+  response.message = `${response.message} (cached)`;
+  response.metadata = {
+    ...response.metadata,
+    fileName: file.originalname,
+    sheetName: sheetName || response.metadata.sheetName,
+    fileSize: file.size,
+    originalFileSize: file.size,
+    processedAt: new Date().toISOString(),
+    // Serving from the file cache makes no AI requests
+    processingStats: response.metadata.processingStats
+      ? { ...response.metadata.processingStats, usage: usageService.summarizeJob([]) }
+      : null,
+    cache: {
+      hit: true,
+      cachedAt: cached.cachedAt,
+      cachedChunks: response.metadata.processingStats ? response.metadata.processingStats.totalChunks : 0,
+      bypassed: false
+    }
+  };
+
+  return response;
+};
+
+/**
+ * Run the full extraction pipeline for an uploaded file
+ * Word documents and PDFs skip sheet analysis and the template parser; their lines always go to AI
+ * with the document prompt.
+ * @param {object} job - Job record from jobService (id, signal)
+ * @param {object} file - Multer file object
+ * @param {object} options - { bypassCache, sheetName, includeHiddenRows, columnMapping } bypassCache ignores
+ *   cached results (fresh results are still cached); sheetName picks the workbook sheet, defaulting to the
+ *   first one; includeHiddenRows keeps hidden, filtered and struck-out rows; columnMapping names the sheet
+ *   columns holding the template fields
+ * @returns {Promise<object>} - Extraction response body
+ */
+const runExtraction = async (job, file, options = {}) => {
+  const jobId = job.id;
+  const signal = job.signal;
+  const bypassCache = Boolean(options.bypassCache);
+  const sheetOptions = {
+    sheetName: options.sheetName || null,
+    includeHiddenRows: Boolean(options.includeHiddenRows),
+    columnMapping: options.columnMapping || null
+  };
+  const sourceType = documentParser.isDocumentFile(file.path) ? 'document' : 'sheet';
+
+  // AI requests made for this job (usage entries from aiService)
+  job.usage = [];
+
+  console.log(`📊 Processing file: ${file.originalname}${options.sheetName ? ` [${options.sheetName}]` : ''} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
+
+  // CREATE PROGRESS CALLBACK
+  const progressCallback = createProgressCallback(jobId);
+
+  // SEND INITIAL PROGRESS UPDATE
+  publishProgress(jobId, {
+    currentChunk: 0,
+    totalChunks: 0,
+    currentAttempt: 1,
+    maxAttempts: 1,
+    status: sourceType === 'document' ? 'Reading document...' : 'Analyzing Excel file...',
+    percentage: 0
+  });
+
+  // The sheet is parsed once: its rows with their sheet row numbers (document lines with their line
+  // numbers) feed the analysis, the format check, the AI text and provenance
+  let document = null;
+  let structuredData;
+  let fileAnalysis = { error: 'Not a spreadsheet' };
+
+  if (sourceType === 'document') {
+    document = await documentParser.extractDocumentContent(file.path);
+    structuredData = documentParser.toStructuredData(document);
+  } else {
+    // Step 1: Analyze Excel file for optimal processing strategy
+    console.log('🔍 Analyzing Excel file...');
+    structuredData = await excelParser.extractStructuredData(file.path, sheetOptions);
+    fileAnalysis = excelParser.analyzeStructuredData(structuredData);
+
+    if (fileAnalysis.error) {
+      console.warn('⚠️ File analysis failed, proceeding with basic parsing');
+    } else {
+      console.log(`📊 File analysis: ${fileAnalysis.fileStats.totalRows} rows, chunking needed: ${fileAnalysis.chunkingRecommendation.needsChunking}`);
+    }
+  }
+
+  throwIfCancelled(signal);
+
+  // Update progress
+  publishProgress(jobId, {
+    currentChunk: 0,
+    totalChunks: 0,
+    currentAttempt: 1,
+    maxAttempts: 1,
+    status: sourceType === 'document' ? 'Extracting document content...' : 'Extracting Excel content...',
+    percentage: 10
+  });
+
+  // Step 2: Sheet text (or the numbered document lines) for AI processing, with each row's sheet row number
+  console.log('📝 Extracting Excel content...');
+  const excelText = excelParser.buildRowNumberedText(structuredData);
+
+  if (structuredData.dataRows.length === 0) {
+    throw createExtractionError('Excel file appears to be empty or unreadable', 'EMPTY_FILE', 400, {
+      message: 'Please ensure the Excel file contains data in the correct format'
+    });
+  }
+
+  console.log(`📝 Extracted text (${excelText.length} characters)`);
+
+  // The same workbook text and cell comments with the same provider, model and prompt give the same result
+  const rowComments = excelParser.getRowComments(structuredData);
+  const fileCacheKey = cacheService.buildKey('file', excelText, {
+    ...aiService.getCacheContext(undefined, undefined, sourceType),
+    rowSignature: aiService.getRowSignature(excelText, rowComments)
+  });
+
+  if (!bypassCache) {
+    const cached = cacheService.get(fileCacheKey);
+    if (cached) {
+      console.log(`💾 File cache hit, reusing extraction from ${cached.cachedAt}`);
+      return buildCachedResponse(cached, jobId, file, options.sheetName);
+    }
+  }
+
+  // Step 3: Try the rule-based template parser before involving AI
+  const formatValidation = document ? null : excelParser.validateStructuredData(structuredData);
+  let templateResult = null;
+
+  // A confirmed column mapping has already renamed the header to the template columns
+  if (formatValidation?.metadata?.hasValidHeader || structuredData.metadata.columnMapping) {
+    templateResult = templateParser.parseTemplateRows(structuredData.header, structuredData.dataRows, structuredData.sectionRowIndexes);
+  }
+
+  const useTemplate = templateResult && templateResult.parsed.length > 0;
+
+  throwIfCancelled(signal);
+
+  // Update progress
+  publishProgress(jobId, {
+    currentChunk: 0,
+    totalChunks: 0,
+    currentAttempt: 1,
+    maxAttempts: 1,
+    status: useTemplate ? 'Parsing template rows...' : 'Preparing AI processing...',
+    percentage: 20
+  });
+
+  let processingMetadata = {
+    originalFileSize: file.size,
+    extractedTextLength: excelText.length,
+    analysisResult: fileAnalysis.error ? null : fileAnalysis,
+    aiProvider: aiService.getStatus().provider,
+    sourceType,
+    document: document ? document.metadata : null,
+    parsingMode: 'ai',
+    templateStats: useTemplate ? templateResult.stats : null,
+    listOptions: structuredData.metadata.listOptions || null,
+    layout: structuredData.metadata.layout || null,
+    columnMapping: structuredData.metadata.columnMapping || null,
+    chunkingUsed: false,
+    processingStats: null,
+    tokenUsage: null,
+    responseRepair: null,
+    cache: { hit: false, cachedAt: null, cachedChunks: 0, bypassed: bypassCache }
+  };
+
+  // Progress tracking for chunked processing
+  const progressData = {
+    totalChunks: 0,
+    processedChunks: 0,
+    failedChunks: 0,
+    startTime: Date.now()
+  };
+
+  // Expose finished chunks as partial results and allow cancellation between chunks;
+  // every AI request is kept on the job for usage accounting
+  const aiOptions = {
+    signal,
+    bypassCache,
+    sourceType,
+    rowComments,
+    onUsage: (entry) => job.usage.push(entry),
+    onChunkComplete: (chunkResult) => {
+      if (chunkResult.success) {
+        jobService.addPartialResult(jobId, chunkResult.chunkIndex, chunkResult.data);
+      }
+    }
+  };
+
+  let extractedChecklist;
+  let failedChunks = [];
+  const parsingWarnings = (structuredData.metadata.listOptions?.unresolved || []).map(entry =>
+    `Sheet row ${entry.row}: option list ${entry.source} could not be resolved`
+  );
+
+  // Record chunk counts from an AI extraction result
+  const recordChunkStats = (stats) => {
+    progressData.totalChunks += stats.totalChunks;
+    progressData.processedChunks += stats.successfulChunks;
+    progressData.failedChunks += stats.failedChunks;
+    processingMetadata.cache.cachedChunks += stats.cachedChunks;
+  };
+
+  if (useTemplate) {
+    // Well-formed rows are mapped directly; AI only repairs the rows the parser could not interpret
+    let repairedItems = [];
+    let repairText = null;
+    let repairFailures = [];
+    let repairChunkCount = 0;
+
+    if (templateResult.unparsed.length > 0) {
+      console.log(`🤖 Repairing ${templateResult.unparsed.length} unparsed rows with AI...`);
+      try {
+        repairText = excelParser.buildRowNumberedText(structuredData, templateResult.unparsed.map(entry => entry.rowIndex));
+        const repairResult = await aiService.extractChecklist(repairText, progressCallback, aiOptions);
+        repairedItems = repairResult.checklist;
+        repairFailures = repairResult.failedChunks;
+        repairChunkCount = repairResult.stats.totalChunks;
+        recordChunkStats(repairResult.stats);
+        processingMetadata.tokenUsage = repairResult.tokenUsage;
+        processingMetadata.responseRepair = repairResult.responseRepair;
+        parsingWarnings.push(...describeResponseRepairs(repairResult.responseRepair));
+      } catch (repairError) {
+        if (repairError.code === 'JOB_CANCELLED') {
+          throw repairError;
+        }
+        console.error('⚠️ AI repair failed, keeping rule-based items only:', repairError.message);
+        parsingWarnings.push(`AI repair failed: ${repairError.message}`);
+      }
+    }
+
+    const mergeResult = templateParser.mergeRepairedItems(templateResult, repairedItems, structuredData.rowNumbers);
+    extractedChecklist = mergeResult.checklist;
+    parsingWarnings.push(...mergeResult.warnings);
+    processingMetadata.parsingMode = repairedItems.length > 0 ? 'template+ai' : 'template';
+
+    // Repair chunk rows are the unparsed rows: report them by their sheet row numbers and place them after
+    // the last item from an earlier row, so a retry splices the recovered items back in order
+    failedChunks = repairFailures.map(chunk => {
+      const rows = templateResult.unparsed
+        .slice(chunk.startRow - 1, chunk.endRow)
+        .map(entry => structuredData.rowNumbers[entry.rowIndex]);
+      const preceding = extractedChecklist.filter(item => parseInt(item.sourceRow) < rows[0]);
+
+      return {
+        ...chunk,
+        sheetRows: rows.join(', '),
+        insertAfterId: preceding.length > 0 ? preceding[preceding.length - 1].id : 0
+      };
+    });
+    parsingWarnings.push(...describeFailedChunks(failedChunks));
+
+    if (failedChunks.length > 0) {
+      job.retryContext = { excelText: repairText, structuredData, totalChunks: repairChunkCount, sourceType };
+    }
+  } else {
+    // Step 4: Enhanced extraction with chunking and progress tracking
+    console.log('🤖 Processing with AI (chunking enabled)...');
+
+    // Extract checklist with chunking support and real-time progress
+    const aiResult = await aiService.extractChecklist(excelText, progressCallback, aiOptions);
+    extractedChecklist = aiResult.checklist;
+    failedChunks = withSheetRows(aiResult.failedChunks, structuredData.rowNumbers);
+    recordChunkStats(aiResult.stats);
+    processingMetadata.tokenUsage = aiResult.tokenUsage;
+    processingMetadata.responseRepair = aiResult.responseRepair;
+    parsingWarnings.push(...describeFailedChunks(failedChunks));
+    parsingWarnings.push(...describeResponseRepairs(aiResult.responseRepair));
+
+    // Keep the sheet text so the failed row ranges can be re-run later
+    if (failedChunks.length > 0) {
+      job.retryContext = { excelText, structuredData, totalChunks: aiResult.stats.totalChunks, sourceType };
+    }
+  }
+
+  processingMetadata.chunkingUsed = progressData.totalChunks > 1;
+
+  throwIfCancelled(signal);
+
+  // Update processing stats
+  const endTime = Date.now();
+  processingMetadata.processingStats = {
+    totalChunks: progressData.totalChunks,
+    processedChunks: progressData.processedChunks,
+    failedChunks: progressData.failedChunks,
+    processingTimeMs: endTime - progressData.startTime,
+    processingTimeSeconds: Math.round((endTime - progressData.startTime) / 1000),
+    averageTimePerChunk: progressData.totalChunks > 0 ? Math.round((endTime - progressData.startTime) / progressData.totalChunks) : 0,
+    usage: usageService.summarizeJob(job.usage)
+  };
+
+  console.log(`⏱️ Processing completed in ${processingMetadata.processingStats.processingTimeSeconds}s`);
+
+  // Step 5: Validate extracted checklist
+  const validation = aiService.validateChecklist(extractedChecklist);
+  validation.warnings.unshift(...parsingWarnings);
+
+  if (!validation.isValid) {
+    throw createExtractionError('Extracted checklist contains errors', 'VALIDATION_FAILED', 400, {
+      errors: validation.errors,
+      warnings: validation.warnings,
+      processingMetadata
+    });
+  }
+
+  // With failed chunks the job completes empty, so the failed rows can still be retried
+  if (extractedChecklist.length === 0 && failedChunks.length === 0) {
+    throw createExtractionError('No valid checklist items could be extracted from the file', 'NO_ITEMS_EXTRACTED', 400, {
+      message: document
+        ? 'No questions or form fields were found in the document'
+        : 'Please check that your Excel file follows the correct format: question|type|option|required|isDependent|dependentOn|dependentOptions',
+      excelPreview: excelText.substring(0, 200) + '...',
+      warnings: validation.warnings,
+      failedChunks,
+      processingMetadata
+    });
+  }
+
+  // Step 6: Link every item to the sheet row it came from; comments on that row become its description
+  const provenance = provenanceService.attachProvenance(extractedChecklist, structuredData);
+  extractedChecklist = applyRowComments(provenance.checklist, structuredData);
+
+  if (provenance.unmatched > 0) {
+    validation.warnings.push(`${provenance.unmatched} items could not be linked to a source row`);
+  }
+
+  processingMetadata.provenance = {
+    sheetName: structuredData.metadata.sheetName,
+    linkedItems: extractedChecklist.length - provenance.unmatched,
+    unlinkedItems: provenance.unmatched,
+    itemsWithDifferences: extractedChecklist.filter(item => item.source && item.source.differences.length > 0).length
+  };
+
+  // Dependency problems do not fail the extraction; they are fixed in review, and submission rejects the errors
+  const dependencyIssues = dependencyValidator.validateDependencies(extractedChecklist).issues;
+
+  if (dependencyIssues.length > 0) {
+    validation.warnings.push(`${dependencyIssues.length} dependency problem${dependencyIssues.length === 1 ? '' : 's'} found`);
+  }
+
+  console.log(`✅ Successfully extracted ${extractedChecklist.length} checklist items using ${processingMetadata.parsingMode} parsing`);
+
+  // Prepare response with enhanced metadata
+  const response = {
+    success: true,
+    message: `Successfully extracted ${extractedChecklist.length} checklist items`,
+    jobId: jobId,
+    checklist: extractedChecklist,
+    failedChunks,
+    validation: {
+      warnings: validation.warnings,
+      dependencyIssues,
+      itemCount: extractedChecklist.length,
+      isValid: validation.isValid
+    },
+    metadata: {
+      fileName: file.originalname,
+      sheetName: structuredData.metadata.sheetName,
+      fileSize: file.size,
+      itemCount: extractedChecklist.length,
+      processedAt: new Date().toISOString(),
+      ...processingMetadata
+    }
+  };
+
+  // Add performance insights for large files
+  if (processingMetadata.chunkingUsed) {
+    response.performance = {
+      chunkingEnabled: true,
+      totalChunks: processingMetadata.processingStats.totalChunks,
+      processingTime: `${processingMetadata.processingStats.processingTimeSeconds}s`,
+      averageChunkTime: `${Math.round(processingMetadata.processingStats.averageTimePerChunk / 1000)}s`,
+      recommendation: processingMetadata.processingStats.totalChunks > 5
+        ? 'Consider breaking very large files into smaller ones for faster processing'
+        : 'File processed efficiently with chunking'
+    };
+  }
+
+  // Partial results are not cached, so a re-upload gets another chance at the failed rows
+  if (failedChunks.length === 0) {
+    cacheService.set(fileCacheKey, response);
+  }
+
+  return response;
+};
+
+/**
+ * Re-run the failed chunks of a completed job and splice recovered items into its result
+ * @param {object} job - Completed job record
+ * @param {Array<number>} chunkIndexes - 1-based chunk numbers to retry, or null for all failed chunks
+ * @returns {Promise<object>} - Retry response body
+ */
+const retryFailedChunks = async (job, chunkIndexes = null) => {
+  const result = job.result;
+
+  if (!result || !job.retryContext || result.failedChunks.length === 0) {
+    throw createExtractionError('This job has no failed chunks to retry', 'NO_FAILED_CHUNKS', 409);
+  }
+
+  if (job.retrying) {
+    throw createExtractionError('A retry is already running for this job', 'RETRY_IN_PROGRESS', 409);
+  }
+
+  if (chunkIndexes) {
+    const unknownChunks = chunkIndexes.filter(index => !result.failedChunks.some(chunk => chunk.chunkIndex === index));
+
+    if (unknownChunks.length > 0) {
+      throw createExtractionError('Some requested chunks did not fail in this job', 'CHUNK_NOT_FAILED', 400, {
+        unknownChunks,
+        failedChunks: result.failedChunks.map(chunk => chunk.chunkIndex)
+      });
+    }
+  }
+
+  const targets = chunkIndexes
+    ? result.failedChunks.filter(chunk => chunkIndexes.includes(chunk.chunkIndex))
+    : result.failedChunks;
+
+  job.retrying = true;
+
+  try {
+    const { excelText, structuredData, totalChunks, sourceType } = job.retryContext;
+    const retryUsage = [];
+    const { recovered, failed } = await aiService.retryFailedChunks(excelText, targets, totalChunks, {
+      sourceType,
+      rowComments: excelParser.getRowComments(structuredData),
+      onUsage: (entry) => retryUsage.push(entry)
+    });
+
+    job.usage.push(...retryUsage);
+    usageService.record(job.id, retryUsage);
+
+    // Splice each recovered range in after the item that preceded it in the original extraction
+    let checklist = result.checklist;
+    const recoveredChunks = recovered.map(entry => {
+      const linkedItems = applyRowComments(
+        provenanceService.attachProvenance(entry.items, structuredData, { matchByOrder: false }).checklist,
+        structuredData
+      );
+      const spliced = spliceChecklistItems(checklist, entry.insertAfterId, linkedItems);
+      checklist = spliced.checklist;
+      return { ...entry, items: spliced.inserted };
+    });
+
+    result.checklist = checklist;
+    result.failedChunks = result.failedChunks
+      .filter(chunk => !targets.includes(chunk))
+      .concat(failed)
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    const validation = aiService.validateChecklist(checklist);
+    result.validation = {
+      warnings: [...describeFailedChunks(result.failedChunks), ...validation.warnings],
+      dependencyIssues: dependencyValidator.validateDependencies(checklist).issues,
+      itemCount: checklist.length,
+      isValid: validation.isValid
+    };
+    result.metadata.itemCount = checklist.length;
+    result.metadata.processingStats.usage = usageService.summarizeJob(job.usage);
+
+    const recoveredCount = recoveredChunks.reduce((total, entry) => total + entry.items.length, 0);
+
+    return {
+      success: true,
+      message: `Recovered ${recoveredCount} items from ${recoveredChunks.length} of ${targets.length} failed chunks`,
+      jobId: job.id,
+      recovered: recoveredChunks,
+      failedChunks: result.failedChunks,
+      checklist,
+      validation: result.validation
+    };
+  } finally {
+    job.retrying = false;
+  }
+};
+
+/**
+ * Build the error response body for a failed extraction
+ * @param {Error} error - Error thrown by runExtraction
+ * @param {string} jobId - Job identifier
+ * @returns {object} - Error response body
+ */
+const buildErrorResponse = (error, jobId) => {
+  const errorResponse = {
+    success: false,
+    jobId: jobId,
+    error: error.message || 'Failed to extract checklist',
+    code: error.code || 'EXTRACTION_ERROR',
+    timestamp: new Date().toISOString()
+  };
+
+  // Errors raised by the pipeline itself already carry their details
+  if (error.details) {
+    errorResponse.details = error.details;
+    return errorResponse;
+  }
+
+  // Add specific error context based on error type
+  if (error.message.includes('chunk')) {
+    errorResponse.details = {
+      type: 'CHUNKING_ERROR',
+      message: 'Error occurred during chunked processing',
+      suggestion: 'Try with a smaller file or contact support if the issue persists'
+    };
+  } else if (error.message.includes('AI') || error.message.includes('Claude') || error.message.includes('OpenAI') || error.message.includes('processing failed')) {
+    errorResponse.details = {
+      type: 'AI_PROCESSING_ERROR',
+      message: 'AI service encountered an error',
+      suggestion: 'Please try again. If the issue persists, the AI service may be temporarily unavailable'
+    };
+  } else if (error.message.includes('Excel') || error.message.includes('parse')) {
+    errorResponse.details = {
+      type: 'FILE_PARSING_ERROR',
+      message: 'Unable to parse the Excel file',
+      suggestion: 'Please ensure the file is a valid Excel file and follows the expected format'
+    };
+  }
+
+  return errorResponse;
+};
+
+/**
+ * Queue an extraction job for an uploaded file
+ * The upload is removed when the job finishes, fails or is cancelled.
+ * @param {string} jobId - Job identifier
+ * @param {object} file - Multer file object
+ * @param {object} options - Extraction options passed to runExtraction ({ bypassCache, sheetName, includeHiddenRows,
+ *   columnMapping })
+ * @returns {object} - Job record
+ */
+const startExtractionJob = (jobId, file, options = {}) => {
+  return jobService.enqueue(jobId, (job) => runExtraction(job, file, options), {
+    metadata: {
+      fileName: file.originalname,
+      fileSize: file.size,
+      sheetName: options.sheetName || null
+    },
+    // Runs once the job has its final status, so clients reacting to the event can fetch the result
+    onFinish: async (job) => {
+      // Failed and cancelled jobs were billed for their requests too
+      usageService.record(jobId, job.usage);
+
+      if (job.status === jobService.JOB_STATUS.COMPLETED) {
+        // SEND COMPLETION UPDATE
+        publishProgress(jobId, {
+          type: 'complete',
+          currentChunk: 1,
+          totalChunks: 1,
+          currentAttempt: 1,
+          maxAttempts: 1,
+          status: 'Processing complete!',
+          percentage: 100
+        });
+      } else if (job.status === jobService.JOB_STATUS.CANCELLED) {
+        publishProgress(jobId, {
+          type: 'cancelled',
+          status: 'Extraction cancelled',
+          percentage: 0,
+          error: true
+        });
+      } else {
+        // SEND ERROR UPDATE
+        publishProgress(jobId, {
+          type: 'error',
+          currentChunk: 0,
+          totalChunks: 0,
+          currentAttempt: 1,
+          maxAttempts: 1,
+          status: `Error: ${job.error.message}`,
+          percentage: 0,
+          error: true
+        });
+      }
+
+      progressService.finish(jobId);
+      await excelParser.cleanupFile(file.path);
+    }
+  });
+};
+
+module.exports = {
+  startExtractionJob,
+  runExtraction,
+  retryFailedChunks,
+  buildErrorResponse,
+  throwIfCancelled
+};
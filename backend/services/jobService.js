@@ -0,0 +1,271 @@
+/**
+ * In-process job queue for long running extractions
+ * Jobs run in the background with a concurrency limit; clients poll status,
+ * fetch the result when done, or cancel while queued or running.
+ */
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+
+    this.config = {
+      maxConcurrentJobs: parseInt(process.env.MAX_CONCURRENT_JOBS) || 2,
+      jobTtlMs: (parseInt(process.env.JOB_TTL_MINUTES) || 30) * 60 * 1000
+    };
+
+    // Periodically drop finished jobs past their retention window
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredJobs(), 5 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Create a job and queue it for execution
+   * @param {string} jobId - Job identifier
+   * @param {Function} runner - async (job) => result; should check job.signal between steps
+   * @param {object} options - { metadata, onFinish } onFinish runs once the job reaches a final status
+   * @returns {object} - Job record
+   */
+  enqueue(jobId, runner, options = {}) {
+    if (this.jobs.has(jobId)) {
+      const error = new Error(`Job ${jobId} already exists`);
+      error.code = 'DUPLICATE_JOB';
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const job = {
+      id: jobId,
+      status: JOB_STATUS.QUEUED,
+      metadata: options.metadata || {},
+      progress: null,
+      partialResults: new Map(),
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      runner,
+      onFinish: options.onFinish || null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    job.signal = job.controller.signal;
+
+    this.jobs.set(jobId, job);
+    this.queue.push(job);
+
+    console.log(`📥 Job ${jobId} queued (${this.queue.length} waiting, ${this.running} running)`);
+
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   */
+  processQueue() {
+    while (this.running < this.config.maxConcurrentJobs && this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.runJob(job);
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   * @param {object} job - Job record
+   */
+  async runJob(job) {
+    this.running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    console.log(`▶️ Job ${job.id} started`);
+
+    try {
+      const result = await job.runner(job);
+
+      if (job.signal.aborted) {
+        job.status = JOB_STATUS.CANCELLED;
+      } else {
+        job.status = JOB_STATUS.COMPLETED;
+        job.result = result;
+      }
+    } catch (error) {
+      if (job.signal.aborted || error.code === 'JOB_CANCELLED') {
+        job.status = JOB_STATUS.CANCELLED;
+      } else {
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+        job.status = JOB_STATUS.FAILED;
+        job.error = error;
+      }
+    } finally {
+      this.running--;
+      console.log(`⏹️ Job ${job.id} ${job.status}`);
+      await this.finalizeJob(job);
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Stamp a job as finished and run its onFinish hook
+   * @param {object} job - Job record
+   */
+  async finalizeJob(job) {
+    job.finishedAt = new Date().toISOString();
+    job.runner = null;
+
+    if (job.onFinish) {
+      try {
+        await job.onFinish(job);
+      } catch (error) {
+        console.error(`❌ onFinish hook failed for job ${job.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job identifier
+   * @returns {object|null} - Job record
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Record the latest progress event for a job
+   * @param {string} jobId - Job identifier
+   * @param {object} progress - Progress payload
+   */
+  updateProgress(jobId, progress) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      job.progress = progress;
+    }
+  }
+
+  /**
+   * Store items from a finished chunk so status requests can show partial results
+   * @param {string} jobId - Job identifier
+   * @param {number} chunkIndex - Chunk index
+   * @param {Array} items - Items extracted from the chunk
+   */
+  addPartialResult(jobId, chunkIndex, items) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      job.partialResults.set(chunkIndex, items);
+    }
+  }
+
+  /**
+   * Get partial items in chunk order
+   * @param {object} job - Job record
+   * @returns {Array} - Items extracted so far
+   */
+  getPartialItems(job) {
+    return [...job.partialResults.keys()]
+      .sort((a, b) => a - b)
+      .flatMap(chunkIndex => job.partialResults.get(chunkIndex));
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<object|null>} - Job record, or null if not found
+   */
+  async cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (this.isFinished(job)) {
+      return job;
+    }
+
+    console.log(`🛑 Cancelling job ${jobId} (${job.status})`);
+    job.controller.abort();
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      // Never started, so finish it here; a running job finishes when its runner sees the abort
+      this.queue = this.queue.filter(queued => queued !== job);
+      job.status = JOB_STATUS.CANCELLED;
+      await this.finalizeJob(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Check whether a job has reached a final status
+   * @param {object} job - Job record
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Public view of a job for status responses
+   * @param {object} job - Job record
+   * @param {boolean} includePartial - Include partial items
+   * @returns {object} - Serializable job summary
+   */
+  toStatus(job, includePartial = true) {
+    const partialItems = this.getPartialItems(job);
+
+    const status = {
+      id: job.id,
+      status: job.status,
+      metadata: job.metadata,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      partial: {
+        completedChunks: job.partialResults.size,
+        itemCount: partialItems.length
+      },
+      error: job.error ? {
+        message: job.error.message,
+        code: job.error.code || 'EXTRACTION_ERROR'
+      } : null
+    };
+
+    if (includePartial) {
+      status.partial.items = partialItems;
+    }
+
+    return status;
+  }
+
+  /**
+   * Drop finished jobs past their retention window
+   */
+  cleanupExpiredJobs() {
+    const now = Date.now();
+
+    for (const [jobId, job] of this.jobs) {
+      if (this.isFinished(job) && now - new Date(job.finishedAt).getTime() > this.config.jobTtlMs) {
+        this.jobs.delete(jobId);
+        console.log(`🗑️ Expired job ${jobId}`);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const jobService = new JobService();
+jobService.JOB_STATUS = JOB_STATUS;
+module.exports = jobService;
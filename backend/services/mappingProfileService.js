@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Saved column mappings
+ * A profile is a named column mapping kept per customer, so the next sheet in the same layout is
+ * mapped in one click. Customers are told apart by their Zuper region and API key; only a hash of
+ * the two is stored. Set MAPPING_PROFILES_FILE to keep profiles across restarts (a JSON file).
+ */
+class MappingProfileService {
+  constructor() {
+    this.profiles = [];
+    this.pendingWrite = Promise.resolve();
+
+    this.config = {
+      storeFile: process.env.MAPPING_PROFILES_FILE || null,
+      maxProfilesPerCustomer: parseInt(process.env.MAX_MAPPING_PROFILES) || 50
+    };
+
+    this.loadStore();
+  }
+
+  /**
+   * Load profiles saved by earlier runs
+   */
+  loadStore() {
+    if (!this.config.storeFile || !fs.existsSync(this.config.storeFile)) {
+      return;
+    }
+
+    try {
+      this.profiles = JSON.parse(fs.readFileSync(this.config.storeFile, 'utf8'));
+      console.log(`🧭 Loaded ${this.profiles.length} column mapping profiles from ${this.config.storeFile}`);
+    } catch (error) {
+      console.error('❌ Failed to load column mapping profiles:', error.message);
+    }
+  }
+
+  /**
+   * Write all profiles to the store file, one write at a time
+   */
+  saveStore() {
+    if (!this.config.storeFile) {
+      return;
+    }
+
+    const contents = JSON.stringify(this.profiles, null, 2);
+
+    this.pendingWrite = this.pendingWrite
+      .then(() => fs.promises.writeFile(this.config.storeFile, contents))
+      .catch(error => console.error('❌ Failed to write column mapping profiles:', error.message));
+  }
+
+  /**
+   * Identify the customer a Zuper account belongs to
+   * @param {string} apiKey - Zuper API key
+   * @param {string} region - Zuper region
+   * @returns {string} - Hash of the region and API key
+   */
+  getCustomerKey(apiKey, region) {
+    return crypto.createHash('sha256').update(`${region.trim().toLowerCase()}:${apiKey.trim()}`).digest('hex');
+  }
+
+  /**
+   * Profile as returned to clients, without the customer hash
+   * @param {object} profile - Stored profile
+   * @returns {object} - { id, name, mapping, createdAt, updatedAt }
+   */
+  toPublic(profile) {
+    const { customerKey, ...rest } = profile;
+    return rest;
+  }
+
+  /**
+   * List the profiles of a customer by name
+   * @param {string} apiKey - Zuper API key
+   * @param {string} region - Zuper region
+   * @returns {Array<object>}
+   */
+  list(apiKey, region) {
+    const customerKey = this.getCustomerKey(apiKey, region);
+
+    return this.profiles
+      .filter(profile => profile.customerKey === customerKey)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(profile => this.toPublic(profile));
+  }
+
+  /**
+   * Save a profile, replacing the customer's profile of the same name (ignoring case)
+   * @param {string} apiKey - Zuper API key
+   * @param {string} region - Zuper region
+   * @param {object} input - { name, mapping } as validated by validateMappingProfile
+   * @returns {object} - { profile, created }
+   */
+  save(apiKey, region, { name, mapping }) {
+    const customerKey = this.getCustomerKey(apiKey, region);
+    const now = new Date().toISOString();
+    const existing = this.profiles.find(profile =>
+      profile.customerKey === customerKey && profile.name.toLowerCase() === name.toLowerCase());
+
+    if (existing) {
+      existing.name = name;
+      existing.mapping = mapping;
+      existing.updatedAt = now;
+      this.saveStore();
+      return { profile: this.toPublic(existing), created: false };
+    }
+
+    const count = this.profiles.filter(profile => profile.customerKey === customerKey).length;
+    if (count >= this.config.maxProfilesPerCustomer) {
+      const error = new Error(`A customer can keep at most ${this.config.maxProfilesPerCustomer} mapping profiles`);
+      error.code = 'PROFILE_LIMIT_REACHED';
+      error.statusCode = 409;
+      error.details = { limit: this.config.maxProfilesPerCustomer };
+      throw error;
+    }
+
+    const profile = {
+      id: `map_${crypto.randomBytes(8).toString('hex')}`,
+      customerKey,
+      name,
+      mapping,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.profiles.push(profile);
+    this.saveStore();
+    console.log(`🧭 Saved column mapping profile "${name}"`);
+
+    return { profile: this.toPublic(profile), created: true };
+  }
+
+  /**
+   * Delete one of a customer's profiles
+   * @param {string} apiKey - Zuper API key
+   * @param {string} region - Zuper region
+   * @param {string} id - Profile ID
+   * @returns {boolean} - Whether the profile existed
+   */
+  remove(apiKey, region, id) {
+    const customerKey = this.getCustomerKey(apiKey, region);
+    const index = this.profiles.findIndex(profile => profile.id === id && profile.customerKey === customerKey);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.profiles.splice(index, 1);
+    this.saveStore();
+    return true;
+  }
+}
+
+module.exports = new MappingProfileService();
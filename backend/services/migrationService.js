@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const zuperService = require('./zuperService');
+const checklistDiff = require('./checklistDiff');
+
+/**
+ * Copies the checklist of one Zuper job status to other statuses, categories or accounts
+ * The source checklist is read once and remapped: fields are renumbered, dependencies moved to the new
+ * field IDs and properties tied to the source account dropped. Each target is then written with
+ * submitToZuper and reported on its own, so targets that failed can be retried without writing the
+ * others again. Migrations are kept in memory for MIGRATION_TTL_MINUTES; API keys are never reported.
+ */
+
+const TARGET_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Field properties of the payload generateZuperPayload builds; anything else belongs to the source account
+const FIELD_PROPERTIES = [
+  'id', 'component', 'editable', 'index', 'label', 'description', 'placeholder', 'options', 'required',
+  'validation', 'hide_to_fe', 'is_dependent', 'dependent_on', 'dependent_options', 'attributes', 'hide_field',
+  'read_only', 'regex_value', 'min_value', 'max_value', 'default_option', 'group', 'dependents',
+  'restrict_status_update', 'meta_options', 'checklist_view_type'
+];
+
+class MigrationService {
+  constructor() {
+    this.migrations = new Map();
+
+    this.config = {
+      migrationTtlMs: (parseInt(process.env.MIGRATION_TTL_MINUTES) || 60) * 60 * 1000
+    };
+
+    // Periodically drop migrations past their retention window
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredMigrations(), 5 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Remap source fields for another status or account
+   * @param {Array<object>} sourceChecklist - Fields read from the source status
+   * @returns {Array<object>} - Renumbered fields with payload properties only
+   */
+  remapFields(sourceChecklist) {
+    const fields = sourceChecklist.map(field => Object.fromEntries(
+      FIELD_PROPERTIES.filter(property => field[property] !== undefined).map(property => [property, field[property]])
+    ));
+
+    // Appending to an empty checklist renumbers the fields and rebuilds their dependency links
+    return checklistDiff.mergeChecklists([], fields, 'append');
+  }
+
+  /**
+   * Read the source checklist and write it to every target
+   * @param {object} request - { source, targets, mode } as validated by validateMigrationRequest; targets
+   *   without apiKey or region use the source's
+   * @returns {Promise<object>} - Migration record
+   */
+  async start({ source, targets, mode }) {
+    const sourceChecklist = await zuperService.getZuperChecklist(source.apiKey, source.region, source.categoryUid, source.statusUid);
+
+    if (sourceChecklist.length === 0) {
+      const error = new Error('The source status has no checklist to copy');
+      error.code = 'SOURCE_CHECKLIST_EMPTY';
+      error.statusCode = 404;
+      error.details = { categoryUid: source.categoryUid, statusUid: source.statusUid };
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const migration = {
+      id: `mig_${crypto.randomBytes(8).toString('hex')}`,
+      source: {
+        region: source.region,
+        categoryUid: source.categoryUid,
+        statusUid: source.statusUid,
+        fieldCount: sourceChecklist.length
+      },
+      fields: this.remapFields(sourceChecklist),
+      targets: targets.map((target, index) => ({
+        index,
+        apiKey: target.apiKey || source.apiKey,
+        region: target.region || source.region,
+        categoryUid: target.categoryUid,
+        statusUid: target.statusUid,
+        mode: target.mode || mode,
+        status: TARGET_STATUS.PENDING,
+        attempts: 0,
+        fieldCount: null,
+        error: null,
+        submittedAt: null
+      })),
+      retrying: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.migrations.set(migration.id, migration);
+    console.log(`🚚 Migration ${migration.id}: ${sourceChecklist.length} fields to ${targets.length} targets`);
+
+    await this.runTargets(migration, migration.targets);
+    return migration;
+  }
+
+  /**
+   * Write the checklist to targets one at a time, recording each outcome
+   * @param {object} migration - Migration record
+   * @param {Array<object>} targets - Targets of the migration to write
+   */
+  async runTargets(migration, targets) {
+    for (const target of targets) {
+      target.attempts++;
+
+      try {
+        let checklist = migration.fields;
+
+        if (target.mode !== 'replace') {
+          const existing = await zuperService.getZuperChecklist(target.apiKey, target.region, target.categoryUid, target.statusUid);
+          checklist = checklistDiff.mergeChecklists(existing, migration.fields, target.mode);
+        }
+
+        await zuperService.submitToZuper({
+          category_uid: target.categoryUid,
+          job_status_uid: target.statusUid,
+          checklist,
+          prefill_checklist: false
+        }, target.apiKey, target.region);
+
+        target.status = TARGET_STATUS.SUCCEEDED;
+        target.fieldCount = checklist.length;
+        target.error = null;
+        target.submittedAt = new Date().toISOString();
+        console.log(`✅ Migration ${migration.id}: target ${target.index + 1} written (${target.region})`);
+      } catch (error) {
+        target.status = TARGET_STATUS.FAILED;
+        target.error = {
+          message: error.message,
+          code: error.code || 'MIGRATION_TARGET_ERROR',
+          statusCode: error.statusCode || 500
+        };
+        console.error(`❌ Migration ${migration.id}: target ${target.index + 1} failed:`, error.message);
+      }
+    }
+
+    migration.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Write the failed targets of a migration again
+   * @param {object} migration - Migration record
+   * @param {Array<number>|null} targetIndexes - 1-based targets to retry; every failed target when null
+   * @returns {Promise<object>} - Migration record
+   */
+  async retryFailed(migration, targetIndexes = null) {
+    const failed = migration.targets.filter(target => target.status === TARGET_STATUS.FAILED);
+
+    if (failed.length === 0) {
+      const error = new Error('This migration has no failed targets to retry');
+      error.code = 'NO_FAILED_TARGETS';
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (migration.retrying) {
+      const error = new Error('A retry is already running for this migration');
+      error.code = 'RETRY_IN_PROGRESS';
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (targetIndexes) {
+      const unknownTargets = targetIndexes.filter(index => !failed.some(target => target.index + 1 === index));
+
+      if (unknownTargets.length > 0) {
+        const error = new Error('Some requested targets did not fail in this migration');
+        error.code = 'TARGET_NOT_FAILED';
+        error.statusCode = 400;
+        error.details = { unknownTargets, failedTargets: failed.map(target => target.index + 1) };
+        throw error;
+      }
+    }
+
+    const targets = targetIndexes ? failed.filter(target => targetIndexes.includes(target.index + 1)) : failed;
+
+    migration.retrying = true;
+    try {
+      console.log(`🔁 Migration ${migration.id}: retrying ${targets.length} targets`);
+      await this.runTargets(migration, targets);
+    } finally {
+      migration.retrying = false;
+    }
+
+    return migration;
+  }
+
+  /**
+   * Get a migration by ID
+   * @param {string} id - Migration ID
+   * @returns {object|null}
+   */
+  getMigration(id) {
+    return this.migrations.get(id) || null;
+  }
+
+  /**
+   * Per-target report of a migration, without API keys
+   * @param {object} migration - Migration record
+   * @returns {object} - { id, source, fieldCount, targets, summary, createdAt, updatedAt }
+   */
+  toReport(migration) {
+    const targets = migration.targets.map(({ apiKey, index, ...target }) => ({ target: index + 1, ...target }));
+    const count = (status) => targets.filter(target => target.status === status).length;
+
+    return {
+      id: migration.id,
+      source: migration.source,
+      fieldCount: migration.fields.length,
+      targets,
+      summary: {
+        total: targets.length,
+        succeeded: count(TARGET_STATUS.SUCCEEDED),
+        failed: count(TARGET_STATUS.FAILED)
+      },
+      createdAt: migration.createdAt,
+      updatedAt: migration.updatedAt
+    };
+  }
+
+  /**
+   * Remove migrations last updated before the retention window
+   */
+  cleanupExpiredMigrations() {
+    const cutoff = Date.now() - this.config.migrationTtlMs;
+
+    this.migrations.forEach((migration, id) => {
+      if (!migration.retrying && new Date(migration.updatedAt).getTime() < cutoff) {
+        this.migrations.delete(id);
+      }
+    });
+  }
+}
+
+const migrationService = new MigrationService();
+migrationService.TARGET_STATUS = TARGET_STATUS;
+
+module.exports = migrationService;
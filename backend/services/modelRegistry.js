@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+const BUNDLED_REGISTRY_FILE = path.join(__dirname, '..', 'config', 'models.json');
+
+const MODEL_TIERS = ['small', 'medium', 'large'];
+
+const limitsSchema = {
+  contextWindow: Joi.number().integer().positive().required(),
+  maxOutputTokens: Joi.number().integer().positive().required(),
+  optimalChunkTokens: Joi.number().integer().positive().required()
+};
+
+const registrySchema = Joi.object({
+  defaults: Joi.object(limitsSchema).required(),
+  models: Joi.object().pattern(Joi.string(), Joi.object({
+    provider: Joi.string().required(),
+    tier: Joi.string().valid(...MODEL_TIERS).optional(),
+    default: Joi.boolean().optional().default(false),
+    deprecated: Joi.boolean().optional().default(false),
+    replacedBy: Joi.string().optional(),
+    ...limitsSchema,
+    pricing: Joi.object({
+      inputPerMillion: Joi.number().min(0).required(),
+      outputPerMillion: Joi.number().min(0).required()
+    }).optional(),
+    capabilities: Joi.object().pattern(Joi.string(), Joi.boolean()).optional().default({})
+  })).min(1).required()
+});
+
+/**
+ * Registry of the AI models the service knows about
+ * Context window, output limit, chunk size, price and capability flags for every model are
+ * loaded from config/models.json (or MODEL_REGISTRY_FILE), so adding a model is a config change.
+ */
+class ModelRegistry {
+  constructor() {
+    this.source = null;
+    this.defaults = null;
+    this.models = new Map();
+
+    this.load(process.env.MODEL_REGISTRY_FILE || BUNDLED_REGISTRY_FILE);
+  }
+
+  /**
+   * Load and validate a registry file
+   * A custom file that cannot be used falls back to the bundled registry.
+   * @param {string} filePath - Path to the registry JSON
+   */
+  load(filePath) {
+    try {
+      const { error, value } = registrySchema.validate(JSON.parse(fs.readFileSync(filePath, 'utf8')), {
+        abortEarly: false
+      });
+
+      if (error) {
+        throw new Error(error.details.map(detail => detail.message).join('; '));
+      }
+
+      this.source = filePath;
+      this.defaults = value.defaults;
+      this.models = new Map(Object.entries(value.models));
+
+      console.log(`📚 Loaded ${this.models.size} models from ${filePath}`);
+    } catch (error) {
+      console.error(`❌ Invalid model registry ${filePath}: ${error.message}`);
+
+      if (filePath === BUNDLED_REGISTRY_FILE) {
+        throw error;
+      }
+
+      console.error('   Falling back to the bundled model registry');
+      this.load(BUNDLED_REGISTRY_FILE);
+    }
+  }
+
+  /**
+   * Get a model entry
+   * @param {string} model - Model name
+   * @returns {object|null} - Registry entry with its name, or null when the model is not listed
+   */
+  getModel(model) {
+    const entry = this.models.get(model);
+    return entry ? { name: model, ...entry } : null;
+  }
+
+  /**
+   * Models of one provider, in registry order
+   * @param {string} provider - Provider name
+   * @returns {Array<object>}
+   */
+  getProviderModels(provider) {
+    return [...this.models.keys()]
+      .map(model => this.getModel(model))
+      .filter(entry => entry.provider === provider);
+  }
+
+  /**
+   * Model a provider uses when none is configured
+   * @param {string} provider - Provider name
+   * @returns {string|null}
+   */
+  getDefaultModel(provider) {
+    const models = this.getProviderModels(provider);
+    const entry = models.find(model => model.default) || models.find(model => !model.deprecated);
+    return entry ? entry.name : null;
+  }
+
+  /**
+   * Size tiers of a provider; bigger chunks go to bigger models
+   * @param {string} provider - Provider name
+   * @returns {object|null} - { small, medium, large } or null unless every tier has a model
+   */
+  getModelTiers(provider) {
+    const models = this.getProviderModels(provider).filter(model => !model.deprecated);
+    const tiers = Object.fromEntries(MODEL_TIERS.map(tier => [tier, (models.find(model => model.tier === tier) || {}).name]));
+
+    return MODEL_TIERS.every(tier => tiers[tier]) ? tiers : null;
+  }
+
+  /**
+   * Context window and output limit of a model
+   * @param {string} model - Model name
+   * @returns {object|null} - { contextWindow, maxOutputTokens } or null when the model is not listed
+   */
+  getModelLimits(model) {
+    const entry = this.models.get(model);
+    return entry ? { contextWindow: entry.contextWindow, maxOutputTokens: entry.maxOutputTokens } : null;
+  }
+
+  /**
+   * Limits used for models nobody knows
+   * @returns {object} - { contextWindow, maxOutputTokens }
+   */
+  getDefaultLimits() {
+    return { contextWindow: this.defaults.contextWindow, maxOutputTokens: this.defaults.maxOutputTokens };
+  }
+
+  /**
+   * Preferred input tokens per chunk for a model
+   * @param {string} model - Model name
+   * @returns {number}
+   */
+  getOptimalChunkTokens(model) {
+    const entry = this.models.get(model);
+    return entry ? entry.optimalChunkTokens : this.defaults.optimalChunkTokens;
+  }
+
+  /**
+   * Price of a model
+   * @param {string} model - Model name
+   * @returns {object|null} - { inputPerMillion, outputPerMillion } in USD, or null when unknown
+   */
+  getModelPricing(model) {
+    const entry = this.models.get(model);
+    return entry && entry.pricing ? entry.pricing : null;
+  }
+
+  /**
+   * Check a capability flag (toolCalling, jsonMode, ...)
+   * @param {string} model - Model name
+   * @param {string} capability - Flag name
+   * @param {boolean} fallback - Answer for models or flags the registry does not list
+   * @returns {boolean}
+   */
+  hasCapability(model, capability, fallback = false) {
+    const entry = this.models.get(model);
+
+    if (!entry || entry.capabilities[capability] === undefined) {
+      return fallback;
+    }
+
+    return entry.capabilities[capability];
+  }
+
+  /**
+   * Registry summary for status endpoints
+   * @returns {object}
+   */
+  getStatus() {
+    const providers = [...new Set([...this.models.values()].map(entry => entry.provider))];
+
+    return {
+      source: this.source,
+      modelCount: this.models.size,
+      providers: Object.fromEntries(providers.map(provider => [
+        provider,
+        {
+          defaultModel: this.getDefaultModel(provider),
+          tiers: this.getModelTiers(provider),
+          models: this.getProviderModels(provider).map(entry => entry.name)
+        }
+      ]))
+    };
+  }
+}
+
+// Export singleton instance
+const modelRegistry = new ModelRegistry();
+modelRegistry.MODEL_TIERS = MODEL_TIERS;
+module.exports = modelRegistry;
@@ -0,0 +1,169 @@
+/**
+ * Per-job progress channels for Server-Sent Events
+ * Each extraction job gets its own channel with a replay buffer, so clients only
+ * receive their own job's events and can catch up after connecting late or reconnecting.
+ */
+class ProgressService {
+  constructor() {
+    this.channels = new Map();
+
+    this.config = {
+      maxBufferedEvents: 200,              // Events kept per job for replay
+      channelTtlMs: 15 * 60 * 1000,        // Keep finished channels around for late clients
+      idleTtlMs: 60 * 60 * 1000            // Drop channels that never finished
+    };
+
+    // Periodically drop expired channels
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredChannels(), 5 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Get a job channel, creating it if it does not exist yet
+   * Clients may subscribe before the job starts publishing
+   * @param {string} jobId - Job identifier
+   * @returns {object} - Channel state
+   */
+  getChannel(jobId) {
+    let channel = this.channels.get(jobId);
+
+    if (!channel) {
+      channel = {
+        jobId,
+        events: [],
+        nextEventId: 1,
+        clients: new Map(),
+        finished: false,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      };
+      this.channels.set(jobId, channel);
+    }
+
+    return channel;
+  }
+
+  /**
+   * Format a buffered event as an SSE message
+   * @param {object} event - Buffered event
+   * @returns {string} - SSE message text
+   */
+  formatEvent(event) {
+    return `id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+
+  /**
+   * Publish a progress event to a job's subscribers and buffer it for replay
+   * @param {string} jobId - Job identifier
+   * @param {object} progressData - Progress payload
+   */
+  publish(jobId, progressData) {
+    if (!jobId) {
+      return;
+    }
+
+    const channel = this.getChannel(jobId);
+    const event = {
+      id: channel.nextEventId++,
+      data: {
+        ...progressData,
+        jobId,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    channel.events.push(event);
+    if (channel.events.length > this.config.maxBufferedEvents) {
+      channel.events.shift();
+    }
+    channel.updatedAt = Date.now();
+
+    if (channel.clients.size === 0) {
+      console.log(`📊 No clients connected for job ${jobId}, event ${event.id} buffered`);
+      return;
+    }
+
+    const message = this.formatEvent(event);
+
+    for (const [clientId, res] of channel.clients) {
+      try {
+        res.write(message);
+      } catch (error) {
+        console.error(`❌ Failed to send progress to client ${clientId}:`, error.message);
+        channel.clients.delete(clientId);
+      }
+    }
+  }
+
+  /**
+   * Subscribe an SSE response to a job channel, replaying missed events
+   * @param {string} jobId - Job identifier
+   * @param {string} clientId - Client identifier
+   * @param {object} res - Express response already set up for SSE
+   * @param {number} lastEventId - Last event ID the client received (0 for none)
+   */
+  subscribe(jobId, clientId, res, lastEventId = 0) {
+    const channel = this.getChannel(jobId);
+    const missed = channel.events.filter(event => event.id > lastEventId);
+
+    for (const event of missed) {
+      res.write(this.formatEvent(event));
+    }
+
+    channel.clients.set(clientId, res);
+    channel.updatedAt = Date.now();
+
+    console.log(`📡 Client ${clientId} subscribed to job ${jobId} (replayed ${missed.length} events)`);
+  }
+
+  /**
+   * Remove a client from a job channel
+   * @param {string} jobId - Job identifier
+   * @param {string} clientId - Client identifier
+   */
+  unsubscribe(jobId, clientId) {
+    const channel = this.channels.get(jobId);
+    if (channel) {
+      channel.clients.delete(clientId);
+    }
+  }
+
+  /**
+   * Mark a job as finished so its channel expires after the retention window
+   * @param {string} jobId - Job identifier
+   */
+  finish(jobId) {
+    const channel = this.channels.get(jobId);
+    if (channel) {
+      channel.finished = true;
+      channel.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * Drop channels for finished or abandoned jobs
+   */
+  cleanupExpiredChannels() {
+    const now = Date.now();
+
+    for (const [jobId, channel] of this.channels) {
+      const ttl = channel.finished ? this.config.channelTtlMs : this.config.idleTtlMs;
+
+      if (now - channel.updatedAt > ttl) {
+        for (const res of channel.clients.values()) {
+          try {
+            res.end();
+          } catch (error) {
+            // Client already gone
+          }
+        }
+        this.channels.delete(jobId);
+        console.log(`🗑️ Expired progress channel for job ${jobId}`);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const progressService = new ProgressService();
+module.exports = progressService;
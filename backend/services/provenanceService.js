@@ -0,0 +1,130 @@
+/**
+ * Row-level provenance for extracted checklist items
+ * Links each item to the sheet row it came from (sheet name, row number, original cells)
+ * and flags fields whose extracted value does not match what the row says.
+ */
+
+const templateParser = require('./templateParser');
+
+const CHOICE_TYPES = ['dropdown', 'radio', 'checkbox'];
+
+/**
+ * Normalize text for loose comparison
+ * @param {string} value - Raw text
+ * @returns {string} - Lowercase words separated by single spaces
+ */
+const normalizeText = (value) => {
+  return (value || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+};
+
+/**
+ * Build the source record for a data row
+ * @param {object} structuredData - Result of excelParser.extractStructuredData
+ * @param {number} dataIndex - Index into structuredData.dataRows
+ * @returns {object} - { sheet, row, cells: [{ column, value }] }
+ */
+const buildSource = (structuredData, dataIndex) => {
+  const row = structuredData.dataRows[dataIndex];
+
+  return {
+    sheet: structuredData.metadata.sheetName,
+    row: structuredData.rowNumbers[dataIndex],
+    cells: structuredData.header.map((column, index) => ({
+      column,
+      value: row[index] || ''
+    }))
+  };
+};
+
+/**
+ * List the item fields whose values cannot be found in the source row
+ * @param {object} item - Checklist item
+ * @param {object} source - Source record from buildSource
+ * @param {object|null} columns - Template column positions, when the header matches the template
+ * @returns {Array<string>} - Field names that differ from the source
+ */
+const findDifferences = (item, source, columns) => {
+  const differences = [];
+  const cellTexts = source.cells.map(cell => normalizeText(cell.value));
+  const rowText = cellTexts.join(' ');
+
+  const question = normalizeText(item.question);
+  if (question && !cellTexts.some(text => text.includes(question))) {
+    differences.push('question');
+  }
+
+  if (CHOICE_TYPES.includes(item.type) && item.options) {
+    const missingOption = item.options
+      .split(',')
+      .map(normalizeText)
+      .some(option => option && !rowText.includes(option));
+
+    if (missingOption) {
+      differences.push('options');
+    }
+  }
+
+  // Typed columns can only be compared when the row follows the template layout
+  if (columns) {
+    const cellAt = (field) => (columns[field] === -1 ? '' : source.cells[columns[field]].value);
+
+    const sourceType = templateParser.resolveType(cellAt('type'));
+    if (sourceType && sourceType !== item.type) {
+      differences.push('type');
+    }
+
+    const sourceRequired = templateParser.parseYesNo(cellAt('required'));
+    if (columns.required !== -1 && sourceRequired !== null && sourceRequired !== Boolean(item.required)) {
+      differences.push('required');
+    }
+  }
+
+  return differences;
+};
+
+/**
+ * Attach source rows to extracted items using the sourceRow number each item carries
+ * @param {Array} checklist - Extracted items (sourceRow is consumed and removed)
+ * @param {object} structuredData - Result of excelParser.extractStructuredData
+ * @param {object} options - { matchByOrder } pair items with rows by position when no item has a sourceRow
+ *   and the counts match
+ * @returns {object} - { checklist, unmatched } unmatched counts items left without a source
+ */
+const attachProvenance = (checklist, structuredData, options = {}) => {
+  const { matchByOrder = true } = options;
+  const rowIndexByNumber = new Map(structuredData.rowNumbers.map((rowNumber, index) => [rowNumber, index]));
+  const columns = templateParser.resolveColumns(structuredData.header);
+
+  const byOrder = matchByOrder &&
+    checklist.length === structuredData.dataRows.length &&
+    checklist.every(item => item.sourceRow === undefined || item.sourceRow === null);
+
+  let unmatched = 0;
+
+  const linked = checklist.map((item, position) => {
+    const { sourceRow, ...rest } = item;
+    const dataIndex = byOrder ? position : rowIndexByNumber.get(parseInt(sourceRow));
+
+    if (dataIndex === undefined) {
+      unmatched++;
+      return { ...rest, source: null };
+    }
+
+    const source = buildSource(structuredData, dataIndex);
+    source.differences = findDifferences(rest, source, columns);
+
+    return { ...rest, source };
+  });
+
+  if (unmatched > 0) {
+    console.warn(`⚠️ ${unmatched} items could not be linked to a source row`);
+  }
+
+  return { checklist: linked, unmatched };
+};
+
+module.exports = {
+  attachProvenance,
+  buildSource,
+  findDifferences
+};
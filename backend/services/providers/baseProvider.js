@@ -0,0 +1,190 @@
+const { tokenCounter } = require('../tokenCounter');
+const modelRegistry = require('../modelRegistry');
+const { repairChecklistResponse, hasRepairs } = require('../responseRepair');
+
+/**
+ * Base class for AI extraction providers
+ * A provider sends one prompt to one model and returns the raw checklist items it produced.
+ * Chunking, retries, fallback between providers and merging stay in aiService.
+ */
+class BaseProvider {
+  constructor(name) {
+    this.name = name;
+
+    // Optional { small, medium, large } models from the model registry; bigger chunks go to bigger models
+    this.modelTiers = modelRegistry.getModelTiers(name);
+  }
+
+  /**
+   * Environment variables the provider needs before it can be used
+   * @returns {Array<string>}
+   */
+  getRequiredEnvVars() {
+    return [];
+  }
+
+  /**
+   * Check if the provider is configured and ready
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Model used when no size-based choice applies
+   * Defaults to the provider's default model in the model registry.
+   * @returns {string}
+   */
+  getDefaultModel() {
+    const model = modelRegistry.getDefaultModel(this.name);
+
+    if (!model) {
+      throw new Error(`${this.name} provider does not define a default model`);
+    }
+
+    return model;
+  }
+
+  /**
+   * Pick a model for a chunk of the given size
+   * @param {number} inputTokens - Tokens of sheet text in the chunk
+   * @returns {string} - Model name
+   */
+  selectModel(inputTokens) {
+    const tiers = this.modelTiers;
+
+    if (!tiers) {
+      return this.getDefaultModel();
+    }
+
+    if (inputTokens <= tokenCounter.getOptimalChunkSize(tiers.small)) {
+      return tiers.small;
+    } else if (inputTokens <= tokenCounter.getOptimalChunkSize(tiers.medium)) {
+      return tiers.medium;
+    }
+    return tiers.large;
+  }
+
+  /**
+   * Context window and output limit for a model the model registry does not list
+   * @param {string} model - Model name
+   * @returns {object|null} - { contextWindow, maxOutputTokens } or null
+   */
+  getModelLimits(model) {
+    return null;
+  }
+
+  /**
+   * Whether the provider can force a tool/function call with a JSON schema
+   * Providers that can still defer to the registry's toolCalling flag for the model.
+   * @param {string} model - Model the request goes to (defaults to the provider's default model)
+   * @returns {boolean}
+   */
+  supportsStructuredOutput(model = this.getDefaultModel()) {
+    return false;
+  }
+
+  /**
+   * Check a capability flag of a model in the model registry
+   * @param {string} model - Model name
+   * @param {string} capability - Flag name (toolCalling, jsonMode)
+   * @returns {boolean} - true for models or flags the registry does not list
+   */
+  modelSupports(model, capability) {
+    return modelRegistry.hasCapability(model, capability, true);
+  }
+
+  /**
+   * How this provider asks for items: "structured" (tool call with the checklist schema) or
+   * "json" (prompt instructions only). AI_EXTRACTION_MODE=json turns structured output off everywhere.
+   * @param {string} model - Model the request goes to; size tiers may pick one other than the default
+   * @returns {string}
+   */
+  getExtractionMode(model = this.getDefaultModel()) {
+    return process.env.AI_EXTRACTION_MODE !== 'json' && this.supportsStructuredOutput(model) ? 'structured' : 'json';
+  }
+
+  /**
+   * Price of a model the model registry does not list
+   * @param {string} model - Model name
+   * @returns {object|null} - { inputPerMillion, outputPerMillion } in USD, or null if unknown
+   */
+  getModelPricing(model) {
+    return null;
+  }
+
+  /**
+   * Run one extraction request
+   * @param {object} request - { systemPrompt, userMessage, sheetText, model, maxOutputTokens, tool } sheetText is the
+   *   chunk's sheet text without the instructions around it; tool is the checklist tool from structuredOutput,
+   *   used in structured mode
+   * @returns {Promise<object>} - { items, repair, usage } items and repair from parseChecklistResponse; usage is
+   *   { inputTokens, outputTokens } as reported by the API. Errors carry the same usage (or null) when the
+   *   request was billed, see createExtractionError
+   */
+  async extract(request) {
+    throw new Error(`${this.name} provider does not implement extract`);
+  }
+
+  /**
+   * Turn a raw response body into checklist items, repairing fences, stray prose and truncation
+   * @param {string} content - Response text
+   * @param {object} options - { truncated } true when the model stopped at its output limit
+   * @returns {object} - { items, repair } repair is the report from responseRepair
+   */
+  parseChecklistResponse(content, options = {}) {
+    const { items, report } = repairChecklistResponse(content, options);
+
+    if (hasRepairs(report)) {
+      console.warn(`🩹 ${this.name} response repaired: ${report.steps.join(', ') || 'item fixes only'}; ${items.length} kept, ${report.recovered.length} recovered, ${report.dropped.length} dropped`);
+    }
+
+    return { items, repair: report };
+  }
+
+  /**
+   * Turn tool call arguments into checklist items
+   * Arguments arrive as an object (Claude) or a JSON string (OpenAI); both go through the same
+   * item validation as plain responses, since a cut-off call can still carry broken JSON.
+   * @param {object|string} input - Tool call arguments, { checklist: [...] }
+   * @param {object} options - { truncated }
+   * @returns {object} - { items, repair }
+   */
+  parseToolResponse(input, options = {}) {
+    if (input === undefined || input === null) {
+      throw new Error(`${this.name} response did not call the checklist tool`);
+    }
+
+    return this.parseChecklistResponse(typeof input === 'string' ? input : JSON.stringify(input), options);
+  }
+
+  /**
+   * Error for a failed extraction that keeps the usage of a request the API already answered,
+   * so failed attempts still show up in usage accounting
+   * @param {string} message - Error message
+   * @param {object|null} usage - { inputTokens, outputTokens }
+   * @returns {Error}
+   */
+  createExtractionError(message, usage) {
+    const error = new Error(message);
+    error.usage = usage || null;
+    return error;
+  }
+
+  /**
+   * Provider summary for status endpoints and startup logs
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      model: this.getDefaultModel(),
+      available: this.isAvailable(),
+      extractionMode: this.getExtractionMode(),
+      missingEnvVars: this.getRequiredEnvVars().filter(varName => !process.env[varName])
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,92 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Anthropic Claude provider
+ */
+class ClaudeProvider extends BaseProvider {
+  constructor() {
+    super('claude');
+
+    this.client = null;
+
+    if (!process.env.ANTHROPIC_API_KEY) {
+      console.error('❌ ANTHROPIC_API_KEY is required when using Claude provider');
+    } else {
+      this.client = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+      });
+      console.log('✅ Claude client initialized');
+    }
+  }
+
+  getRequiredEnvVars() {
+    return ['ANTHROPIC_API_KEY'];
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  getDefaultModel() {
+    return process.env.CLAUDE_MODEL || super.getDefaultModel();
+  }
+
+  supportsStructuredOutput(model = this.getDefaultModel()) {
+    return this.modelSupports(model, 'toolCalling');
+  }
+
+  /**
+   * Extract checklist using Claude
+   */
+  async extract({ systemPrompt, userMessage, model, maxOutputTokens, tool }) {
+    let usage = null;
+
+    try {
+      const modelToUse = model || this.getDefaultModel();
+      const structured = this.getExtractionMode(modelToUse) === 'structured';
+      console.log(`🤖 Processing with Claude (${modelToUse}${structured ? ', tool use' : ''})...`);
+
+      const response = await this.client.messages.create({
+        model: modelToUse,
+        max_tokens: maxOutputTokens,
+        temperature: 0.1,
+        system: systemPrompt,
+        messages: [
+          {
+            role: 'user',
+            content: userMessage
+          }
+        ],
+        ...(structured ? {
+          tools: [{ name: tool.name, description: tool.description, input_schema: tool.inputSchema }],
+          tool_choice: { type: 'tool', name: tool.name }
+        } : {})
+      });
+
+      usage = {
+        inputTokens: response.usage.input_tokens,
+        outputTokens: response.usage.output_tokens
+      };
+
+      const truncated = response.stop_reason === 'max_tokens';
+
+      if (structured) {
+        const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+        console.log(`📝 Claude tool input: ${JSON.stringify(toolUse ? toolUse.input : null).substring(0, 200)}...`);
+        return { ...this.parseToolResponse(toolUse && toolUse.input, { truncated }), usage };
+      }
+
+      const content = response.content[0].text;
+      console.log(`📝 Claude response: ${content.substring(0, 200)}...`);
+
+      return { ...this.parseChecklistResponse(content, { truncated }), usage };
+
+    } catch (error) {
+      console.error('❌ Claude extraction failed:', error);
+      throw this.createExtractionError(`Claude processing failed: ${error.message}`, usage);
+    }
+  }
+}
+
+module.exports = ClaudeProvider;
@@ -0,0 +1,76 @@
+const ClaudeProvider = require('./claudeProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * AI provider registry
+ * Providers are registered by name with a factory, so a provider is only constructed
+ * (and its client created) when AI_PROVIDER selects it.
+ */
+const providerFactories = new Map();
+
+// Legacy AI_PROVIDER values that stand for a fallback chain
+const PROVIDER_ALIASES = {
+  both: ['claude', 'openai']
+};
+
+/**
+ * Register a provider factory
+ * @param {string} name - Name used in AI_PROVIDER
+ * @param {Function} factory - () => provider instance (see BaseProvider)
+ */
+const registerProvider = (name, factory) => {
+  providerFactories.set(name.toLowerCase(), factory);
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Registered provider name
+ * @returns {object} - Provider instance
+ */
+const createProvider = (name) => {
+  const factory = providerFactories.get(name.toLowerCase());
+
+  if (!factory) {
+    const error = new Error(`Unknown AI provider "${name}". Available providers: ${getProviderNames().join(', ')}`);
+    error.code = 'UNKNOWN_AI_PROVIDER';
+    throw error;
+  }
+
+  return factory();
+};
+
+/**
+ * Get the names of all registered providers
+ * @returns {Array<string>}
+ */
+const getProviderNames = () => {
+  return [...providerFactories.keys()];
+};
+
+/**
+ * Turn an AI_PROVIDER value into an ordered fallback chain of provider names
+ * Accepts a single name, a comma separated list, or an alias such as "both"
+ * @param {string} setting - AI_PROVIDER value
+ * @returns {Array<string>} - Provider names, first tried first
+ */
+const resolveProviderChain = (setting) => {
+  return (setting || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .flatMap(name => PROVIDER_ALIASES[name] || [name]);
+};
+
+registerProvider('claude', () => new ClaudeProvider());
+registerProvider('openai', () => new OpenAIProvider());
+registerProvider('openai-compatible', () => new OpenAICompatibleProvider());
+registerProvider('mock', () => new MockProvider());
+
+module.exports = {
+  registerProvider,
+  createProvider,
+  getProviderNames,
+  resolveProviderChain
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const BaseProvider = require('./baseProvider');
+const templateParser = require('../templateParser');
+const { sleep } = require('../../utils/helper');
+const { tokenCounter } = require('../tokenCounter');
+
+const MOCK_MODEL = 'mock-extractor';
+
+const FAILURE_MODES = ['malformed-json', 'non-array', 'timeout', 'truncated', 'fenced'];
+
+/**
+ * Deterministic offline provider for development and tests
+ * Derives items from the sheet rows with the template parser rules (or returns a canned
+ * response file), and can inject failures so retries, chunk merging and the progress
+ * stream can be exercised without network access or API keys.
+ */
+class MockProvider extends BaseProvider {
+  constructor() {
+    super('mock');
+
+    this.config = {
+      responseFile: process.env.MOCK_AI_RESPONSE_FILE || null,
+      delayMs: parseInt(process.env.MOCK_AI_DELAY_MS) || 200,
+      failure: process.env.MOCK_AI_FAILURE || null,          // malformed-json | non-array | timeout | truncated | fenced
+      failCount: parseInt(process.env.MOCK_AI_FAIL_COUNT) || 0, // Fail only the first N requests (0 = every request)
+      failMatch: process.env.MOCK_AI_FAIL_MATCH || null,       // Fail only chunks containing this text
+      timeoutMs: parseInt(process.env.MOCK_AI_TIMEOUT_MS) || 5000
+    };
+
+    this.requestCount = 0;
+    this.failuresInjected = 0;
+
+    if (this.config.failure && !FAILURE_MODES.includes(this.config.failure)) {
+      console.error(`❌ Unknown MOCK_AI_FAILURE "${this.config.failure}". Options: ${FAILURE_MODES.join(', ')}`);
+      this.config.failure = null;
+    }
+
+    console.log(`✅ Mock AI provider initialized${this.config.failure ? ` (injecting ${this.config.failure} failures)` : ''}`);
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  getDefaultModel() {
+    return MOCK_MODEL;
+  }
+
+  supportsStructuredOutput() {
+    return true;
+  }
+
+  /**
+   * Decide whether this request gets the configured failure
+   */
+  shouldFail(sheetText) {
+    if (!this.config.failure) {
+      return false;
+    }
+
+    if (this.config.failMatch && !sheetText.includes(this.config.failMatch)) {
+      return false;
+    }
+
+    return this.config.failCount === 0 || this.failuresInjected < this.config.failCount;
+  }
+
+  /**
+   * Build items from pipe delimited sheet text
+   * Template rows are mapped by the template parser; other rows become text fields
+   * named after their first non-empty cell.
+   */
+  deriveItems(sheetText) {
+    const lines = sheetText.trim().split('\n').filter(line => line.trim());
+    const [header = [], ...rows] = lines.map(line => line.split(' | ').map(cell => cell.trim()));
+
+    // Drop the Row column added for provenance and carry it through as sourceRow
+    const hasRowColumn = header[0] === 'Row';
+    const cells = (row) => (hasRowColumn ? row.slice(1) : row);
+    const sourceRow = (row) => (hasRowColumn ? parseInt(row[0]) : undefined);
+
+    const templateResult = templateParser.parseTemplateRows(cells(header), rows.map(cells));
+    const parsedByIndex = new Map((templateResult ? templateResult.parsed : []).map(entry => [entry.rowIndex, entry.item]));
+
+    return rows
+      .map((row, index) => {
+        const item = parsedByIndex.get(index) || {
+          question: cells(row).find(cell => cell) || '',
+          type: 'textField',
+          options: '',
+          required: false,
+          isDependent: false,
+          dependentOn: '',
+          dependentOptions: ''
+        };
+        return { ...item, sourceRow: sourceRow(row) };
+      })
+      .filter(item => item.question);
+  }
+
+  /**
+   * Produce the raw response body (or tool call arguments, in structured mode) a real model would return
+   */
+  async buildResponse(sheetText, structured) {
+    const items = this.config.responseFile ? null : this.deriveItems(sheetText);
+    const content = this.config.responseFile
+      ? fs.readFileSync(this.config.responseFile, 'utf8')
+      : JSON.stringify(structured ? { checklist: items } : items, null, 2);
+
+    if (this.shouldFail(sheetText)) {
+      this.failuresInjected++;
+      console.log(`🧪 Mock provider injecting ${this.config.failure} failure (request ${this.requestCount})`);
+
+      switch (this.config.failure) {
+        case 'malformed-json':
+          return { content: '[{"question": "Unterminated', stopReason: 'end_turn' };
+        case 'non-array':
+          return { content: '{"message": "I could not find any checklist items"}', stopReason: 'end_turn' };
+        case 'truncated':
+          // Cut the real answer two thirds of the way through, as a model hitting its output limit would
+          return { content: content.substring(0, Math.floor(content.length * 2 / 3)), stopReason: 'max_tokens' };
+        case 'fenced':
+          return { content: `Here are the checklist items:\n\n\`\`\`json\n${content}\n\`\`\`\n`, stopReason: 'end_turn' };
+        case 'timeout':
+          await sleep(this.config.timeoutMs);
+          throw new Error(`Request timed out after ${this.config.timeoutMs}ms`);
+      }
+    }
+
+    return { content, stopReason: 'end_turn' };
+  }
+
+  /**
+   * Extract checklist without calling a model
+   * Usage is estimated with the token counter so usage accounting can be exercised offline.
+   */
+  async extract({ systemPrompt, userMessage, sheetText, model }) {
+    let usage = null;
+
+    try {
+      this.requestCount++;
+      const structured = this.getExtractionMode(model || MOCK_MODEL) === 'structured';
+      console.log(`🤖 Processing with Mock provider (${model || MOCK_MODEL}${structured ? ', tool use' : ''})...`);
+
+      await sleep(this.config.delayMs);
+
+      const response = await this.buildResponse(sheetText, structured);
+      console.log(`📝 Mock response: ${response.content.substring(0, 200)}...`);
+
+      usage = {
+        inputTokens: tokenCounter.countTokens(`${systemPrompt || ''}${userMessage || ''}`),
+        outputTokens: tokenCounter.countTokens(response.content)
+      };
+
+      const options = { truncated: response.stopReason === 'max_tokens' };
+      const result = structured ? this.parseToolResponse(response.content, options) : this.parseChecklistResponse(response.content, options);
+      return { ...result, usage };
+
+    } catch (error) {
+      console.error('❌ Mock extraction failed:', error.message);
+      throw this.createExtractionError(`Mock processing failed: ${error.message}`, usage);
+    }
+  }
+}
+
+module.exports = MockProvider;
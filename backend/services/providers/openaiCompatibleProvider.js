@@ -0,0 +1,45 @@
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Provider for self-hosted model servers that expose the OpenAI chat completions API
+ * (vLLM, Ollama, LM Studio, llama.cpp server, ...), configured by base URL.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor() {
+    const baseURL = process.env.OPENAI_COMPATIBLE_BASE_URL;
+
+    super({
+      name: 'openai-compatible',
+      label: 'OpenAI-compatible server',
+      baseURL,
+      // Local servers usually ignore the key, but the client library requires one
+      apiKey: baseURL && process.env.OPENAI_COMPATIBLE_MODEL ? (process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed') : '',
+      // Not every server supports response_format, so JSON mode can be switched off
+      jsonMode: process.env.OPENAI_COMPATIBLE_JSON_MODE !== 'false',
+      // Likewise for tools; without them the server gets the prompt-only JSON mode
+      toolCalling: process.env.OPENAI_COMPATIBLE_TOOL_CALLING !== 'false'
+    });
+
+    // A single self-hosted model serves every chunk size
+    this.modelTiers = null;
+
+    this.limits = {
+      contextWindow: parseInt(process.env.OPENAI_COMPATIBLE_CONTEXT_WINDOW) || 8192,
+      maxOutputTokens: parseInt(process.env.OPENAI_COMPATIBLE_MAX_OUTPUT_TOKENS) || 2048
+    };
+  }
+
+  getRequiredEnvVars() {
+    return ['OPENAI_COMPATIBLE_BASE_URL', 'OPENAI_COMPATIBLE_MODEL'];
+  }
+
+  getDefaultModel() {
+    return process.env.OPENAI_COMPATIBLE_MODEL || '';
+  }
+
+  getModelLimits(model) {
+    return model === this.getDefaultModel() ? this.limits : null;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
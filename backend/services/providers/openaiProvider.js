@@ -0,0 +1,108 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAI chat completions provider
+ * Also the base for servers that speak the same API (see openaiCompatibleProvider)
+ */
+class OpenAIProvider extends BaseProvider {
+  /**
+   * @param {object} options - { name, label, apiKey, baseURL, jsonMode, toolCalling } defaults target api.openai.com
+   */
+  constructor(options = {}) {
+    super(options.name || 'openai');
+
+    this.label = options.label || 'OpenAI';
+    this.jsonMode = options.jsonMode !== undefined ? options.jsonMode : true;
+    this.toolCalling = options.toolCalling !== undefined ? options.toolCalling : true;
+    this.client = null;
+
+    const apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY;
+
+    if (!apiKey) {
+      console.error(`❌ ${this.getRequiredEnvVars().join(', ')} required when using ${this.label} provider`);
+    } else {
+      this.client = new OpenAI({
+        apiKey,
+        ...(options.baseURL ? { baseURL: options.baseURL } : {})
+      });
+      console.log(`✅ ${this.label} client initialized${options.baseURL ? ` (${options.baseURL})` : ''}`);
+    }
+  }
+
+  getRequiredEnvVars() {
+    return ['OPENAI_API_KEY'];
+  }
+
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  getDefaultModel() {
+    return process.env.OPENAI_MODEL || super.getDefaultModel();
+  }
+
+  supportsStructuredOutput(model = this.getDefaultModel()) {
+    return this.toolCalling && this.modelSupports(model, 'toolCalling');
+  }
+
+  /**
+   * Extract checklist using the chat completions API
+   */
+  async extract({ systemPrompt, userMessage, model, maxOutputTokens, tool }) {
+    let usage = null;
+
+    try {
+      const modelToUse = model || this.getDefaultModel();
+      const structured = this.getExtractionMode(modelToUse) === 'structured';
+      console.log(`🤖 Processing with ${this.label} (${modelToUse}${structured ? ', function calling' : ''})...`);
+
+      const response = await this.client.chat.completions.create({
+        model: modelToUse,
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt
+          },
+          {
+            role: 'user',
+            content: userMessage
+          }
+        ],
+        temperature: 0.1,
+        max_tokens: maxOutputTokens,
+        ...(structured ? {
+          tools: [{ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.inputSchema } }],
+          tool_choice: { type: 'function', function: { name: tool.name } }
+        } : (this.jsonMode && this.modelSupports(modelToUse, 'jsonMode') ? { response_format: { type: "json_object" } } : {}))
+      });
+
+      // Some OpenAI-compatible servers omit usage
+      usage = {
+        inputTokens: response.usage ? response.usage.prompt_tokens : 0,
+        outputTokens: response.usage ? response.usage.completion_tokens : 0
+      };
+
+      const choice = response.choices[0];
+      const truncated = choice.finish_reason === 'length';
+
+      if (structured) {
+        const toolCall = (choice.message.tool_calls || []).find(call => call.function && call.function.name === tool.name);
+        console.log(`📝 ${this.label} function arguments: ${String(toolCall ? toolCall.function.arguments : null).substring(0, 200)}...`);
+        return { ...this.parseToolResponse(toolCall && toolCall.function.arguments, { truncated }), usage };
+      }
+
+      const content = choice.message.content;
+      console.log(`📝 ${this.label} response: ${content.substring(0, 200)}...`);
+
+      // JSON mode forces an object, so the array usually arrives wrapped as { checklist: [...] }
+      return { ...this.parseChecklistResponse(content, { truncated }), usage };
+
+    } catch (error) {
+      console.error(`❌ ${this.label} extraction failed:`, error);
+      throw this.createExtractionError(`${this.label} processing failed: ${error.message}`, usage);
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
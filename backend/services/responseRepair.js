@@ -0,0 +1,275 @@
+/**
+ * Repair layer for AI extraction responses.
+ * Models sometimes wrap the JSON in markdown fences or prose, or stop mid-array when they hit
+ * the output limit. Instead of failing the whole chunk, pull out whatever complete items the
+ * response holds, validate each one, and report what was fixed or dropped.
+ */
+const { schemas } = require('../middleware/validation');
+const { resolveType, parseYesNo, parseConditions } = require('./templateParser');
+
+// AI items have no IDs yet; they are assigned when chunk results are merged
+const aiItemSchema = schemas.checklistItem.fork(['id'], (schema) => schema.optional());
+
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Remove markdown code fences around a response
+ * @param {string} content - Raw response text
+ * @returns {string} - Text between the first fence pair, or the original text
+ */
+const stripCodeFences = (content) => {
+  const fenced = content.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)(?:```|$)/);
+  return fenced ? fenced[1].trim() : content.trim();
+};
+
+/**
+ * Scan the first JSON array in a text and split it into top-level elements
+ * Works on truncated text: elements that were cut off are returned as incomplete.
+ * @param {string} text - Text containing a JSON array
+ * @returns {object|null} - { arrayText, elements: [{ text, complete }], closed, leadingText } or null if
+ *   the text has no array
+ */
+const scanFirstArray = (text) => {
+  const start = text.indexOf('[');
+
+  if (start === -1) {
+    return null;
+  }
+
+  const elements = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let elementStart = -1;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+      if (depth === 2 && char === '{') {
+        elementStart = i;
+      }
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 1 && char === '}' && elementStart !== -1) {
+        elements.push({ text: text.slice(elementStart, i + 1), complete: true });
+        elementStart = -1;
+      } else if (depth === 0) {
+        return {
+          arrayText: text.slice(start, i + 1),
+          elements,
+          closed: true,
+          leadingText: text.slice(0, start).trim()
+        };
+      }
+    }
+  }
+
+  if (elementStart !== -1) {
+    elements.push({ text: text.slice(elementStart), complete: false });
+  }
+
+  return { arrayText: text.slice(start), elements, closed: false, leadingText: text.slice(0, start).trim() };
+};
+
+/**
+ * Shorten an element for reports
+ */
+const excerpt = (text) => {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.substring(0, EXCERPT_LENGTH)}...` : flat;
+};
+
+/**
+ * Fix common field-level slips before schema validation
+ * @param {object} item - Parsed item
+ * @returns {object} - { item, fixes } fixes describes each change
+ */
+const normalizeItem = (item) => {
+  const fixed = { ...item };
+  const fixes = [];
+
+  if (typeof fixed.question === 'string' && fixed.question !== fixed.question.trim()) {
+    fixed.question = fixed.question.trim();
+  }
+
+  const resolvedType = resolveType(fixed.type);
+  if (resolvedType && resolvedType !== fixed.type) {
+    fixes.push(`type "${fixed.type}" read as ${resolvedType}`);
+    fixed.type = resolvedType;
+  } else if (!resolvedType) {
+    // Same fallback validateChecklist applies, so an odd type does not cost the item
+    fixes.push(`unknown type "${fixed.type}" defaulted to textField`);
+    fixed.type = 'textField';
+  }
+
+  if (Array.isArray(fixed.options)) {
+    fixed.options = fixed.options.join(',');
+    fixes.push('options list joined');
+  }
+
+  ['required', 'isDependent'].forEach(field => {
+    if (typeof fixed[field] === 'string' && parseYesNo(fixed[field]) !== null) {
+      fixes.push(`${field} "${fixed[field]}" read as ${parseYesNo(fixed[field])}`);
+      fixed[field] = parseYesNo(fixed[field]);
+    }
+  });
+
+  // Conditions written out as in a sheet cell, or a single group of rules without the outer list
+  if (typeof fixed.conditions === 'string') {
+    const groups = fixed.conditions.trim() ? parseConditions(fixed.conditions) : [];
+    if (groups) {
+      fixes.push(`conditions "${fixed.conditions}" read as ${groups.length} group(s)`);
+      fixed.conditions = groups;
+    }
+  } else if (Array.isArray(fixed.conditions) && fixed.conditions.some(group => group && !Array.isArray(group))) {
+    fixed.conditions = [fixed.conditions];
+    fixes.push('conditions rules wrapped in one group');
+  }
+
+  if (fixed.required === undefined) {
+    fixed.required = false;
+    fixes.push('required defaulted to false');
+  }
+
+  return { item: fixed, fixes };
+};
+
+/**
+ * Parse an AI response into checklist items without throwing on recoverable damage
+ * @param {string} content - Raw response text
+ * @param {object} options - { truncated } true when the model stopped at its output limit
+ * @returns {object} - { items, report } report is { steps, truncated, recovered: [{ index, question, fixes }],
+ *   dropped: [{ index, reason, excerpt }] }
+ */
+const repairChecklistResponse = (content, options = {}) => {
+  const steps = [];
+  const recovered = [];
+  const dropped = [];
+  let elements;
+  let truncated = Boolean(options.truncated);
+
+  const text = stripCodeFences(content || '');
+  if (text !== (content || '').trim()) {
+    steps.push('stripped code fences');
+  }
+
+  const scan = scanFirstArray(text);
+
+  if (!scan) {
+    const error = new Error('Response does not contain a JSON array');
+    error.code = 'UNPARSEABLE_AI_RESPONSE';
+    throw error;
+  }
+
+  if (scan.leadingText && !/^\{\s*"\w+"\s*:$/.test(scan.leadingText)) {
+    steps.push('skipped text before the JSON array');
+  }
+
+  if (!scan.closed) {
+    truncated = true;
+  }
+
+  try {
+    // Fast path: the array parses as-is
+    elements = JSON.parse(scan.arrayText).map(value => ({ value, text: JSON.stringify(value), salvaged: false }));
+  } catch (parseError) {
+    steps.push(truncated ? 'salvaged complete items from truncated output' : 'parsed items one by one');
+    elements = scan.elements.map(element => {
+      if (!element.complete) {
+        return { error: 'item was cut off', text: element.text };
+      }
+      try {
+        return { value: JSON.parse(element.text), text: element.text, salvaged: true };
+      } catch (elementError) {
+        return { error: `invalid JSON: ${elementError.message}`, text: element.text };
+      }
+    });
+  }
+
+  const items = [];
+
+  elements.forEach((element, index) => {
+    if (element.error) {
+      dropped.push({ index, reason: element.error, excerpt: excerpt(element.text) });
+      return;
+    }
+
+    if (!element.value || typeof element.value !== 'object' || Array.isArray(element.value)) {
+      dropped.push({ index, reason: 'item is not an object', excerpt: excerpt(element.text) });
+      return;
+    }
+
+    const { item, fixes } = normalizeItem(element.value);
+    const { error, value } = aiItemSchema.validate(item, { abortEarly: false, allowUnknown: true });
+
+    if (error) {
+      dropped.push({ index, reason: error.details.map(detail => detail.message).join('; '), excerpt: excerpt(element.text) });
+      return;
+    }
+
+    if (fixes.length > 0 || element.salvaged) {
+      recovered.push({ index, question: value.question, fixes });
+    }
+
+    items.push(value);
+  });
+
+  if (truncated && !steps.includes('salvaged complete items from truncated output')) {
+    steps.push('response was truncated');
+  }
+
+  return {
+    items,
+    report: { steps, truncated, recovered, dropped }
+  };
+};
+
+/**
+ * Check whether a repair report records anything beyond a clean parse
+ * @param {object} report - Report from repairChecklistResponse
+ * @returns {boolean}
+ */
+const hasRepairs = (report) => {
+  return Boolean(report) && (report.steps.length > 0 || report.recovered.length > 0 || report.dropped.length > 0);
+};
+
+/**
+ * Combine per-chunk repair reports for job metadata
+ * @param {Array} chunkReports - [{ chunkIndex, report }] chunkIndex is 1-based
+ * @returns {object} - { repairedChunks, recoveredItems, droppedItems, chunks }
+ */
+const summarizeRepairs = (chunkReports) => {
+  const chunks = chunkReports
+    .filter(entry => hasRepairs(entry.report))
+    .map(entry => ({ chunkIndex: entry.chunkIndex, ...entry.report }));
+
+  return {
+    repairedChunks: chunks.length,
+    recoveredItems: chunks.reduce((total, chunk) => total + chunk.recovered.length, 0),
+    droppedItems: chunks.reduce((total, chunk) => total + chunk.dropped.length, 0),
+    chunks
+  };
+};
+
+module.exports = {
+  repairChecklistResponse,
+  summarizeRepairs,
+  hasRepairs,
+  stripCodeFences,
+  scanFirstArray
+};
@@ -0,0 +1,166 @@
+const XLSX = require('xlsx');
+const { readPackageFile, readSheetXml } = require('./workbookPackage');
+
+/**
+ * Reader for the sheet layout that sheet_to_json flattens away: merged cells, hidden and filtered
+ * rows, struck-out rows, cell comments and the bold or filled rows that mark section titles.
+ * Hidden rows and fills come from SheetJS (read with cellStyles); fonts are read from the package
+ * styles of .xlsx workbooks, which SheetJS does not expose.
+ */
+
+// Fills that do not colour a cell: no fill and the reserved default pattern
+const EMPTY_FILL_PATTERNS = ['none', 'gray125'];
+const WHITE_FILL = /^(FF)?FFFFFF$/i;
+
+/**
+ * Read the bold and struck-out cells of a sheet
+ * @param {object} workbook - Workbook read with bookFiles
+ * @param {string} sheetName - Sheet name
+ * @returns {Map<string, object>} - Cell address to { bold, strike }, for cells with either
+ */
+const readCellFonts = (workbook, sheetName) => {
+  const fonts = new Map();
+  const stylesXml = readPackageFile(workbook, 'xl/styles.xml');
+  const sheetXml = readSheetXml(workbook, sheetName);
+
+  if (!stylesXml || !sheetXml) {
+    return fonts;
+  }
+
+  // <b/> and <b val="1"/> turn a flag on; <b val="0"/> does not
+  const isOn = (fontXml, tag) => new RegExp(`<${tag}(\\s+val="(1|true)")?\\s*/>`).test(fontXml);
+
+  const fontsXml = (stylesXml.match(/<fonts\b[^>]*>([\s\S]*?)<\/fonts>/) || [])[1] || '';
+  const fontFlags = [...fontsXml.matchAll(/<font\b[^>]*?(?:\/>|>([\s\S]*?)<\/font>)/g)]
+    .map(match => ({ bold: isOn(match[1] || '', 'b'), strike: isOn(match[1] || '', 'strike') }));
+
+  const cellXfsXml = (stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+  const styleFonts = [...cellXfsXml.matchAll(/<xf\b[^>]*>/g)]
+    .map(match => fontFlags[parseInt((match[0].match(/\bfontId="(\d+)"/) || [])[1] || '0', 10)] || {});
+
+  for (const match of sheetXml.matchAll(/<c\b[^>]*>/g)) {
+    const address = (match[0].match(/\br="([A-Z]+\d+)"/) || [])[1];
+    const style = (match[0].match(/\bs="(\d+)"/) || [])[1];
+    const font = style !== undefined ? styleFonts[parseInt(style, 10)] : null;
+
+    if (address && font && (font.bold || font.strike)) {
+      fonts.set(address, font);
+    }
+  }
+
+  return fonts;
+};
+
+/**
+ * Read the layout details of a sheet
+ * @param {object} workbook - Workbook read with bookFiles and cellStyles
+ * @param {string} sheetName - Sheet name
+ * @param {object} worksheet - SheetJS worksheet
+ * @returns {object} - { hiddenRows: Set of 0-based rows, merges: SheetJS ranges, fonts: Map }
+ */
+const readSheetLayout = (workbook, sheetName, worksheet) => {
+  const hiddenRows = new Set();
+
+  (worksheet['!rows'] || []).forEach((row, index) => {
+    if (row && row.hidden) {
+      hiddenRows.add(index);
+    }
+  });
+
+  return {
+    hiddenRows,
+    merges: worksheet['!merges'] || [],
+    fonts: readCellFonts(workbook, sheetName)
+  };
+};
+
+/**
+ * Give merged cells their value where sheet_to_json leaves them empty
+ * A vertical merge (a category spanning several question rows) is copied down its first column
+ * into rows that have other content. Returns the rows holding a merge across several columns, which
+ * usually are section titles.
+ * @param {Array<Array<string>>} rows - sheet_to_json rows (header: 1), updated in place
+ * @param {Array<object>} merges - Merged ranges from readSheetLayout
+ * @param {object} origin - Top-left { r, c } of the sheet's used range
+ * @returns {Set<number>} - 0-based sheet rows with a horizontal merge
+ */
+const expandMergedCells = (rows, merges, origin) => {
+  const mergedAcross = new Set();
+
+  merges.forEach(merge => {
+    const column = merge.s.c - origin.c;
+    const source = rows[merge.s.r - origin.r];
+    const value = source && source[column] !== undefined ? source[column] : '';
+
+    if (merge.e.c > merge.s.c) {
+      mergedAcross.add(merge.s.r);
+    }
+
+    if (value === '' || column < 0) {
+      return;
+    }
+
+    for (let sheetRow = merge.s.r + 1; sheetRow <= merge.e.r; sheetRow++) {
+      const row = rows[sheetRow - origin.r];
+      const hasOtherContent = row && row.some((cell, index) => index !== column && cell !== '' && cell !== undefined);
+
+      if (hasOtherContent) {
+        row[column] = value;
+      }
+    }
+  });
+
+  return mergedAcross;
+};
+
+/**
+ * Describe the formatting and comments of one sheet row
+ * @param {object} worksheet - SheetJS worksheet (read with cellStyles)
+ * @param {object} layout - Result of readSheetLayout
+ * @param {number} sheetRow - 0-based sheet row
+ * @param {object} range - Used range of the sheet
+ * @returns {object} - { hidden, struck, styled, comment } styled means every filled-in cell is bold or coloured
+ */
+const describeRow = (worksheet, layout, sheetRow, range) => {
+  const formats = [];
+  const comments = [];
+
+  for (let column = range.s.c; column <= range.e.c; column++) {
+    const address = XLSX.utils.encode_cell({ r: sheetRow, c: column });
+    const cell = worksheet[address];
+
+    if (!cell) {
+      continue;
+    }
+
+    (cell.c || []).forEach(comment => {
+      const text = (comment.t || '').trim();
+      if (text) comments.push(text);
+    });
+
+    if (cell.v === undefined || String(cell.v).trim() === '') {
+      continue;
+    }
+
+    const font = layout.fonts.get(address) || {};
+    const fill = cell.s || {};
+    const filled = Boolean(fill.patternType) && !EMPTY_FILL_PATTERNS.includes(fill.patternType) &&
+      !(fill.fgColor && fill.fgColor.rgb && WHITE_FILL.test(fill.fgColor.rgb));
+
+    formats.push({ bold: Boolean(font.bold), strike: Boolean(font.strike), filled });
+  }
+
+  return {
+    hidden: layout.hiddenRows.has(sheetRow),
+    struck: formats.length > 0 && formats.every(format => format.strike),
+    styled: formats.length > 0 && formats.every(format => format.bold || format.filled),
+    comment: comments.join('\n')
+  };
+};
+
+module.exports = {
+  readSheetLayout,
+  readCellFonts,
+  expandMergedCells,
+  describeRow
+};
@@ -0,0 +1,142 @@
+/**
+ * JSON schema for structured (tool calling) extraction.
+ * The item schema is derived from the Joi checklistItemSchema, so the shape the model is asked
+ * for and the shape the API accepts cannot drift apart.
+ */
+const { schemas } = require('../middleware/validation');
+
+const CHECKLIST_TOOL_NAME = 'record_checklist_items';
+
+const CHECKLIST_TOOL_DESCRIPTION = 'Record every checklist item extracted from the sheet rows, in sheet order.';
+
+// Hints for the model; Joi has no field descriptions of its own
+const FIELD_DESCRIPTIONS = {
+  question: 'Question text without prefixes such as "Question:"',
+  type: 'Zuper field type; use textField when unsure',
+  options: 'Comma separated options for dropdown, radio and checkbox items, otherwise empty',
+  description: 'Help text shown under the question, such as instructions for the technician, otherwise empty',
+  required: 'Whether an answer is required',
+  isDependent: 'Whether the item is only shown for certain answers of another item',
+  dependentOn: 'Question text of the parent item, if dependent',
+  dependentOptions: 'Comma separated parent answers that show this item, if dependent',
+  conditions: 'Only when the item depends on several answers: groups of { dependentOn, dependentOptions } rules. The item is shown when every rule of any one group holds; otherwise empty',
+  sourceRow: 'Row value of the sheet row the item was extracted from'
+};
+
+const JOI_TYPES = {
+  string: 'string',
+  boolean: 'boolean',
+  object: 'object',
+  array: 'array'
+};
+
+/**
+ * Convert a Joi description into a JSON schema
+ * Covers the subset checklist schemas use: objects, arrays, strings, numbers, booleans,
+ * required keys, valid() enums, min/max and integers.
+ * @param {object} description - Output of joiSchema.describe()
+ * @returns {object} - JSON schema
+ */
+const joiToJsonSchema = (description) => {
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  const jsonSchema = {};
+
+  if (description.type === 'number') {
+    jsonSchema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+  } else if (JOI_TYPES[description.type]) {
+    jsonSchema.type = JOI_TYPES[description.type];
+  }
+
+  if (flags.only && description.allow) {
+    jsonSchema.enum = description.allow;
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'object') {
+    jsonSchema.default = flags.default;
+  }
+
+  rules.forEach(rule => {
+    const limit = rule.args && rule.args.limit;
+
+    if (rule.name === 'min' || rule.name === 'max') {
+      if (description.type === 'string') {
+        jsonSchema[`${rule.name}Length`] = limit;
+      } else if (description.type === 'array') {
+        jsonSchema[`${rule.name}Items`] = limit;
+      } else {
+        jsonSchema[`${rule.name}imum`] = limit;
+      }
+    } else if (rule.name === 'sign' && rule.args.sign === 'positive') {
+      jsonSchema.minimum = 1;
+    }
+  });
+
+  if (description.type === 'object' && description.keys) {
+    jsonSchema.properties = {};
+    jsonSchema.required = [];
+
+    Object.entries(description.keys).forEach(([key, keyDescription]) => {
+      jsonSchema.properties[key] = joiToJsonSchema(keyDescription);
+      if ((keyDescription.flags || {}).presence === 'required') {
+        jsonSchema.required.push(key);
+      }
+    });
+  }
+
+  if (description.type === 'array' && description.items && description.items.length === 1) {
+    jsonSchema.items = joiToJsonSchema(description.items[0]);
+  }
+
+  return jsonSchema;
+};
+
+/**
+ * JSON schema for one extracted item: the Joi checklist item without the server-assigned ID,
+ * plus the sourceRow used for provenance
+ * @returns {object}
+ */
+const getChecklistItemJsonSchema = () => {
+  const itemSchema = joiToJsonSchema(schemas.checklistItem.describe());
+
+  delete itemSchema.properties.id;
+  itemSchema.required = itemSchema.required.filter(key => key !== 'id');
+  itemSchema.properties.sourceRow = { type: 'integer' };
+
+  Object.entries(FIELD_DESCRIPTIONS).forEach(([key, text]) => {
+    if (itemSchema.properties[key]) {
+      itemSchema.properties[key].description = text;
+    }
+  });
+
+  return itemSchema;
+};
+
+/**
+ * Tool definition the providers translate into their own tool/function format
+ * Tool inputs must be objects, so the items travel in a checklist array.
+ * @returns {object} - { name, description, inputSchema }
+ */
+const getChecklistTool = () => {
+  return {
+    name: CHECKLIST_TOOL_NAME,
+    description: CHECKLIST_TOOL_DESCRIPTION,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        checklist: {
+          type: 'array',
+          items: getChecklistItemJsonSchema()
+        }
+      },
+      required: ['checklist']
+    }
+  };
+};
+
+module.exports = {
+  CHECKLIST_TOOL_NAME,
+  joiToJsonSchema,
+  getChecklistItemJsonSchema,
+  getChecklistTool
+};
@@ -0,0 +1,487 @@
+/**
+ * Rule-based parser for sheets that follow the documented template
+ * (question|type|option|required|isDependent|dependentOn|dependentOptions, plus an optional conditions
+ * column for compound conditions).
+ * Rows it cannot interpret are returned separately so they can be repaired by AI.
+ */
+
+// Accepted header spellings for each template column (compared after normalizeKey)
+const COLUMN_ALIASES = {
+  question: ['question', 'questions', 'label', 'questiontext'],
+  type: ['type', 'questiontype', 'fieldtype'],
+  options: ['option', 'options'],
+  required: ['required', 'isrequired', 'mandatory'],
+  isDependent: ['isdependent', 'dependent'],
+  dependentOn: ['dependenton', 'parentquestion'],
+  dependentOptions: ['dependentoptions', 'dependentoption', 'triggeroptions'],
+  conditions: ['conditions', 'conditionlogic']
+};
+
+// Header written for each template column when a column mapping renames a sheet's header
+const TEMPLATE_HEADERS = {
+  question: 'question',
+  type: 'type',
+  options: 'option',
+  required: 'required',
+  isDependent: 'isDependent',
+  dependentOn: 'dependentOn',
+  dependentOptions: 'dependentOptions',
+  conditions: 'conditions'
+};
+
+// Words that suggest a template column when a header is not one of its aliases, most specific fields first
+const COLUMN_KEYWORDS = [
+  ['conditions', ['conditions', 'logic', 'rules']],
+  ['dependentOptions', ['dependentoption', 'triggeroption', 'trigger', 'showwhen', 'conditionvalue']],
+  ['dependentOn', ['dependenton', 'dependson', 'parent', 'showif', 'condition']],
+  ['isDependent', ['isdependent', 'dependent', 'conditional']],
+  ['required', ['required', 'mandatory', 'compulsory', 'must']],
+  ['options', ['option', 'choice', 'values', 'picklist', 'selection']],
+  ['type', ['type', 'format', 'input', 'response', 'control', 'kind']],
+  ['question', ['question', 'item', 'task', 'check', 'description', 'inspection', 'field', 'label', 'title', 'prompt']]
+];
+
+// Type keywords (normalized) mapped to checklist item types
+const TYPE_ALIASES = {
+  textfield: 'textField',
+  text: 'textField',
+  textinput: 'textField',
+  singlelineinput: 'textField',
+  textarea: 'textArea',
+  multilineinput: 'textArea',
+  paragraph: 'textArea',
+  date: 'date',
+  dateinput: 'date',
+  time: 'time',
+  timeinput: 'time',
+  datetime: 'dateTime',
+  datetimeinput: 'dateTime',
+  dropdown: 'dropdown',
+  select: 'dropdown',
+  radio: 'radio',
+  radiobutton: 'radio',
+  checkbox: 'checkbox',
+  checkboxes: 'checkbox',
+  multiimage: 'multiImage',
+  multiplepicture: 'multiImage',
+  image: 'multiImage',
+  photo: 'multiImage',
+  signature: 'signature',
+  header: 'header',
+  sectionheader: 'header'
+};
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'required', 'mandatory'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', 'optional', ''];
+
+const CHOICE_TYPES = ['dropdown', 'radio', 'checkbox'];
+
+/**
+ * Normalize a header cell or keyword for comparison
+ * @param {string} value - Raw cell value
+ * @returns {string} - Lowercase string with spaces and punctuation removed
+ */
+const normalizeKey = (value) => {
+  return (value || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Resolve template column positions from a header row
+ * @param {Array<string>} header - Header row cells
+ * @returns {object|null} - Map of field name to column index, or null if question/type are missing
+ */
+const resolveColumns = (header) => {
+  const normalizedHeader = header.map(normalizeKey);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = normalizedHeader.findIndex(cell => aliases.includes(cell));
+    columns[field] = index;
+  }
+
+  if (columns.question === -1 || columns.type === -1) {
+    return null;
+  }
+
+  return columns;
+};
+
+/**
+ * Name the template column a single header cell stands for
+ * @param {string} headerCell - Header cell
+ * @returns {string|null} - Field name (question, type, options, ...), or null for other columns
+ */
+const resolveColumnField = (headerCell) => {
+  const key = normalizeKey(headerCell);
+  const entry = Object.entries(COLUMN_ALIASES).find(([, aliases]) => aliases.includes(key));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Map a type cell to a checklist item type
+ * @param {string} rawType - Raw type cell
+ * @returns {string|null} - Checklist item type, or null if the keyword is not recognised
+ */
+const resolveType = (rawType) => {
+  return TYPE_ALIASES[normalizeKey(rawType)] || null;
+};
+
+/**
+ * Convert a Yes/No style cell to a boolean
+ * @param {string} value - Raw cell value
+ * @returns {boolean|null} - Boolean value, or null if the value is not recognised
+ */
+const parseYesNo = (value) => {
+  const normalized = (value || '').toString().toLowerCase().trim();
+
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Normalize a comma separated option list
+ * @param {string} value - Raw option cell
+ * @returns {string} - Trimmed, comma joined options
+ */
+const normalizeOptions = (value) => {
+  return (value || '')
+    .toString()
+    .split(/[,\n]/)
+    .map(opt => opt.trim())
+    .filter(Boolean)
+    .join(',');
+};
+
+/**
+ * Parse a conditions cell such as "Roof type = Metal, Tile AND Damage = Yes OR Leak detected = Yes"
+ * Each rule is a parent question (or item ID), "=" and the answers that satisfy it. AND binds before OR;
+ * parentheses may wrap whole rules or AND groups, but not OR inside an AND. A question that itself contains
+ * AND, OR, "=" or parentheses is written in double quotes ("Indoor OR outdoor unit" = Indoor); questions
+ * of the same sheet are recognised without quotes.
+ * @param {string} text - Cell text
+ * @param {Array<string>} questions - Questions of the sheet, kept whole when they contain AND or OR
+ * @returns {Array<Array<object>>|null} - Condition groups [[{ dependentOn, dependentOptions }]], or null
+ *   when the cell cannot be read
+ */
+const parseConditions = (text, questions = []) => {
+  const count = (value, char) => value.split(char).length - 1;
+  // Whether the whole text is one parenthesised rule, as in "(Damage = Yes)"
+  const wrapped = (value) => {
+    if (!value.startsWith('(') || !value.endsWith(')')) return false;
+    let depth = 0;
+    return [...value.slice(1, -1)].every(char => (depth += char === '(' ? 1 : char === ')' ? -1 : 0) >= 0);
+  };
+  const protectedText = [];
+
+  // Quoted and known questions are set aside so their words and punctuation are not read as operators
+  const protect = (value) => `\u0000${protectedText.push(value) - 1}\u0000`;
+  const restore = (value) => value.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedText[index]);
+
+  let masked = text.trim().replace(/["\u201C]([^"\u201C\u201D]*)["\u201D]/g, (match, question) => protect(question.trim()));
+
+  questions
+    .map(question => (question || '').toString().trim())
+    .filter(question => /\s(AND|OR)\s/.test(question))
+    .sort((a, b) => b.length - a.length)
+    .forEach(question => {
+      const escaped = question.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      masked = masked.replace(new RegExp(`(^|[\\s(])${escaped}(?=\\s*=)`, 'gi'), (match, before) => before + protect(question));
+    });
+
+  if (/["\u201C\u201D]/.test(masked)) {
+    return null;
+  }
+
+  const groups = masked.split(/\s+OR\s+/).map(groupText => {
+    if (count(groupText, '(') !== count(groupText, ')')) {
+      return null;
+    }
+
+    return groupText.split(/\s+AND\s+/).map(ruleText => {
+      let rule = ruleText.trim();
+      while (rule.startsWith('(') && count(rule, '(') > count(rule, ')')) rule = rule.substring(1).trim();
+      while (rule.endsWith(')') && count(rule, ')') > count(rule, '(')) rule = rule.slice(0, -1).trim();
+      while (wrapped(rule)) rule = rule.slice(1, -1).trim();
+
+      const separator = rule.lastIndexOf('=');
+      const dependentOn = restore(rule.substring(0, separator)).trim();
+      const dependentOptions = normalizeOptions(restore(rule.substring(separator + 1)));
+
+      return separator > 0 && dependentOn && dependentOptions ? { dependentOn, dependentOptions } : null;
+    });
+  });
+
+  return groups.every(group => group && group.every(Boolean)) ? groups : null;
+};
+
+/**
+ * Suggest which sheet column holds each template field
+ * Header aliases are matched first, then header keywords, then the sample values: a column of type
+ * keywords, of Yes/No values, of short comma separated lists, and finally the column with the longest
+ * text for the question. Type and required columns found by header must also hold fitting values.
+ * @param {Array<string>} header - Header row cells
+ * @param {Array<Array<string>>} sampleRows - First data rows
+ * @returns {object} - { mapping, basis } mapping is field to header cell (null when not found); basis is
+ *   field to header, keyword or content
+ */
+const suggestColumnMapping = (header, sampleRows = []) => {
+  const mapping = {};
+  const basis = {};
+  const taken = new Set();
+
+  const assign = (field, index, reason) => {
+    mapping[field] = header[index].toString().trim();
+    basis[field] = reason;
+    taken.add(index);
+  };
+  const freeColumns = () => header
+    .map((cell, index) => index)
+    .filter(index => !taken.has(index) && (header[index] || '').toString().trim() !== '');
+  const columnValues = (index) => sampleRows
+    .map(row => (row[index] || '').toString().trim())
+    .filter(value => value !== '');
+  const mostly = (values, test) => values.length > 0 && values.filter(test).length >= values.length / 2;
+
+  const contentTests = {
+    type: values => mostly(values, value => resolveType(value) !== null),
+    // Every value, so a column of serial numbers starting at 1 is not taken for Yes/No
+    required: values => values.length > 0 && values.every(value => parseYesNo(value) !== null),
+    options: values => mostly(values, value => {
+      const parts = value.split(/[,\n]/).map(part => part.trim()).filter(Boolean);
+      return parts.length > 1 && parts.every(part => part.length <= 30);
+    }),
+    conditions: values => values.length > 0 && values.every(value => parseConditions(value) !== null)
+  };
+
+  // A Type column of equipment categories is not the question type; sample values decide
+  const fits = (field, index) => {
+    const values = columnValues(index);
+    return !['type', 'required', 'conditions'].includes(field) || values.length === 0 || contentTests[field](values);
+  };
+
+  header.forEach((cell, index) => {
+    const field = resolveColumnField(cell);
+    if (field && !mapping[field] && fits(field, index)) assign(field, index, 'header');
+  });
+
+  COLUMN_KEYWORDS.forEach(([field, keywords]) => {
+    if (mapping[field]) return;
+    const index = freeColumns().find(column =>
+      keywords.some(keyword => normalizeKey(header[column]).includes(keyword)) && fits(field, column));
+    if (index !== undefined) assign(field, index, 'keyword');
+  });
+
+  Object.entries(contentTests).forEach(([field, test]) => {
+    if (mapping[field]) return;
+    const index = freeColumns().find(column => test(columnValues(column)));
+    if (index !== undefined) assign(field, index, 'content');
+  });
+
+  if (!mapping.question) {
+    const averageLength = (index) => {
+      const values = columnValues(index);
+      return values.length >= sampleRows.length / 2 && values.length > 0
+        ? values.reduce((total, value) => total + value.length, 0) / values.length
+        : 0;
+    };
+    const index = freeColumns().sort((a, b) => averageLength(b) - averageLength(a))[0];
+    if (index !== undefined && averageLength(index) > 0) assign('question', index, 'content');
+  }
+
+  const fields = Object.keys(COLUMN_ALIASES);
+
+  return {
+    mapping: Object.fromEntries(fields.map(field => [field, mapping[field] || null])),
+    basis: Object.fromEntries(fields.map(field => [field, basis[field] || null]))
+  };
+};
+
+/**
+ * Map a single template row to a checklist item
+ * @param {Array<string>} row - Data row cells
+ * @param {object} columns - Column positions from resolveColumns
+ * @param {boolean} sectionTitle - Whether the row is formatted as a section title
+ * @param {Array<string>} questions - Questions of the sheet, for reading the conditions column
+ * @returns {object} - { item } on success or { reason } when the row needs AI repair
+ */
+const parseRow = (row, columns, sectionTitle = false, questions = []) => {
+  const cell = (field) => (columns[field] === -1 ? '' : (row[columns[field]] || '').toString().trim());
+
+  const question = cell('question');
+  if (!question) {
+    return { reason: 'Missing question text' };
+  }
+
+  const options = normalizeOptions(cell('options'));
+  const rawType = cell('type');
+  let type = resolveType(rawType);
+
+  if (!type) {
+    if (rawType || options) {
+      return { reason: `Unrecognised type "${rawType}"` };
+    }
+    // Untyped section titles are headers; other untyped rows get the default the AI prompt uses
+    type = sectionTitle ? 'header' : 'textField';
+  }
+
+  const required = parseYesNo(cell('required'));
+  if (required === null) {
+    return { reason: `Unrecognised required value "${cell('required')}"` };
+  }
+
+  let dependentOn = cell('dependentOn');
+  let dependentOptions = normalizeOptions(cell('dependentOptions'));
+  let conditions = [];
+  let isDependent = parseYesNo(cell('isDependent'));
+
+  if (isDependent === null) {
+    return { reason: `Unrecognised isDependent value "${cell('isDependent')}"` };
+  }
+
+  // A filled conditions column replaces dependentOn and dependentOptions
+  if (cell('conditions')) {
+    conditions = parseConditions(cell('conditions'), questions);
+    if (!conditions) {
+      return { reason: `Unrecognised conditions "${cell('conditions')}"` };
+    }
+
+    // A single rule is an ordinary dependency
+    if (conditions.length === 1 && conditions[0].length === 1) {
+      ({ dependentOn, dependentOptions } = conditions[0][0]);
+      conditions = [];
+    } else {
+      dependentOn = '';
+      dependentOptions = '';
+    }
+  }
+
+  // A filled parent or conditions column implies a dependency even when the flag was left blank
+  if (!isDependent && !cell('isDependent') && (dependentOn || conditions.length > 0)) {
+    isDependent = true;
+  }
+
+  return {
+    item: {
+      question,
+      type,
+      options: CHOICE_TYPES.includes(type) ? options : '',
+      required,
+      isDependent,
+      dependentOn: isDependent ? dependentOn : '',
+      dependentOptions: isDependent ? dependentOptions : '',
+      conditions: isDependent ? conditions : []
+    }
+  };
+};
+
+/**
+ * Parse structured template rows into checklist items
+ * @param {Array<string>} header - Header row cells
+ * @param {Array<Array<string>>} dataRows - Data rows (header excluded)
+ * @param {Array<number>} sectionRowIndexes - Data rows formatted as section titles (bold, filled or merged)
+ * @returns {object|null} - Parsed items and unparsed rows, or null if the header is not a template header
+ */
+const parseTemplateRows = (header, dataRows, sectionRowIndexes = []) => {
+  const columns = resolveColumns(header);
+
+  if (!columns) {
+    console.log('📋 Header does not match the checklist template, skipping rule-based parsing');
+    return null;
+  }
+
+  const parsed = [];
+  const unparsed = [];
+  const questions = columns.question === -1 ? [] : dataRows.map(row => row[columns.question]);
+
+  dataRows.forEach((row, rowIndex) => {
+    if (row.every(cell => !cell || cell.toString().trim() === '')) {
+      return;
+    }
+
+    const result = parseRow(row, columns, sectionRowIndexes.includes(rowIndex), questions);
+
+    if (result.item) {
+      parsed.push({ rowIndex, item: result.item });
+    } else {
+      unparsed.push({ rowIndex, row, reason: result.reason });
+    }
+  });
+
+  console.log(`📋 Template parser: ${parsed.length} rows parsed, ${unparsed.length} rows need AI repair`);
+
+  return {
+    header,
+    parsed,
+    unparsed,
+    stats: {
+      totalRows: parsed.length + unparsed.length,
+      parsedRows: parsed.length,
+      unparsedRows: unparsed.length
+    }
+  };
+};
+
+/**
+ * Merge rule-based items with AI repaired items in source row order
+ * Parsed items are tagged with the sheet row number they came from (sourceRow).
+ * @param {object} templateResult - Result of parseTemplateRows
+ * @param {Array} repairedItems - Items returned by the AI for the unparsed rows
+ * @param {Array<number>} rowNumbers - Sheet row numbers of the data rows
+ * @returns {object} - { checklist, warnings }
+ */
+const mergeRepairedItems = (templateResult, repairedItems = [], rowNumbers = []) => {
+  const warnings = [];
+  const ordered = templateResult.parsed.map(entry => ({
+    position: entry.rowIndex,
+    item: { ...entry.item, sourceRow: rowNumbers[entry.rowIndex] }
+  }));
+
+  // Items that echo back the row number of an unparsed row go straight to that row
+  const unparsedIndexByRow = new Map(templateResult.unparsed.map(entry => [rowNumbers[entry.rowIndex], entry.rowIndex]));
+  const allLocated = repairedItems.length > 0 &&
+    repairedItems.every(item => unparsedIndexByRow.has(parseInt(item.sourceRow)));
+
+  if (allLocated) {
+    repairedItems.forEach((item, index) => {
+      const rowIndex = unparsedIndexByRow.get(parseInt(item.sourceRow));
+      ordered.push({ position: rowIndex + index / (repairedItems.length + 1), item });
+    });
+  } else if (repairedItems.length === templateResult.unparsed.length) {
+    // One item per row, as the prompt asks for: put each item back at its source row
+    repairedItems.forEach((item, index) => {
+      const rowIndex = templateResult.unparsed[index].rowIndex;
+      ordered.push({ position: rowIndex, item: { ...item, sourceRow: rowNumbers[rowIndex] } });
+    });
+  } else if (repairedItems.length > 0) {
+    // Cannot tell which row produced which item, so keep them together at the first repaired row
+    const anchor = templateResult.unparsed[0].rowIndex;
+    repairedItems.forEach((item, index) => {
+      ordered.push({ position: anchor + index / repairedItems.length, item });
+    });
+    warnings.push(`AI returned ${repairedItems.length} items for ${templateResult.unparsed.length} unparsed rows; repaired items were grouped at data row ${anchor + 1}`);
+  }
+
+  if (templateResult.unparsed.length > 0 && repairedItems.length === 0) {
+    warnings.push(`${templateResult.unparsed.length} rows could not be interpreted and were skipped`);
+  }
+
+  const checklist = ordered
+    .sort((a, b) => a.position - b.position)
+    .map((entry, index) => ({ ...entry.item, id: index + 1 }));
+
+  return { checklist, warnings };
+};
+
+module.exports = {
+  TEMPLATE_HEADERS,
+  parseTemplateRows,
+  mergeRepairedItems,
+  resolveColumns,
+  resolveColumnField,
+  suggestColumnMapping,
+  resolveType,
+  parseConditions,
+  parseYesNo,
+  normalizeOptions
+};
@@ -1,4 +1,5 @@
 const { encode } = require('gpt-tokenizer');
+const modelRegistry = require('./modelRegistry');
 
 /**
  * Token counting service for accurate chunking
@@ -7,6 +8,9 @@ const { encode } = require('gpt-tokenizer');
 class TokenCounter {
   constructor() {
     this.fallbackRatio = 3.5; // characters per token for fallback estimation
+
+    // Chunk size per content type, relative to the model's optimal chunk size for sheet rows
+    this.contentTypeScale = { excel: 1, text: 1.25, code: 0.75 };
   }
 
   /**
@@ -110,22 +114,13 @@ class TokenCounter {
 
   /**
    * Get optimal chunk size based on model and content type
-   * @param {string} model - Model name
+   * @param {string} model - Model name (chunk sizes come from the model registry)
    * @param {string} contentType - Type of content (excel, text, code, etc.)
    * @returns {number} - Recommended max tokens per chunk
    */
   getOptimalChunkSize(model, contentType = 'excel') {
-    const baseSettings = {
-      'claude-3-haiku-20240307': { excel: 800, text: 1000, code: 600 },
-      'claude-3-sonnet-20240229': { excel: 1500, text: 2000, code: 1200 },
-      'claude-3-opus-20240229': { excel: 3000, text: 4000, code: 2500 },
-      'gpt-3.5-turbo': { excel: 800, text: 1000, code: 600 },
-      'gpt-4': { excel: 1500, text: 2000, code: 1200 },
-      'gpt-4-turbo': { excel: 3000, text: 4000, code: 2500 }
-    };
-
-    const modelSettings = baseSettings[model] || baseSettings['claude-3-haiku-20240307'];
-    return modelSettings[contentType] || modelSettings.excel;
+    const scale = this.contentTypeScale[contentType] || this.contentTypeScale.excel;
+    return Math.round(modelRegistry.getOptimalChunkTokens(model) * scale);
   }
 
   /**
@@ -134,7 +129,7 @@ class TokenCounter {
    * @param {string} model - Target model
    * @returns {object} - Analysis results
    */
-  analyzeForChunking(text, model = 'claude-3-haiku-20240307') {
+  analyzeForChunking(text, model = modelRegistry.getDefaultModel('claude')) {
     const totalTokens = this.countTokens(text, model);
     const optimalChunkSize = this.getOptimalChunkSize(model, 'excel');
     const lines = text.split('\n');
@@ -181,7 +176,7 @@ class TokenCounter {
    * @param {string} model - Model name
    * @returns {object} - Usage statistics
    */
-  getUsageStats(chunks, model = 'claude-3-haiku-20240307') {
+  getUsageStats(chunks, model = modelRegistry.getDefaultModel('claude')) {
     const chunkTokens = chunks.map(chunk => this.countTokens(chunk, model));
     const totalTokens = chunkTokens.reduce((sum, tokens) => sum + tokens, 0);
     const optimalChunkSize = this.getOptimalChunkSize(model, 'excel');
@@ -0,0 +1,192 @@
+const fs = require('fs');
+
+/**
+ * AI usage and cost ledger
+ * Every AI request made during an extraction is recorded with its tokens, latency and estimated
+ * cost, summed per job for the extraction response and aggregated by day and model for reporting.
+ * Set USAGE_LOG_FILE to keep the ledger across restarts (one JSON record per line).
+ */
+class UsageService {
+  constructor() {
+    this.records = [];
+
+    this.config = {
+      logFile: process.env.USAGE_LOG_FILE || null,
+      retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS) || 90
+    };
+
+    this.loadLog();
+  }
+
+  /**
+   * Load records persisted by earlier runs
+   */
+  loadLog() {
+    if (!this.config.logFile || !fs.existsSync(this.config.logFile)) {
+      return;
+    }
+
+    try {
+      const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+
+      this.records = fs.readFileSync(this.config.logFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+        .filter(record => Date.parse(record.timestamp) >= cutoff);
+
+      console.log(`📒 Loaded ${this.records.length} AI usage records from ${this.config.logFile}`);
+    } catch (error) {
+      console.error('❌ Failed to load AI usage log:', error.message);
+    }
+  }
+
+  /**
+   * Record the AI requests of a job
+   * @param {string} jobId - Job the requests belong to
+   * @param {Array} requests - Usage entries from aiService ({ chunkIndex, provider, model, inputTokens,
+   *   outputTokens, latencyMs, estimatedCost, success, cached })
+   */
+  record(jobId, requests) {
+    if (!requests || requests.length === 0) {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const records = requests.map(request => ({ ...request, jobId, timestamp }));
+
+    this.records.push(...records);
+    this.pruneExpiredRecords();
+
+    if (this.config.logFile) {
+      fs.promises.appendFile(this.config.logFile, records.map(record => JSON.stringify(record)).join('\n') + '\n')
+        .catch(error => console.error('❌ Failed to write AI usage log:', error.message));
+    }
+  }
+
+  /**
+   * Drop in-memory records older than the retention window
+   */
+  pruneExpiredRecords() {
+    const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+
+    while (this.records.length > 0 && Date.parse(this.records[0].timestamp) < cutoff) {
+      this.records.shift();
+    }
+  }
+
+  /**
+   * Sum a list of requests
+   * estimatedCost stays null when none of the requests has a known price
+   * @param {Array} requests - Usage entries
+   * @returns {object} - { requests, failedRequests, cachedRequests, inputTokens, outputTokens, totalTokens,
+   *   latencyMs, averageLatencyMs, estimatedCost, unpricedRequests }
+   */
+  sumRequests(requests) {
+    const billed = requests.filter(request => !request.cached);
+    const priced = billed.filter(request => request.estimatedCost !== null && request.estimatedCost !== undefined);
+    const sum = (field, list = billed) => list.reduce((total, request) => total + (request[field] || 0), 0);
+    const latencyMs = sum('latencyMs');
+
+    return {
+      requests: billed.length,
+      failedRequests: billed.filter(request => !request.success).length,
+      cachedRequests: requests.length - billed.length,
+      inputTokens: sum('inputTokens'),
+      outputTokens: sum('outputTokens'),
+      totalTokens: sum('inputTokens') + sum('outputTokens'),
+      latencyMs,
+      averageLatencyMs: billed.length > 0 ? Math.round(latencyMs / billed.length) : 0,
+      estimatedCost: priced.length > 0 ? Number(sum('estimatedCost', priced).toFixed(6)) : null,
+      unpricedRequests: billed.length - priced.length
+    };
+  }
+
+  /**
+   * Group requests by a key and sum each group
+   * @param {Array} requests - Usage entries
+   * @param {Function} keyOf - request => group key
+   * @returns {Map} - key => requests in that group
+   */
+  groupBy(requests, keyOf) {
+    const groups = new Map();
+
+    requests.forEach(request => {
+      const key = keyOf(request);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(request);
+    });
+
+    return groups;
+  }
+
+  /**
+   * Usage summary of one extraction, for processingStats
+   * @param {Array} requests - Usage entries of the job
+   * @returns {object} - Totals plus byModel and per-chunk breakdowns
+   */
+  summarizeJob(requests) {
+    const byModel = this.groupBy(requests.filter(request => !request.cached), request => request.model);
+    const byChunk = this.groupBy(requests, request => request.chunkIndex);
+
+    return {
+      ...this.sumRequests(requests),
+      byModel: Object.fromEntries([...byModel].map(([model, modelRequests]) => [model, this.sumRequests(modelRequests)])),
+      chunks: [...byChunk]
+        .sort(([a], [b]) => a - b)
+        .map(([chunkIndex, chunkRequests]) => ({
+          chunkIndex,
+          models: [...new Set(chunkRequests.map(request => request.model))],
+          cached: chunkRequests.every(request => request.cached),
+          ...this.sumRequests(chunkRequests)
+        }))
+    };
+  }
+
+  /**
+   * Aggregate recorded usage by day and model
+   * @param {object} filters - { from, to, model } from/to are YYYY-MM-DD (UTC, inclusive)
+   * @returns {object} - { from, to, totals, models, days: [{ date, totals, models }] }
+   */
+  aggregate(filters = {}) {
+    const { from = null, to = null, model = null } = filters;
+
+    const requests = this.records.filter(record => {
+      const day = record.timestamp.substring(0, 10);
+      return (!from || day >= from) && (!to || day <= to) && (!model || record.model === model);
+    });
+
+    const summarizeModels = (list) => [...this.groupBy(list.filter(request => !request.cached), request => request.model)]
+      .map(([modelName, modelRequests]) => ({
+        model: modelName,
+        provider: modelRequests[0].provider,
+        ...this.sumRequests(modelRequests)
+      }))
+      .sort((a, b) => b.totalTokens - a.totalTokens);
+
+    const days = [...this.groupBy(requests, request => request.timestamp.substring(0, 10))]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, dayRequests]) => ({
+        date,
+        jobs: new Set(dayRequests.map(request => request.jobId)).size,
+        totals: this.sumRequests(dayRequests),
+        models: summarizeModels(dayRequests)
+      }));
+
+    return {
+      from,
+      to,
+      model,
+      jobs: new Set(requests.map(request => request.jobId)).size,
+      totals: this.sumRequests(requests),
+      models: summarizeModels(requests),
+      days
+    };
+  }
+}
+
+// Export singleton instance
+const usageService = new UsageService();
+module.exports = usageService;
@@ -0,0 +1,78 @@
+/**
+ * Access to the XML parts of an .xlsx package, for the sheet details SheetJS does not parse
+ * (data validation rules, fonts). Workbooks must be read with bookFiles; other formats have no
+ * package and every reader returns null for them.
+ */
+
+/**
+ * Decode the entities used in worksheet XML
+ * @param {string} text - XML text
+ * @returns {string}
+ */
+const decodeXml = (text) => {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Get a file of the workbook package as text
+ * @param {object} workbook - Workbook read with bookFiles
+ * @param {string} name - Path inside the package
+ * @returns {string|null}
+ */
+const readPackageFile = (workbook, name) => {
+  const entry = workbook.files && workbook.files[name.replace(/^\//, '')];
+
+  if (!entry || !entry.content) {
+    return null;
+  }
+
+  return Buffer.from(entry.content).toString('utf8');
+};
+
+/**
+ * Find the worksheet XML of a sheet through the workbook relationships
+ * @param {object} workbook - Workbook read with bookFiles
+ * @param {string} sheetName - Sheet name
+ * @returns {string|null} - Worksheet XML, or null for formats other than .xlsx
+ */
+const readSheetXml = (workbook, sheetName) => {
+  const workbookXml = readPackageFile(workbook, 'xl/workbook.xml');
+  const relsXml = readPackageFile(workbook, 'xl/_rels/workbook.xml.rels');
+
+  if (!workbookXml || !relsXml) {
+    return null;
+  }
+
+  const sheet = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)]
+    .map(match => ({
+      name: decodeXml((match[0].match(/\bname="([^"]*)"/) || [])[1] || ''),
+      relId: (match[0].match(/\br:id="([^"]*)"/) || [])[1]
+    }))
+    .find(entry => entry.name === sheetName);
+
+  if (!sheet) {
+    return null;
+  }
+
+  const relationship = [...relsXml.matchAll(/<Relationship\b[^>]*>/g)]
+    .map(match => match[0])
+    .find(tag => tag.includes(`Id="${sheet.relId}"`));
+  const target = relationship && (relationship.match(/\bTarget="([^"]*)"/) || [])[1];
+
+  if (!target) {
+    return null;
+  }
+
+  return readPackageFile(workbook, target.startsWith('/') ? target : `xl/${target}`);
+};
+
+module.exports = {
+  decodeXml,
+  readPackageFile,
+  readSheetXml
+};
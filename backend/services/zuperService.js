@@ -1,4 +1,5 @@
 const axios = require('axios');
+const dependencyResolver = require('./dependencyResolver');
 
 /**
  * Map checklist type to Zuper component
@@ -59,15 +60,30 @@ function getMetaOptionsByComponent(type) {
 
 /**
  * Generate Zuper API payload from checklist data
+ * Dependent items point at their parent's field ID (dependent_on) and each parent lists its children
+ * (dependents). Compound conditions use the closest single-parent link dependencyResolver plans;
+ * references that cannot be resolved leave the item independent. Callers check both with
+ * dependencyValidator before submitting.
  * @param {Array} checklist - Array of checklist items
  * @param {Object} config - Configuration object with categoryUid, statusUid, etc.
+ * @param {Object} dependencies - Result of dependencyResolver.resolveDependencies, resolved when omitted
  * @returns {Object} - Zuper API payload
  */
-const generateZuperPayload = (checklist, config) => {
+const generateZuperPayload = (checklist, config, dependencies = null) => {
   try {
     console.log('📦 Generating Zuper payload...');
     
     const { categoryUid, statusUid } = config;
+    const { zuper } = dependencies || dependencyResolver.resolveDependencies(checklist);
+    const parents = zuper.map(link => link.parentIndex);
+
+    // Field IDs are 1-based positions in the payload
+    const dependentsByParent = new Map();
+    parents.forEach((parentIndex, index) => {
+      if (parentIndex !== null) {
+        dependentsByParent.set(parentIndex, [...(dependentsByParent.get(parentIndex) || []), index + 1]);
+      }
+    });
 
     console.log('📋 Raw checklist input:');
     console.dir(checklist, { depth: null });
@@ -82,7 +98,7 @@ const generateZuperPayload = (checklist, config) => {
         editable: true,
         index: index,
         label: item.question,
-        description: "",
+        description: item.description || "",
         placeholder: "",
         options: item.options
           ? item.options.split(',').map(opt => opt.trim()).filter(Boolean)
@@ -90,12 +106,9 @@ const generateZuperPayload = (checklist, config) => {
         required: Boolean(item.required),
         validation: "/.*/",
         hide_to_fe: false,
-        // FIXED: Properly map dependency fields with fallbacks
-        is_dependent: Boolean(item.isDependent),
-        dependent_on: item.dependentOn || '',
-        dependent_options: item.dependentOptions
-          ? item.dependentOptions.split(',').map(opt => opt.trim()).filter(opt => opt !== '')
-          : [],
+        is_dependent: parents[index] !== null,
+        dependent_on: parents[index] !== null ? parents[index] + 1 : '',
+        dependent_options: zuper[index].options,
         attributes: {},
         hide_field: false,
         read_only: false,
@@ -104,7 +117,7 @@ const generateZuperPayload = (checklist, config) => {
         max_value: null,
         default_option: null,
         group: "Default",
-        dependents: [],
+        dependents: dependentsByParent.get(index) || [],
         restrict_status_update: null,
         meta_options: getMetaOptionsByComponent(componentType),
         checklist_view_type: "SINGLE_PAGE"
@@ -129,6 +142,75 @@ const generateZuperPayload = (checklist, config) => {
   }
 };
 
+/**
+ * Translate a failed Zuper request into an error with a code, status code and readable message
+ * @param {Error} error - Axios error
+ * @param {string} action - What was attempted, completing "Failed to ... Zuper"
+ * @returns {Error}
+ */
+function toZuperApiError(error, action) {
+  // Handle specific error types
+  if (error.code === 'ECONNREFUSED') {
+    const connError = new Error('Unable to connect to Zuper API. Please check the region setting.');
+    connError.code = 'ZUPER_API_ERROR';
+    connError.statusCode = 503;
+    return connError;
+  } else if (error.code === 'ENOTFOUND') {
+    const dnsError = new Error('Invalid Zuper region. Please check the region setting.');
+    dnsError.code = 'ZUPER_API_ERROR';
+    dnsError.statusCode = 400;
+    return dnsError;
+  } else if (error.code === 'ECONNABORTED') {
+    const timeoutError = new Error('Request to Zuper API timed out. Please try again.');
+    timeoutError.code = 'TIMEOUT_ERROR';
+    timeoutError.statusCode = 408;
+    return timeoutError;
+  }
+
+  // Handle HTTP errors
+  if (error.response) {
+    const status = error.response.status;
+    const errorData = error.response.data;
+    
+    let errorMessage = 'Zuper API error';
+    
+    switch (status) {
+      case 400:
+        errorMessage = 'Invalid request data. Please check your category UID and status UID.';
+        break;
+      case 401:
+        errorMessage = 'Invalid API key. Please check your Zuper API key.';
+        break;
+      case 403:
+        errorMessage = 'Access denied. Please check your API key permissions.';
+        break;
+      case 404:
+        errorMessage = 'Zuper API endpoint not found. Please check the region setting.';
+        break;
+      case 429:
+        errorMessage = 'Too many requests to Zuper API. Please try again later.';
+        break;
+      case 500:
+        errorMessage = 'Zuper server error. Please try again later.';
+        break;
+      default:
+        errorMessage = `Zuper API error (${status}): ${errorData?.message || error.message}`;
+    }
+    
+    const apiError = new Error(errorMessage);
+    apiError.code = 'ZUPER_API_ERROR';
+    apiError.statusCode = status;
+    apiError.response = errorData;
+    return apiError;
+  }
+  
+  // Handle other errors
+  const genericError = new Error(`Failed to ${action} Zuper: ${error.message}`);
+  genericError.code = 'ZUPER_API_ERROR';
+  genericError.statusCode = 500;
+  return genericError;
+}
+
 /**
  * Submit checklist to Zuper FSM API
  * @param {Object} payload - Zuper API payload
@@ -184,67 +266,7 @@ const submitToZuper = async (payload, apiKey, region) => {
 
   } catch (error) {
     console.error('❌ Zuper API submission failed:', error);
-    
-    // Handle specific error types
-    if (error.code === 'ECONNREFUSED') {
-      const connError = new Error('Unable to connect to Zuper API. Please check the region setting.');
-      connError.code = 'ZUPER_API_ERROR';
-      connError.statusCode = 503;
-      throw connError;
-    } else if (error.code === 'ENOTFOUND') {
-      const dnsError = new Error('Invalid Zuper region. Please check the region setting.');
-      dnsError.code = 'ZUPER_API_ERROR';
-      dnsError.statusCode = 400;
-      throw dnsError;
-    } else if (error.code === 'ECONNABORTED') {
-      const timeoutError = new Error('Request to Zuper API timed out. Please try again.');
-      timeoutError.code = 'TIMEOUT_ERROR';
-      timeoutError.statusCode = 408;
-      throw timeoutError;
-    }
-
-    // Handle HTTP errors
-    if (error.response) {
-      const status = error.response.status;
-      const errorData = error.response.data;
-      
-      let errorMessage = 'Zuper API error';
-      
-      switch (status) {
-        case 400:
-          errorMessage = 'Invalid request data. Please check your category UID and status UID.';
-          break;
-        case 401:
-          errorMessage = 'Invalid API key. Please check your Zuper API key.';
-          break;
-        case 403:
-          errorMessage = 'Access denied. Please check your API key permissions.';
-          break;
-        case 404:
-          errorMessage = 'Zuper API endpoint not found. Please check the region setting.';
-          break;
-        case 429:
-          errorMessage = 'Too many requests to Zuper API. Please try again later.';
-          break;
-        case 500:
-          errorMessage = 'Zuper server error. Please try again later.';
-          break;
-        default:
-          errorMessage = `Zuper API error (${status}): ${errorData?.message || error.message}`;
-      }
-      
-      const apiError = new Error(errorMessage);
-      apiError.code = 'ZUPER_API_ERROR';
-      apiError.statusCode = status;
-      apiError.response = errorData;
-      throw apiError;
-    }
-    
-    // Handle other errors
-    const genericError = new Error(`Failed to submit to Zuper: ${error.message}`);
-    genericError.code = 'ZUPER_API_ERROR';
-    genericError.statusCode = 500;
-    throw genericError;
+    throw toZuperApiError(error, 'submit to');
   }
 };
 
@@ -389,6 +411,49 @@ const getZuperStatuses = async (apiKey, region, categoryUid) => {
   }
 };
 
+/**
+ * Get the checklist a job status currently has in Zuper
+ * The statuses of a category are returned with the checklist fields of each status.
+ * @param {string} apiKey - API key
+ * @param {string} region - Region
+ * @param {string} categoryUid - Category UID
+ * @param {string} statusUid - Status UID
+ * @returns {Promise<Array>} - Checklist fields in the payload format, empty when the status has none
+ */
+const getZuperChecklist = async (apiKey, region, categoryUid, statusUid) => {
+  let response;
+
+  try {
+    response = await axios({
+      method: 'GET',
+      url: `https://${region}.zuperpro.com/api/jobs/status/${categoryUid}`,
+      headers: {
+        'x-api-key': apiKey,
+        'User-Agent': 'Zuper-Checklist-Tool/1.0.0'
+      },
+      timeout: 15000
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch the Zuper checklist:', error.message);
+    throw toZuperApiError(error, 'fetch the checklist from');
+  }
+
+  const status = (response.data.data?.job_statuses || []).find(candidate => candidate.status_uid === statusUid);
+
+  if (!status) {
+    const error = new Error('Job status not found in this category');
+    error.code = 'STATUS_NOT_FOUND';
+    error.statusCode = 404;
+    error.details = { categoryUid, statusUid };
+    throw error;
+  }
+
+  const checklist = Array.isArray(status.checklist) ? status.checklist : [];
+  console.log(`📥 Status "${status.status_name}" has ${checklist.length} checklist fields in Zuper`);
+
+  return checklist;
+};
+
 module.exports = {
   generateZuperPayload,
   submitToZuper,
@@ -396,5 +461,6 @@ module.exports = {
   testZuperConnection,
   getZuperCategories,
   getZuperStatuses,
+  getZuperChecklist,
   mapTypeToComponent
 };
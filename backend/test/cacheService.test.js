@@ -0,0 +1,67 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const cacheService = require('../services/cacheService');
+
+const context = { provider: 'mock', model: 'mock-model', mode: 'json', promptVersion: 'v1' };
+
+describe('cacheService', () => {
+  const config = { ...cacheService.config };
+
+  beforeEach(() => {
+    Object.assign(cacheService.config, { enabled: true, ttlMs: 60 * 1000, maxEntries: 2 });
+    cacheService.entries.clear();
+  });
+
+  afterEach(() => {
+    Object.assign(cacheService.config, config);
+    cacheService.entries.clear();
+  });
+
+  test('builds the same key for text that differs only in formatting', () => {
+    const key = cacheService.buildKey('file', 'Row | Question\n2 | Gate code\n', context);
+
+    assert.equal(cacheService.buildKey('file', 'Row | Question  \r\n\r\n2 | Gate code', context), key);
+    assert.notEqual(cacheService.buildKey('chunk', 'Row | Question\n2 | Gate code\n', context), key);
+    assert.notEqual(cacheService.buildKey('file', 'Row | Question\n2 | Gate code\n', { ...context, model: 'other' }), key);
+    assert.notEqual(cacheService.buildKey('file', 'Row | Question\n2 | Gate code\n', { ...context, rowSignature: '[["2","Ask"]]' }), key);
+  });
+
+  test('returns copies of stored values', () => {
+    cacheService.set('file:a', { items: [1] });
+
+    const hit = cacheService.get('file:a');
+    hit.value.items.push(2);
+
+    assert.deepEqual(cacheService.get('file:a').value, { items: [1] });
+  });
+
+  test('evicts the least recently used entry', () => {
+    cacheService.set('file:a', 'a');
+    cacheService.set('file:b', 'b');
+    cacheService.get('file:a');
+    cacheService.set('file:c', 'c');
+
+    assert.equal(cacheService.get('file:b'), null);
+    assert.equal(cacheService.get('file:a').value, 'a');
+    assert.equal(cacheService.get('file:c').value, 'c');
+  });
+
+  test('drops entries past the TTL', (t) => {
+    const storedAt = Date.now();
+    t.mock.method(Date, 'now', () => storedAt);
+    cacheService.set('chunk:a', 'a');
+
+    Date.now.mock.mockImplementation(() => storedAt + cacheService.config.ttlMs + 1);
+
+    assert.equal(cacheService.get('chunk:a'), null);
+    assert.equal(cacheService.entries.size, 0);
+  });
+
+  test('purges one scope', () => {
+    cacheService.set('file:a', 'a');
+    cacheService.set('chunk:b', 'b');
+
+    assert.equal(cacheService.purge('chunk'), 1);
+    assert.deepEqual(cacheService.getStatus().byScope, { file: 1, chunk: 0 });
+  });
+});
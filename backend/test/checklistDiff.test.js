@@ -0,0 +1,99 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const checklistDiff = require('../services/checklistDiff');
+
+const field = (id, label, properties = {}) => ({
+  id,
+  index: id - 1,
+  label,
+  component: 'input',
+  options: [],
+  required: false,
+  description: '',
+  is_dependent: false,
+  dependent_on: '',
+  dependent_options: [],
+  ...properties
+});
+
+// In Zuper: a roof type dropdown and a gauge field shown for metal roofs
+const existing = [
+  field(1, 'Roof Type', { component: 'dropdown', options: ['Metal', 'Tile'], description: 'Main roof only', hide_field: false }),
+  field(2, 'Metal gauge', { is_dependent: true, dependent_on: 1, dependent_options: ['Metal'] }),
+  field(3, 'Gate code')
+];
+
+// Reviewed: roof type required with an extra option, gate code dropped, photos added
+const proposed = [
+  field(1, 'Roof Type', { component: 'dropdown', options: ['Metal', 'Tile', 'Slate'], required: true }),
+  field(2, 'Metal gauge', { is_dependent: true, dependent_on: 1, dependent_options: ['Metal'] }),
+  field(3, 'Photos', { component: 'upload' })
+];
+
+describe('diffChecklists', () => {
+  test('matches fields by label and lists what changed', () => {
+    const diff = checklistDiff.diffChecklists(existing, proposed);
+
+    assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+    assert.deepEqual(diff.added.map(entry => entry.label), ['Photos']);
+    assert.deepEqual(diff.removed.map(entry => entry.label), ['Gate code']);
+    assert.deepEqual(diff.changed[0].changes, [
+      { property: 'options', from: ['Metal', 'Tile'], to: ['Metal', 'Tile', 'Slate'], merged: true },
+      { property: 'required', from: false, to: true, merged: true },
+      { property: 'description', from: 'Main roof only', to: '', merged: false }
+    ]);
+  });
+
+  test('ignores case and punctuation in labels', () => {
+    const diff = checklistDiff.diffChecklists([field(1, 'Gate code')], [field(1, 'gate code?')]);
+    assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 0, unchanged: 1 });
+  });
+
+  test('gives the field count of each submit mode', () => {
+    assert.deepEqual(checklistDiff.diffChecklists(existing, proposed).modes, {
+      replace: { fieldCount: 3, removed: 1 },
+      append: { fieldCount: 6, duplicated: 2 },
+      merge: { fieldCount: 4, updated: 1 }
+    });
+  });
+});
+
+describe('mergeChecklists', () => {
+  test('replace submits the reviewed fields', () => {
+    assert.equal(checklistDiff.mergeChecklists(existing, proposed, 'replace'), proposed);
+  });
+
+  test('append renumbers the reviewed fields and moves their dependencies', () => {
+    const fields = checklistDiff.mergeChecklists(existing, proposed, 'append');
+
+    assert.deepEqual(fields.map(entry => entry.id), [1, 2, 3, 4, 5, 6]);
+    assert.equal(fields[1].dependent_on, 1);
+    assert.equal(fields[4].dependent_on, 4);
+    assert.deepEqual(fields[3].dependents, [5]);
+  });
+
+  test('merge updates matched fields in place and keeps what the review leaves empty', () => {
+    const fields = checklistDiff.mergeChecklists(existing, proposed, 'merge');
+
+    assert.deepEqual(fields.map(entry => entry.label), ['Roof Type', 'Metal gauge', 'Gate code', 'Photos']);
+    assert.deepEqual(fields[0].options, ['Metal', 'Tile', 'Slate']);
+    assert.equal(fields[0].required, true);
+    assert.equal(fields[0].description, 'Main roof only');
+    assert.equal(fields[0].hide_field, false);
+    assert.deepEqual(fields[0].dependents, [2]);
+    assert.equal(fields[1].dependent_on, 1);
+  });
+
+  test('merge takes the dependency of the reviewed field', () => {
+    const reviewed = [
+      field(1, 'Gate code', { is_dependent: true, dependent_on: 2, dependent_options: ['Tile'] }),
+      field(2, 'Roof Type', { component: 'dropdown', options: ['Metal', 'Tile'] })
+    ];
+    const fields = checklistDiff.mergeChecklists(existing, reviewed, 'merge');
+
+    assert.equal(fields[2].is_dependent, true);
+    assert.equal(fields[2].dependent_on, 1);
+    assert.deepEqual(fields[2].dependent_options, ['Tile']);
+    assert.deepEqual(fields[0].dependents, [2, 3]);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const delimitedTextParser = require('../services/delimitedTextParser');
+
+describe('decodeText', () => {
+  test('strips a UTF-8 byte order mark', () => {
+    const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('Größe;Typ', 'utf8')]);
+    assert.deepEqual(delimitedTextParser.decodeText(buffer), { text: 'Größe;Typ', encoding: 'utf-8' });
+  });
+
+  test('reads UTF-16 with a byte order mark', () => {
+    const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Roof,Type', 'utf16le')]);
+    assert.deepEqual(delimitedTextParser.decodeText(buffer), { text: 'Roof,Type', encoding: 'utf-16le' });
+  });
+
+  test('falls back to Windows-1252 for invalid UTF-8', () => {
+    assert.deepEqual(delimitedTextParser.decodeText(Buffer.from([0x43, 0x61, 0x66, 0xE9])), { text: 'Café', encoding: 'windows-1252' });
+  });
+});
+
+describe('detectDelimiter', () => {
+  test('picks the delimiter that splits every line alike', () => {
+    assert.equal(delimitedTextParser.detectDelimiter('Question;Type;Options\nRoof type;dropdown;Metal, Tile\n'), ';');
+    assert.equal(delimitedTextParser.detectDelimiter('Question\tType\nRoof, walls\ttextField\n'), '\t');
+  });
+
+  test('ignores delimiters inside quotes', () => {
+    assert.equal(delimitedTextParser.detectDelimiter('Question|Options\n"Roof|type"|"A,B,C"\n'), '|');
+  });
+
+  test('falls back when no candidate appears', () => {
+    assert.equal(delimitedTextParser.detectDelimiter('Question\nRoof type\n'), ',');
+    assert.equal(delimitedTextParser.detectDelimiter(''), ',');
+  });
+});
+
+describe('parseDelimitedText', () => {
+  test('handles quoting, escaped quotes, line breaks in cells and any line ending', () => {
+    assert.deepEqual(delimitedTextParser.parseDelimitedText('Question,Options\r\n"Roof ""type""","Metal,\nTile"\rGate code,\n', ','), [
+      ['Question', 'Options'],
+      ['Roof "type"', 'Metal,\nTile'],
+      ['Gate code', '']
+    ]);
+  });
+
+  test('keeps the last row without a trailing line break', () => {
+    assert.deepEqual(delimitedTextParser.parseDelimitedText('a;b\n1/2;007', ';'), [['a', 'b'], ['1/2', '007']]);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const dependencyResolver = require('../services/dependencyResolver');
+
+const roofType = { id: 1, question: 'Roof type', type: 'dropdown', options: 'Metal,Tile', isDependent: false };
+
+describe('resolveDependencies', () => {
+  test('links a parent by question text and spells triggers as the parent options', () => {
+    const result = dependencyResolver.resolveDependencies([
+      roofType,
+      { id: 2, question: 'Roof damage', type: 'radio', options: 'Yes,No', isDependent: true, dependentOn: 'roof type', dependentOptions: 'metal' }
+    ]);
+
+    assert.equal(result.resolved.length, 1);
+    assert.equal(result.resolved[0].parentId, 1);
+    assert.equal(result.conditions[1][0][0].parentIndex, 0);
+    assert.deepEqual(result.zuper[1], { parentIndex: 0, options: ['Metal'], exact: true });
+    assert.deepEqual(result.unresolved, []);
+  });
+
+  test('links a mistyped question by similarity', () => {
+    const result = dependencyResolver.resolveDependencies([
+      roofType,
+      { id: 2, question: 'Roof damage', type: 'radio', options: 'Yes,No', isDependent: true, dependentOn: 'Roof typ', dependentOptions: 'Metal' }
+    ]);
+
+    assert.equal(result.resolved[0].match, 'fuzzy');
+    assert.ok(result.resolved[0].score >= dependencyResolver.FUZZY_MATCH_THRESHOLD);
+  });
+
+  test('reports missing, self and unknown parents', () => {
+    const result = dependencyResolver.resolveDependencies([
+      roofType,
+      { id: 2, question: 'Notes', type: 'textArea', isDependent: true, dependentOn: '', dependentOptions: '' },
+      { id: 3, question: 'Photos', type: 'upload', isDependent: true, dependentOn: 'Photos', dependentOptions: 'Yes' },
+      { id: 4, question: 'Gate code', type: 'textField', isDependent: true, dependentOn: 'Something else entirely', dependentOptions: 'Yes' }
+    ]);
+
+    assert.deepEqual(result.unresolved.map(entry => [entry.id, entry.reason]), [[2, 'missing'], [3, 'self'], [4, 'not_found']]);
+  });
+
+  test('resolves every rule of compound conditions', () => {
+    const result = dependencyResolver.resolveDependencies([
+      roofType,
+      { id: 2, question: 'Damage', type: 'radio', options: 'Yes,No', isDependent: false },
+      {
+        id: 3,
+        question: 'Damage photos',
+        type: 'upload',
+        isDependent: true,
+        conditions: [[
+          { dependentOn: 'Roof type', dependentOptions: 'Metal' },
+          { dependentOn: 'Damage', dependentOptions: 'Yes' }
+        ]]
+      }
+    ]);
+
+    assert.deepEqual(result.conditions[2][0].map(rule => rule.parentIndex), [0, 1]);
+    assert.deepEqual(result.resolved.map(entry => [entry.group, entry.rule]), [[1, 1], [1, 2]]);
+  });
+});
+
+describe('similarity', () => {
+  test('scores identical text 1 and unrelated text 0', () => {
+    assert.equal(dependencyResolver.similarity('roof type', 'roof type'), 1);
+    assert.equal(dependencyResolver.similarity('abc', 'xyz'), 0);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const dependencyValidator = require('../services/dependencyValidator');
+
+const codes = (result) => result.issues.map(issue => [issue.id, issue.code]);
+
+describe('findCycles', () => {
+  test('maps every member of a cycle to the cycle', () => {
+    const cycles = dependencyValidator.findCycles([[1], [2], [0], []]);
+
+    assert.deepEqual([...cycles.keys()].sort(), [0, 1, 2]);
+    assert.deepEqual(cycles.get(1), [0, 1, 2]);
+    assert.equal(cycles.has(3), false);
+  });
+
+  test('finds nothing in a tree', () => {
+    assert.equal(dependencyValidator.findCycles([[], [0], [0], [1]]).size, 0);
+  });
+});
+
+describe('validateDependencies', () => {
+  test('accepts a valid checklist', () => {
+    const result = dependencyValidator.validateDependencies([
+      { id: 1, question: 'Roof type', type: 'dropdown', options: 'Metal,Tile', isDependent: false },
+      { id: 2, question: 'Metal gauge', type: 'textField', isDependent: true, dependentOn: 'Roof type', dependentOptions: 'Metal' }
+    ]);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.issues, []);
+  });
+
+  test('reports cycles as errors', () => {
+    const result = dependencyValidator.validateDependencies([
+      { id: 1, question: 'A', type: 'radio', options: 'Yes,No', isDependent: true, dependentOn: 'B', dependentOptions: 'Yes' },
+      { id: 2, question: 'B', type: 'radio', options: 'Yes,No', isDependent: true, dependentOn: 'A', dependentOptions: 'Yes' }
+    ]);
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(codes(result), [[1, 'DEPENDENCY_CYCLE'], [2, 'DEPENDENCY_CYCLE']]);
+    assert.deepEqual(result.issues[0].cycle, [1, 2]);
+  });
+
+  test('reports parents that are not choice fields and unknown trigger options', () => {
+    const result = dependencyValidator.validateDependencies([
+      { id: 1, question: 'Notes', type: 'textArea', isDependent: false },
+      { id: 2, question: 'Roof type', type: 'dropdown', options: 'Metal,Tile', isDependent: false },
+      { id: 3, question: 'Follow up', type: 'textField', isDependent: true, dependentOn: 'Notes', dependentOptions: 'Yes' },
+      { id: 4, question: 'Slate grade', type: 'textField', isDependent: true, dependentOn: 'Roof type', dependentOptions: 'Slate' }
+    ]);
+
+    assert.deepEqual(codes(result), [[3, 'PARENT_NOT_CHOICE'], [4, 'INVALID_TRIGGER_OPTION']]);
+    assert.deepEqual(result.issues[1].invalidOptions, ['Slate']);
+  });
+
+  test('warns about a child placed before its parent', () => {
+    const result = dependencyValidator.validateDependencies([
+      { id: 1, question: 'Metal gauge', type: 'textField', isDependent: true, dependentOn: 'Roof type', dependentOptions: 'Metal' },
+      { id: 2, question: 'Roof type', type: 'dropdown', options: 'Metal,Tile', isDependent: false }
+    ]);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(codes(result), [[1, 'PARENT_AFTER_CHILD']]);
+  });
+
+  test('warns about parents found only by similarity', () => {
+    const result = dependencyValidator.validateDependencies([
+      { id: 1, question: 'Roof type', type: 'dropdown', options: 'Metal,Tile', isDependent: false },
+      { id: 2, question: 'Metal gauge', type: 'textField', isDependent: true, dependentOn: 'Roof typ', dependentOptions: 'Metal' }
+    ]);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(codes(result), [[2, 'FUZZY_PARENT_MATCH']]);
+    assert.equal(result.issues[0].parentId, 1);
+  });
+
+  test('reports unresolved parents as errors', () => {
+    const result = dependencyValidator.validateDependencies([
+      { id: 1, question: 'Roof type', type: 'dropdown', options: 'Metal,Tile', isDependent: false },
+      { id: 2, question: 'Notes', type: 'textArea', isDependent: true, dependentOn: 'Nothing like this', dependentOptions: 'Yes' }
+    ]);
+
+    assert.equal(result.isValid, false);
+    assert.equal(codes(result)[0][1], 'UNRESOLVED_PARENT');
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runWithConcurrency, generateJobId } = require('../utils/helper');
+const { schemas } = require('../middleware/validation');
+
+describe('runWithConcurrency', () => {
+  test('keeps results in input order with at most limit tasks in flight', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await runWithConcurrency([30, 5, 20, 1, 10], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index * 10;
+    });
+
+    assert.deepEqual(results, [0, 10, 20, 30, 40]);
+    assert.equal(peak, 2);
+  });
+
+  test('starts no new task once shouldStop returns true', async () => {
+    const started = [];
+
+    const results = await runWithConcurrency([1, 2, 3, 4], 1, async (item) => {
+      started.push(item);
+      return item;
+    }, { shouldStop: () => started.length === 2 });
+
+    assert.deepEqual(started, [1, 2]);
+    assert.equal(results.length, 4);
+    assert.deepEqual(results.slice(0, 2), [1, 2]);
+    assert.equal(results[2], undefined);
+  });
+
+  test('handles an empty list', async () => {
+    assert.deepEqual(await runWithConcurrency([], 3, async () => 1), []);
+  });
+});
+
+describe('generateJobId', () => {
+  test('generates distinct IDs the job ID schema accepts', () => {
+    const ids = Array.from({ length: 50 }, () => generateJobId());
+
+    assert.equal(new Set(ids).size, ids.length);
+    ids.forEach(id => assert.equal(schemas.jobId.validate(id).error, undefined));
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zuperService = require('../services/zuperService');
+const migrationService = require('../services/migrationService');
+
+const sourceChecklist = [
+  { id: 1, index: 0, label: 'Roof Type', component: 'dropdown', options: ['Metal', 'Tile'], required: true, is_dependent: false, dependent_on: '', dependent_options: [], account_tag: 'src' },
+  { id: 2, index: 1, label: 'Metal gauge', component: 'input', options: [], required: false, is_dependent: true, dependent_on: 1, dependent_options: ['Metal'] }
+];
+
+const request = {
+  source: { apiKey: 'source-key', region: 'us', categoryUid: 'cat-1', statusUid: 'status-1' },
+  targets: [
+    { categoryUid: 'cat-1', statusUid: 'status-2' },
+    { categoryUid: 'cat-2', statusUid: 'status-3', apiKey: 'other-key', region: 'eu' }
+  ],
+  mode: 'replace'
+};
+
+describe('migrationService', () => {
+  afterEach(() => {
+    migrationService.migrations.clear();
+  });
+
+  test('writes the remapped checklist to every target', async (t) => {
+    t.mock.method(zuperService, 'getZuperChecklist', async () => sourceChecklist);
+    const submit = t.mock.method(zuperService, 'submitToZuper', async () => ({}));
+
+    const migration = await migrationService.start(request);
+    const report = migrationService.toReport(migration);
+
+    assert.deepEqual(report.summary, { total: 2, succeeded: 2, failed: 0 });
+    assert.deepEqual(submit.mock.calls.map(call => [call.arguments[0].job_status_uid, call.arguments[1], call.arguments[2]]), [
+      ['status-2', 'source-key', 'us'],
+      ['status-3', 'other-key', 'eu']
+    ]);
+    assert.equal(submit.mock.calls[0].arguments[0].checklist[0].account_tag, undefined);
+    assert.equal(JSON.stringify(report).includes('other-key'), false);
+  });
+
+  test('rejects an empty source checklist', async (t) => {
+    t.mock.method(zuperService, 'getZuperChecklist', async () => []);
+
+    await assert.rejects(migrationService.start(request), { code: 'SOURCE_CHECKLIST_EMPTY', statusCode: 404 });
+  });
+
+  test('retries only the failed targets', async (t) => {
+    t.mock.method(zuperService, 'getZuperChecklist', async () => sourceChecklist);
+    const submit = t.mock.method(zuperService, 'submitToZuper', async (payload) => {
+      if (payload.job_status_uid === 'status-3') {
+        const error = new Error('Zuper is unavailable');
+        error.code = 'ZUPER_API_ERROR';
+        error.statusCode = 503;
+        throw error;
+      }
+      return {};
+    });
+
+    const migration = await migrationService.start(request);
+    assert.deepEqual(migrationService.toReport(migration).summary, { total: 2, succeeded: 1, failed: 1 });
+    assert.deepEqual(migration.targets[1].error, { message: 'Zuper is unavailable', code: 'ZUPER_API_ERROR', statusCode: 503 });
+
+    submit.mock.mockImplementation(async () => ({}));
+    await migrationService.retryFailed(migration);
+
+    assert.deepEqual(migrationService.toReport(migration).summary, { total: 2, succeeded: 2, failed: 0 });
+    assert.deepEqual(migration.targets.map(target => target.attempts), [1, 2]);
+    assert.equal(submit.mock.callCount(), 3);
+  });
+
+  test('refuses to retry targets that did not fail', async (t) => {
+    t.mock.method(zuperService, 'getZuperChecklist', async () => sourceChecklist);
+    t.mock.method(zuperService, 'submitToZuper', async (payload) => {
+      if (payload.job_status_uid === 'status-3') throw new Error('Zuper is unavailable');
+      return {};
+    });
+
+    const migration = await migrationService.start(request);
+
+    await assert.rejects(migrationService.retryFailed(migration, [1]), { code: 'TARGET_NOT_FAILED', statusCode: 400 });
+
+    zuperService.submitToZuper.mock.mockImplementation(async () => ({}));
+    await migrationService.retryFailed(migration, [2]);
+
+    await assert.rejects(migrationService.retryFailed(migration), { code: 'NO_FAILED_TARGETS', statusCode: 409 });
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The mock provider reads its settings when the AI service starts; the cache would serve earlier results
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_EXTRACTION_MODE = 'json';
+process.env.MOCK_AI_DELAY_MS = '1';
+process.env.EXTRACTION_CACHE_ENABLED = 'false';
+
+const aiService = require('../services/aiService');
+
+const HEADER = 'Row | Question | Type';
+
+// Three chunks of two sheet rows each
+const chunks = [
+  ['2 | Roof type | dropdown', '3 | Roof damage | radio'],
+  ['4 | Gate code | text', '5 | Access notes | text'],
+  ['6 | Photos | upload', '7 | Sign-off | signature']
+].map((rows, index) => ({
+  header: HEADER,
+  rows,
+  startIndex: index * 2,
+  endIndex: index * 2 + 1,
+  inputTokens: 20
+}));
+
+/**
+ * Run the chunks through the worker pool, collecting progress events
+ */
+const run = async () => {
+  const events = [];
+  const results = await aiService.processChunks(chunks, (event) => events.push(event));
+  const retries = (chunkIndex) => events.filter(event => event.chunkIndex === chunkIndex && /failed, retrying/.test(event.status)).length;
+
+  return { results, events, retries, merge: aiService.mergeChunkResults(results) };
+};
+
+describe('mock provider through processChunks', () => {
+  const [provider] = aiService.getActiveProviders();
+  const defaults = { ...provider.config };
+
+  beforeEach((t) => {
+    // Every request and retry is logged; keep the test report readable
+    t.mock.method(console, 'log', () => {});
+    provider.config = { ...defaults, timeoutMs: 10 };
+    provider.failuresInjected = 0;
+    // One retry keeps the backoff at a second
+    aiService.chunkingConfig.maxRetries = 1;
+  });
+
+  test('is the active provider', () => {
+    assert.equal(provider.name, 'mock');
+  });
+
+  test('merges items in sheet order with sequential IDs', async () => {
+    const { merge, retries } = await run();
+
+    assert.deepEqual(merge.merged.map(item => [item.id, item.question]), [
+      [1, 'Roof type'], [2, 'Roof damage'], [3, 'Gate code'], [4, 'Access notes'], [5, 'Photos'], [6, 'Sign-off']
+    ]);
+    assert.deepEqual(merge.failed, []);
+    assert.equal(retries(0) + retries(1) + retries(2), 0);
+  });
+
+  test('retries a chunk after malformed JSON', async () => {
+    Object.assign(provider.config, { failure: 'malformed-json', failMatch: 'Gate code', failCount: 1 });
+
+    const { merge, retries } = await run();
+
+    assert.equal(provider.failuresInjected, 1);
+    assert.equal(retries(1), 1);
+    assert.equal(retries(0) + retries(2), 0);
+    assert.deepEqual(merge.merged.map(item => item.question), ['Roof type', 'Roof damage', 'Gate code', 'Access notes', 'Photos', 'Sign-off']);
+    assert.deepEqual(merge.failed, []);
+  });
+
+  test('retries a chunk after a non-array response', async () => {
+    Object.assign(provider.config, { failure: 'non-array', failMatch: 'Photos', failCount: 1 });
+
+    const { merge, retries } = await run();
+
+    assert.equal(retries(2), 1);
+    assert.equal(merge.stats.successfulChunks, 3);
+    assert.deepEqual(merge.merged.slice(-2).map(item => [item.id, item.question]), [[5, 'Photos'], [6, 'Sign-off']]);
+  });
+
+  test('reports a chunk that times out on every attempt', async () => {
+    Object.assign(provider.config, { failure: 'timeout', failMatch: 'Gate code', failCount: 0 });
+
+    const { results, merge, retries, events } = await run();
+
+    assert.equal(provider.failuresInjected, 2);
+    assert.equal(retries(1), 1);
+    assert.equal(results[1].success, false);
+    assert.match(results[1].error, /timed out/);
+    assert.ok(events.some(event => event.chunkIndex === 1 && event.status === 'Chunk 2 failed after all retries'));
+
+    // Items after the failed rows keep their order; the failed range is placed after the last item before it
+    assert.deepEqual(merge.merged.map(item => [item.id, item.question]), [
+      [1, 'Roof type'], [2, 'Roof damage'], [3, 'Photos'], [4, 'Sign-off']
+    ]);
+    assert.equal(merge.failed.length, 1);
+    assert.deepEqual(
+      { chunkIndex: merge.failed[0].chunkIndex, startRow: merge.failed[0].startRow, endRow: merge.failed[0].endRow, insertAfterId: merge.failed[0].insertAfterId },
+      { chunkIndex: 2, startRow: 3, endRow: 4, insertAfterId: 2 }
+    );
+    assert.equal(merge.stats.failedChunks, 1);
+  });
+});
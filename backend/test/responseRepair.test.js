@@ -0,0 +1,47 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const responseRepair = require('../services/responseRepair');
+
+describe('repairChecklistResponse', () => {
+  test('parses a clean array without repairs', () => {
+    const { items, report } = responseRepair.repairChecklistResponse('[{"question":"Gate code","type":"textField","required":true}]');
+
+    assert.equal(items.length, 1);
+    assert.equal(items[0].question, 'Gate code');
+    assert.deepEqual(report.steps, []);
+    assert.equal(responseRepair.hasRepairs(report), false);
+  });
+
+  test('salvages the complete items of truncated output', () => {
+    const { items, report } = responseRepair.repairChecklistResponse(
+      '```json\n[{"question":"A","type":"textField","required":true},{"question":"B","type":"radio","options":"Yes,No"'
+    );
+
+    assert.deepEqual(items.map(item => item.question), ['A']);
+    assert.equal(report.truncated, true);
+    assert.deepEqual(report.steps, ['stripped code fences', 'salvaged complete items from truncated output']);
+    assert.deepEqual(report.dropped.map(entry => [entry.index, entry.reason]), [[1, 'item was cut off']]);
+  });
+
+  test('skips prose and normalizes item fields', () => {
+    const { items, report } = responseRepair.repairChecklistResponse('Here you go: [{"question":"A","type":"Text Field"}]');
+
+    assert.equal(items[0].type, 'textField');
+    assert.equal(items[0].required, false);
+    assert.deepEqual(report.steps, ['skipped text before the JSON array']);
+    assert.deepEqual(report.recovered[0].fixes, ['type "Text Field" read as textField', 'required defaulted to false']);
+  });
+
+  test('throws when there is no array', () => {
+    assert.throws(() => responseRepair.repairChecklistResponse('Sorry, I cannot help with that.'), { code: 'UNPARSEABLE_AI_RESPONSE' });
+  });
+});
+
+describe('scanFirstArray', () => {
+  test('ignores brackets inside strings', () => {
+    const scan = responseRepair.scanFirstArray('[{"question":"Size [mm]"},{"question":"B"}]');
+
+    assert.equal(scan.closed, true);
+    assert.deepEqual(scan.elements.map(element => element.complete), [true, true]);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const templateParser = require('../services/templateParser');
+
+const TEMPLATE_HEADER = ['Question', 'Type', 'Options', 'Required', 'Is Dependent', 'Dependent On', 'Dependent Options'];
+
+describe('parseConditions', () => {
+  test('AND binds before OR', () => {
+    assert.deepEqual(templateParser.parseConditions('Roof type = Metal, Tile AND Damage = Yes OR Leak detected = Yes'), [
+      [
+        { dependentOn: 'Roof type', dependentOptions: 'Metal,Tile' },
+        { dependentOn: 'Damage', dependentOptions: 'Yes' }
+      ],
+      [{ dependentOn: 'Leak detected', dependentOptions: 'Yes' }]
+    ]);
+  });
+
+  test('strips parentheses around whole rules', () => {
+    assert.deepEqual(templateParser.parseConditions('(Damage = Yes) AND Leak = No'), [[
+      { dependentOn: 'Damage', dependentOptions: 'Yes' },
+      { dependentOn: 'Leak', dependentOptions: 'No' }
+    ]]);
+  });
+
+  test('keeps quoted questions whole', () => {
+    const expected = [[{ dependentOn: 'Indoor OR outdoor unit', dependentOptions: 'Indoor' }]];
+
+    assert.deepEqual(templateParser.parseConditions('"Indoor OR outdoor unit" = Indoor'), expected);
+    assert.deepEqual(templateParser.parseConditions('“Indoor OR outdoor unit” = Indoor'), expected);
+  });
+
+  test('keeps questions of the sheet whole without quotes', () => {
+    assert.deepEqual(
+      templateParser.parseConditions('Indoor OR outdoor unit = Indoor AND Damage = Yes', ['Indoor OR outdoor unit', 'Damage']),
+      [[
+        { dependentOn: 'Indoor OR outdoor unit', dependentOptions: 'Indoor' },
+        { dependentOn: 'Damage', dependentOptions: 'Yes' }
+      ]]
+    );
+  });
+
+  test('returns null for unreadable cells', () => {
+    assert.equal(templateParser.parseConditions('"Damage = Yes'), null);
+    assert.equal(templateParser.parseConditions('Damage'), null);
+    assert.equal(templateParser.parseConditions('Damage = Yes AND = No'), null);
+  });
+});
+
+describe('parseTemplateRows', () => {
+  test('parses template rows and leaves the rest for repair', () => {
+    const result = templateParser.parseTemplateRows(TEMPLATE_HEADER, [
+      ['Roof type', 'dropdown', 'Metal, Tile', 'Yes', 'No', '', ''],
+      ['Damage?', 'radio', 'Yes,No', 'No', 'Yes', 'Roof type', 'Metal'],
+      ['???', 'weird', '', '', '', '', '']
+    ]);
+
+    assert.deepEqual(result.parsed.map(entry => entry.item), [
+      { question: 'Roof type', type: 'dropdown', options: 'Metal,Tile', required: true, isDependent: false, dependentOn: '', dependentOptions: '', conditions: [] },
+      { question: 'Damage?', type: 'radio', options: 'Yes,No', required: false, isDependent: true, dependentOn: 'Roof type', dependentOptions: 'Metal', conditions: [] }
+    ]);
+    assert.deepEqual(result.unparsed.map(entry => entry.rowIndex), [2]);
+    assert.deepEqual(result.stats, { totalRows: 3, parsedRows: 2, unparsedRows: 1 });
+  });
+
+  test('returns null when the header is not a template header', () => {
+    assert.equal(templateParser.parseTemplateRows(['Item', 'Notes'], [['Roof', 'Check it']]), null);
+  });
+});
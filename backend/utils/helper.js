@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 /**
  * Utility helper functions for the Zuper Checklist Backend
  */
@@ -12,6 +14,16 @@ const generateRequestId = () => {
   return `req_${timestamp}_${randomStr}`;
 };
 
+/**
+ * Generate a unique extraction job ID
+ * @returns {string} - Unique job identifier
+ */
+const generateJobId = () => {
+  const timestamp = Date.now().toString(36);
+  const randomStr = crypto.randomBytes(8).toString('hex');
+  return `job_${timestamp}_${randomStr}`;
+};
+
 /**
  * Format file size in human readable format
  * @param {number} bytes - File size in bytes
@@ -83,6 +95,33 @@ const sleep = (ms) => {
   return new Promise(resolve => setTimeout(resolve, ms));
 };
 
+/**
+ * Run async tasks with a bounded number in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @param {Function} worker - async (item, index) => result
+ * @param {object} options - { shouldStop } checked before each new task is started
+ * @returns {Promise<Array>} - Results in input order (unstarted items are left undefined)
+ */
+const runWithConcurrency = async (items, limit, worker, options = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      if (options.shouldStop && options.shouldStop()) {
+        return;
+      }
+
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
 /**
  * Truncate string to specified length
  * @param {string} str - String to truncate
@@ -266,11 +305,13 @@ const stringToBoolean = (value) => {
 
 module.exports = {
   generateRequestId,
+  generateJobId,
   formatFileSize,
   sanitizeFilename,
   isValidJSON,
   deepClone,
   sleep,
+  runWithConcurrency,
   truncateString,
   getCurrentTimestamp,
   camelToSnake,
@@ -20,17 +20,80 @@ const ZuperChecklistTool = () => {
   const [categoriesFetched, setCategoriesFetched] = useState(false);
   
   const [file, setFile] = useState(null);
-  const [checklist, setChecklist] = useState([]);
+
+  // Sheets of the selected workbook; each chosen sheet is extracted as its own checklist
+  const [workbookSheets, setWorkbookSheets] = useState([]);
+  const [selectedSheets, setSelectedSheets] = useState([]);
+  const [loadingSheets, setLoadingSheets] = useState(false);
+  // Hidden, filtered and struck-out rows are skipped unless this is set
+  const [includeHiddenRows, setIncludeHiddenRows] = useState(false);
+
+  // Column mapping of each sheet: { fields: template field -> header cell, enabled } sent when enabled
+  const [columnMappings, setColumnMappings] = useState({});
+  const [mappingSheetName, setMappingSheetName] = useState(null);
+  // Saved mappings of the Zuper account, reusable for the customer's next upload
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState('');
+  const [profileName, setProfileName] = useState('');
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  // One extracted checklist per sheet: { sheetName, jobId, checklist, failedChunks, status }
+  const [sheetResults, setSheetResults] = useState([]);
+  const [activeSheetIndex, setActiveSheetIndex] = useState(0);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [toast, setToast] = useState(null);
   const [showPayloadPreview, setShowPayloadPreview] = useState(false);
   const [previewPayload, setPreviewPayload] = useState(null);
+  // Dependency report of the previewed payload: { resolved, warnings }
+  const [previewDependencies, setPreviewDependencies] = useState(null);
+  // How submitted checklists are combined with the ones the statuses already have in Zuper
+  const [submitMode, setSubmitMode] = useState('replace');
+  // Diff of the active sheet against its status's checklist in Zuper: { sheetName, statusName, existingCount, diff }
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  // Copy the selected status's checklist to other statuses, categories or accounts
+  const [migrationTargets, setMigrationTargets] = useState([]);
+  const [migrationMode, setMigrationMode] = useState('replace');
+  // Statuses of the categories picked as targets, by category UID
+  const [targetStatuses, setTargetStatuses] = useState({});
+  // Per-target report of the last migration: { id, source, fieldCount, targets, summary }
+  const [migration, setMigration] = useState(null);
+  const [migrating, setMigrating] = useState(false);
   const fileInputRef = useRef(null);
   const [dragActive, setDragActive] = useState(false);
   
   // Enhanced error handling state
   const [detailedError, setDetailedError] = useState(null);
+
+  // Background extraction job currently being processed
+  const [activeJobId, setActiveJobId] = useState(null);
+
+  // Failed row ranges of each sheet are retryable from the review tab
+  const [retryingChunks, setRetryingChunks] = useState(false);
+
+  // The review tab edits the checklist of the active sheet
+  const activeSheet = sheetResults[activeSheetIndex] || null;
+  const checklist = activeSheet ? activeSheet.checklist : [];
+  const failedChunks = activeSheet ? activeSheet.failedChunks : [];
+  const dependencyIssues = activeSheet?.dependencyIssues || [];
+
+  const updateSheetResult = (index, update) => {
+    setSheetResults(prev => {
+      // Items added by hand before any extraction go to an unnamed sheet
+      const results = prev.length > 0 ? prev : [{ sheetName: null, jobId: null, checklist: [], failedChunks: [], status: selectedStatus }];
+      return results.map((result, resultIndex) => (resultIndex === index ? { ...result, ...update(result) } : result));
+    });
+  };
+
+  const setChecklist = (update) => {
+    updateSheetResult(activeSheetIndex, result => ({
+      checklist: typeof update === 'function' ? update(result.checklist) : update
+    }));
+  };
+
+  // Items whose source spreadsheet row is expanded in the review tab
+  const [expandedSources, setExpandedSources] = useState(() => new Set());
   
   // Enhanced state for real-time progress tracking
   const [processingProgress, setProcessingProgress] = useState({
@@ -91,6 +154,43 @@ Are you satisfied? | radio | Very Satisfied,Satisfied,Neutral,Dissatisfied | Yes
 Upload ID photo | multiImage | | Yes | No | |`
   };
 
+  // Template fields a sheet column can be mapped to
+  const mappingFields = [
+    { field: 'question', label: 'Question' },
+    { field: 'type', label: 'Type' },
+    { field: 'options', label: 'Options' },
+    { field: 'required', label: 'Required' },
+    { field: 'isDependent', label: 'Is Dependent' },
+    { field: 'dependentOn', label: 'Dependent On' },
+    { field: 'dependentOptions', label: 'Dependent Options' },
+    { field: 'conditions', label: 'Conditions' }
+  ];
+
+  // Ways a submitted checklist is combined with the status's checklist in Zuper
+  const submitModes = [
+    {
+      value: 'replace',
+      label: 'Replace',
+      describe: (effect) => `the status gets exactly these ${effect.fieldCount} fields${effect.removed > 0 ? `; ${effect.removed} fields only in Zuper are removed` : ''}`
+    },
+    {
+      value: 'append',
+      label: 'Append',
+      describe: (effect) => `these fields are added after the existing ones (${effect.fieldCount} fields${effect.duplicated > 0 ? `, ${effect.duplicated} labels twice` : ''})`
+    },
+    {
+      value: 'merge',
+      label: 'Merge by label',
+      describe: (effect) => `fields with the same label are updated, new ones added (${effect.fieldCount} fields, ${effect.updated} updated)`
+    }
+  ];
+
+  const mappingBasisLabels = {
+    header: 'template header',
+    keyword: 'suggested from header',
+    content: 'suggested from values'
+  };
+
   // Region options
   const regionOptions = [
     { value: 'us-east-1', label: 'US East 1' },
@@ -120,7 +220,10 @@ Upload ID photo | multiImage | | Yes | No | |`
     if (!config.region.trim()) newErrors.region = 'Region is required';
     if (!selectedCategory) newErrors.category = 'Category is required';
     if (!selectedStatus) newErrors.status = 'Status is required';
-    if (!file) newErrors.file = 'Excel file is required';
+    if (!file) newErrors.file = 'Spreadsheet file is required';
+    if (workbookSheets.length > 0 && selectedSheets.length === 0) newErrors.sheets = 'Select at least one sheet';
+    const unmappedSheet = selectedSheets.find(name => columnMappings[name]?.enabled && !columnMappings[name].fields.question);
+    if (unmappedSheet) newErrors.mapping = `Map the question column of "${unmappedSheet}" or turn its column mapping off`;
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -134,6 +237,8 @@ Upload ID photo | multiImage | | Yes | No | |`
     
     // Reset dependent fields when API key or region changes
     if (field === 'apiKey' || field === 'region') {
+      setMappingProfiles([]);
+      setSelectedProfileId('');
       setCategoriesFetched(false);
       setCategories([]);
       setStatuses([]);
@@ -269,6 +374,8 @@ Upload ID photo | multiImage | | Yes | No | |`
   const handleStatusChange = (status) => {
     setSelectedStatus(status);
     setConfig(prev => ({ ...prev, statusUid: status.id }));
+    // A report belongs to the status it was copied from
+    setMigration(null);
     
     if (errors.status) {
       setErrors(prev => ({ ...prev, status: '' }));
@@ -297,13 +404,12 @@ Upload ID photo | multiImage | | Yes | No | |`
   };
 
   const handleFileSelection = (selectedFile) => {
-    const validTypes = [
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-excel'
-    ];
+    // Browsers report CSV and TSV types inconsistently, so the extension decides
+    const validExtensions = ['.xlsx', '.xls', '.ods', '.csv', '.tsv', '.docx', '.pdf'];
+    const extension = selectedFile.name.substring(selectedFile.name.lastIndexOf('.')).toLowerCase();
     
-    if (!validTypes.includes(selectedFile.type)) {
-      setErrors(prev => ({ ...prev, file: 'Please select a valid Excel file (.xlsx or .xls)' }));
+    if (!validExtensions.includes(extension)) {
+      setErrors(prev => ({ ...prev, file: 'Please select a spreadsheet (.xlsx, .xls, .ods, .csv or .tsv) or a form document (.docx or .pdf)' }));
       return;
     }
     
@@ -316,6 +422,184 @@ Upload ID photo | multiImage | | Yes | No | |`
     if (errors.file) {
       setErrors(prev => ({ ...prev, file: '' }));
     }
+
+    // Word documents and PDFs have no sheets and are extracted as a whole
+    if (['.docx', '.pdf'].includes(extension)) {
+      setWorkbookSheets([]);
+      setSelectedSheets([]);
+      setColumnMappings({});
+      return;
+    }
+
+    fetchWorkbookSheets(selectedFile);
+  };
+
+  // List the sheets of the workbook so the user can pick which ones to extract
+  const fetchWorkbookSheets = async (selectedFile) => {
+    setWorkbookSheets([]);
+    setSelectedSheets([]);
+    setColumnMappings({});
+    setLoadingSheets(true);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', selectedFile);
+
+      const response = await fetch(`${API_BASE_URL}/api/workbook-sheets`, {
+        method: 'POST',
+        body: formData
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to read workbook sheets');
+      }
+
+      setWorkbookSheets(result.sheets || []);
+      setSelectedSheets(result.defaultSheet ? [result.defaultSheet] : []);
+      setMappingSheetName(result.defaultSheet);
+
+      // Start from the suggested columns; sheets whose header is not the template are mapped by default
+      setColumnMappings(Object.fromEntries((result.sheets || [])
+        .filter(sheet => sheet.mapping)
+        .map(sheet => [sheet.name, { fields: sheet.mapping.suggested, enabled: sheet.hasData && !sheet.mapping.matchesTemplate }])));
+
+      if (config.apiKey && config.region) {
+        fetchMappingProfiles();
+      }
+    } catch (error) {
+      // Extraction still works without the list; it then reads the first sheet
+      console.error('❌ Workbook sheets error:', error);
+      showToast(error.message || 'Failed to read workbook sheets. The first sheet will be extracted.', 'error');
+    } finally {
+      setLoadingSheets(false);
+    }
+  };
+
+  const updateColumnMapping = (sheetName, update) => {
+    setColumnMappings(prev => ({ ...prev, [sheetName]: { ...prev[sheetName], ...update(prev[sheetName]) } }));
+
+    if (errors.mapping) {
+      setErrors(prev => ({ ...prev, mapping: '' }));
+    }
+  };
+
+  const setMappedColumn = (sheetName, field, column) => {
+    updateColumnMapping(sheetName, mapping => ({ fields: { ...mapping.fields, [field]: column || null } }));
+  };
+
+  const mappingHeaders = () => ({
+    'Content-Type': 'application/json',
+    'x-api-key': config.apiKey,
+    'x-region': config.region
+  });
+
+  // Mapping profiles are kept per Zuper account
+  const fetchMappingProfiles = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/mapping-profiles`, { headers: mappingHeaders() });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load mapping profiles');
+      }
+      setMappingProfiles(result.profiles || []);
+    } catch (error) {
+      console.error('❌ Mapping profiles error:', error);
+    }
+  };
+
+  // Columns a profile names that this sheet does not have are left unmapped
+  const applyMappingProfile = (sheetName, profileId) => {
+    setSelectedProfileId(profileId);
+    const profile = mappingProfiles.find(entry => entry.id === profileId);
+    const sheet = workbookSheets.find(entry => entry.name === sheetName);
+    if (!profile || !sheet) return;
+
+    const columns = sheet.mapping.columns.map(column => column.toLowerCase());
+    const missing = [];
+    const fields = Object.fromEntries(mappingFields.map(({ field }) => {
+      const column = profile.mapping[field];
+      const index = column ? columns.indexOf(column.toLowerCase()) : -1;
+      if (column && index === -1) missing.push(column);
+      return [field, index === -1 ? null : sheet.mapping.columns[index]];
+    }));
+
+    updateColumnMapping(sheetName, () => ({ fields, enabled: true }));
+    setProfileName(profile.name);
+    showToast(missing.length > 0
+      ? `Applied "${profile.name}"; not in this sheet: ${missing.join(', ')}`
+      : `Applied mapping profile "${profile.name}"`, missing.length > 0 ? 'error' : 'success');
+  };
+
+  const saveMappingProfile = async (sheetName) => {
+    const mapping = columnMappings[sheetName];
+    if (!profileName.trim() || !mapping?.fields.question) return;
+
+    setSavingProfile(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/mapping-profiles`, {
+        method: 'POST',
+        headers: mappingHeaders(),
+        body: JSON.stringify({ name: profileName.trim(), mapping: mapping.fields })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.details?.errors?.[0]?.message || result.error || 'Failed to save mapping profile');
+      }
+
+      setMappingProfiles(prev => [...prev.filter(entry => entry.id !== result.profile.id), result.profile]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedProfileId(result.profile.id);
+      showToast(result.message);
+    } catch (error) {
+      console.error('❌ Save mapping profile error:', error);
+      showToast(error.message, 'error');
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const deleteMappingProfile = async (profileId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/mapping-profiles/${profileId}`, {
+        method: 'DELETE',
+        headers: mappingHeaders()
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to delete mapping profile');
+      }
+
+      setMappingProfiles(prev => prev.filter(entry => entry.id !== profileId));
+      setSelectedProfileId('');
+      showToast('Mapping profile deleted');
+    } catch (error) {
+      console.error('❌ Delete mapping profile error:', error);
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Keep the chosen sheets in workbook order
+  const toggleSheet = (sheetName) => {
+    setSelectedSheets(prev => {
+      const chosen = prev.includes(sheetName) ? prev.filter(name => name !== sheetName) : [...prev, sheetName];
+      return workbookSheets.map(sheet => sheet.name).filter(name => chosen.includes(name));
+    });
+
+    if (errors.sheets) {
+      setErrors(prev => ({ ...prev, sheets: '' }));
+    }
+  };
+
+  // Sheets named after a job status ("Arrival", "Completion") default to that status
+  const defaultStatusForSheet = (sheetName) => {
+    const normalized = (sheetName || '').trim().toLowerCase();
+    return statuses.find(status => (status.name || '').trim().toLowerCase() === normalized) || selectedStatus;
+  };
+
+  const setSheetStatus = (index, statusId) => {
+    const status = statuses.find(stat => stat.id === statusId) || null;
+    updateSheetResult(index, () => ({ status }));
   };
 
   const downloadTemplate = () => {
@@ -369,33 +653,143 @@ Upload ID photo | multiImage | | Yes | No | |`
     }
   };
 
-  // Enhanced function to extract checklist from Excel file with real-time progress
-  const extractChecklist = async () => {
-    if (!validateFullConfig()) return;
-    
-    setLoading(true);
-    setProcessingProgress({
-      show: true,
+  // Poll the job status endpoint until the extraction job finishes
+  const waitForJob = async (jobId) => {
+    while (true) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}`);
+      if (!response.ok) {
+        throw new Error(`Failed to check extraction status: ${response.status} ${response.statusText}`);
+      }
+
+      const { job } = await response.json();
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+        return job.status;
+      }
+    }
+  };
+
+  // Cancel the running extraction job; the backend stops scheduling chunks and removes the upload
+  const cancelExtraction = async () => {
+    if (!activeJobId) return;
+
+    try {
+      await fetch(`${API_BASE_URL}/api/jobs/${activeJobId}`, { method: 'DELETE' });
+      setProcessingProgress(prev => ({ ...prev, status: 'Cancelling extraction...' }));
+    } catch (error) {
+      console.error('❌ Cancel error:', error);
+      showToast('Failed to cancel extraction', 'error');
+    }
+  };
+
+  // Normalize an item from the backend into the shape the review tab edits
+  const toReviewItem = (item) => ({
+    id: item.id,
+    question: item.question || '',
+    type: item.type || 'textField',
+    options: item.options || '',
+    description: item.description || '',
+    required: Boolean(item.required),
+    isDependent: Boolean(item.isDependent),
+    dependentOn: item.dependentOn || '',
+    dependentOptions: item.dependentOptions || '',
+    conditions: Array.isArray(item.conditions) ? item.conditions : [],
+    source: item.source || null
+  });
+
+  const toggleSourceRow = (id) => {
+    setExpandedSources(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  // Insert items after the given item ID; if the reviewer removed that item, use the closest earlier one
+  const spliceAfterItem = (items, insertAfterId, newItems) => {
+    let nextId = Math.max(0, ...items.map(item => item.id)) + 1;
+    const withIds = newItems.map(item => ({ ...item, id: nextId++ }));
+    const anchor = items.reduce(
+      (best, item, index) => (item.id <= insertAfterId && (best === -1 || item.id > items[best].id) ? index : best),
+      -1
+    );
+    return [...items.slice(0, anchor + 1), ...withIds, ...items.slice(anchor + 1)];
+  };
+
+  // Re-run only the failed row ranges and splice the recovered items back where their rows belong
+  const retryFailedChunks = async (chunkIndexes = null) => {
+    if (!activeSheet || !activeSheet.jobId) return;
+
+    // The reviewer may switch sheets while the retry runs
+    const sheetIndex = activeSheetIndex;
+
+    setRetryingChunks(true);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${activeSheet.jobId}/retry-failed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(chunkIndexes ? { chunkIndexes } : {})
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to retry failed rows');
+      }
+
+      updateSheetResult(sheetIndex, sheet => ({
+        checklist: result.recovered.reduce(
+          (current, chunk) => spliceAfterItem(current, chunk.insertAfterId, chunk.items.map(toReviewItem)),
+          sheet.checklist
+        ),
+        failedChunks: result.failedChunks || []
+      }));
+
+      if (result.failedChunks?.length > 0) {
+        showToast(`${result.message}. ${result.failedChunks.length} row ranges still failing.`, 'error');
+      } else {
+        showToast(result.message);
+      }
+    } catch (error) {
+      console.error('❌ Retry error:', error);
+      showToast(error.message || 'Failed to retry failed rows', 'error');
+    } finally {
+      setRetryingChunks(false);
+    }
+  };
+
+  // Queue one sheet of the workbook for extraction and wait for its result
+  // Returns null when the user cancelled; failures throw, with the backend error body on error.response
+  const extractSheet = async (sheetName, sheetLabel) => {
+    let progressEventSource = null;
+
+    // Job ID scopes the progress stream to this extraction only, so it must not be guessable
+    const randomBytes = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+    const jobId = `job_${Date.now().toString(36)}_${randomBytes}`;
+
+    setProcessingProgress(prev => ({
+      ...prev,
       currentChunk: 0,
       totalChunks: 0,
       currentAttempt: 0,
       maxAttempts: 0,
-      status: 'Preparing file...',
+      status: `${sheetLabel}Preparing file...`,
       percentage: 0,
-      estimatedTime: '',
       startTime: Date.now(),
-      errors: [],
       isComplete: false
-    });
-
-    let progressEventSource = null;
+    }));
 
     try {
-      console.log('🚀 Extracting checklist from:', `${API_BASE_URL}/api/extract-checklist`);
+      console.log('🚀 Extracting checklist from:', `${API_BASE_URL}/api/extract-checklist`, sheetName || '(first sheet)');
       
       // Start listening for progress updates via Server-Sent Events
       try {
-        progressEventSource = new EventSource(`${API_BASE_URL}/api/progress-stream`);
+        progressEventSource = new EventSource(`${API_BASE_URL}/api/progress-stream?jobId=${encodeURIComponent(jobId)}`);
         
         progressEventSource.onmessage = (event) => {
           try {
@@ -409,9 +803,9 @@ Upload ID photo | multiImage | | Yes | No | |`
                 totalChunks: progressData.totalChunks || prev.totalChunks,
                 currentAttempt: progressData.currentAttempt || prev.currentAttempt,
                 maxAttempts: progressData.maxAttempts || prev.maxAttempts,
-                status: progressData.status || prev.status,
+                status: progressData.status ? `${sheetLabel}${progressData.status}` : prev.status,
                 percentage: progressData.percentage || prev.percentage,
-                isComplete: progressData.percentage === 100
+                isComplete: false
               }));
             }
           } catch (error) {
@@ -432,9 +826,16 @@ Upload ID photo | multiImage | | Yes | No | |`
       formData.append('statusUid', config.statusUid);
       formData.append('apiKey', config.apiKey);
       formData.append('region', config.region);
-      formData.append('enableProgress', 'true');
+      formData.append('jobId', jobId);
+      formData.append('includeHiddenRows', includeHiddenRows);
+      if (sheetName) {
+        formData.append('sheetName', sheetName);
+      }
+      if (sheetName && columnMappings[sheetName]?.enabled) {
+        formData.append('columnMapping', JSON.stringify(columnMappings[sheetName].fields));
+      }
 
-      const response = await fetch(
+      const queueResponse = await fetch(
         `${API_BASE_URL}/api/extract-checklist`,
         {
           method: 'POST',
@@ -442,7 +843,39 @@ Upload ID photo | multiImage | | Yes | No | |`
         }
       );
 
-      console.log('📥 Extract response status:', response.status);
+      console.log('📥 Extract response status:', queueResponse.status);
+
+      if (!queueResponse.ok) {
+        const errorText = await queueResponse.text();
+        console.error('❌ Extract error response:', errorText);
+
+        if (errorText.includes('<!doctype') || errorText.includes('<html')) {
+          throw new Error('API endpoint not found. Please check if the backend server is running.');
+        }
+
+        let errorData = null;
+        try {
+          errorData = JSON.parse(errorText);
+        } catch (parseError) {
+          throw new Error(`Server error: ${queueResponse.status} ${queueResponse.statusText}`);
+        }
+        throw new Error(errorData.error || 'Failed to start extraction');
+      }
+
+      const queued = await queueResponse.json();
+      console.log('📥 Extraction job queued:', queued.jobId);
+      setActiveJobId(queued.jobId);
+
+      // Wait for the background job to finish, then fetch its result
+      const finalStatus = await waitForJob(queued.jobId);
+
+      if (finalStatus === 'cancelled') {
+        return null;
+      }
+
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${queued.jobId}/result`);
+
+      console.log('📥 Extract result status:', response.status);
 
       if (!response.ok) {
         const errorText = await response.text();
@@ -452,37 +885,114 @@ Upload ID photo | multiImage | | Yes | No | |`
           throw new Error('API endpoint not found. Please check if the backend server is running.');
         }
         
+        let errorData = null;
         try {
-          const errorData = JSON.parse(errorText);
-          if (errorData.details) {
-            setDetailedError(errorData);
-            return;
-          }
-          throw new Error(errorData.error || 'Failed to extract checklist');
+          errorData = JSON.parse(errorText);
         } catch (parseError) {
           throw new Error(`Server error: ${response.status} ${response.statusText}`);
         }
+
+        const extractionError = new Error(errorData.error || 'Failed to extract checklist');
+        extractionError.response = errorData;
+        throw extractionError;
       }
 
       const result = await response.json();
       console.log("📦 Extracted result from backend:", result);
-      
-      // Process the checklist
-      const extractedChecklist = result.checklist || [];
-      const processedChecklist = extractedChecklist.map(item => ({
-        id: item.id,
-        question: item.question || '',
-        type: item.type || 'textField',
-        options: item.options || '',
-        required: Boolean(item.required),
-        isDependent: Boolean(item.isDependent),
-        dependentOn: item.dependentOn || '',
-        dependentOptions: item.dependentOptions || ''
-      }));
-      
+
+      return { jobId: queued.jobId, result };
+    } finally {
+      setActiveJobId(null);
+
+      // Close progress stream
+      if (progressEventSource) {
+        progressEventSource.close();
+      }
+    }
+  };
+
+  // Enhanced function to extract checklist from Excel file with real-time progress
+  // Every chosen sheet runs as its own job, one after the other, and becomes its own checklist
+  const extractChecklist = async () => {
+    if (!validateFullConfig()) return;
+    
+    // Without a sheet list (older backend or unreadable workbook) the backend reads the first sheet
+    const sheetNames = selectedSheets.length > 0 ? selectedSheets : [null];
+    const extracted = [];
+    const failedSheets = [];
+    let cancelled = false;
+
+    setLoading(true);
+    setProcessingProgress({
+      show: true,
+      currentChunk: 0,
+      totalChunks: 0,
+      currentAttempt: 0,
+      maxAttempts: 0,
+      status: 'Preparing file...',
+      percentage: 0,
+      estimatedTime: '',
+      startTime: Date.now(),
+      errors: [],
+      isComplete: false
+    });
+
+    try {
+      for (let index = 0; index < sheetNames.length; index++) {
+        const sheetName = sheetNames[index];
+        const sheetLabel = sheetNames.length > 1 ? `Sheet ${index + 1}/${sheetNames.length} (${sheetName}): ` : '';
+
+        try {
+          const extraction = await extractSheet(sheetName, sheetLabel);
+
+          if (!extraction) {
+            cancelled = true;
+            break;
+          }
+
+          const { jobId, result } = extraction;
+          const resolvedName = sheetName || result.metadata?.sheetName || null;
+
+          extracted.push({
+            sheetName: resolvedName,
+            jobId,
+            checklist: (result.checklist || []).map(toReviewItem),
+            failedChunks: result.failedChunks || [],
+            dependencyIssues: result.validation?.dependencyIssues || [],
+            status: defaultStatusForSheet(resolvedName),
+            processingStats: result.metadata?.processingStats || null
+          });
+
+          if (result.validation?.warnings?.length > 0) {
+            console.warn(`Processing warnings${resolvedName ? ` for ${resolvedName}` : ''}:`, result.validation.warnings);
+          }
+        } catch (error) {
+          // A single-sheet extraction keeps the detailed error modal; with several sheets the others still count
+          if (sheetNames.length === 1) {
+            throw error;
+          }
+
+          console.error(`❌ Extraction error for sheet ${sheetName}:`, error);
+          failedSheets.push({ sheetName, error: error.message });
+          setProcessingProgress(prev => ({ ...prev, errors: [...prev.errors, `${sheetName}: ${error.message}`] }));
+        }
+      }
+
+      if (extracted.length === 0) {
+        if (cancelled) {
+          setProcessingProgress(prev => ({ ...prev, status: 'Extraction cancelled', isComplete: true }));
+          showToast('Extraction cancelled', 'error');
+          return;
+        }
+        throw new Error(`Failed to extract checklists: ${failedSheets.map(sheet => `${sheet.sheetName} (${sheet.error})`).join(', ')}`);
+      }
+
+      const processedChecklist = extracted.flatMap(sheet => sheet.checklist);
       console.log("🔧 Processed checklist with dependency fields:", processedChecklist);
-      
-      setChecklist(processedChecklist);
+
+      setSheetResults(extracted.map(({ processingStats, ...sheet }) => sheet));
+      setActiveSheetIndex(0);
+      setExpandedSources(new Set());
       setActiveTab(2);
       
       // Update progress to complete
@@ -490,27 +1000,39 @@ Upload ID photo | multiImage | | Yes | No | |`
         ...prev,
         currentChunk: prev.totalChunks || 1,
         totalChunks: prev.totalChunks || 1,
-        status: 'Processing complete!',
+        status: cancelled ? 'Extraction cancelled' : 'Processing complete!',
         percentage: 100,
         isComplete: true
       }));
       
       const itemCount = processedChecklist.length;
-      const processingStats = result.metadata?.processingStats;
+      const totalChunks = extracted.reduce((sum, sheet) => sum + (sheet.processingStats?.totalChunks || 0), 0);
+      const failedRanges = extracted.reduce((sum, sheet) => sum + sheet.failedChunks.length, 0);
       
-      let successMessage = `Successfully extracted ${itemCount} checklist items!`;
-      if (processingStats) {
-        successMessage += ` (Processed ${processingStats.totalChunks} chunks)`;
+      let successMessage = extracted.length > 1
+        ? `Successfully extracted ${itemCount} checklist items from ${extracted.length} sheets!`
+        : `Successfully extracted ${itemCount} checklist items!`;
+      if (totalChunks > 0) {
+        successMessage += ` (Processed ${totalChunks} chunks)`;
       }
       
-      showToast(successMessage);
-      
-      if (result.validation?.warnings?.length > 0) {
-        console.warn('Processing warnings:', result.validation.warnings);
+      if (failedSheets.length > 0) {
+        showToast(`${successMessage} ${failedSheets.length} ${failedSheets.length === 1 ? 'sheet' : 'sheets'} failed: ${failedSheets.map(sheet => sheet.sheetName).join(', ')}.`, 'error');
+      } else if (cancelled) {
+        showToast(`${successMessage} Extraction of the remaining sheets was cancelled.`, 'error');
+      } else if (failedRanges > 0) {
+        showToast(`${successMessage} ${failedRanges} row ranges failed - see the review tab to retry them.`, 'error');
+      } else {
+        showToast(successMessage);
       }
       
     } catch (error) {
       console.error('❌ Extraction error:', error);
+
+      if (error.response?.details) {
+        setDetailedError(error.response);
+        return;
+      }
       
       setProcessingProgress(prev => ({
         ...prev,
@@ -523,11 +1045,6 @@ Upload ID photo | multiImage | | Yes | No | |`
     } finally {
       setLoading(false);
       
-      // Close progress stream
-      if (progressEventSource) {
-        progressEventSource.close();
-      }
-      
       // Hide progress after a delay
       setTimeout(() => {
         setProcessingProgress(prev => ({ ...prev, show: false }));
@@ -552,135 +1069,295 @@ Upload ID photo | multiImage | | Yes | No | |`
       question: '',
       type: 'textField',
       options: '',
+      description: '',
       required: false,
       isDependent: false,    
       dependentOn: '',      
-      dependentOptions: ''  
+      dependentOptions: '',
+      conditions: []
     }]);
   };
 
-  const generateZuperPayload = () => {
-    const mapTypeToComponent = (type) => {
-      const mapping = {
-        'textArea': 'textArea',
-        'textField': 'textField',
-        'date': 'date',
-        'time': 'time',
-        'dateTime': 'dateTime',
-        'dropdown': 'dropdown',
-        'checkbox': 'checkbox',
-        'radio': 'radio',
-        'multiImage': 'multiImage',
-        'signature': 'signature',
-        'header': 'header'
-      };
-      return mapping[type] || 'textField';
-    };
-
-    return {
-      category_uid: config.categoryUid,
-      job_status_uid: config.statusUid,
-      checklist: checklist.map((item, index) => ({
-        id: index + 1,
-        component: mapTypeToComponent(item.type),
-        editable: true,
-        index: index,
-        label: item.question,
-        description: "",
-        placeholder: "",
-        options: item.options ? item.options.split(',').map(opt => opt.trim()).filter(opt => opt) : [],
-        required: item.required,
-        validation: "/.*/",
-        hide_to_fe: false,
-        is_dependent: item.isDependent,
-        dependent_on: item.dependentOn,
-        dependent_options: item.dependentOptions
-          ? item.dependentOptions.split(',').map(opt => opt.trim()).filter(opt => opt !== '')
-          : [],
-        attributes: {},
-        hide_field: false,
-        read_only: false,
-        regex_value: "",
-        min_value: null,
-        max_value: null,
-        default_option: null,
-        group: "Default",
-        dependents: [],
-        restrict_status_update: {},
-        meta_options: {
-          restrict_status_update: {
-            is_enabled: false,
-            restricted_options: []
-          }
-        },
-        checklist_view_type: "SINGLE_PAGE"
-      })),
-      prefill_checklist: false
-    };
+  // Edit the condition groups of an item (OR between groups, AND within a group); a single rule left over
+  // becomes an ordinary dependency again
+  const updateConditions = (id, update) => {
+    setChecklist(prev => prev.map(item => {
+      if (item.id !== id) return item;
+
+      const current = item.conditions.length > 0
+        ? item.conditions
+        : [[{ dependentOn: item.dependentOn, dependentOptions: item.dependentOptions }]];
+      const conditions = update(current.map(group => [...group])).filter(group => group.length > 0);
+
+      if (conditions.length === 1 && conditions[0].length === 1) {
+        return { ...item, ...conditions[0][0], conditions: [] };
+      }
+      return { ...item, dependentOn: '', dependentOptions: '', conditions };
+    }));
+  };
+
+  const updateConditionRule = (id, groupIndex, ruleIndex, field, value) => {
+    updateConditions(id, groups => {
+      groups[groupIndex][ruleIndex] = { ...groups[groupIndex][ruleIndex], [field]: value };
+      return groups;
+    });
   };
 
+  // Payload for one sheet's checklist as the backend builds it, with dependent items linked to their parents
   const previewPayloadHandler = async () => {
+    if (!activeSheet || activeSheet.checklist.length === 0) return;
+
     try {
-      const payload = generateZuperPayload();
-      setPreviewPayload(payload);
+      const response = await fetch(`${API_BASE_URL}/api/preview-payload`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          checklist: activeSheet.checklist,
+          config: { ...config, statusUid: activeSheet.status?.id || config.statusUid }
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        if (result.details?.type === 'DEPENDENCY_ERROR') {
+          updateSheetResult(activeSheetIndex, () => ({ dependencyIssues: result.details.items }));
+          setDetailedError(result);
+          return;
+        }
+        throw new Error(result.details?.errors?.[0]?.message || result.error || 'Failed to generate payload preview');
+      }
+
+      updateSheetResult(activeSheetIndex, () => ({ dependencyIssues: result.dependencies?.warnings || [] }));
+      setPreviewPayload(result.payload);
+      setPreviewDependencies(result.dependencies || null);
       setShowPayloadPreview(true);
     } catch (error) {
-      showToast('Failed to generate payload preview', 'error');
+      console.error('❌ Payload preview error:', error);
+      showToast(error.message || 'Failed to generate payload preview', 'error');
     }
   };
 
-  const submitToZuper = async () => {
-    setLoading(true);
+  // Diff the active sheet's checklist against the one its job status already has in Zuper
+  const compareWithZuper = async () => {
+    if (!activeSheet || activeSheet.checklist.length === 0) return;
+    if (!activeSheet.status && !config.statusUid) {
+      showToast('Choose a job status to compare with', 'error');
+      return;
+    }
+
+    setComparing(true);
     try {
-      console.log('🚀 Submitting to Zuper via:', `${API_BASE_URL}/api/submit-checklist`);
-      console.log("🔍 Sending checklist data:", checklist);
-      console.log("📤 Config:", JSON.stringify(config, null, 2));
-      
-      const response = await fetch(
-        `${API_BASE_URL}/api/submit-checklist`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            checklist: checklist,
-            config: config,
-          }),
+      const response = await fetch(`${API_BASE_URL}/api/compare-checklist`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          checklist: activeSheet.checklist,
+          config: { ...config, statusUid: activeSheet.status?.id || config.statusUid }
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        if (result.details?.type === 'DEPENDENCY_ERROR') {
+          updateSheetResult(activeSheetIndex, () => ({ dependencyIssues: result.details.items }));
+          setDetailedError(result);
+          return;
         }
+        throw new Error(result.details?.errors?.[0]?.message || result.error || 'Failed to compare with Zuper');
+      }
+
+      setComparison({
+        sheetName: activeSheet.sheetName,
+        statusName: activeSheet.status?.name || selectedStatus?.name || null,
+        existingCount: result.existing.fieldCount,
+        diff: result.diff
+      });
+    } catch (error) {
+      console.error('❌ Compare error:', error);
+      showToast(error.message || 'Failed to compare with Zuper', 'error');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const newMigrationTarget = () => ({ categoryUid: '', statusUid: '', otherAccount: false, apiKey: '', region: '', mode: '' });
+
+  const updateMigrationTarget = (index, changes) => {
+    setMigrationTargets(prev => prev.map((target, i) => (i === index ? { ...target, ...changes } : target)));
+  };
+
+  // Load the statuses of a target category in the configured account, once per category
+  const loadTargetStatuses = async (categoryUid) => {
+    if (!categoryUid || targetStatuses[categoryUid]) return;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/checklist/zuper/statuses?category_uid=${categoryUid}`,
+        { headers: { 'x-api-key': config.apiKey, 'x-region': config.region } }
       );
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to fetch statuses');
+
+      setTargetStatuses(prev => ({ ...prev, [categoryUid]: result.statuses || [] }));
+    } catch (error) {
+      console.error('❌ Target statuses fetch error:', error);
+      showToast(error.message || 'Failed to fetch statuses.', 'error');
+    }
+  };
+
+  // Copy the selected status's checklist to every target; failed targets stay retryable
+  const startMigration = async () => {
+    const incomplete = migrationTargets.findIndex(target =>
+      !target.categoryUid || !target.statusUid || (target.otherAccount && (!target.apiKey || !target.region)));
+    if (migrationTargets.length === 0 || incomplete !== -1) {
+      showToast(migrationTargets.length === 0 ? 'Add at least one target status' : `Complete target ${incomplete + 1}`, 'error');
+      return;
+    }
+
+    setMigrating(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/migrations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          source: config,
+          mode: migrationMode,
+          targets: migrationTargets.map(target => ({
+            categoryUid: target.categoryUid,
+            statusUid: target.statusUid,
+            ...(target.otherAccount ? { apiKey: target.apiKey, region: target.region } : {}),
+            ...(target.mode ? { mode: target.mode } : {})
+          }))
+        })
+      });
+      const result = await response.json();
+      if (!result.migration) {
+        throw new Error(result.details?.errors?.[0]?.message || result.error || 'Failed to copy the checklist');
+      }
+
+      setMigration(result.migration);
+      showToast(result.message, result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('❌ Migration error:', error);
+      showToast(error.message || 'Failed to copy the checklist', 'error');
+    } finally {
+      setMigrating(false);
+    }
+  };
+
+  // Write the checklist again to the targets that failed (or to one of them)
+  const retryMigration = async (targetIndexes = null) => {
+    if (!migration) return;
+
+    setMigrating(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/migrations/${migration.id}/retry-failed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(targetIndexes ? { targetIndexes } : {})
+      });
+      const result = await response.json();
+      if (!result.migration) {
+        throw new Error(result.details?.errors?.[0]?.message || result.error || 'Failed to retry the migration');
+      }
+
+      setMigration(result.migration);
+      showToast(result.message, result.success ? 'success' : 'error');
+    } catch (error) {
+      console.error('❌ Migration retry error:', error);
+      showToast(error.message || 'Failed to retry the migration', 'error');
+    } finally {
+      setMigrating(false);
+    }
+  };
+
+  // Submit every sheet's checklist to its own job status; sheets already submitted are dropped from the review
+  const submitToZuper = async () => {
+    const sheetsToSubmit = sheetResults.filter(sheet => sheet.checklist.length > 0);
+
+    const missingStatus = sheetsToSubmit.find(sheet => !sheet.status);
+    if (missingStatus) {
+      showToast(`Choose a job status for ${missingStatus.sheetName || 'the checklist'}`, 'error');
+      return;
+    }
+
+    const statusIds = sheetsToSubmit.map(sheet => sheet.status.id);
+    const duplicate = sheetsToSubmit.find((sheet, index) => statusIds.indexOf(sheet.status.id) !== index);
+    if (duplicate) {
+      showToast(`More than one sheet is assigned to the "${duplicate.status.name}" status`, 'error');
+      return;
+    }
+
+    setLoading(true);
+    const submitted = [];
+
+    try {
+      for (const sheet of sheetsToSubmit) {
+        const sheetConfig = { ...config, statusUid: sheet.status.id, mode: submitMode };
+
+        console.log('🚀 Submitting to Zuper via:', `${API_BASE_URL}/api/submit-checklist`);
+        console.log("🔍 Sending checklist data:", sheet.sheetName, sheet.checklist);
+        console.log("📤 Config:", JSON.stringify(sheetConfig, null, 2));
+        
+        const response = await fetch(
+          `${API_BASE_URL}/api/submit-checklist`,
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+              checklist: sheet.checklist,
+              config: sheetConfig,
+            }),
+          }
+        );
+
+        console.log('📥 Submit response status:', response.status);
 
-      console.log('📥 Submit response status:', response.status);
+        if (!response.ok) {
+          const errorText = await response.text();
+          console.error('❌ Submit error response:', errorText);
+          
+          if (errorText.includes('<!doctype') || errorText.includes('<html')) {
+            throw new Error('API endpoint not found. Please check if the backend server is running.');
+          }
+          
+          let errorData = null;
+          try {
+            errorData = JSON.parse(errorText);
+          } catch (parseError) {
+            throw new Error(`Server error: ${response.status} ${response.statusText}`);
+          }
+
+          if (errorData.details?.type === 'DEPENDENCY_ERROR') {
+            const sheetIndex = sheetResults.indexOf(sheet);
+            updateSheetResult(sheetIndex, () => ({ dependencyIssues: errorData.details.items }));
+            setActiveSheetIndex(sheetIndex);
+          }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('❌ Submit error response:', errorText);
-        
-        if (errorText.includes('<!doctype') || errorText.includes('<html')) {
-          throw new Error('API endpoint not found. Please check if the backend server is running.');
-        }
-        
-        try {
-          const errorData = JSON.parse(errorText);
           if (errorData.details) {
             setDetailedError(errorData);
             return;
           }
           throw new Error(errorData.error || 'Failed to submit checklist');
-        } catch (parseError) {
-          throw new Error(`Server error: ${response.status} ${response.statusText}`);
         }
-      }
 
-      const result = await response.json();
-      console.log('✅ Submit result:', result);
+        const result = await response.json();
+        console.log('✅ Submit result:', result);
+
+        submitted.push(sheet);
+      }
       
-      showToast('Checklist submitted successfully to Zuper!');
+      showToast(submitted.length > 1
+        ? `${submitted.length} checklists submitted successfully to Zuper!`
+        : 'Checklist submitted successfully to Zuper!');
       
       setTimeout(() => {
         setActiveTab(1);
-        setChecklist([]);
+        setSheetResults([]);
+        setActiveSheetIndex(0);
         setFile(null);
+        setWorkbookSheets([]);
+        setSelectedSheets([]);
         setConfig({ apiKey: '', region: '', categoryUid: '', statusUid: '' });
         setCategories([]);
         setStatuses([]);
@@ -693,14 +1370,29 @@ Upload ID photo | multiImage | | Yes | No | |`
       }, 2000);
     } catch (error) {
       console.error('❌ Submission error:', error);
-      showToast(error.message || 'Failed to submit checklist. Please try again.', 'error');
+      const submittedNote = submitted.length > 0 ? `Submitted ${submitted.map(sheet => sheet.sheetName).join(', ')}. ` : '';
+      showToast(`${submittedNote}${error.message || 'Failed to submit checklist. Please try again.'}`, 'error');
     } finally {
       setLoading(false);
+
+      // Keep only the sheets that still need submitting when a later sheet failed
+      if (submitted.length > 0 && submitted.length < sheetsToSubmit.length) {
+        setSheetResults(prev => prev.filter(sheet => !submitted.includes(sheet)));
+        setActiveSheetIndex(0);
+      }
     }
   };
 
   const isConfigValid = config.apiKey && config.region && selectedCategory && selectedStatus && file;
 
+  // The column-mapping step edits one chosen sheet at a time
+  const mappingSheet = workbookSheets.find(sheet =>
+    sheet.name === (selectedSheets.includes(mappingSheetName) ? mappingSheetName : selectedSheets[0])) || null;
+  const mappingState = mappingSheet ? columnMappings[mappingSheet.name] : null;
+  const mappedFieldByColumn = mappingState
+    ? Object.fromEntries(Object.entries(mappingState.fields).filter(([, column]) => column).map(([field, column]) => [column, field]))
+    : {};
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-blue-50">
       {/* Enhanced Error Modal */}
@@ -709,6 +1401,19 @@ Upload ID photo | multiImage | | Yes | No | |`
           <div className="bg-white rounded-lg p-6 max-w-md w-full">
             <h3 className="text-lg font-semibold text-red-600 mb-4">Error Details</h3>
             <p className="text-gray-700 mb-4">{detailedError.error}</p>
+            {/* Per-item problems, e.g. dependencies that block submission */}
+            {detailedError.details?.items?.length > 0 && (
+              <div className="mb-4">
+                {detailedError.details.message && (
+                  <p className="text-sm text-gray-600 mb-2">{detailedError.details.message}</p>
+                )}
+                <ul className="text-sm text-red-700 space-y-1 max-h-60 overflow-auto">
+                  {detailedError.details.items.map((item, index) => (
+                    <li key={index}>• {item.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
             <div className="flex gap-3">
               <button
                 onClick={() => setDetailedError(null)}
@@ -716,15 +1421,17 @@ Upload ID photo | multiImage | | Yes | No | |`
               >
                 Close
               </button>
-              <button
-                onClick={() => {
-                  setDetailedError(null);
-                  extractChecklist();
-                }}
-                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-              >
-                Retry
-              </button>
+              {detailedError.details?.type !== 'DEPENDENCY_ERROR' && (
+                <button
+                  onClick={() => {
+                    setDetailedError(null);
+                    extractChecklist();
+                  }}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  Retry
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -843,6 +1550,16 @@ Upload ID photo | multiImage | | Yes | No | |`
                 </div>
               )}
               
+              {/* Cancel button */}
+              {!processingProgress.isComplete && activeJobId && (
+                <button
+                  onClick={cancelExtraction}
+                  className="mb-4 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-all duration-200 text-sm font-medium"
+                >
+                  Cancel Extraction
+                </button>
+              )}
+              
               {/* Info message */}
               <div className="text-xs text-gray-400 bg-gray-50 rounded-lg p-3">
                 {processingProgress.totalChunks > 1 ? (
@@ -859,6 +1576,106 @@ Upload ID photo | multiImage | | Yes | No | |`
         </div>
       )}
 
+      {/* Compare with Zuper Modal */}
+      {comparison && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 modal-backdrop">
+          <div className="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-hidden">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+                <RefreshCw className="w-6 h-6 text-blue-600" />
+                Compare with Zuper{comparison.statusName ? ` — ${comparison.statusName}` : ''}
+              </h3>
+              <button
+                onClick={() => setComparison(null)}
+                className="text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+            <div className="p-6 overflow-auto max-h-[70vh] space-y-4">
+              <p className="text-sm text-gray-600">
+                {comparison.existingCount > 0
+                  ? `The status already has ${comparison.existingCount} checklist fields. `
+                  : 'The status has no checklist yet. '}
+                {comparison.diff.summary.added} new, {comparison.diff.summary.changed} changed, {comparison.diff.summary.unchanged} unchanged, {comparison.diff.summary.removed} only in Zuper.
+              </p>
+
+              {comparison.diff.added.length > 0 && (
+                <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
+                  <p className="font-medium text-green-800 mb-2">New fields</p>
+                  <ul className="text-sm text-green-700 space-y-1">
+                    {comparison.diff.added.map(field => (
+                      <li key={field.id}>+ {field.label} <span className="text-green-600">({field.component})</span></li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {comparison.diff.changed.length > 0 && (
+                <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <p className="font-medium text-yellow-800 mb-2">Changed fields</p>
+                  <ul className="text-sm text-yellow-700 space-y-2">
+                    {comparison.diff.changed.map(field => (
+                      <li key={field.id}>
+                        ~ {field.label}
+                        <ul className="ml-4 text-xs space-y-0.5">
+                          {field.changes.map(change => (
+                            <li key={change.property}>
+                              {change.property}: {JSON.stringify(change.from)} → {JSON.stringify(change.to)}
+                              {!change.merged && <span className="text-gray-500"> (kept on merge)</span>}
+                            </li>
+                          ))}
+                        </ul>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {comparison.diff.removed.length > 0 && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="font-medium text-red-800 mb-2">Only in Zuper</p>
+                  <ul className="text-sm text-red-700 space-y-1">
+                    {comparison.diff.removed.map((field, index) => (
+                      <li key={index}>- {field.label} <span className="text-red-600">({field.component})</span></li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div>
+                <p className="font-medium text-gray-800 mb-2">Submit mode</p>
+                <div className="space-y-2">
+                  {submitModes.map(option => (
+                    <label key={option.value} className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="compareSubmitMode"
+                        checked={submitMode === option.value}
+                        onChange={() => setSubmitMode(option.value)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <strong>{option.label}</strong> — {option.describe(comparison.diff.modes[option.value])}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setComparison(null)}
+                  className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-all duration-200 font-medium"
+                >
+                  Close
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Payload Preview Modal */}
       {showPayloadPreview && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 modal-backdrop">
@@ -876,6 +1693,29 @@ Upload ID photo | multiImage | | Yes | No | |`
               </button>
             </div>
             <div className="p-6 overflow-auto max-h-[70vh] payload-scroll">
+              {previewDependencies?.warnings.length > 0 && (
+                <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <p className="font-medium text-yellow-800 mb-2 flex items-center gap-2">
+                    <AlertCircle className="w-4 h-4" />
+                    Dependency warnings
+                  </p>
+                  <ul className="text-sm text-yellow-700 space-y-1">
+                    {previewDependencies.warnings.map((issue, index) => (
+                      <li key={index}>• {issue.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {previewDependencies?.resolved.some(entry => entry.match === 'fuzzy') && (
+                <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <p className="font-medium text-yellow-800 mb-2">Parent questions matched approximately</p>
+                  <ul className="text-sm text-yellow-700 space-y-1">
+                    {previewDependencies.resolved.filter(entry => entry.match === 'fuzzy').map(entry => (
+                      <li key={entry.id}>• Item {entry.id}: "{entry.dependentOn}" → "{entry.parentQuestion}"</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
               <div className="bg-gray-900 rounded-lg p-4 overflow-auto">
                 <pre className="text-green-400 text-sm whitespace-pre-wrap font-mono">
                   {JSON.stringify(previewPayload, null, 2)}
@@ -1095,6 +1935,205 @@ Upload ID photo | multiImage | | Yes | No | |`
               </div>
             )}
 
+            {/* Copy Checklist Card */}
+            {selectedStatus && (
+              <div className="bg-white rounded-2xl shadow-lg p-8">
+                <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center gap-3">
+                  <Send className="w-6 h-6 text-blue-600" />
+                  Copy Checklist to Other Statuses
+                </h2>
+                <p className="text-sm text-gray-600 mb-6">
+                  Copies the checklist "{selectedStatus.name}" already has in Zuper to other statuses, categories or accounts.
+                  Fields are renumbered and their dependencies kept.
+                </p>
+
+                <div className="space-y-4">
+                  {migrationTargets.map((target, index) => (
+                    <div key={index} className="border border-gray-200 rounded-xl p-4">
+                      <div className="flex items-center justify-between mb-3">
+                        <span className="font-medium text-gray-800">Target {index + 1}</span>
+                        <div className="flex items-center gap-4">
+                          <label className="flex items-center gap-2 text-sm text-gray-600">
+                            <input
+                              type="checkbox"
+                              checked={target.otherAccount}
+                              onChange={(e) => updateMigrationTarget(index, { otherAccount: e.target.checked, categoryUid: '', statusUid: '' })}
+                            />
+                            Other account or region
+                          </label>
+                          <button
+                            onClick={() => setMigrationTargets(prev => prev.filter((t, i) => i !== index))}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Remove target"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+
+                      {target.otherAccount ? (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <input
+                            type="password"
+                            value={target.apiKey}
+                            onChange={(e) => updateMigrationTarget(index, { apiKey: e.target.value })}
+                            placeholder="API key of the target account"
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          />
+                          <select
+                            value={target.region}
+                            onChange={(e) => updateMigrationTarget(index, { region: e.target.value })}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          >
+                            <option value="">Select Region</option>
+                            {regionOptions.map(region => (
+                              <option key={region.value} value={region.value}>{region.label}</option>
+                            ))}
+                          </select>
+                          <input
+                            value={target.categoryUid}
+                            onChange={(e) => updateMigrationTarget(index, { categoryUid: e.target.value.trim() })}
+                            placeholder="Category UID"
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          />
+                          <input
+                            value={target.statusUid}
+                            onChange={(e) => updateMigrationTarget(index, { statusUid: e.target.value.trim() })}
+                            placeholder="Status UID"
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          />
+                        </div>
+                      ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                          <select
+                            value={target.categoryUid}
+                            onChange={(e) => {
+                              updateMigrationTarget(index, { categoryUid: e.target.value, statusUid: '' });
+                              loadTargetStatuses(e.target.value);
+                            }}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                          >
+                            <option value="">Choose a category</option>
+                            {categories.map(category => (
+                              <option key={category.id} value={category.id}>{category.name}</option>
+                            ))}
+                          </select>
+                          <select
+                            value={target.statusUid}
+                            onChange={(e) => updateMigrationTarget(index, { statusUid: e.target.value })}
+                            disabled={!targetStatuses[target.categoryUid]}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+                          >
+                            <option value="">Choose a status</option>
+                            {(targetStatuses[target.categoryUid] || [])
+                              .filter(status => target.categoryUid !== config.categoryUid || status.id !== config.statusUid)
+                              .map(status => (
+                                <option key={status.id} value={status.id}>{status.name}</option>
+                              ))}
+                          </select>
+                        </div>
+                      )}
+
+                      <div className="mt-3 flex items-center gap-2 text-sm">
+                        <label className="text-gray-600">Mode:</label>
+                        <select
+                          value={target.mode}
+                          onChange={(e) => updateMigrationTarget(index, { mode: e.target.value })}
+                          className="px-2 py-1 border border-gray-300 rounded-lg"
+                        >
+                          <option value="">Same as below</option>
+                          {submitModes.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  ))}
+
+                  <div className="flex flex-wrap items-center justify-between gap-4">
+                    <button
+                      onClick={() => setMigrationTargets(prev => [...prev, newMigrationTarget()])}
+                      className="px-4 py-2 border border-blue-600 text-blue-600 rounded-xl hover:bg-blue-50 text-sm font-medium"
+                    >
+                      + Add target
+                    </button>
+                    <div className="flex items-center gap-3">
+                      <label className="text-sm text-gray-600">Existing checklists:</label>
+                      <select
+                        value={migrationMode}
+                        onChange={(e) => setMigrationMode(e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      >
+                        {submitModes.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={startMigration}
+                        disabled={migrating || migrationTargets.length === 0}
+                        className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-xl hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center gap-2"
+                      >
+                        {migrating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                        {migrating ? 'Copying...' : 'Copy Checklist'}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+
+                {migration && (
+                  <div className="mt-6 border-t border-gray-200 pt-6">
+                    <div className="flex items-center justify-between mb-3">
+                      <h3 className="font-semibold text-gray-800">
+                        {migration.fieldCount} fields: {migration.summary.succeeded} of {migration.summary.total} targets written
+                      </h3>
+                      {migration.summary.failed > 0 && (
+                        <button
+                          onClick={() => retryMigration()}
+                          disabled={migrating}
+                          className="px-4 py-2 bg-orange-600 text-white rounded-xl hover:bg-orange-700 disabled:bg-gray-400 text-sm font-medium flex items-center gap-2"
+                        >
+                          <RefreshCw className="w-4 h-4" />
+                          Retry failed ({migration.summary.failed})
+                        </button>
+                      )}
+                    </div>
+                    <ul className="space-y-2">
+                      {migration.targets.map(target => (
+                        <li
+                          key={target.target}
+                          className={`flex items-start justify-between gap-4 p-3 rounded-lg text-sm ${
+                            target.status === 'succeeded' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+                          }`}
+                        >
+                          <div>
+                            <div className="font-medium flex items-center gap-2">
+                              {target.status === 'succeeded' ? <Check className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
+                              Target {target.target}: {target.region} / {target.categoryUid} / {target.statusUid} ({target.mode})
+                            </div>
+                            <div className="mt-1">
+                              {target.status === 'succeeded'
+                                ? `${target.fieldCount} fields written`
+                                : `${target.error?.message}${target.error?.code ? ` (${target.error.code})` : ''}`}
+                              {target.attempts > 1 ? ` — ${target.attempts} attempts` : ''}
+                            </div>
+                          </div>
+                          {target.status === 'failed' && (
+                            <button
+                              onClick={() => retryMigration([target.target])}
+                              disabled={migrating}
+                              className="text-red-700 underline hover:text-red-900 disabled:text-gray-400 whitespace-nowrap"
+                            >
+                              Retry
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* File Upload Card */}
             {selectedStatus && (
               <div className="bg-white rounded-2xl shadow-lg p-8">
@@ -1186,7 +2225,8 @@ Upload ID photo | multiImage | | Yes | No | |`
                       </div>
                       <div className="mt-3 text-xs text-gray-500">
                         <p><strong>Note:</strong> For dropdown/radio/checkbox, separate options with commas</p>
-                        <p><strong>Dependent fields:</strong> Use exact question text or field ID in dependentOn column</p>
+                        <p><strong>Dependent fields:</strong> Use the parent's question text or item ID in dependentOn; small typos and rewording are matched</p>
+                        <p><strong>Several conditions:</strong> Add a conditions column such as <code>Roof type = Metal AND Damage = Yes OR Leak = Yes</code> (AND binds before OR)</p>
                       </div>
                     </div>
                   </div>
@@ -1220,7 +2260,7 @@ Upload ID photo | multiImage | | Yes | No | |`
                   <input
                     ref={fileInputRef}
                     type="file"
-                    accept=".xlsx,.xls"
+                    accept=".xlsx,.xls,.ods,.csv,.tsv,.docx,.pdf"
                     onChange={handleFileInput}
                     className="hidden"
                   />
@@ -1236,10 +2276,10 @@ Upload ID photo | multiImage | | Yes | No | |`
                     </div>
                     <div>
                       <p className="text-lg font-medium text-gray-700">
-                        {file ? file.name : 'Drop your Excel file here or click to browse'}
+                        {file ? file.name : 'Drop your spreadsheet or form here or click to browse'}
                       </p>
                       <p className="text-sm text-gray-500 mt-2">
-                        Supports .xlsx and .xls files (max 20MB)
+                        Supports .xlsx, .xls, .ods, .csv and .tsv spreadsheets and .docx and text-based .pdf forms (max 20MB)
                       </p>
                       {file && (
                         <div className="mt-2 space-y-1">
@@ -1264,6 +2304,203 @@ Upload ID photo | multiImage | | Yes | No | |`
                     {errors.file}
                   </p>
                 )}
+
+                {/* Sheet Selection */}
+                {file && (loadingSheets || workbookSheets.length > 0) && (
+                  <div className="mt-6">
+                    <h3 className="font-medium text-gray-800 mb-1">Sheets to extract</h3>
+                    <p className="text-sm text-gray-500 mb-3">
+                      Each sheet becomes its own checklist, and can be assigned to a different job status before submitting.
+                    </p>
+                    {loadingSheets ? (
+                      <div className="flex items-center gap-2 p-3 bg-gray-50 rounded-lg">
+                        <Loader2 className="w-5 h-5 animate-spin text-blue-600" />
+                        <span className="text-gray-600">Reading workbook sheets...</span>
+                      </div>
+                    ) : (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {workbookSheets.map(sheet => (
+                          <label
+                            key={sheet.name}
+                            className={`flex items-start gap-3 p-3 border rounded-xl cursor-pointer transition-all duration-200 ${
+                              selectedSheets.includes(sheet.name) ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-blue-300'
+                            } ${sheet.hasData ? '' : 'opacity-60'}`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={selectedSheets.includes(sheet.name)}
+                              onChange={() => toggleSheet(sheet.name)}
+                              disabled={!sheet.hasData}
+                              className="mt-1 w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                            />
+                            <div className="min-w-0">
+                              <p className="font-medium text-gray-800 truncate">{sheet.name}</p>
+                              <p className="text-xs text-gray-500">
+                                {sheet.hasData ? `${sheet.rowCount - 1} rows` : 'No data rows'}
+                                {sheet.header.length > 0 && ` · ${sheet.header.slice(0, 4).join(', ')}${sheet.header.length > 4 ? ', ...' : ''}`}
+                              </p>
+                            </div>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                    {errors.sheets && (
+                      <p className="mt-3 text-sm text-red-600 flex items-center gap-1">
+                        <AlertCircle className="w-4 h-4" />
+                        {errors.sheets}
+                      </p>
+                    )}
+                    <label className="mt-4 flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={includeHiddenRows}
+                        onChange={(e) => setIncludeHiddenRows(e.target.checked)}
+                        className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                      />
+                      Include hidden, filtered and struck-out rows
+                    </label>
+
+                    {/* Column Mapping */}
+                    {mappingSheet && mappingState && mappingSheet.hasData && (
+                      <div className="mt-6 p-5 border border-gray-200 rounded-xl">
+                        <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+                          <h3 className="font-medium text-gray-800">Column mapping</h3>
+                          {selectedSheets.length > 1 && (
+                            <select
+                              value={mappingSheet.name}
+                              onChange={(e) => setMappingSheetName(e.target.value)}
+                              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+                            >
+                              {selectedSheets.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                              ))}
+                            </select>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-500 mb-3">
+                          {mappingSheet.mapping.matchesTemplate
+                            ? 'The header of this sheet matches the checklist template.'
+                            : 'The header of this sheet does not match the checklist template. Check which column holds each field.'}
+                        </p>
+                        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+                          <input
+                            type="checkbox"
+                            checked={mappingState.enabled}
+                            onChange={(e) => updateColumnMapping(mappingSheet.name, () => ({ enabled: e.target.checked }))}
+                            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          Use this column mapping for extraction
+                        </label>
+
+                        {mappingState.enabled && (
+                          <>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+                              {mappingFields.map(({ field, label }) => (
+                                <div key={field}>
+                                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                                    {label}{field === 'question' && ' *'}
+                                    {mappingState.fields[field] && mappingSheet.mapping.suggested[field] === mappingState.fields[field] && mappingSheet.mapping.basis[field] && (
+                                      <span className="ml-2 font-normal text-gray-400">{mappingBasisLabels[mappingSheet.mapping.basis[field]]}</span>
+                                    )}
+                                  </label>
+                                  <select
+                                    value={mappingState.fields[field] || ''}
+                                    onChange={(e) => setMappedColumn(mappingSheet.name, field, e.target.value)}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                  >
+                                    <option value="">Not mapped</option>
+                                    {mappingSheet.mapping.columns.filter(column => column !== '').map(column => (
+                                      <option
+                                        key={column}
+                                        value={column}
+                                        disabled={mappedFieldByColumn[column] !== undefined && mappedFieldByColumn[column] !== field}
+                                      >
+                                        {column}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </div>
+                              ))}
+                            </div>
+
+                            {/* Detected header and sample rows */}
+                            <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+                              <table className="min-w-full text-xs">
+                                <thead className="bg-gray-50">
+                                  <tr>
+                                    {mappingSheet.mapping.columns.map((column, index) => (
+                                      <th key={index} className="px-3 py-2 text-left font-medium text-gray-700 whitespace-nowrap">
+                                        {column || <span className="text-gray-400">(blank)</span>}
+                                        {mappedFieldByColumn[column] && (
+                                          <span className="block text-blue-600 font-normal">
+                                            → {mappingFields.find(entry => entry.field === mappedFieldByColumn[column]).label}
+                                          </span>
+                                        )}
+                                      </th>
+                                    ))}
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {mappingSheet.mapping.sampleRows.map((row, rowIndex) => (
+                                    <tr key={rowIndex} className="border-t border-gray-100">
+                                      {mappingSheet.mapping.columns.map((column, index) => (
+                                        <td key={index} className="px-3 py-1.5 text-gray-600 max-w-xs truncate">{row[index] || ''}</td>
+                                      ))}
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+
+                            {/* Saved mapping profiles of this Zuper account */}
+                            <div className="flex flex-wrap items-center gap-2">
+                              <select
+                                value={selectedProfileId}
+                                onChange={(e) => applyMappingProfile(mappingSheet.name, e.target.value)}
+                                disabled={mappingProfiles.length === 0}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                              >
+                                <option value="">{mappingProfiles.length > 0 ? 'Apply a saved profile...' : 'No saved profiles'}</option>
+                                {mappingProfiles.map(profile => (
+                                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                                ))}
+                              </select>
+                              {selectedProfileId && (
+                                <button
+                                  onClick={() => deleteMappingProfile(selectedProfileId)}
+                                  className="px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg"
+                                >
+                                  Delete profile
+                                </button>
+                              )}
+                              <input
+                                type="text"
+                                value={profileName}
+                                onChange={(e) => setProfileName(e.target.value)}
+                                placeholder="Profile name, e.g. customer name"
+                                maxLength={100}
+                                className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                              />
+                              <button
+                                onClick={() => saveMappingProfile(mappingSheet.name)}
+                                disabled={savingProfile || !profileName.trim() || !mappingState.fields.question || !config.apiKey || !config.region}
+                                className="px-4 py-2 bg-gray-800 text-white text-sm rounded-lg hover:bg-gray-900 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                              >
+                                {savingProfile ? 'Saving...' : 'Save as profile'}
+                              </button>
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    )}
+                    {errors.mapping && (
+                      <p className="mt-3 text-sm text-red-600 flex items-center gap-1">
+                        <AlertCircle className="w-4 h-4" />
+                        {errors.mapping}
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
             )}
 
@@ -1272,7 +2509,7 @@ Upload ID photo | multiImage | | Yes | No | |`
               <div className="flex justify-center">
                 <button
                   onClick={extractChecklist}
-                  disabled={!isConfigValid || loading}
+                  disabled={!isConfigValid || loading || loadingSheets}
                   className={`px-8 py-3 bg-blue-600 text-white font-semibold rounded-xl hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transform hover:scale-105 transition-all duration-200 flex items-center gap-3 shadow-lg ${
                     loading ? 'animate-pulse' : ''
                   }`}
@@ -1282,7 +2519,9 @@ Upload ID photo | multiImage | | Yes | No | |`
                   ) : (
                     <FileText className="w-5 h-5" />
                   )}
-                  {loading ? 'Extracting Checklist...' : 'Extract Checklist'}
+                  {loading
+                    ? 'Extracting Checklist...'
+                    : selectedSheets.length > 1 ? `Extract ${selectedSheets.length} Checklists` : 'Extract Checklist'}
                 </button>
               </div>
             )}
@@ -1292,6 +2531,57 @@ Upload ID photo | multiImage | | Yes | No | |`
         {/* Tab 2: Review & Submit */}
         {activeTab === 2 && (
           <div className="space-y-8">
+            {/* One checklist per sheet, each submitted to its own job status */}
+            {sheetResults.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-lg p-8">
+                {sheetResults.length > 1 && (
+                  <div className="flex flex-wrap gap-2 mb-6">
+                    {sheetResults.map((sheet, index) => (
+                      <button
+                        key={sheet.sheetName || index}
+                        onClick={() => {
+                          setActiveSheetIndex(index);
+                          setExpandedSources(new Set());
+                        }}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-all duration-200 flex items-center gap-2 ${
+                          index === activeSheetIndex ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {sheet.sheetName || `Checklist ${index + 1}`}
+                        <span className="text-xs opacity-80">({sheet.checklist.length})</span>
+                        {sheet.failedChunks.length > 0 && <AlertCircle className="w-4 h-4" />}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6 items-end">
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Sheet</p>
+                    <p className="text-lg font-semibold text-gray-800">{activeSheet?.sheetName || 'Manual checklist'}</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Submit to job status *
+                    </label>
+                    <select
+                      value={activeSheet?.status?.id || ''}
+                      onChange={(e) => setSheetStatus(activeSheetIndex, e.target.value)}
+                      className={`w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 ${
+                        activeSheet?.status ? '' : 'border-red-500 bg-red-50'
+                      }`}
+                    >
+                      <option value="">Choose a status</option>
+                      {statuses.map(status => (
+                        <option key={status.id} value={status.id}>
+                          {status.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </div>
+            )}
+
             <div className="bg-white rounded-2xl shadow-lg p-8">
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-3">
@@ -1306,6 +2596,46 @@ Upload ID photo | multiImage | | Yes | No | |`
                 </button>
               </div>
 
+              {failedChunks.length > 0 && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <h3 className="font-semibold text-red-800 flex items-center gap-2">
+                        <AlertCircle className="w-5 h-5" />
+                        {failedChunks.length} row {failedChunks.length === 1 ? 'range' : 'ranges'} could not be extracted
+                      </h3>
+                      <p className="text-sm text-red-700 mt-1">
+                        Items from these Excel rows are missing below. Retry to add them back in place.
+                      </p>
+                      <ul className="mt-3 space-y-2">
+                        {failedChunks.map(chunk => (
+                          <li key={chunk.chunkIndex} className="text-sm text-red-700 flex items-center gap-3">
+                            <span>
+                              <span className="font-medium">Sheet rows {chunk.sheetRows || chunk.affectedRows}</span> ({chunk.rowCount} rows): {chunk.error}
+                            </span>
+                            <button
+                              onClick={() => retryFailedChunks([chunk.chunkIndex])}
+                              disabled={retryingChunks}
+                              className="text-red-800 underline hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              Retry
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                    <button
+                      onClick={() => retryFailedChunks()}
+                      disabled={retryingChunks}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-all duration-200 text-sm font-medium flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed whitespace-nowrap"
+                    >
+                      {retryingChunks ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                      Retry All
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {checklist.length === 0 ? (
                 <div className="text-center py-12 text-gray-500">
                   <FileText className="w-16 h-16 mx-auto mb-4 text-gray-300" />
@@ -1315,7 +2645,12 @@ Upload ID photo | multiImage | | Yes | No | |`
               ) : (
                 <div className="space-y-4">
                   {checklist.map((item, index) => (
-                    <div key={item.id} className="border border-gray-200 rounded-xl p-6 hover:shadow-md transition-all duration-200">
+                    <div
+                      key={item.id}
+                      className={`border rounded-xl p-6 hover:shadow-md transition-all duration-200 ${
+                        item.source?.differences?.length > 0 ? 'border-amber-300 bg-amber-50/40' : 'border-gray-200'
+                      }`}
+                    >
                       <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
                         <div className="lg:col-span-2">
                           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -1379,7 +2714,7 @@ Upload ID photo | multiImage | | Yes | No | |`
                             </div>
                           </div>
 
-                          {item.isDependent && (
+                          {item.isDependent && item.conditions.length === 0 && (
                             <>
                               <div>
                                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -1409,8 +2744,94 @@ Upload ID photo | multiImage | | Yes | No | |`
                             </>
                           )}
                         </div>
+
+                        {item.isDependent && item.conditions.length > 0 && (
+                          <div className="mt-4 space-y-3">
+                            <p className="text-sm font-medium text-gray-700">Shown when any group matches; every condition of a group must match</p>
+                            {item.conditions.map((group, groupIndex) => (
+                              <div key={groupIndex}>
+                                {groupIndex > 0 && <p className="text-xs font-semibold text-purple-700 mb-2">OR</p>}
+                                <div className="p-3 border border-purple-200 bg-purple-50 rounded-xl space-y-2">
+                                  {group.map((rule, ruleIndex) => (
+                                    <div key={ruleIndex} className="flex items-center gap-2">
+                                      <span className="w-10 text-xs font-semibold text-purple-700">{ruleIndex > 0 ? 'AND' : ''}</span>
+                                      <input
+                                        type="text"
+                                        value={rule.dependentOn}
+                                        onChange={(e) => updateConditionRule(item.id, groupIndex, ruleIndex, 'dependentOn', e.target.value)}
+                                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                        placeholder="Question this depends on"
+                                      />
+                                      <input
+                                        type="text"
+                                        value={rule.dependentOptions}
+                                        onChange={(e) => updateConditionRule(item.id, groupIndex, ruleIndex, 'dependentOptions', e.target.value)}
+                                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                        placeholder="Options (comma-separated)"
+                                      />
+                                      <button
+                                        onClick={() => updateConditions(item.id, groups => {
+                                          groups[groupIndex].splice(ruleIndex, 1);
+                                          return groups;
+                                        })}
+                                        className="text-gray-400 hover:text-red-600 transition-colors"
+                                        title="Remove condition"
+                                      >
+                                        <X className="w-4 h-4" />
+                                      </button>
+                                    </div>
+                                  ))}
+                                  <button
+                                    onClick={() => updateConditions(item.id, groups => {
+                                      groups[groupIndex].push({ dependentOn: '', dependentOptions: '' });
+                                      return groups;
+                                    })}
+                                    className="text-purple-700 hover:text-purple-900 text-xs font-medium transition-colors"
+                                  >
+                                    + AND condition
+                                  </button>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        {item.isDependent && (
+                          <div className="mt-3 flex gap-4">
+                            {item.conditions.length === 0 && (
+                              <button
+                                onClick={() => updateConditions(item.id, groups => {
+                                  groups[0].push({ dependentOn: '', dependentOptions: '' });
+                                  return groups;
+                                })}
+                                className="text-purple-700 hover:text-purple-900 text-xs font-medium transition-colors"
+                              >
+                                + AND condition
+                              </button>
+                            )}
+                            <button
+                              onClick={() => updateConditions(item.id, groups => [...groups, [{ dependentOn: '', dependentOptions: '' }]])}
+                              className="text-purple-700 hover:text-purple-900 text-xs font-medium transition-colors"
+                            >
+                              + OR group
+                            </button>
+                          </div>
+                        )}
                       </div>
                       
+                      <div className="mt-4">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Description
+                        </label>
+                        <input
+                          type="text"
+                          value={item.description}
+                          onChange={(e) => updateChecklistItem(item.id, 'description', e.target.value)}
+                          className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                          placeholder="Help text shown under the question (optional)"
+                        />
+                      </div>
+
                       {['dropdown', 'radio', 'checkbox'].includes(item.type) && (
                         <div className="mt-4">
                           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -1426,8 +2847,49 @@ Upload ID photo | multiImage | | Yes | No | |`
                         </div>
                       )}
                       
+                      {item.source && expandedSources.has(item.id) && (
+                        <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+                          <p className="text-xs font-medium text-gray-500 mb-2">
+                            Sheet "{item.source.sheet}", row {item.source.row}
+                          </p>
+                          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-2">
+                            {item.source.cells.map((cell, cellIndex) => (
+                              <div key={cellIndex} className="text-sm">
+                                <span className="text-gray-500">{cell.column}: </span>
+                                <span className="text-gray-800">{cell.value || '—'}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      
                       <div className="flex justify-between items-center mt-4 pt-4 border-t border-gray-100">
-                        <span className="text-sm text-gray-500">Item #{index + 1}</span>
+                        <div className="flex items-center gap-4">
+                          <span className="text-sm text-gray-500">Item #{index + 1}</span>
+                          {item.source && (
+                            <button
+                              onClick={() => toggleSourceRow(item.id)}
+                              className="text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+                            >
+                              {expandedSources.has(item.id) ? 'Hide' : 'Show'} source row {item.source.row}
+                            </button>
+                          )}
+                          {item.source?.differences?.length > 0 && (
+                            <span className="text-xs text-amber-700 flex items-center gap-1">
+                              <AlertCircle className="w-4 h-4" />
+                              Differs from source: {item.source.differences.join(', ')}
+                            </span>
+                          )}
+                          {dependencyIssues.filter(issue => issue.id === item.id).map((issue, issueIndex) => (
+                            <span
+                              key={issueIndex}
+                              className={`text-xs flex items-center gap-1 ${issue.severity === 'error' ? 'text-red-700' : 'text-amber-700'}`}
+                            >
+                              <AlertCircle className="w-4 h-4" />
+                              {issue.message}
+                            </span>
+                          ))}
+                        </div>
                         <button
                           onClick={() => removeChecklistItem(item.id)}
                           className="text-red-600 hover:text-red-800 text-sm font-medium transition-colors"
@@ -1441,8 +2903,32 @@ Upload ID photo | multiImage | | Yes | No | |`
               )}
             </div>
 
-            {checklist.length > 0 && (
+            {sheetResults.some(sheet => sheet.checklist.length > 0) && (
+              <div className="flex justify-center items-center gap-2 mb-4 text-sm text-gray-700">
+                <label htmlFor="submitMode" className="font-medium">Existing checklist in Zuper:</label>
+                <select
+                  id="submitMode"
+                  value={submitMode}
+                  onChange={(e) => setSubmitMode(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {submitModes.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {sheetResults.some(sheet => sheet.checklist.length > 0) && (
               <div className="flex justify-center gap-4">
+                <button
+                  onClick={compareWithZuper}
+                  disabled={comparing}
+                  className="px-8 py-3 bg-white text-blue-700 border border-blue-300 font-semibold rounded-xl hover:bg-blue-50 disabled:opacity-60 disabled:cursor-not-allowed transition-all duration-200 flex items-center gap-3 shadow-lg"
+                >
+                  {comparing ? <Loader2 className="w-5 h-5 animate-spin" /> : <RefreshCw className="w-5 h-5" />}
+                  Compare with Zuper
+                </button>
                 <button
                   onClick={previewPayloadHandler}
                   className="px-8 py-3 bg-blue-600 text-white font-semibold rounded-xl hover:bg-blue-700 transform hover:scale-105 transition-all duration-200 flex items-center gap-3 shadow-lg"
@@ -1462,7 +2948,11 @@ Upload ID photo | multiImage | | Yes | No | |`
                   ) : (
                     <Send className="w-5 h-5" />
                   )}
-                  {loading ? 'Submitting to Zuper...' : 'Submit to Zuper'}
+                  {loading
+                    ? 'Submitting to Zuper...'
+                    : sheetResults.filter(sheet => sheet.checklist.length > 0).length > 1
+                      ? `Submit ${sheetResults.filter(sheet => sheet.checklist.length > 0).length} Checklists to Zuper`
+                      : 'Submit to Zuper'}
                 </button>
               </div>
             )}